@@ -1,14 +1,26 @@
 'use client';
 
-import { useState } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { useSession } from 'next-auth/react';
+import { useRouter } from 'next/navigation';
 
 export default function AdminDashboardPage() {
-    const { data: session } = useSession();
+    const { data: session, update } = useSession();
+    const router = useRouter();
     const [data, setData] = useState(null);
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState('');
     const [currentFetch, setCurrentFetch] = useState('');
+    const [impersonateUserId, setImpersonateUserId] = useState('');
+    const [impersonateReason, setImpersonateReason] = useState('');
+    const [invitations, setInvitations] = useState([]);
+    const [registrationMode, setRegistrationMode] = useState('');
+    const [inviteEmail, setInviteEmail] = useState('');
+    const [inviteRole, setInviteRole] = useState('user');
+    const [invitePlanId, setInvitePlanId] = useState('');
+    const [inviteMessage, setInviteMessage] = useState('');
+
+    const accessToken = session?.accessToken;
 
     const fetchData = async (endpoint, type) => {
         setLoading(true);
@@ -35,6 +47,117 @@ export default function AdminDashboardPage() {
         }
     };
 
+    const fetchInvitations = useCallback(async () => {
+        if (!accessToken) return;
+
+        try {
+            const res = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/auth/invitations?status=pending`, {
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`,
+                },
+            });
+            if (!res.ok) {
+                throw new Error('Failed to fetch invitations');
+            }
+            const result = await res.json();
+            setInvitations(result.invitations || []);
+            setRegistrationMode(result.registrationMode);
+        } catch (err) {
+            setError(err.message);
+        }
+    }, [accessToken]);
+
+    useEffect(() => {
+        fetchInvitations();
+    }, [fetchInvitations]);
+
+    const handleInvite = async (e) => {
+        e.preventDefault();
+        setError('');
+        setInviteMessage('');
+
+        try {
+            const res = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/auth/invitations`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${accessToken}`,
+                },
+                body: JSON.stringify({
+                    email: inviteEmail,
+                    role: inviteRole,
+                    ...(invitePlanId.trim() ? { planId: invitePlanId.trim() } : {}),
+                }),
+            });
+            const result = await res.json();
+
+            if (!res.ok) {
+                throw new Error(result.errors?.[0]?.msg || result.message || 'Failed to create invitation');
+            }
+            setInviteMessage(result.message);
+            setInviteEmail('');
+            setInvitePlanId('');
+            await fetchInvitations();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const revokeInvitation = async (id) => {
+        setError('');
+        setInviteMessage('');
+
+        try {
+            const res = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/auth/invitations/${id}`, {
+                method: 'DELETE',
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`,
+                },
+            });
+            const result = await res.json();
+
+            if (!res.ok) {
+                throw new Error(result.message || 'Failed to revoke invitation');
+            }
+            setInviteMessage(result.message);
+            await fetchInvitations();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    // Log in as a user: the session switches to a short-lived token for that user
+    const handleImpersonate = async (e) => {
+        e.preventDefault();
+        setError('');
+
+        try {
+            const res = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/auth/users/${encodeURIComponent(impersonateUserId.trim())}/impersonate`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${session.accessToken}`,
+                },
+                body: JSON.stringify({ reason: impersonateReason }),
+            });
+            const result = await res.json();
+
+            if (!res.ok) {
+                throw new Error(result.errors?.[0]?.msg || result.message || 'Failed to impersonate user');
+            }
+            await update({
+                impersonation: {
+                    accessToken: result.accessToken,
+                    expiresAtMs: result.expiresAtMs,
+                    user: result.user,
+                },
+            });
+            router.push('/user-plan');
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
     return (
         <div className="p-6 bg-white rounded-lg shadow-md">
             <h1 className="text-2xl font-bold mb-4">Admin Dashboard</h1>
@@ -55,6 +178,96 @@ export default function AdminDashboardPage() {
                 </button>
             </div>
 
+            <form onSubmit={handleImpersonate} className="my-6 p-4 border rounded-lg space-y-3 max-w-md">
+                <h2 className="text-xl font-semibold">Log in as user</h2>
+                <p className="text-sm text-gray-600">
+                    See the app as a customer does. Password, email and purchase changes stay blocked, and the
+                    impersonation is recorded in the user&apos;s security log.
+                </p>
+                <input
+                    type="text"
+                    value={impersonateUserId}
+                    onChange={(e) => setImpersonateUserId(e.target.value)}
+                    placeholder="User ID"
+                    className="w-full px-3 py-2 border rounded-lg"
+                    required
+                />
+                <input
+                    type="text"
+                    value={impersonateReason}
+                    onChange={(e) => setImpersonateReason(e.target.value)}
+                    placeholder="Reason, e.g. support ticket #1234"
+                    className="w-full px-3 py-2 border rounded-lg"
+                    maxLength={500}
+                    required
+                />
+                <button
+                    type="submit"
+                    className="bg-yellow-500 hover:bg-yellow-600 text-black font-bold py-2 px-4 rounded-lg"
+                >
+                    Log in as user
+                </button>
+            </form>
+
+            <div className="my-6 p-4 border rounded-lg space-y-3">
+                <h2 className="text-xl font-semibold">Invitations</h2>
+                <p className="text-sm text-gray-600">
+                    Registration mode: <b>{registrationMode || '-'}</b>. An invitation is emailed as a single-use link
+                    and sets the new account&apos;s role and, optionally, its plan.
+                </p>
+                <form onSubmit={handleInvite} className="space-y-3 max-w-md">
+                    <input
+                        type="email"
+                        value={inviteEmail}
+                        onChange={(e) => setInviteEmail(e.target.value)}
+                        placeholder="Email"
+                        className="w-full px-3 py-2 border rounded-lg"
+                        required
+                    />
+                    <select
+                        value={inviteRole}
+                        onChange={(e) => setInviteRole(e.target.value)}
+                        className="w-full px-3 py-2 border rounded-lg"
+                    >
+                        {['user', 'editor', 'support', 'admin'].map((role) => (
+                            <option key={role} value={role}>{role}</option>
+                        ))}
+                    </select>
+                    <input
+                        type="text"
+                        value={invitePlanId}
+                        onChange={(e) => setInvitePlanId(e.target.value)}
+                        placeholder="Plan ID (optional)"
+                        className="w-full px-3 py-2 border rounded-lg"
+                    />
+                    <button
+                        type="submit"
+                        className="bg-green-500 hover:bg-green-600 text-white font-bold py-2 px-4 rounded-lg"
+                    >
+                        Send invitation
+                    </button>
+                </form>
+                {inviteMessage && <p className="text-green-600">{inviteMessage}</p>}
+                <ul className="space-y-2">
+                    {invitations.map((item) => (
+                        <li key={item._id} className="p-3 border rounded-lg bg-gray-50 flex justify-between items-center">
+                            <div>
+                                <p className="font-semibold">{item.email} <span className="text-sm text-gray-600">({item.role})</span></p>
+                                <p className="text-sm text-gray-600">
+                                    Plan: {item.planId?.name || 'none'} · Expires: {new Date(item.expiresAt).toLocaleString()}
+                                </p>
+                            </div>
+                            <button
+                                onClick={() => revokeInvitation(item._id)}
+                                className="bg-gray-200 hover:bg-gray-300 text-black py-1 px-3 rounded"
+                            >
+                                Revoke
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            </div>
+
             <div className="mt-6 min-h-[200px] p-4 border rounded-lg bg-gray-50">
                 {loading && <p className="text-center">Loading...</p>}
                 {error && <p className="text-center text-red-500">Error: {error}</p>}
@@ -0,0 +1,208 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { useSession } from 'next-auth/react';
+
+const SCOPES = ['read', 'write', 'update', 'delete'];
+
+export default function ApiKeysPage() {
+    const { data: session } = useSession();
+    const [apiKeys, setApiKeys] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+    const [message, setMessage] = useState('');
+    const [name, setName] = useState('');
+    const [scopes, setScopes] = useState(['read']);
+    const [expiresAt, setExpiresAt] = useState('');
+    const [newKey, setNewKey] = useState('');
+
+    const accessToken = session?.accessToken;
+
+    const fetchApiKeys = useCallback(async () => {
+        if (!accessToken) return;
+        setLoading(true);
+        setError('');
+
+        try {
+            const res = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/users/api-keys`, {
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`,
+                },
+            });
+
+            if (!res.ok) {
+                throw new Error('Failed to fetch API keys');
+            }
+            const result = await res.json();
+            setApiKeys(result.apiKeys || []);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [accessToken]);
+
+    useEffect(() => {
+        fetchApiKeys();
+    }, [fetchApiKeys]);
+
+    const toggleScope = (scope) => {
+        setScopes((current) => (current.includes(scope)
+            ? current.filter((item) => item !== scope)
+            : [...current, scope]));
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        setError('');
+        setMessage('');
+        setNewKey('');
+
+        try {
+            const res = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/users/api-keys`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${accessToken}`,
+                },
+                body: JSON.stringify({
+                    name,
+                    scopes,
+                    // End of the chosen day, local time
+                    ...(expiresAt ? { expiresAt: new Date(`${expiresAt}T23:59:59`).toISOString() } : {}),
+                }),
+            });
+            const result = await res.json();
+
+            if (!res.ok) {
+                throw new Error(result.errors?.[0]?.msg || result.message || 'Failed to create API key');
+            }
+            setMessage(result.message);
+            setNewKey(result.key);
+            setName('');
+            setExpiresAt('');
+            await fetchApiKeys();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const revoke = async (id) => {
+        setError('');
+        setMessage('');
+
+        try {
+            const res = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/users/api-keys/${id}`, {
+                method: 'DELETE',
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`,
+                },
+            });
+            const result = await res.json();
+
+            if (!res.ok) {
+                throw new Error(result.message || 'Failed to revoke API key');
+            }
+            setMessage(result.message);
+            await fetchApiKeys();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const formatDate = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+    const statusOf = (item) => {
+        if (item.revokedAt) return 'Revoked';
+        if (item.expiresAt && new Date(item.expiresAt) <= new Date()) return 'Expired';
+        return null;
+    };
+
+    return (
+        <div className="p-6 bg-white rounded-lg shadow-md">
+            <h1 className="text-2xl font-bold mb-4">API Keys</h1>
+            <p>
+                Scripts can call the API with <code className="bg-gray-100 px-1">Authorization: ApiKey &lt;key&gt;</code>.
+                A key acts as you, limited to its scopes. It can&apos;t change your password, email, sessions or keys.
+            </p>
+
+            <form onSubmit={handleCreate} className="my-6 space-y-3 max-w-md">
+                <input
+                    type="text"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    placeholder="Name, e.g. Nightly backup script"
+                    className="w-full px-3 py-2 border rounded-lg"
+                    maxLength={100}
+                    required
+                />
+                <div className="flex space-x-4">
+                    {SCOPES.map((scope) => (
+                        <label key={scope} className="flex items-center space-x-1">
+                            <input
+                                type="checkbox"
+                                checked={scopes.includes(scope)}
+                                onChange={() => toggleScope(scope)}
+                            />
+                            <span>{scope}</span>
+                        </label>
+                    ))}
+                </div>
+                <label className="block text-sm text-gray-600">
+                    Expires on (optional)
+                    <input
+                        type="date"
+                        value={expiresAt}
+                        onChange={(e) => setExpiresAt(e.target.value)}
+                        className="w-full px-3 py-2 border rounded-lg"
+                    />
+                </label>
+                <button
+                    type="submit"
+                    className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-4 rounded-lg"
+                    disabled={!accessToken || scopes.length === 0}
+                >
+                    Create API key
+                </button>
+            </form>
+
+            {newKey && (
+                <div className="p-4 mb-4 border border-yellow-400 rounded-lg bg-yellow-50">
+                    <p className="font-semibold">Copy your new key now. It won&apos;t be shown again.</p>
+                    <code className="block mt-2 break-all">{newKey}</code>
+                </div>
+            )}
+
+            {loading && <p className="text-center">Loading...</p>}
+            {error && <p className="text-center text-red-500">Error: {error}</p>}
+            {message && <p className="text-center text-green-500">{message}</p>}
+
+            <ul className="mt-4 space-y-3">
+                {apiKeys.map((item) => (
+                    <li key={item._id} className="p-4 border rounded-lg bg-gray-50 flex justify-between items-center">
+                        <div>
+                            <p className="font-semibold">
+                                {item.name}
+                                {statusOf(item) && <span className="ml-2 text-sm text-red-600">({statusOf(item)})</span>}
+                            </p>
+                            <p className="text-sm text-gray-600">Key: {item.keyPrefix}_…</p>
+                            <p className="text-sm text-gray-600">Scopes: {item.scopes.join(', ')}</p>
+                            <p className="text-sm text-gray-600">Expires: {item.expiresAt ? formatDate(item.expiresAt) : 'Never'}</p>
+                            <p className="text-sm text-gray-600">
+                                Last used: {formatDate(item.lastUsedAt)}{item.lastUsedIp ? ` from ${item.lastUsedIp}` : ''}
+                            </p>
+                        </div>
+                        {!statusOf(item) && (
+                            <button
+                                onClick={() => revoke(item._id)}
+                                className="bg-gray-200 hover:bg-gray-300 text-black py-1 px-3 rounded"
+                            >
+                                Revoke
+                            </button>
+                        )}
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
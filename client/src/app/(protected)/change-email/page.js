@@ -0,0 +1,176 @@
+'use client';
+
+import { useState } from 'react';
+import { useSession } from 'next-auth/react';
+
+const inputClass = 'w-full px-3 py-2 border rounded-lg text-black';
+const primaryButtonClass = 'w-full bg-green-500 hover:bg-green-600 text-white font-bold py-2 px-4 rounded-lg';
+
+export default function ChangeEmailPage() {
+    const { data: session, update } = useSession();
+    // 'request' (new email + password) -> 'confirm' (OTP sent to the new address).
+    // Accounts without a password prove control of the current address first: 'verify-current'
+    const [step, setStep] = useState('request');
+    const [newEmail, setNewEmail] = useState('');
+    const [currentPassword, setCurrentPassword] = useState('');
+    const [currentEmailCode, setCurrentEmailCode] = useState('');
+    const [otp, setOtp] = useState('');
+    const [message, setMessage] = useState('');
+    const [isError, setIsError] = useState(false);
+
+    const post = async (path, body) => {
+        const res = await fetch(`${process.env.NEXT_PUBLIC_API_URL}${path}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${session?.accessToken}`,
+            },
+            body: JSON.stringify(body),
+        });
+        return { ok: res.ok, data: await res.json() };
+    };
+
+    const showResult = (ok, data, fallback) => {
+        setIsError(!ok);
+        setMessage(data.message || data.errors?.[0]?.msg || fallback);
+    };
+
+    const handleRequest = async (e) => {
+        e.preventDefault();
+        setMessage('');
+
+        try {
+            let body = { newEmail };
+            if (step === 'verify-current') {
+                body = { newEmail, currentEmailCode };
+            } else if (currentPassword) {
+                body = { newEmail, currentPassword };
+            }
+            const { ok, data } = await post('/api/users/change-email', body);
+            showResult(ok, data, 'Could not start the email change.');
+            if (ok) {
+                setCurrentPassword('');
+                setCurrentEmailCode('');
+                setStep(data.currentEmailCodeRequired ? 'verify-current' : 'confirm');
+            }
+        } catch (error) {
+            setIsError(true);
+            setMessage('Failed to connect to the server.');
+        }
+    };
+
+    const handleConfirm = async (e) => {
+        e.preventDefault();
+        setMessage('');
+
+        try {
+            const { ok, data } = await post('/api/users/change-email/confirm', { otp });
+            showResult(ok, data, 'Could not confirm the email change.');
+            if (ok) {
+                // Keep the NextAuth session in sync with the new address
+                await update({ email: data.email, profile: { ...session?.user, email: data.email } });
+                setOtp('');
+                setStep('done');
+            }
+        } catch (error) {
+            setIsError(true);
+            setMessage('Failed to connect to the server.');
+        }
+    };
+
+    return (
+        <div className="max-w-md mx-auto mt-10 p-6 bg-white rounded-lg shadow-md">
+            <h1 className="text-2xl font-bold mb-4 text-center">Change Email</h1>
+            <p className="mb-4 text-gray-700">Current email: {session?.user?.email}</p>
+            {message && (
+                <p className={`mb-4 text-center ${isError ? 'text-red-500' : 'text-green-500'}`}>
+                    {message}
+                </p>
+            )}
+
+            {step === 'request' && (
+                <form onSubmit={handleRequest}>
+                    <div className="mb-4">
+                        <label className="block text-gray-700">New Email</label>
+                        <input
+                            type="email"
+                            value={newEmail}
+                            onChange={(e) => setNewEmail(e.target.value)}
+                            className={inputClass}
+                            required
+                        />
+                    </div>
+                    <div className="mb-6">
+                        <label className="block text-gray-700">Current Password</label>
+                        <input
+                            type="password"
+                            autoComplete="current-password"
+                            value={currentPassword}
+                            onChange={(e) => setCurrentPassword(e.target.value)}
+                            className={inputClass}
+                        />
+                    </div>
+                    <button type="submit" className={primaryButtonClass}>
+                        Send Confirmation Code
+                    </button>
+                </form>
+            )}
+
+            {step === 'verify-current' && (
+                <form onSubmit={handleRequest}>
+                    <p className="mb-4 text-gray-700">Enter the code we sent to {session?.user?.email}.</p>
+                    <div className="mb-6">
+                        <input
+                            type="text"
+                            inputMode="numeric"
+                            autoComplete="one-time-code"
+                            maxLength={6}
+                            value={currentEmailCode}
+                            onChange={(e) => setCurrentEmailCode(e.target.value)}
+                            className={inputClass}
+                            required
+                        />
+                    </div>
+                    <button type="submit" className={primaryButtonClass}>
+                        Continue
+                    </button>
+                    <button
+                        type="button"
+                        onClick={() => { setStep('request'); setMessage(''); }}
+                        className="w-full mt-3 text-blue-500 hover:underline"
+                    >
+                        Start over
+                    </button>
+                </form>
+            )}
+
+            {step === 'confirm' && (
+                <form onSubmit={handleConfirm}>
+                    <p className="mb-4 text-gray-700">Enter the code we sent to {newEmail}.</p>
+                    <div className="mb-6">
+                        <input
+                            type="text"
+                            inputMode="numeric"
+                            autoComplete="one-time-code"
+                            maxLength={6}
+                            value={otp}
+                            onChange={(e) => setOtp(e.target.value)}
+                            className={inputClass}
+                            required
+                        />
+                    </div>
+                    <button type="submit" className={primaryButtonClass}>
+                        Confirm Email Change
+                    </button>
+                    <button
+                        type="button"
+                        onClick={() => { setStep('request'); setMessage(''); }}
+                        className="w-full mt-3 text-blue-500 hover:underline"
+                    >
+                        Use a different email
+                    </button>
+                </form>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,102 @@
+'use client';
+
+import { useState } from 'react';
+import { useSession } from 'next-auth/react';
+
+const inputClass = 'w-full px-3 py-2 border rounded-lg text-black';
+
+export default function ChangePasswordPage() {
+    const { data: session } = useSession();
+    const [currentPassword, setCurrentPassword] = useState('');
+    const [newPassword, setNewPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
+    const [message, setMessage] = useState('');
+    const [isError, setIsError] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setMessage('');
+        setIsError(false);
+
+        if (newPassword !== confirmPassword) {
+            setIsError(true);
+            setMessage('The new passwords do not match.');
+            return;
+        }
+
+        try {
+            const res = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/users/change-password`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${session?.accessToken}`,
+                },
+                body: JSON.stringify({ currentPassword, newPassword }),
+            });
+            const data = await res.json();
+
+            if (res.ok) {
+                setMessage(data.message || 'Password changed successfully.');
+                setCurrentPassword('');
+                setNewPassword('');
+                setConfirmPassword('');
+            } else {
+                setIsError(true);
+                setMessage(data.message || data.errors?.[0]?.msg || 'Could not change your password.');
+            }
+        } catch (error) {
+            setIsError(true);
+            setMessage('Failed to connect to the server.');
+        }
+    };
+
+    return (
+        <div className="max-w-md mx-auto mt-10 p-6 bg-white rounded-lg shadow-md">
+            <h1 className="text-2xl font-bold mb-4 text-center">Change Password</h1>
+            <p className="mb-4 text-gray-700">Changing your password signs out all your other devices.</p>
+            <form onSubmit={handleSubmit}>
+                {message && (
+                    <p className={`mb-4 text-center ${isError ? 'text-red-500' : 'text-green-500'}`}>
+                        {message}
+                    </p>
+                )}
+                <div className="mb-4">
+                    <label className="block text-gray-700">Current Password</label>
+                    <input
+                        type="password"
+                        autoComplete="current-password"
+                        value={currentPassword}
+                        onChange={(e) => setCurrentPassword(e.target.value)}
+                        className={inputClass}
+                        required
+                    />
+                </div>
+                <div className="mb-4">
+                    <label className="block text-gray-700">New Password</label>
+                    <input
+                        type="password"
+                        autoComplete="new-password"
+                        value={newPassword}
+                        onChange={(e) => setNewPassword(e.target.value)}
+                        className={inputClass}
+                        required
+                    />
+                </div>
+                <div className="mb-6">
+                    <label className="block text-gray-700">Confirm New Password</label>
+                    <input
+                        type="password"
+                        autoComplete="new-password"
+                        value={confirmPassword}
+                        onChange={(e) => setConfirmPassword(e.target.value)}
+                        className={inputClass}
+                        required
+                    />
+                </div>
+                <button type="submit" className="w-full bg-green-500 hover:bg-green-600 text-white font-bold py-2 px-4 rounded-lg">
+                    Change Password
+                </button>
+            </form>
+        </div>
+    );
+}
@@ -0,0 +1,132 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { useSession } from 'next-auth/react';
+import { providerLabel, redirectToProvider } from '@/lib/oauth';
+
+export default function ConnectedAccountsPage() {
+    const { data: session } = useSession();
+    const [providers, setProviders] = useState([]);
+    const [linkedAccounts, setLinkedAccounts] = useState([]);
+    const [hasPassword, setHasPassword] = useState(true);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+    const [message, setMessage] = useState('');
+
+    const accessToken = session?.accessToken;
+
+    const fetchAccounts = useCallback(async () => {
+        if (!accessToken) return;
+        setLoading(true);
+        setError('');
+
+        try {
+            const res = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/users/oauth/accounts`, {
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`,
+                },
+            });
+
+            if (!res.ok) {
+                throw new Error('Failed to fetch connected accounts');
+            }
+            const result = await res.json();
+            setProviders(result.providers || []);
+            setLinkedAccounts(result.linkedAccounts || []);
+            setHasPassword(result.hasPassword !== false);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [accessToken]);
+
+    useEffect(() => {
+        fetchAccounts();
+    }, [fetchAccounts]);
+
+    const connect = async (provider) => {
+        setError('');
+        setMessage('');
+        try {
+            await redirectToProvider(provider, { mode: 'link', accessToken });
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const disconnect = async (provider) => {
+        setError('');
+        setMessage('');
+
+        try {
+            const res = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/users/oauth/${encodeURIComponent(provider)}`, {
+                method: 'DELETE',
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`,
+                },
+            });
+            const result = await res.json();
+
+            if (!res.ok) {
+                throw new Error(result.message || 'Failed to disconnect account');
+            }
+            setMessage(result.message);
+            await fetchAccounts();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const linkedFor = (provider) => linkedAccounts.find((account) => account.provider === provider);
+
+    return (
+        <div className="p-6 bg-white rounded-lg shadow-md">
+            <h1 className="text-2xl font-bold mb-4">Connected Accounts</h1>
+            <p>Sign in with these accounts in addition to your password.</p>
+            {!hasPassword && (
+                <p className="mt-2 text-sm text-gray-600">
+                    Your account has no password yet. Use &quot;Forgot password&quot; to set one before disconnecting your last account.
+                </p>
+            )}
+
+            {loading && <p className="text-center">Loading...</p>}
+            {error && <p className="text-center text-red-500">Error: {error}</p>}
+            {message && <p className="text-center text-green-500">{message}</p>}
+
+            <ul className="mt-4 space-y-3">
+                {providers.map((provider) => {
+                    const linked = linkedFor(provider);
+                    return (
+                        <li key={provider} className="p-4 border rounded-lg bg-gray-50 flex justify-between items-center">
+                            <div>
+                                <p className="font-semibold">{providerLabel(provider)}</p>
+                                <p className="text-sm text-gray-600">
+                                    {linked ? `Connected${linked.email ? ` as ${linked.email}` : ''}` : 'Not connected'}
+                                </p>
+                            </div>
+                            {linked ? (
+                                <button
+                                    onClick={() => disconnect(provider)}
+                                    className="bg-gray-200 hover:bg-gray-300 text-black py-1 px-3 rounded"
+                                >
+                                    Disconnect
+                                </button>
+                            ) : (
+                                <button
+                                    onClick={() => connect(provider)}
+                                    className="bg-blue-500 hover:bg-blue-600 text-white py-1 px-3 rounded"
+                                >
+                                    Connect
+                                </button>
+                            )}
+                        </li>
+                    );
+                })}
+            </ul>
+            {!loading && providers.length === 0 && (
+                <p className="mt-4 text-gray-600">No external login providers are configured.</p>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,108 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { useSession } from 'next-auth/react';
+import Link from 'next/link';
+
+const METHOD_LABELS = {
+    password: 'Password',
+    passwordless: 'Emailed code',
+    passkey: 'Passkey',
+    oauth: 'External login',
+};
+
+const FAILURE_LABELS = {
+    unknown_user: 'Unknown account',
+    invalid_credentials: 'Wrong password or code',
+    invalid_mfa_code: 'Wrong two-factor code',
+    account_locked: 'Account locked',
+    account_suspended: 'Account suspended',
+    email_not_verified: 'Email not verified',
+};
+
+export default function LoginHistoryPage() {
+    const { data: session } = useSession();
+    const [events, setEvents] = useState([]);
+    const [hasMore, setHasMore] = useState(false);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    const accessToken = session?.accessToken;
+
+    const fetchEvents = useCallback(async (before) => {
+        if (!accessToken) return;
+        setLoading(true);
+        setError('');
+
+        try {
+            const query = before ? `?before=${encodeURIComponent(before)}` : '';
+            const res = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/users/login-history${query}`, {
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`,
+                },
+            });
+
+            if (!res.ok) {
+                throw new Error('Failed to fetch login history');
+            }
+            const result = await res.json();
+            setEvents((current) => (before ? [...current, ...result.events] : result.events || []));
+            setHasMore(Boolean(result.hasMore));
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [accessToken]);
+
+    useEffect(() => {
+        fetchEvents();
+    }, [fetchEvents]);
+
+    const formatDate = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+    return (
+        <div className="p-6 bg-white rounded-lg shadow-md">
+            <h1 className="text-2xl font-bold mb-4">Login History</h1>
+            <p>
+                Recent attempts to sign in to your account. If you don&apos;t recognize a successful login,{' '}
+                <Link href="/change-password" className="text-blue-500 hover:underline">change your password</Link>{' '}
+                and sign out the device from your{' '}
+                <Link href="/sessions" className="text-blue-500 hover:underline">sessions</Link>.
+            </p>
+
+            {error && <p className="mt-4 text-center text-red-500">Error: {error}</p>}
+
+            <ul className="mt-6 space-y-3">
+                {events.map((item) => (
+                    <li key={item._id} className="p-4 border rounded-lg bg-gray-50">
+                        <p className="font-semibold">
+                            {item.success
+                                ? <span className="text-green-600">Signed in</span>
+                                : <span className="text-red-600">Failed: {FAILURE_LABELS[item.failureReason] || 'Unknown reason'}</span>}
+                            {item.newDevice && <span className="ml-2 text-sm text-yellow-700">(new device or location)</span>}
+                        </p>
+                        <p className="text-sm text-gray-600">
+                            Method: {METHOD_LABELS[item.method] || item.method}{item.mfa ? ' + two-factor code' : ''}
+                        </p>
+                        <p className="text-sm text-gray-600">Device: {item.device || 'Unknown device'}</p>
+                        <p className="text-sm text-gray-600">IP: {item.ip || '-'}</p>
+                        <p className="text-sm text-gray-600">Time: {formatDate(item.createdAt)}</p>
+                    </li>
+                ))}
+            </ul>
+
+            {loading && <p className="mt-4 text-center">Loading...</p>}
+            {!loading && events.length === 0 && !error && <p className="mt-4 text-gray-600">No login attempts recorded yet.</p>}
+
+            {hasMore && !loading && (
+                <button
+                    onClick={() => fetchEvents(events[events.length - 1].createdAt)}
+                    className="mt-4 bg-gray-200 hover:bg-gray-300 text-black py-2 px-4 rounded"
+                >
+                    Load older attempts
+                </button>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,174 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { useSession } from 'next-auth/react';
+import { startRegistration } from '@simplewebauthn/browser';
+
+export default function PasskeysPage() {
+    const { data: session } = useSession();
+    const [passkeys, setPasskeys] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+    const [message, setMessage] = useState('');
+    const [name, setName] = useState('');
+
+    const accessToken = session?.accessToken;
+
+    const fetchPasskeys = useCallback(async () => {
+        if (!accessToken) return;
+        setLoading(true);
+        setError('');
+
+        try {
+            const res = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/users/passkeys`, {
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`,
+                },
+            });
+
+            if (!res.ok) {
+                throw new Error('Failed to fetch passkeys');
+            }
+            const result = await res.json();
+            setPasskeys(result.passkeys || []);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [accessToken]);
+
+    useEffect(() => {
+        fetchPasskeys();
+    }, [fetchPasskeys]);
+
+    const handleAdd = async (e) => {
+        e.preventDefault();
+        setError('');
+        setMessage('');
+
+        try {
+            const optionsRes = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/users/passkeys/register/options`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`,
+                },
+            });
+            const optionsResult = await optionsRes.json();
+            if (!optionsRes.ok) {
+                throw new Error(optionsResult.message || 'Failed to start adding a passkey');
+            }
+
+            let attestation;
+            try {
+                attestation = await startRegistration({ optionsJSON: optionsResult.options });
+            } catch (err) {
+                // NotAllowedError: the user closed the browser prompt or it timed out
+                throw new Error(err.name === 'NotAllowedError' ? 'Adding the passkey was canceled.' : err.message);
+            }
+
+            const res = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/users/passkeys/register`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${accessToken}`,
+                },
+                body: JSON.stringify({
+                    challengeId: optionsResult.challengeId,
+                    response: attestation,
+                    ...(name ? { name } : {}),
+                }),
+            });
+            const result = await res.json();
+
+            if (!res.ok) {
+                throw new Error(result.errors?.[0]?.msg || result.message || 'Failed to add passkey');
+            }
+            setMessage(result.message);
+            setName('');
+            await fetchPasskeys();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const remove = async (id) => {
+        setError('');
+        setMessage('');
+
+        try {
+            const res = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/users/passkeys/${id}`, {
+                method: 'DELETE',
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`,
+                },
+            });
+            const result = await res.json();
+
+            if (!res.ok) {
+                throw new Error(result.message || 'Failed to remove passkey');
+            }
+            setMessage(result.message);
+            await fetchPasskeys();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const formatDate = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+    return (
+        <div className="p-6 bg-white rounded-lg shadow-md">
+            <h1 className="text-2xl font-bold mb-4">Passkeys</h1>
+            <p>
+                A passkey signs you in with your device&apos;s fingerprint, face or screen lock instead of a password.
+                It replaces both your password and your authentication code.
+            </p>
+
+            <form onSubmit={handleAdd} className="my-6 space-y-3 max-w-md">
+                <input
+                    type="text"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    placeholder="Name, e.g. Work laptop"
+                    className="w-full px-3 py-2 border rounded-lg"
+                    maxLength={100}
+                />
+                <button
+                    type="submit"
+                    className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-4 rounded-lg"
+                    disabled={!accessToken}
+                >
+                    Add a passkey
+                </button>
+            </form>
+
+            {loading && <p className="text-center">Loading...</p>}
+            {error && <p className="text-center text-red-500">Error: {error}</p>}
+            {message && <p className="text-center text-green-500">{message}</p>}
+
+            {!loading && passkeys.length === 0 && <p className="text-gray-600">You have no passkeys yet.</p>}
+
+            <ul className="mt-4 space-y-3">
+                {passkeys.map((item) => (
+                    <li key={item._id} className="p-4 border rounded-lg bg-gray-50 flex justify-between items-center">
+                        <div>
+                            <p className="font-semibold">
+                                {item.name}
+                                {item.backedUp && <span className="ml-2 text-sm text-green-600">(synced)</span>}
+                            </p>
+                            <p className="text-sm text-gray-600">Added: {formatDate(item.createdAt)}</p>
+                            <p className="text-sm text-gray-600">Last used: {formatDate(item.lastUsedAt)}</p>
+                        </div>
+                        <button
+                            onClick={() => remove(item._id)}
+                            className="bg-gray-200 hover:bg-gray-300 text-black py-1 px-3 rounded"
+                        >
+                            Remove
+                        </button>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
@@ -0,0 +1,235 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { useSession } from 'next-auth/react';
+
+const inputClass = 'w-full px-3 py-2 border rounded-lg text-black';
+const dangerButtonClass = 'w-full bg-red-500 hover:bg-red-600 text-white font-bold py-2 px-4 rounded-lg disabled:opacity-50';
+
+export default function PrivacyPage() {
+    const { data: session } = useSession();
+    const accessToken = session?.accessToken;
+    // 'request' (password) -> 'confirm' (OTP sent by email) -> 'scheduled'
+    const [step, setStep] = useState('request');
+    const [scheduledFor, setScheduledFor] = useState(null);
+    const [currentPassword, setCurrentPassword] = useState('');
+    const [otp, setOtp] = useState('');
+    const [exporting, setExporting] = useState(false);
+    const [message, setMessage] = useState('');
+    const [isError, setIsError] = useState(false);
+
+    const fetchStatus = useCallback(async () => {
+        if (!accessToken) return;
+        try {
+            const res = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/users/me`, {
+                headers: { 'Authorization': `Bearer ${accessToken}` },
+                cache: 'no-store',
+            });
+            if (!res.ok) return;
+            const { user } = await res.json();
+            if (user.deletionScheduledFor) {
+                setScheduledFor(user.deletionScheduledFor);
+                setStep('scheduled');
+            }
+        } catch (error) {
+            setIsError(true);
+            setMessage('Failed to connect to the server.');
+        }
+    }, [accessToken]);
+
+    useEffect(() => {
+        fetchStatus();
+    }, [fetchStatus]);
+
+    const send = async (method, path, body) => {
+        const res = await fetch(`${process.env.NEXT_PUBLIC_API_URL}${path}`, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${accessToken}`,
+            },
+            body: body ? JSON.stringify(body) : undefined,
+        });
+        return { ok: res.ok, data: await res.json() };
+    };
+
+    const showResult = (ok, data, fallback) => {
+        setIsError(!ok);
+        setMessage(data.message || data.error || data.errors?.[0]?.msg || fallback);
+    };
+
+    const handleExport = async () => {
+        setMessage('');
+        setExporting(true);
+
+        try {
+            const res = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/users/me/export`, {
+                headers: { 'Authorization': `Bearer ${accessToken}` },
+            });
+            if (!res.ok) {
+                const data = await res.json();
+                throw new Error(data.message || data.error || 'Could not export your data.');
+            }
+
+            // Hand the archive to the browser as a download
+            const blob = await res.blob();
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = res.headers.get('Content-Disposition')?.match(/filename="(.+)"/)?.[1] || 'personal-data.zip';
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            setIsError(true);
+            setMessage(error.message);
+        } finally {
+            setExporting(false);
+        }
+    };
+
+    const handleRequest = async (e) => {
+        e.preventDefault();
+        setMessage('');
+
+        try {
+            const { ok, data } = await send('POST', '/api/users/me/deletion', currentPassword ? { currentPassword } : {});
+            showResult(ok, data, 'Could not start the account deletion.');
+            if (ok) {
+                setCurrentPassword('');
+                setStep('confirm');
+            }
+        } catch (error) {
+            setIsError(true);
+            setMessage('Failed to connect to the server.');
+        }
+    };
+
+    const handleConfirm = async (e) => {
+        e.preventDefault();
+        setMessage('');
+
+        try {
+            const { ok, data } = await send('POST', '/api/users/me/deletion/confirm', { otp });
+            showResult(ok, data, 'Could not confirm the account deletion.');
+            if (ok) {
+                setOtp('');
+                setScheduledFor(data.scheduledFor);
+                setStep('scheduled');
+            }
+        } catch (error) {
+            setIsError(true);
+            setMessage('Failed to connect to the server.');
+        }
+    };
+
+    const handleCancel = async () => {
+        setMessage('');
+
+        try {
+            const { ok, data } = await send('DELETE', '/api/users/me/deletion');
+            showResult(ok, data, 'Could not cancel the account deletion.');
+            if (ok) {
+                setScheduledFor(null);
+                setStep('request');
+            }
+        } catch (error) {
+            setIsError(true);
+            setMessage('Failed to connect to the server.');
+        }
+    };
+
+    return (
+        <div className="max-w-md mx-auto mt-10 p-6 bg-white rounded-lg shadow-md">
+            <h1 className="text-2xl font-bold mb-4 text-center">Privacy</h1>
+            {message && (
+                <p className={`mb-4 text-center ${isError ? 'text-red-500' : 'text-green-500'}`}>
+                    {message}
+                </p>
+            )}
+
+            <section className="mb-8">
+                <h2 className="text-xl font-semibold mb-2">Download your data</h2>
+                <p className="mb-4 text-gray-700">
+                    Get a ZIP archive of your profile, sessions, security log, orders, payments, invoices, projects and transactions.
+                </p>
+                <button
+                    type="button"
+                    onClick={handleExport}
+                    disabled={exporting}
+                    className="w-full bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-4 rounded-lg disabled:opacity-50"
+                >
+                    {exporting ? 'Preparing archive...' : 'Download My Data'}
+                </button>
+            </section>
+
+            <section>
+                <h2 className="text-xl font-semibold mb-2">Delete your account</h2>
+
+                {step === 'request' && (
+                    <form onSubmit={handleRequest}>
+                        <p className="mb-4 text-gray-700">
+                            Your account is deleted after a cooling-off period, during which you can change your mind.
+                            Records we must keep for accounting are anonymized.
+                        </p>
+                        <div className="mb-6">
+                            <label className="block text-gray-700">Current Password</label>
+                            <input
+                                type="password"
+                                autoComplete="current-password"
+                                value={currentPassword}
+                                onChange={(e) => setCurrentPassword(e.target.value)}
+                                className={inputClass}
+                            />
+                        </div>
+                        <button type="submit" className={dangerButtonClass}>
+                            Send Confirmation Code
+                        </button>
+                    </form>
+                )}
+
+                {step === 'confirm' && (
+                    <form onSubmit={handleConfirm}>
+                        <p className="mb-4 text-gray-700">Enter the code we sent to {session?.user?.email}.</p>
+                        <div className="mb-6">
+                            <input
+                                type="text"
+                                inputMode="numeric"
+                                autoComplete="one-time-code"
+                                maxLength={6}
+                                value={otp}
+                                onChange={(e) => setOtp(e.target.value)}
+                                className={inputClass}
+                                required
+                            />
+                        </div>
+                        <button type="submit" className={dangerButtonClass}>
+                            Delete My Account
+                        </button>
+                        <button
+                            type="button"
+                            onClick={() => { setStep('request'); setMessage(''); }}
+                            className="w-full mt-3 text-blue-500 hover:underline"
+                        >
+                            Back
+                        </button>
+                    </form>
+                )}
+
+                {step === 'scheduled' && (
+                    <div>
+                        <p className="mb-4 text-gray-700">
+                            Your account will be deleted on <b>{new Date(scheduledFor).toLocaleString()}</b>.
+                        </p>
+                        <button
+                            type="button"
+                            onClick={handleCancel}
+                            className="w-full bg-green-500 hover:bg-green-600 text-white font-bold py-2 px-4 rounded-lg"
+                        >
+                            Cancel Deletion
+                        </button>
+                    </div>
+                )}
+            </section>
+        </div>
+    );
+}
@@ -0,0 +1,112 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { useSession } from 'next-auth/react';
+
+export default function SessionsPage() {
+    const { data: session } = useSession();
+    const [sessions, setSessions] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+    const [message, setMessage] = useState('');
+
+    const accessToken = session?.accessToken;
+
+    const fetchSessions = useCallback(async () => {
+        if (!accessToken) return;
+        setLoading(true);
+        setError('');
+
+        try {
+            const res = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/users/sessions`, {
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`,
+                },
+            });
+
+            if (!res.ok) {
+                throw new Error('Failed to fetch sessions');
+            }
+            const result = await res.json();
+            setSessions(result.sessions || []);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [accessToken]);
+
+    useEffect(() => {
+        fetchSessions();
+    }, [fetchSessions]);
+
+    const revoke = async (endpoint) => {
+        setError('');
+        setMessage('');
+
+        try {
+            const res = await fetch(`${process.env.NEXT_PUBLIC_API_URL}${endpoint}`, {
+                method: 'DELETE',
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`,
+                },
+            });
+            const result = await res.json();
+
+            if (!res.ok) {
+                throw new Error(result.message || 'Failed to revoke session');
+            }
+            setMessage(result.message);
+            await fetchSessions();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const formatDate = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+    return (
+        <div className="p-6 bg-white rounded-lg shadow-md">
+            <h1 className="text-2xl font-bold mb-4">Sessions</h1>
+            <p>These devices are currently signed in to your account.</p>
+
+            <div className="my-6">
+                <button
+                    onClick={() => revoke('/api/users/sessions')}
+                    className="bg-red-500 hover:bg-red-600 text-white font-bold py-2 px-4 rounded-lg"
+                    disabled={loading || sessions.length <= 1}
+                >
+                    Sign out all other sessions
+                </button>
+            </div>
+
+            {loading && <p className="text-center">Loading...</p>}
+            {error && <p className="text-center text-red-500">Error: {error}</p>}
+            {message && <p className="text-center text-green-500">{message}</p>}
+
+            <ul className="mt-4 space-y-3">
+                {sessions.map((item) => (
+                    <li key={item._id} className="p-4 border rounded-lg bg-gray-50 flex justify-between items-center">
+                        <div>
+                            <p className="font-semibold">
+                                {item.deviceLabel || 'Unknown device'}
+                                {item.current && <span className="ml-2 text-sm text-green-600">(this device)</span>}
+                            </p>
+                            <p className="text-sm text-gray-600">IP: {item.ip || '-'}</p>
+                            <p className="text-sm text-gray-600">Signed in: {formatDate(item.createdAt)}</p>
+                            <p className="text-sm text-gray-600">Last active: {formatDate(item.lastUsedAt)}</p>
+                        </div>
+                        {!item.current && (
+                            <button
+                                onClick={() => revoke(`/api/users/sessions/${item._id}`)}
+                                className="bg-gray-200 hover:bg-gray-300 text-black py-1 px-3 rounded"
+                            >
+                                Revoke
+                            </button>
+                        )}
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
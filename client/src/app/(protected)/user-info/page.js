@@ -1,61 +1,315 @@
-import { auth } from '@/lib/auth';
-import { redirect } from 'next/navigation';
-
-async function getUserInfo(accessToken) {
-    try {
-        const res = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/auth/user-info`, {
-            headers: {
-                'Authorization': `Bearer ${accessToken}`,
-            },
-            cache: 'no-store', // Ensure fresh data is fetched on every request
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { useSession } from 'next-auth/react';
+import { useRouter } from 'next/navigation';
+import Link from 'next/link';
+
+const inputClass = 'w-full px-3 py-2 border rounded-lg text-black';
+
+export default function UserInfoPage() {
+    const { data: session, update } = useSession();
+    const router = useRouter();
+    const [profile, setProfile] = useState(null);
+    const [form, setForm] = useState({ firstName: '', lastName: '', profilePictureUrl: '', preferences: '{}' });
+    const [loading, setLoading] = useState(false);
+    const [saving, setSaving] = useState(false);
+    const [uploading, setUploading] = useState(false);
+    const [message, setMessage] = useState('');
+    const [isError, setIsError] = useState(false);
+
+    const accessToken = session?.accessToken;
+
+    // Handle token refresh error case, which the auth() helper populates
+    useEffect(() => {
+        if (session?.error === 'RefreshAccessTokenError') {
+            router.push('/login?error=SessionExpired');
+        }
+    }, [session?.error, router]);
+
+    const applyProfile = (user) => {
+        setProfile(user);
+        setForm({
+            firstName: user.firstName || '',
+            lastName: user.lastName || '',
+            profilePictureUrl: user.profilePictureUrl || '',
+            preferences: JSON.stringify(user.preferences || {}, null, 2),
         });
+    };
+
+    const fetchProfile = useCallback(async () => {
+        if (!accessToken) return;
+        setLoading(true);
+
+        try {
+            const res = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/users/me`, {
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`,
+                },
+                cache: 'no-store', // Ensure fresh data is fetched on every request
+            });
 
-        if (!res.ok) {
-            // This error will be caught by the parent component or Next.js error boundary
-            throw new Error('Failed to fetch user info. Status: ' + res.status);
+            if (!res.ok) {
+                throw new Error('Failed to fetch your profile. Status: ' + res.status);
+            }
+            const result = await res.json();
+            applyProfile(result.user);
+        } catch (err) {
+            setIsError(true);
+            setMessage(err.message);
+        } finally {
+            setLoading(false);
         }
-        return await res.json();
-    } catch (error) {
-        console.error("Error fetching user info:", error);
-        // In a server component, we can't redirect here, but we can return null
-        // and let the page component handle the UI for the error state.
-        return null;
-    }
-}
+    }, [accessToken]);
 
-export default async function UserInfoPage() {
-    const session = await auth();
+    useEffect(() => {
+        fetchProfile();
+    }, [fetchProfile]);
 
-    // Middleware should handle this, but it's good practice for server components too.
-    if (!session) {
-        redirect('/login');
-    }
+    const handleChange = (e) => {
+        setForm({ ...form, [e.target.name]: e.target.value });
+    };
 
-    // Handle token refresh error case, which the auth() helper populates
-    if (session?.error === "RefreshAccessTokenError") {
-        redirect('/login?error=SessionExpired');
-    }
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setMessage('');
+        setIsError(false);
+
+        let preferences;
+        try {
+            preferences = JSON.parse(form.preferences || '{}');
+        } catch {
+            setIsError(true);
+            setMessage('Preferences must be valid JSON.');
+            return;
+        }
+
+        // Keys removed in the editor are sent as null so the server deletes them
+        const removedKeys = Object.keys(profile?.preferences || {}).filter((key) => !(key in preferences));
+        removedKeys.forEach((key) => { preferences[key] = null; });
+
+        setSaving(true);
+        try {
+            const res = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/users/me`, {
+                method: 'PATCH',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${accessToken}`,
+                },
+                body: JSON.stringify({
+                    firstName: form.firstName,
+                    lastName: form.lastName,
+                    profilePictureUrl: form.profilePictureUrl,
+                    preferences,
+                }),
+            });
+            const data = await res.json();
+
+            if (!res.ok) {
+                throw new Error(data.message || data.errors?.[0]?.msg || 'Could not update your profile.');
+            }
+
+            applyProfile(data.user);
+            // Keep the NextAuth session's profile in sync
+            const { firstName, lastName, profilePictureUrl } = data.user;
+            await update({ profile: { ...session?.user, firstName, lastName, profilePictureUrl } });
+            setMessage(data.message || 'Profile updated.');
+        } catch (err) {
+            setIsError(true);
+            setMessage(err.message);
+        } finally {
+            setSaving(false);
+        }
+    };
 
-    // Fetch user info using the (potentially refreshed) access token from the session
-    const userInfo = await getUserInfo(session.accessToken);
+    const syncSessionPicture = async (user) => {
+        await update({ profile: { ...session?.user, profilePictureUrl: user.profilePictureUrl } });
+    };
+
+    const handleAvatarChange = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = ''; // Allow picking the same file again
+        if (!file) return;
+
+        setMessage('');
+        setIsError(false);
+        setUploading(true);
+
+        try {
+            const formData = new FormData();
+            formData.append('avatar', file);
+
+            // No Content-Type header: the browser sets the multipart boundary
+            const res = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/users/me/avatar`, {
+                method: 'PUT',
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`,
+                },
+                body: formData,
+            });
+            const data = await res.json();
+
+            if (!res.ok) {
+                throw new Error(data.message || data.error || 'Could not upload your picture.');
+            }
+
+            applyProfile(data.user);
+            await syncSessionPicture(data.user);
+            setMessage(data.message);
+        } catch (err) {
+            setIsError(true);
+            setMessage(err.message);
+        } finally {
+            setUploading(false);
+        }
+    };
+
+    const handleAvatarRemove = async () => {
+        setMessage('');
+        setIsError(false);
+        setUploading(true);
+
+        try {
+            const res = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/users/me/avatar`, {
+                method: 'DELETE',
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`,
+                },
+            });
+            const data = await res.json();
+
+            if (!res.ok) {
+                throw new Error(data.message || 'Could not remove your picture.');
+            }
+
+            applyProfile(data.user);
+            await syncSessionPicture(data.user);
+            setMessage(data.message);
+        } catch (err) {
+            setIsError(true);
+            setMessage(err.message);
+        } finally {
+            setUploading(false);
+        }
+    };
 
     return (
         <div className="p-6 bg-white rounded-lg shadow-md">
             <h1 className="text-2xl font-bold mb-4">Welcome, {session?.user?.username}!</h1>
-            <p>This is a protected page. Only authenticated users can see this.</p>
-            <p>The user info below is fetched on the server when the page loads.</p>
+            <p>This is your profile. Only you can see and edit it.</p>
 
-            {userInfo ? (
-                <div className="mt-6 p-4 border rounded-lg bg-gray-50">
-                    <h2 className="text-xl font-semibold">User Info from API:</h2>
-                    <pre className="mt-2 bg-gray-100 p-3 rounded text-sm text-black">{JSON.stringify(userInfo, null, 2)}</pre>
-                </div>
-            ) : (
-                <div className="mt-6 p-4 border rounded-lg bg-red-50 text-red-700">
-                    <h2 className="text-xl font-semibold">Error</h2>
-                    <p>Could not load user information. The session might be invalid or the API server is down.</p>
+            <div className="mt-4 flex space-x-4">
+                <Link href="/change-password" className="text-blue-500 hover:underline">
+                    Change password
+                </Link>
+                <Link href="/change-email" className="text-blue-500 hover:underline">
+                    Change email
+                </Link>
+                <Link href="/privacy" className="text-blue-500 hover:underline">
+                    Privacy &amp; account deletion
+                </Link>
+                <Link href="/api-keys" className="text-blue-500 hover:underline">
+                    API keys
+                </Link>
+                <Link href="/passkeys" className="text-blue-500 hover:underline">
+                    Passkeys
+                </Link>
+                <Link href="/login-history" className="text-blue-500 hover:underline">
+                    Login history
+                </Link>
+            </div>
+
+            {loading && <p className="mt-4 text-center">Loading...</p>}
+            {message && (
+                <p className={`mt-4 text-center ${isError ? 'text-red-500' : 'text-green-500'}`}>{message}</p>
+            )}
+
+            {profile && (
+                <div className="mt-6 grid gap-6 md:grid-cols-2">
+                    <div className="p-4 border rounded-lg bg-gray-50">
+                        <h2 className="text-xl font-semibold mb-2">Account</h2>
+                        <div className="flex items-center space-x-4 mb-4">
+                            {profile.profilePictureUrl ? (
+                                // Pictures can come from any host (uploads, OAuth providers, URLs set by hand)
+                                // eslint-disable-next-line @next/next/no-img-element
+                                <img src={profile.profilePictureUrl} alt="Profile picture" className="w-20 h-20 rounded-full object-cover" />
+                            ) : (
+                                <div className="w-20 h-20 rounded-full bg-gray-300 flex items-center justify-center text-2xl text-gray-600">
+                                    {profile.username?.[0]?.toUpperCase()}
+                                </div>
+                            )}
+                            <div className="space-y-2">
+                                <label className={`block cursor-pointer text-blue-500 hover:underline ${uploading ? 'opacity-50 pointer-events-none' : ''}`}>
+                                    {uploading ? 'Uploading...' : 'Upload picture'}
+                                    <input
+                                        type="file"
+                                        accept="image/jpeg,image/png,image/webp,image/gif"
+                                        onChange={handleAvatarChange}
+                                        disabled={uploading}
+                                        className="hidden"
+                                    />
+                                </label>
+                                {profile.profilePictureUrl && (
+                                    <button type="button" onClick={handleAvatarRemove} disabled={uploading} className="block text-red-500 hover:underline disabled:opacity-50">
+                                        Remove picture
+                                    </button>
+                                )}
+                            </div>
+                        </div>
+                        <p><span className="font-semibold">Username:</span> {profile.username}</p>
+                        <p>
+                            <span className="font-semibold">Email:</span> {profile.email}
+                            {!profile.isEmailVerified && <span className="ml-2 text-sm text-red-500">(not verified)</span>}
+                        </p>
+                        {profile.deletionScheduledFor && (
+                            <p className="text-sm text-red-500">
+                                Scheduled for deletion on {new Date(profile.deletionScheduledFor).toLocaleDateString()}.{' '}
+                                <Link href="/privacy" className="underline">Cancel</Link>
+                            </p>
+                        )}
+                        {profile.pendingEmail && (
+                            <p className="text-sm text-gray-600">Pending change to {profile.pendingEmail}</p>
+                        )}
+                        <p><span className="font-semibold">Role:</span> {profile.role}</p>
+                        <p><span className="font-semibold">Plan:</span> {profile.plan?.name || '-'} ({profile.subscriptionStatus})</p>
+                        <p><span className="font-semibold">Two-factor authentication:</span> {profile.mfaEnabled ? 'On' : 'Off'}</p>
+                        <p><span className="font-semibold">Member since:</span> {new Date(profile.createdAt).toLocaleDateString()}</p>
+                    </div>
+
+                    <form onSubmit={handleSubmit} className="p-4 border rounded-lg">
+                        <h2 className="text-xl font-semibold mb-2">Edit Profile</h2>
+                        <div className="mb-4">
+                            <label className="block text-gray-700">First Name</label>
+                            <input name="firstName" type="text" maxLength={50} value={form.firstName} onChange={handleChange} className={inputClass} />
+                        </div>
+                        <div className="mb-4">
+                            <label className="block text-gray-700">Last Name</label>
+                            <input name="lastName" type="text" maxLength={50} value={form.lastName} onChange={handleChange} className={inputClass} />
+                        </div>
+                        <div className="mb-4">
+                            <label className="block text-gray-700">Profile Picture URL</label>
+                            <input name="profilePictureUrl" type="url" value={form.profilePictureUrl} onChange={handleChange} className={inputClass} />
+                        </div>
+                        <div className="mb-6">
+                            <label className="block text-gray-700">Preferences (JSON)</label>
+                            <textarea
+                                name="preferences"
+                                rows={5}
+                                value={form.preferences}
+                                onChange={handleChange}
+                                className={`${inputClass} font-mono text-sm`}
+                            />
+                        </div>
+                        <button
+                            type="submit"
+                            disabled={saving}
+                            className="w-full bg-green-500 hover:bg-green-600 text-white font-bold py-2 px-4 rounded-lg disabled:opacity-50"
+                        >
+                            {saving ? 'Saving...' : 'Save Profile'}
+                        </button>
+                    </form>
                 </div>
             )}
         </div>
     );
-}
\ No newline at end of file
+}
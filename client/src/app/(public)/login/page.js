@@ -1,13 +1,38 @@
 'use client';
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { signIn } from 'next-auth/react';
+import Link from 'next/link';
 import { useRouter, useSearchParams } from 'next/navigation';
+import { startAuthentication } from '@simplewebauthn/browser';
+import { consumeOAuthLogin, providerLabel, redirectToProvider } from '@/lib/oauth';
+
+const inputClass = 'w-full px-3 py-2 border rounded-lg text-black';
+const primaryButtonClass = 'w-full bg-green-500 hover:bg-green-600 text-white font-bold py-2 px-4 rounded-lg';
 
 export default function LoginPage() {
     const [identifier, setIdentifier] = useState('');
     const [password, setPassword] = useState('');
     const [error, setError] = useState('');
+    const [needsVerification, setNeedsVerification] = useState(false);
+    // 'credentials' -> 'mfa' (code) or 'mfa-setup' (enroll) -> 'recovery-codes'
+    // 'passwordless' (email) -> 'passwordless-code' -> same as after the password
+    // 'password-change' when the password has expired (after any second factor)
+    const [step, setStep] = useState('credentials');
+    const [passwordlessEmail, setPasswordlessEmail] = useState('');
+    const [loginCode, setLoginCode] = useState('');
+    const [notice, setNotice] = useState('');
+    const [mfaToken, setMfaToken] = useState('');
+    const [code, setCode] = useState('');
+    const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+    const [enrollment, setEnrollment] = useState(null);
+    const [recoveryCodes, setRecoveryCodes] = useState([]);
+    const [passwordToken, setPasswordToken] = useState('');
+    const [newPassword, setNewPassword] = useState('');
+    const [confirmNewPassword, setConfirmNewPassword] = useState('');
+    const [providers, setProviders] = useState([]);
+    const oauthHandled = useRef(false);
+    const magicLinkHandled = useRef(false);
     const router = useRouter();
     const searchParams = useSearchParams();
 
@@ -19,9 +44,223 @@ export default function LoginPage() {
         // Note: This message will be replaced by "Invalid credentials" if a login attempt fails.
     }, [searchParams]);
 
+    useEffect(() => {
+        fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/users/oauth/providers`)
+            .then((res) => (res.ok ? res.json() : { providers: [] }))
+            .then((data) => setProviders(data.providers || []))
+            .catch(() => setProviders([]));
+    }, []);
+
+    const resetToCredentials = (message) => {
+        setStep('credentials');
+        setMfaToken('');
+        setCode('');
+        setEnrollment(null);
+        setPasswordToken('');
+        setError(message);
+    };
+
+    const startMfaSetup = async (token) => {
+        try {
+            const res = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/users/login/mfa/setup`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ mfaToken: token }),
+            });
+            const data = await res.json();
+            if (!res.ok) {
+                resetToCredentials(data.message || 'Could not start two-factor setup.');
+                return;
+            }
+            setEnrollment(data);
+            setStep('mfa-setup');
+        } catch (err) {
+            resetToCredentials('Failed to connect to the server.');
+        }
+    };
+
+    // Handles the result of every signIn() call on this page
+    const handleSignInResult = async (result, failureMessage) => {
+        const resultCode = result.code || '';
+
+        if (result.error && resultCode === 'email_not_verified') {
+            setNeedsVerification(true);
+            setError('Please verify your email address before logging in.');
+        } else if (result.error && resultCode === 'account_exists') {
+            setError('An account with this email already exists. Log in with your password, then connect this provider from Connected Accounts.');
+        } else if (result.error && resultCode.startsWith('account_locked:')) {
+            const lockedUntil = resultCode.slice('account_locked:'.length);
+            resetToCredentials(lockedUntil
+                ? `Too many failed login attempts. Your account is locked until ${new Date(lockedUntil).toLocaleString()}.`
+                : 'Too many failed login attempts. Your account is temporarily locked.');
+        } else if (result.error && resultCode.startsWith('account_suspended:')) {
+            const [suspendedUntil, reason] = resultCode.slice('account_suspended:'.length).split(':').map(decodeURIComponent);
+            resetToCredentials([
+                suspendedUntil
+                    ? `Your account is suspended until ${new Date(suspendedUntil).toLocaleString()}.`
+                    : 'Your account is suspended.',
+                reason && `Reason: ${reason}`,
+            ].filter(Boolean).join(' '));
+        } else if (result.error && resultCode.startsWith('mfa_required:')) {
+            setMfaToken(resultCode.slice('mfa_required:'.length));
+            setCode('');
+            setStep('mfa');
+        } else if (result.error && resultCode.startsWith('mfa_setup_required:')) {
+            const token = resultCode.slice('mfa_setup_required:'.length);
+            setMfaToken(token);
+            await startMfaSetup(token);
+        } else if (result.error && resultCode.startsWith('password_change_required:')) {
+            setPasswordToken(resultCode.slice('password_change_required:'.length));
+            setNewPassword('');
+            setConfirmNewPassword('');
+            setStep('password-change');
+        } else if (result.error && resultCode.startsWith('password_rejected:')) {
+            setError(decodeURIComponent(resultCode.slice('password_rejected:'.length)) || failureMessage);
+        } else if (result.error) {
+            // The error message comes from the `authorize` function's thrown error
+            setError(failureMessage);
+            console.error('Sign-in error:', result.error);
+        } else if (result.ok) {
+            // Redirect to a protected page on successful login
+            router.push('/user-info');
+        }
+    };
+
+    // The OAuth callback page checks the state and hands the provider's code/state over here,
+    // so external logins go through the same two-factor steps as password logins.
+    useEffect(() => {
+        const oauthProvider = searchParams.get('oauthProvider');
+        if (!oauthProvider || oauthHandled.current) return;
+        oauthHandled.current = true; // The state is single-use; never submit it twice
+        router.replace('/login');
+
+        const verified = consumeOAuthLogin(oauthProvider);
+        if (!verified) {
+            setError(`Login with ${providerLabel(oauthProvider)} failed. Please try again.`);
+            return;
+        }
+        const { code: oauthCode, state: oauthState } = verified;
+
+        signIn('credentials', { redirect: false, oauthProvider, oauthCode, oauthState })
+            .then((result) => handleSignInResult(result, `Login with ${providerLabel(oauthProvider)} failed. Please try again.`))
+            .catch((err) => {
+                setError('An unexpected error occurred.');
+                console.error('Caught exception during external sign-in:', err);
+            });
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [searchParams]);
+
+    // The emailed magic link opens this page with the email and code
+    useEffect(() => {
+        const email = searchParams.get('passwordlessEmail');
+        const emailedCode = searchParams.get('loginCode');
+        if (!email || !emailedCode || magicLinkHandled.current) return;
+        magicLinkHandled.current = true; // The code is single-use; never submit it twice
+        router.replace('/login');
+
+        signIn('credentials', { redirect: false, email, loginCode: emailedCode })
+            .then((result) => handleSignInResult(result, 'This sign-in link is invalid or has expired. Please request a new one.'))
+            .catch((err) => {
+                setError('An unexpected error occurred.');
+                console.error('Caught exception during passwordless sign-in:', err);
+            });
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [searchParams]);
+
+    const handlePasswordlessRequest = async (e) => {
+        e.preventDefault();
+        setError('');
+        setNotice('');
+
+        try {
+            const res = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/users/login/passwordless`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ email: passwordlessEmail }),
+            });
+            const data = await res.json();
+            if (!res.ok) {
+                setError(data.errors?.[0]?.msg || data.message || data.error || 'Could not send a sign-in code.');
+                return;
+            }
+            setNotice(data.message);
+            setLoginCode('');
+            setStep('passwordless-code');
+        } catch (err) {
+            setError('Failed to connect to the server.');
+        }
+    };
+
+    const handlePasswordlessSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+
+        try {
+            const result = await signIn('credentials', {
+                redirect: false,
+                email: passwordlessEmail,
+                loginCode,
+            });
+            setNotice('');
+            await handleSignInResult(result, 'Invalid or expired sign-in code. Please try again.');
+        } catch (err) {
+            setError('An unexpected error occurred.');
+            console.error('Caught exception during passwordless sign-in:', err);
+        }
+    };
+
+    // Without an identifier the browser offers every passkey saved for this site
+    const handlePasskeyLogin = async () => {
+        setError('');
+        setNeedsVerification(false);
+
+        let challengeId;
+        let assertion;
+        try {
+            const res = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/users/login/passkey/options`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(identifier ? { identifier } : {}),
+            });
+            const data = await res.json();
+            if (!res.ok) {
+                setError(data.message || 'Could not start passkey login.');
+                return;
+            }
+            challengeId = data.challengeId;
+            assertion = await startAuthentication({ optionsJSON: data.options });
+        } catch (err) {
+            // NotAllowedError: the user closed the browser prompt or it timed out
+            setError(err.name === 'NotAllowedError' ? 'Passkey login was canceled.' : 'Passkey login failed. Please try again.');
+            return;
+        }
+
+        try {
+            const result = await signIn('credentials', {
+                redirect: false,
+                passkeyChallengeId: challengeId,
+                passkeyResponse: JSON.stringify(assertion),
+            });
+            await handleSignInResult(result, 'Passkey login failed. Please try again.');
+        } catch (err) {
+            setError('An unexpected error occurred.');
+            console.error('Caught exception during passkey sign-in:', err);
+        }
+    };
+
+    const handleProviderLogin = async (provider) => {
+        setError('');
+        try {
+            await redirectToProvider(provider);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
     const handleSubmit = async (e) => {
         e.preventDefault();
         setError('');
+        setNeedsVerification(false);
 
         try {
             const result = await signIn('credentials', {
@@ -29,53 +268,333 @@ export default function LoginPage() {
                 identifier,
                 password,
             });
+            await handleSignInResult(result, 'Invalid credentials. Please try again.');
+        } catch (err) {
+            setError('An unexpected error occurred.');
+            console.error('Caught exception during sign-in:', err);
+        }
+    };
+
+    const handleMfaSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+
+        try {
+            const result = await signIn('credentials', {
+                redirect: false,
+                mfaToken,
+                ...(useRecoveryCode ? { recoveryCode: code } : { code }),
+            });
+            await handleSignInResult(result, 'Invalid code, or your login attempt expired. Please try again.');
+        } catch (err) {
+            setError('An unexpected error occurred.');
+            console.error('Caught exception during two-factor sign-in:', err);
+        }
+    };
+
+    const handleSetupConfirm = async (e) => {
+        e.preventDefault();
+        setError('');
 
-            if (result.error) {
-                // The error message comes from the `authorize` function's thrown error
-                setError('Invalid credentials. Please try again.');
-                console.error('Sign-in error:', result.error);
-            } else if (result.ok) {
-                // Redirect to a protected page on successful login
-                router.push('/user-info');
+        try {
+            const res = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/users/login/mfa/confirm`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ mfaToken, code }),
+            });
+            const data = await res.json();
+            if (!res.ok) {
+                setError(data.message || 'Invalid code.');
+                return;
             }
+            // This token completes the login without asking for another code
+            setMfaToken(data.mfaToken);
+            setRecoveryCodes(data.recoveryCodes || []);
+            setStep('recovery-codes');
+        } catch (err) {
+            setError('Failed to connect to the server.');
+        }
+    };
+
+    const handleFinishEnrollment = async () => {
+        setError('');
+        try {
+            const result = await signIn('credentials', { redirect: false, mfaToken });
+            await handleSignInResult(result, 'Your login attempt expired. Please log in again.');
         } catch (err) {
             setError('An unexpected error occurred.');
             console.error('Caught exception during sign-in:', err);
         }
     };
 
+    const handlePasswordChangeSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+
+        if (newPassword !== confirmNewPassword) {
+            setError('The new passwords do not match.');
+            return;
+        }
+
+        try {
+            const result = await signIn('credentials', {
+                redirect: false,
+                passwordToken,
+                newPassword,
+            });
+            await handleSignInResult(result, 'Your login attempt expired. Please log in again.');
+        } catch (err) {
+            setError('An unexpected error occurred.');
+            console.error('Caught exception during password change sign-in:', err);
+        }
+    };
+
     return (
         <div className="max-w-md mx-auto mt-10 p-6 bg-white rounded-lg shadow-md">
             <h1 className="text-2xl font-bold mb-4 text-center">Login</h1>
-            <form onSubmit={handleSubmit}>
-                {error && <p className="mb-4 text-center text-red-500">{error}</p>}
-                <div className="mb-4">
-                    <label className="block text-gray-700">Username or Email</label>
-                    <input
-                        type="text"
-                        value={identifier}
-                        onChange={(e) => setIdentifier(e.target.value)}
-                        className="w-full px-3 py-2 border rounded-lg text-black"
-                        required
-                    />
-                </div>
-                <div className="mb-6">
-                    <label className="block text-gray-700">Password</label>
-                    <input
-                        type="password"
-                        value={password}
-                        onChange={(e) => setPassword(e.target.value)}
-                        className="w-full px-3 py-2 border rounded-lg text-black"
-                        required
-                    />
+            {error && <p className="mb-4 text-center text-red-500">{error}</p>}
+            {notice && <p className="mb-4 text-center text-green-600">{notice}</p>}
+            {needsVerification && (
+                <p className="mb-4 text-center">
+                    <Link
+                        href={`/verify-email${identifier.includes('@') ? `?email=${encodeURIComponent(identifier)}` : ''}`}
+                        className="text-blue-500 hover:underline"
+                    >
+                        Verify your email
+                    </Link>
+                </p>
+            )}
+
+            {step === 'credentials' && (
+                <form onSubmit={handleSubmit}>
+                    <div className="mb-4">
+                        <label className="block text-gray-700">Username or Email</label>
+                        <input
+                            type="text"
+                            value={identifier}
+                            onChange={(e) => setIdentifier(e.target.value)}
+                            className={inputClass}
+                            required
+                        />
+                    </div>
+                    <div className="mb-6">
+                        <label className="block text-gray-700">Password</label>
+                        <input
+                            type="password"
+                            value={password}
+                            onChange={(e) => setPassword(e.target.value)}
+                            className={inputClass}
+                            required
+                        />
+                    </div>
+                    <button type="submit" className={primaryButtonClass}>
+                        Login
+                    </button>
+                    <button
+                        type="button"
+                        onClick={() => {
+                            setError('');
+                            setPasswordlessEmail(identifier.includes('@') ? identifier : '');
+                            setStep('passwordless');
+                        }}
+                        className="w-full mt-3 text-blue-500 hover:underline"
+                    >
+                        Email me a sign-in code instead
+                    </button>
+                    <button
+                        type="button"
+                        onClick={handlePasskeyLogin}
+                        className="w-full mt-3 border border-gray-300 hover:bg-gray-100 text-black py-2 px-4 rounded-lg"
+                    >
+                        Sign in with a passkey
+                    </button>
+                    {providers.length > 0 && (
+                        <div className="mt-6 space-y-2">
+                            <p className="text-center text-gray-500 text-sm">or</p>
+                            {providers.map((provider) => (
+                                <button
+                                    key={provider}
+                                    type="button"
+                                    onClick={() => handleProviderLogin(provider)}
+                                    className="w-full border border-gray-300 hover:bg-gray-100 text-black py-2 px-4 rounded-lg"
+                                >
+                                    Continue with {providerLabel(provider)}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                </form>
+            )}
+
+            {step === 'passwordless' && (
+                <form onSubmit={handlePasswordlessRequest}>
+                    <p className="mb-4 text-gray-700">
+                        We&apos;ll email you a one-time code and a link that signs you in, no password needed.
+                    </p>
+                    <div className="mb-6">
+                        <label className="block text-gray-700">Email</label>
+                        <input
+                            type="email"
+                            value={passwordlessEmail}
+                            onChange={(e) => setPasswordlessEmail(e.target.value)}
+                            className={inputClass}
+                            required
+                        />
+                    </div>
+                    <button type="submit" className={primaryButtonClass}>
+                        Send sign-in code
+                    </button>
+                    <button
+                        type="button"
+                        onClick={() => resetToCredentials('')}
+                        className="w-full mt-3 text-blue-500 hover:underline"
+                    >
+                        Use my password instead
+                    </button>
+                </form>
+            )}
+
+            {step === 'passwordless-code' && (
+                <form onSubmit={handlePasswordlessSubmit}>
+                    <p className="mb-4 text-gray-700">
+                        Enter the 6-digit code sent to {passwordlessEmail}, or open the link in the email.
+                    </p>
+                    <div className="mb-6">
+                        <input
+                            type="text"
+                            inputMode="numeric"
+                            autoComplete="one-time-code"
+                            maxLength={6}
+                            value={loginCode}
+                            onChange={(e) => setLoginCode(e.target.value)}
+                            className={inputClass}
+                            required
+                        />
+                    </div>
+                    <button type="submit" className={primaryButtonClass}>
+                        Sign in
+                    </button>
+                    <button
+                        type="button"
+                        onClick={() => { setNotice(''); setStep('passwordless'); }}
+                        className="w-full mt-3 text-blue-500 hover:underline"
+                    >
+                        Send a new code
+                    </button>
+                </form>
+            )}
+
+            {step === 'mfa' && (
+                <form onSubmit={handleMfaSubmit}>
+                    <p className="mb-4 text-gray-700">
+                        {useRecoveryCode
+                            ? 'Enter one of your recovery codes.'
+                            : 'Enter the 6-digit code from your authenticator app.'}
+                    </p>
+                    <div className="mb-6">
+                        <input
+                            type="text"
+                            inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                            autoComplete="one-time-code"
+                            value={code}
+                            onChange={(e) => setCode(e.target.value)}
+                            className={inputClass}
+                            required
+                        />
+                    </div>
+                    <button type="submit" className={primaryButtonClass}>
+                        Verify
+                    </button>
+                    <button
+                        type="button"
+                        onClick={() => { setUseRecoveryCode(!useRecoveryCode); setCode(''); }}
+                        className="w-full mt-3 text-blue-500 hover:underline"
+                    >
+                        {useRecoveryCode ? 'Use an authenticator code' : 'Use a recovery code'}
+                    </button>
+                </form>
+            )}
+
+            {step === 'mfa-setup' && enrollment && (
+                <form onSubmit={handleSetupConfirm}>
+                    <p className="mb-4 text-gray-700">
+                        Two-factor authentication is required for your account. Add this key to your authenticator app,
+                        then enter the code it shows.
+                    </p>
+                    <p className="mb-2 font-mono text-sm break-all bg-gray-100 p-2 rounded text-black">{enrollment.secret}</p>
+                    <p className="mb-4 text-sm">
+                        <a href={enrollment.otpauthUri} className="text-blue-500 hover:underline">
+                            Open in authenticator app
+                        </a>
+                    </p>
+                    <div className="mb-6">
+                        <label className="block text-gray-700">Authentication code</label>
+                        <input
+                            type="text"
+                            inputMode="numeric"
+                            autoComplete="one-time-code"
+                            maxLength={6}
+                            value={code}
+                            onChange={(e) => setCode(e.target.value)}
+                            className={inputClass}
+                            required
+                        />
+                    </div>
+                    <button type="submit" className={primaryButtonClass}>
+                        Enable two-factor authentication
+                    </button>
+                </form>
+            )}
+
+            {step === 'password-change' && (
+                <form onSubmit={handlePasswordChangeSubmit}>
+                    <p className="mb-4 text-gray-700">
+                        Your password has expired. Choose a new one to finish logging in.
+                    </p>
+                    <div className="mb-4">
+                        <label className="block text-gray-700">New password</label>
+                        <input
+                            type="password"
+                            autoComplete="new-password"
+                            value={newPassword}
+                            onChange={(e) => setNewPassword(e.target.value)}
+                            className={inputClass}
+                            required
+                        />
+                    </div>
+                    <div className="mb-6">
+                        <label className="block text-gray-700">Confirm new password</label>
+                        <input
+                            type="password"
+                            autoComplete="new-password"
+                            value={confirmNewPassword}
+                            onChange={(e) => setConfirmNewPassword(e.target.value)}
+                            className={inputClass}
+                            required
+                        />
+                    </div>
+                    <button type="submit" className={primaryButtonClass}>
+                        Change password and log in
+                    </button>
+                </form>
+            )}
+
+            {step === 'recovery-codes' && (
+                <div>
+                    <p className="mb-4 text-gray-700">
+                        Save these recovery codes somewhere safe. Each one can be used once if you lose access to your
+                        authenticator app. They will not be shown again.
+                    </p>
+                    <ul className="mb-6 grid grid-cols-2 gap-2 font-mono text-sm text-black">
+                        {recoveryCodes.map((recoveryCode) => (
+                            <li key={recoveryCode} className="bg-gray-100 p-2 rounded text-center">{recoveryCode}</li>
+                        ))}
+                    </ul>
+                    <button type="button" onClick={handleFinishEnrollment} className={primaryButtonClass}>
+                        I have saved my codes, continue
+                    </button>
                 </div>
-                <button
-                    type="submit"
-                    className="w-full bg-green-500 hover:bg-green-600 text-white font-bold py-2 px-4 rounded-lg"
-                >
-                    Login
-                </button>
-            </form>
+            )}
         </div>
     );
-}
\ No newline at end of file
+}
@@ -0,0 +1,79 @@
+'use client';
+
+import { useState, useEffect, useRef } from 'react';
+import { useParams, useRouter, useSearchParams } from 'next/navigation';
+import { useSession } from 'next-auth/react';
+import Link from 'next/link';
+import { consumeOAuthRequest, providerLabel, storeOAuthLogin } from '@/lib/oauth';
+
+export default function OAuthCallbackPage() {
+    const { provider } = useParams();
+    const searchParams = useSearchParams();
+    const router = useRouter();
+    const { data: session, status } = useSession();
+    const [error, setError] = useState('');
+    const handled = useRef(false);
+
+    useEffect(() => {
+        if (handled.current || status === 'loading') return;
+        handled.current = true; // The state is single-use; never submit it twice
+
+        const code = searchParams.get('code');
+        const state = searchParams.get('state');
+        const mode = consumeOAuthRequest(state);
+
+        if (searchParams.get('error') || !code || !state) {
+            setError(`${providerLabel(provider)} did not complete the sign-in.`);
+            return;
+        }
+        if (!mode) {
+            // Not the state this browser was sent off with: someone else's sign-in link
+            setError(`This ${providerLabel(provider)} sign-in was not started in this browser. Please try again.`);
+            return;
+        }
+
+        if (mode === 'login') {
+            // The login page runs signIn() so two-factor steps work the same as for passwords
+            storeOAuthLogin(provider, code, state);
+            router.replace(`/login?${new URLSearchParams({ oauthProvider: provider })}`);
+            return;
+        }
+
+        const linkAccount = async () => {
+            try {
+                const res = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/users/oauth/${encodeURIComponent(provider)}/link`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Authorization': `Bearer ${session?.accessToken}`,
+                    },
+                    body: JSON.stringify({ code, state }),
+                });
+                const data = await res.json();
+                if (!res.ok) {
+                    setError(data.message || `Could not connect ${providerLabel(provider)}.`);
+                    return;
+                }
+                router.replace('/connected-accounts');
+            } catch (err) {
+                setError('Failed to connect to the server.');
+            }
+        };
+        linkAccount();
+    }, [provider, searchParams, router, session, status]);
+
+    return (
+        <div className="max-w-md mx-auto mt-10 p-6 bg-white rounded-lg shadow-md text-center">
+            {error ? (
+                <>
+                    <p className="mb-4 text-red-500">{error}</p>
+                    <Link href="/login" className="text-blue-500 hover:underline">
+                        Back to login
+                    </Link>
+                </>
+            ) : (
+                <p>Signing in with {providerLabel(provider)}...</p>
+            )}
+        </div>
+    );
+}
@@ -1,7 +1,7 @@
 'use client';
 
-import { useState } from 'react';
-import { useRouter } from 'next/navigation';
+import { useState, useEffect } from 'react';
+import { useRouter, useSearchParams } from 'next/navigation';
 
 export default function RegisterPage() {
     const [username, setUsername] = useState('');
@@ -9,7 +9,31 @@ export default function RegisterPage() {
     const [password, setPassword] = useState('');
     const [message, setMessage] = useState('');
     const [isError, setIsError] = useState(false);
+    // Set when the page is opened from an invitation email; the email is then fixed
+    const [invitation, setInvitation] = useState(null);
     const router = useRouter();
+    const searchParams = useSearchParams();
+    const inviteToken = searchParams.get('invite');
+
+    useEffect(() => {
+        if (!inviteToken) return;
+
+        fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/users/invitations/${encodeURIComponent(inviteToken)}`)
+            .then(async (res) => {
+                const data = await res.json();
+                if (!res.ok) {
+                    setIsError(true);
+                    setMessage(data.message || 'This invitation is invalid.');
+                    return;
+                }
+                setInvitation(data);
+                setEmail(data.email);
+            })
+            .catch(() => {
+                setIsError(true);
+                setMessage('Failed to connect to the server.');
+            });
+    }, [inviteToken]);
 
     const handleSubmit = async (e) => {
         e.preventDefault();
@@ -22,19 +46,25 @@ export default function RegisterPage() {
                 headers: {
                     'Content-Type': 'application/json',
                 },
-                body: JSON.stringify({ username, email, password }),
+                body: JSON.stringify({ username, email, password, ...(invitation ? { inviteToken } : {}) }),
             });
 
             const data = await res.json();
 
-            if (res.ok) {
+            if (res.ok && invitation) {
+                // The invitation already proved the email address
                 setMessage('Registration successful! Redirecting to login...');
                 setTimeout(() => {
                     router.push('/login');
                 }, 2000);
+            } else if (res.ok) {
+                setMessage('Registration successful! Check your email for a verification code...');
+                setTimeout(() => {
+                    router.push(`/verify-email?email=${encodeURIComponent(email)}`);
+                }, 2000);
             } else {
                 setIsError(true);
-                setMessage(data.message || 'An error occurred during registration.');
+                setMessage(data.message || data.errors?.[0]?.msg || 'An error occurred during registration.');
             }
         } catch (error) {
             setIsError(true);
@@ -45,6 +75,11 @@ export default function RegisterPage() {
     return (
         <div className="max-w-md mx-auto mt-10 p-6 bg-white rounded-lg shadow-md">
             <h1 className="text-2xl font-bold mb-4 text-center">Register</h1>
+            {invitation && (
+                <p className="mb-4 text-center text-gray-700">
+                    You&apos;ve been invited. This invitation expires on {new Date(invitation.expiresAt).toLocaleString()}.
+                </p>
+            )}
             <form onSubmit={handleSubmit}>
                 {message && (
                     <p className={`mb-4 text-center ${isError ? 'text-red-500' : 'text-green-500'}`}>
@@ -67,7 +102,8 @@ export default function RegisterPage() {
                         type="email"
                         value={email}
                         onChange={(e) => setEmail(e.target.value)}
-                        className="w-full px-3 py-2 border rounded-lg text-black"
+                        className="w-full px-3 py-2 border rounded-lg text-black read-only:bg-gray-100"
+                        readOnly={Boolean(invitation)}
                         required
                     />
                 </div>
@@ -0,0 +1,134 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useRouter, useSearchParams } from 'next/navigation';
+
+export default function VerifyEmailPage() {
+    const searchParams = useSearchParams();
+    const [email, setEmail] = useState(searchParams.get('email') || '');
+    const [otp, setOtp] = useState(searchParams.get('otp') || '');
+    const [message, setMessage] = useState('');
+    const [isError, setIsError] = useState(false);
+    const router = useRouter();
+
+    const verify = async (emailValue, otpValue) => {
+        setMessage('');
+        setIsError(false);
+
+        try {
+            const res = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/users/verify-email`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ email: emailValue, otp: otpValue }),
+            });
+
+            const data = await res.json();
+
+            if (res.ok) {
+                setMessage('Email verified! Redirecting to login...');
+                setTimeout(() => {
+                    router.push('/login');
+                }, 2000);
+            } else {
+                setIsError(true);
+                setMessage(data.message || 'Could not verify your email.');
+            }
+        } catch (error) {
+            setIsError(true);
+            setMessage('Failed to connect to the server.');
+        }
+    };
+
+    // Verify automatically when opened from the link in the verification email
+    useEffect(() => {
+        const emailParam = searchParams.get('email');
+        const otpParam = searchParams.get('otp');
+        if (emailParam && otpParam) {
+            verify(emailParam, otpParam);
+        }
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [searchParams]);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        await verify(email, otp);
+    };
+
+    const handleResend = async () => {
+        setMessage('');
+        setIsError(false);
+
+        if (!email) {
+            setIsError(true);
+            setMessage('Enter your email address to receive a new code.');
+            return;
+        }
+
+        try {
+            const res = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/users/resend-verification`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ email }),
+            });
+
+            const data = await res.json();
+            setIsError(!res.ok);
+            setMessage(data.message || data.error || 'Could not resend the verification code.');
+        } catch (error) {
+            setIsError(true);
+            setMessage('Failed to connect to the server.');
+        }
+    };
+
+    return (
+        <div className="max-w-md mx-auto mt-10 p-6 bg-white rounded-lg shadow-md">
+            <h1 className="text-2xl font-bold mb-4 text-center">Verify Email</h1>
+            <form onSubmit={handleSubmit}>
+                {message && (
+                    <p className={`mb-4 text-center ${isError ? 'text-red-500' : 'text-green-500'}`}>
+                        {message}
+                    </p>
+                )}
+                <div className="mb-4">
+                    <label className="block text-gray-700">Email</label>
+                    <input
+                        type="email"
+                        value={email}
+                        onChange={(e) => setEmail(e.target.value)}
+                        className="w-full px-3 py-2 border rounded-lg text-black"
+                        required
+                    />
+                </div>
+                <div className="mb-6">
+                    <label className="block text-gray-700">Verification Code</label>
+                    <input
+                        type="text"
+                        inputMode="numeric"
+                        maxLength={6}
+                        value={otp}
+                        onChange={(e) => setOtp(e.target.value)}
+                        className="w-full px-3 py-2 border rounded-lg text-black"
+                        required
+                    />
+                </div>
+                <button
+                    type="submit"
+                    className="w-full bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-4 rounded-lg"
+                >
+                    Verify
+                </button>
+                <button
+                    type="button"
+                    onClick={handleResend}
+                    className="w-full mt-3 text-blue-500 hover:underline"
+                >
+                    Resend verification code
+                </button>
+            </form>
+        </div>
+    );
+}
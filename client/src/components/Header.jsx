@@ -5,10 +5,25 @@ import { useSession, signOut } from "next-auth/react";
 import { useRouter } from "next/navigation";
 
 export default function Header() {
-  const { data: session, status } = useSession();
+  const { data: session, status, update } = useSession();
   const router = useRouter();
+  const impersonation = session?.impersonation;
+
+  // Back to the admin's own session; the impersonation token simply expires
+  const handleStopImpersonation = async () => {
+    await update({ stopImpersonation: true });
+    router.push("/admin-dashboard");
+  };
 
   const handleLogout = async () => {
+    // While impersonating, the token is the user's: /logout refuses it, and the admin's own
+    // session is the one to end. Switch back first so the admin's token is used.
+    let accessToken = session.accessToken;
+    if (impersonation) {
+      const restored = await update({ stopImpersonation: true });
+      accessToken = restored?.accessToken;
+    }
+
     // Call the backend to invalidate the refresh token
     try {
       const res = await fetch(
@@ -17,7 +32,7 @@ export default function Header() {
           method: "POST",
           headers: {
             "Content-Type": "application/json",
-            Authorization: `Bearer ${session.accessToken}`,
+            Authorization: `Bearer ${accessToken}`,
           },
         }
       );
@@ -36,6 +51,23 @@ export default function Header() {
 
   return (
     <header className="bg-gray-800 text-white shadow-md">
+      {impersonation && (
+        <div className="bg-yellow-400 text-black text-sm">
+          <div className="container mx-auto px-4 py-2 flex justify-between items-center">
+            <span>
+              You ({impersonation.actorUsername || "admin"}) are acting as{" "}
+              <strong>{session.user?.username}</strong> until{" "}
+              {new Date(impersonation.expiresAt).toLocaleTimeString()}. Password, email and purchase changes are blocked.
+            </span>
+            <button
+              onClick={handleStopImpersonation}
+              className="bg-black text-white px-3 py-1 rounded"
+            >
+              Stop impersonating
+            </button>
+          </div>
+        </div>
+      )}
       <nav className="container mx-auto px-4 py-3 flex justify-between items-center">
         <Link href="/" className="text-xl font-bold hover:text-gray-300">
           Auth Portal
@@ -55,6 +87,16 @@ export default function Header() {
                   My Plan
                 </Link>
               </li>
+              <li>
+                <Link href="/sessions" className="hover:text-gray-300">
+                  Sessions
+                </Link>
+              </li>
+              <li>
+                <Link href="/connected-accounts" className="hover:text-gray-300">
+                  Connected Accounts
+                </Link>
+              </li>
               {session.user?.role === "admin" && (
                 <li>
                   <Link href="/admin-dashboard" className="hover:text-gray-300">
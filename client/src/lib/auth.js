@@ -14,7 +14,7 @@
 //   AUTH_REDIS_PREFIX=auth:v1
 //   AUTH_KEY_SALT=...                             (falls back to NEXTAUTH_SECRET)
 
-import NextAuth from "next-auth";
+import NextAuth, { CredentialsSignin } from "next-auth";
 import Credentials from "next-auth/providers/credentials";
 import { jwtDecode } from "jwt-decode";
 import { randomUUID, createHmac } from "crypto";
@@ -33,6 +33,64 @@ const RESULT_TTL_CAP_MS = 20_000;  // max time we cache the refresh result
 
 const KEY_SALT = process.env.AUTH_KEY_SALT || process.env.NEXTAUTH_SECRET || "dev-salt";
 
+// --------- Sign-in errors ---------
+// `code` is passed back to the client by signIn() so the login page can react.
+class EmailNotVerifiedError extends CredentialsSignin {
+    code = "email_not_verified";
+}
+
+// The short-lived "mfa pending" token rides along in the code so the login page can run the second step.
+class MfaRequiredError extends CredentialsSignin {
+    constructor(mfaToken) {
+        super();
+        this.code = `mfa_required:${mfaToken}`;
+    }
+}
+
+class MfaSetupRequiredError extends CredentialsSignin {
+    constructor(mfaToken) {
+        super();
+        this.code = `mfa_setup_required:${mfaToken}`;
+    }
+}
+
+// The password has expired (backend max password age); the password-change token rides along
+class PasswordChangeRequiredError extends CredentialsSignin {
+    constructor(passwordToken) {
+        super();
+        this.code = `password_change_required:${passwordToken}`;
+    }
+}
+
+// The new password broke the password policy; the backend's explanation rides along (URI-encoded)
+class PasswordRejectedError extends CredentialsSignin {
+    constructor(message) {
+        super();
+        this.code = `password_rejected:${encodeURIComponent(message ?? "")}`;
+    }
+}
+
+// Too many failed logins; the lockout end time rides along so the login page can show it
+class AccountLockedError extends CredentialsSignin {
+    constructor(lockedUntil) {
+        super();
+        this.code = `account_locked:${lockedUntil ?? ""}`;
+    }
+}
+
+// Suspended by an admin; the end time and reason ride along (URI-encoded, since the date contains colons)
+class AccountSuspendedError extends CredentialsSignin {
+    constructor(suspendedUntil, reason) {
+        super();
+        this.code = `account_suspended:${encodeURIComponent(suspendedUntil ?? "")}:${encodeURIComponent(reason ?? "")}`;
+    }
+}
+
+// External login whose email belongs to an existing account that can't be linked automatically
+class AccountExistsError extends CredentialsSignin {
+    code = "account_exists";
+}
+
 // --------- Small helpers ---------
 function backendUrl(path = "") {
     const base = (process.env.AUTH_BACKEND_URL || "http://localhost:5000").replace(/\/$/, "");
@@ -80,6 +138,118 @@ function stableJitterMs(input) {
     return ((buf[0] << 8) | buf[1]) % 10_000;
 }
 
+/**
+ * Forward the browser's user agent and IP so the backend can label the new session (device).
+ * The backend only honors X-Forwarded-For from proxies it trusts (TRUST_PROXY).
+ */
+function clientContextHeaders(request) {
+    const headers = {};
+    const userAgent = request?.headers?.get?.("user-agent");
+    const forwardedFor = request?.headers?.get?.("x-forwarded-for");
+    if (userAgent) headers["User-Agent"] = userAgent;
+    if (forwardedFor) headers["X-Forwarded-For"] = forwardedFor;
+    return headers;
+}
+
+/**
+ * Map submitted credentials to the backend login step they belong to:
+ * - { mfaToken, code | recoveryCode }            -> second factor (or { mfaToken } right after enrollment)
+ * - { oauthProvider, oauthCode, oauthState }     -> external login (code/state from the provider redirect)
+ * - { email, loginCode }                         -> passwordless login (code typed in or from the emailed link)
+ * - { passkeyChallengeId, passkeyResponse }      -> passkey login (response is the WebAuthn assertion as JSON)
+ * - { passwordToken, newPassword }             -> replace an expired password to finish the login
+ * - { identifier, password }                     -> first factor
+ */
+function loginRequestFor(credentials) {
+    if (credentials?.mfaToken) {
+        const body = { mfaToken: credentials.mfaToken };
+        if (credentials.code) body.code = credentials.code;
+        if (credentials.recoveryCode) body.recoveryCode = credentials.recoveryCode;
+        return { path: "/api/users/login/mfa", body };
+    }
+    if (credentials?.passwordToken && credentials?.newPassword) {
+        return {
+            path: "/api/users/login/password-change",
+            body: { passwordToken: credentials.passwordToken, newPassword: credentials.newPassword },
+        };
+    }
+    if (credentials?.oauthProvider && credentials?.oauthCode && credentials?.oauthState) {
+        return {
+            path: `/api/users/oauth/${encodeURIComponent(credentials.oauthProvider)}/callback`,
+            body: { code: credentials.oauthCode, state: credentials.oauthState },
+        };
+    }
+    if (credentials?.email && credentials?.loginCode) {
+        return {
+            path: "/api/users/login/passwordless/verify",
+            body: { email: credentials.email, code: credentials.loginCode },
+        };
+    }
+    if (credentials?.passkeyChallengeId && credentials?.passkeyResponse) {
+        let response;
+        try { response = JSON.parse(String(credentials.passkeyResponse)); } catch { return null; }
+        return {
+            path: "/api/users/login/passkey",
+            body: { challengeId: credentials.passkeyChallengeId, response },
+        };
+    }
+    if (credentials?.identifier && credentials?.password) {
+        return {
+            path: "/api/users/login",
+            body: { identifier: credentials.identifier, password: credentials.password },
+        };
+    }
+    return null;
+}
+
+// --------- Impersonation ("log in as user") ---------
+// While an admin acts as a user, the admin's own tokens wait in `token.impersonator`.
+// The impersonation token has no refresh token: when it expires, the admin is back.
+
+/** Switch the session to a user, from the backend's impersonate response. */
+function startImpersonation(token, { accessToken, expiresAtMs, user: target }) {
+    let claims = {};
+    try { claims = jwtDecode(String(accessToken)) || {}; } catch { }
+    if (!claims.act) return token; // Only tokens that name the acting admin
+
+    return {
+        ...token,
+        impersonator: token.impersonator ?? {
+            id: token.id,
+            username: token.username,
+            email: token.email,
+            role: token.role,
+            profile: token.profile,
+            accessToken: token.accessToken,
+            refreshToken: token.refreshToken,
+            accessTokenExpires: token.accessTokenExpires,
+            refreshJitterMs: token.refreshJitterMs,
+        },
+        impersonation: {
+            actorId: claims.act.sub,
+            actorUsername: claims.act.username ?? null,
+            expiresAt: expiresAtMs ?? expFromJwtMs(String(accessToken)),
+        },
+        id: String(target?._id ?? claims._id ?? ""),
+        username: target?.username ?? null,
+        email: target?.email ?? null,
+        role: target?.role ?? claims.role ?? null,
+        profile: target ?? null,
+        accessToken: String(accessToken),
+        refreshToken: undefined,
+        accessTokenExpires: expiresAtMs ?? expFromJwtMs(String(accessToken)),
+        error: undefined,
+        refreshError: undefined,
+    };
+}
+
+/** Switch the session back to the admin. */
+function endImpersonation(token) {
+    const { impersonator, impersonation, ...rest } = token;
+    if (!impersonator) return token;
+    return { ...rest, ...impersonator, error: undefined, refreshError: undefined };
+}
+
 // --------- Redis keys ---------
 function lockKeyFor(key) { return `${REDIS_PREFIX}:refresh:lock:${key}`; }
 function resultKeyFor(key) { return `${REDIS_PREFIX}:refresh:result:${key}`; }
@@ -296,21 +466,31 @@ export const {
             credentials: {
                 identifier: { label: "Username or Email", type: "text" },
                 password: { label: "Password", type: "password" },
+                mfaToken: { type: "hidden" },
+                code: { label: "Authentication code", type: "text" },
+                recoveryCode: { label: "Recovery code", type: "text" },
+                oauthProvider: { type: "hidden" },
+                oauthCode: { type: "hidden" },
+                oauthState: { type: "hidden" },
+                email: { label: "Email", type: "email" },
+                loginCode: { label: "Sign-in code", type: "text" },
+                passkeyChallengeId: { type: "hidden" },
+                passkeyResponse: { type: "hidden" },
+                passwordToken: { type: "hidden" },
+                newPassword: { label: "New password", type: "password" },
             },
-            async authorize(credentials) {
-                if (!credentials?.identifier || !credentials?.password) return null;
+            async authorize(credentials, request) {
+                const loginRequest = loginRequestFor(credentials);
+                if (!loginRequest) return null;
 
                 let res;
                 try {
                     res = await fetchWithTimeout(
-                        backendUrl("/api/users/login"),
+                        backendUrl(loginRequest.path),
                         {
                             method: "POST",
-                            headers: { "Content-Type": "application/json" },
-                            body: JSON.stringify({
-                                identifier: credentials.identifier,
-                                password: credentials.password,
-                            }),
+                            headers: { "Content-Type": "application/json", ...clientContextHeaders(request) },
+                            body: JSON.stringify(loginRequest.body),
                         },
                         DEFAULT_TIMEOUT_MS
                     );
@@ -318,8 +498,21 @@ export const {
                     return null; // network/timeout
                 }
 
-                if (!res.ok) return null;
                 const data = await safeJSON(res);
+                if (!res.ok) {
+                    if (data?.code === "EMAIL_NOT_VERIFIED") throw new EmailNotVerifiedError();
+                    if (data?.code === "ACCOUNT_EXISTS") throw new AccountExistsError();
+                    if (data?.code === "ACCOUNT_LOCKED") throw new AccountLockedError(data.lockedUntil);
+                    if (data?.code === "ACCOUNT_SUSPENDED") throw new AccountSuspendedError(data.suspendedUntil, data.reason);
+                    if (res.status === 400 && credentials?.passwordToken) {
+                        throw new PasswordRejectedError(data?.errors?.[0]?.msg ?? data?.message);
+                    }
+                    return null;
+                }
+                // Password accepted, but a second factor is required first
+                if (data?.mfaRequired && data?.mfaToken) throw new MfaRequiredError(data.mfaToken);
+                if (data?.mfaSetupRequired && data?.mfaToken) throw new MfaSetupRequiredError(data.mfaToken);
+                if (data?.passwordChangeRequired && data?.passwordToken) throw new PasswordChangeRequiredError(data.passwordToken);
                 if (!data?.accessToken || !data?.refreshToken) return null;
 
                 const accessToken = String(data.accessToken);
@@ -379,11 +572,26 @@ export const {
                 };
             }
 
-            // Client-driven session updates
-            if (trigger === "update" && sessionUpdate) {
+            // Admin starts or stops acting as a user (see the admin dashboard and the header banner)
+            if (trigger === "update" && sessionUpdate?.impersonation) {
+                return startImpersonation(token, sessionUpdate.impersonation);
+            }
+            if (trigger === "update" && sessionUpdate?.stopImpersonation) {
+                // The admin's own token may have expired meanwhile: continue to the refresh below
+                token = endImpersonation(token);
+            } else if (trigger === "update" && sessionUpdate) {
+                // Client-driven session updates
                 return { ...token, ...sessionUpdate };
             }
 
+            // Impersonation tokens can't be refreshed: once expired, the admin's own session resumes
+            if (token?.impersonator) {
+                if (Date.now() < Number(token.accessTokenExpires || 0)) {
+                    return token;
+                }
+                token = endImpersonation(token);
+            }
+
             // If a hard revoke is pending, don't try to refresh
             if (token?.refreshError?.status === 401 || token?.refreshError?.status === 403) {
                 return token;
@@ -421,6 +629,8 @@ export const {
                 accessToken,
                 accessTokenExpires,
                 refreshJitterMs,
+                impersonator, // The admin's own tokens while impersonating
+                impersonation,
                 // These are for error handling
                 error,
                 refreshError,
@@ -441,6 +651,13 @@ export const {
             session.accessToken = accessToken;
             session.accessTokenExpires = accessTokenExpires;
 
+            // Set while an admin acts as this user (the header shows a banner)
+            if (impersonation) {
+                session.impersonation = impersonation;
+            } else {
+                delete session.impersonation;
+            }
+
             // Bubble up refresh errors
             if (error) {
                 session.error = error;
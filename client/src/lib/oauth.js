@@ -0,0 +1,86 @@
+// Helpers for external (OAuth) login and account linking.
+// The provider redirects back to /oauth/callback/[provider]; that page reads the request
+// stored here to decide whether to finish a login or a link, and only accepts the state this
+// browser was issued, so a link carrying someone else's code and state can't sign it in.
+
+const PROVIDER_LABELS = {
+    google: "Google",
+    github: "GitHub",
+    facebook: "Facebook",
+};
+
+const REQUEST_STORAGE_KEY = "oauth:request";
+const LOGIN_STORAGE_KEY = "oauth:login";
+
+export function providerLabel(provider) {
+    return PROVIDER_LABELS[provider] || provider;
+}
+
+export function callbackUrlFor(provider) {
+    return `${window.location.origin}/oauth/callback/${provider}`;
+}
+
+/**
+ * Ask the backend for the provider's authorization URL and send the browser there.
+ * mode "login" is public; mode "link" needs the user's access token.
+ */
+export async function redirectToProvider(provider, { mode = "login", accessToken } = {}) {
+    const path = mode === "link" ? "link" : "authorize";
+    const query = new URLSearchParams({ redirectUri: callbackUrlFor(provider) });
+    const res = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/api/users/oauth/${encodeURIComponent(provider)}/${path}?${query}`,
+        { headers: accessToken ? { Authorization: `Bearer ${accessToken}` } : {} }
+    );
+    const data = await res.json();
+    if (!res.ok || !data.authorizationUrl || !data.state) {
+        throw new Error(data.message || `Could not connect to ${providerLabel(provider)}.`);
+    }
+
+    sessionStorage.setItem(REQUEST_STORAGE_KEY, JSON.stringify({ mode, state: data.state }));
+    window.location.assign(data.authorizationUrl);
+}
+
+/**
+ * Read (and forget) the request stored before the redirect.
+ * Returns its mode, or null if this browser didn't start a request with this state.
+ */
+export function consumeOAuthRequest(state) {
+    const stored = sessionStorage.getItem(REQUEST_STORAGE_KEY);
+    sessionStorage.removeItem(REQUEST_STORAGE_KEY);
+
+    let request = null;
+    try {
+        request = stored ? JSON.parse(stored) : null;
+    } catch {
+        request = null;
+    }
+    if (!request || !request.state || !state || request.state !== state) {
+        return null;
+    }
+    return request.mode === "link" ? "link" : "login";
+}
+
+/**
+ * Hand a verified login callback to the login page, which runs signIn() with it.
+ * Passed through sessionStorage, not the URL, so a crafted /login link can't skip the state check.
+ */
+export function storeOAuthLogin(provider, code, state) {
+    sessionStorage.setItem(LOGIN_STORAGE_KEY, JSON.stringify({ provider, code, state }));
+}
+
+/** Read (and forget) the login callback stored for this provider, or null. */
+export function consumeOAuthLogin(provider) {
+    const stored = sessionStorage.getItem(LOGIN_STORAGE_KEY);
+    sessionStorage.removeItem(LOGIN_STORAGE_KEY);
+
+    let login = null;
+    try {
+        login = stored ? JSON.parse(stored) : null;
+    } catch {
+        login = null;
+    }
+    if (!login || login.provider !== provider || !login.code || !login.state) {
+        return null;
+    }
+    return { code: login.code, state: login.state };
+}
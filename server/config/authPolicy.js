@@ -0,0 +1,149 @@
+/**
+ * Central authentication policy settings.
+ * Values are read from environment variables so each deployment can tighten
+ * or relax the rules without code changes.
+ */
+
+/**
+ * Parses a boolean-like environment variable.
+ * @param {string|undefined} value - The raw environment value.
+ * @param {boolean} defaultValue - Used when the variable is not set.
+ * @returns {boolean}
+ */
+const parseBoolean = (value, defaultValue) => {
+    if (value === undefined || value === '') {
+        return defaultValue;
+    }
+    return ['true', '1', 'yes', 'on'].includes(String(value).toLowerCase());
+};
+
+const REGISTRATION_MODES = ['open', 'invite-only', 'closed'];
+
+/**
+ * Reads REGISTRATION_MODE. A misspelled value closes registration rather than opening it.
+ * @returns {'open'|'invite-only'|'closed'}
+ */
+const parseRegistrationMode = () => {
+    const mode = process.env.REGISTRATION_MODE;
+    if (mode === undefined || mode === '') {
+        return 'open';
+    }
+    if (!REGISTRATION_MODES.includes(mode)) {
+        console.warn(`Unknown REGISTRATION_MODE '${mode}' (expected ${REGISTRATION_MODES.join(', ')}); registration is closed.`);
+        return 'closed';
+    }
+    return mode;
+};
+
+const authPolicy = {
+    registration: {
+        // 'open': anyone can register; 'invite-only': only with an admin-issued invitation;
+        // 'closed': no new accounts (also applies to first logins with an external provider)
+        mode: parseRegistrationMode(),
+        // How long an emailed invitation can be accepted
+        inviteExpiryDays: parseInt(process.env.INVITATION_EXPIRY_DAYS || '7', 10),
+    },
+    password: {
+        // Length and character classes (see services/passwordPolicyService.js)
+        minLength: parseInt(process.env.PASSWORD_MIN_LENGTH || '8', 10),
+        maxLength: parseInt(process.env.PASSWORD_MAX_LENGTH || '128', 10),
+        requireLowercase: parseBoolean(process.env.PASSWORD_REQUIRE_LOWERCASE, true),
+        requireUppercase: parseBoolean(process.env.PASSWORD_REQUIRE_UPPERCASE, true),
+        requireNumber: parseBoolean(process.env.PASSWORD_REQUIRE_NUMBER, true),
+        requireSymbol: parseBoolean(process.env.PASSWORD_REQUIRE_SYMBOL, true),
+        // Reject reusing any of the last N passwords, the current one included (0 turns the history off)
+        historyCount: parseInt(process.env.PASSWORD_HISTORY_COUNT || '5', 10),
+        // Reject passwords found in the bundled list of common/breached passwords
+        rejectCommon: parseBoolean(process.env.PASSWORD_REJECT_COMMON, true),
+        // Optional larger list (one password per line) used instead of the bundled one
+        commonListFile: process.env.PASSWORD_COMMON_LIST_FILE || '',
+        // Force a password change at login once the password is this old (0: never expires)
+        maxAgeDays: parseInt(process.env.PASSWORD_MAX_AGE_DAYS || '0', 10),
+    },
+    emailVerification: {
+        // Block loginUser until the email address is verified
+        requiredForLogin: parseBoolean(process.env.REQUIRE_VERIFIED_EMAIL_FOR_LOGIN, false),
+        // Block placing orders for paid plans until the email address is verified
+        requiredForPaidOrders: parseBoolean(process.env.REQUIRE_VERIFIED_EMAIL_FOR_PAID_ORDERS, true),
+        // How long a verification OTP/link stays valid
+        otpExpiryMinutes: parseInt(process.env.EMAIL_VERIFICATION_EXPIRY_MINUTES || '60', 10),
+    },
+    mfa: {
+        // Roles that must enroll in TOTP two-factor authentication before they can log in
+        requiredRoles: (process.env.MFA_REQUIRED_ROLES ?? 'admin')
+            .split(',')
+            .map(role => role.trim())
+            .filter(Boolean),
+        // Issuer name shown in authenticator apps
+        issuer: process.env.MFA_ISSUER || 'Auth Portal',
+        // Number of one-time recovery codes generated per enrollment
+        recoveryCodeCount: parseInt(process.env.MFA_RECOVERY_CODE_COUNT || '10', 10),
+    },
+    passwordless: {
+        // Allow logging in with a one-time code or link sent by email instead of the password
+        enabled: parseBoolean(process.env.PASSWORDLESS_LOGIN_ENABLED, true),
+        // How long the code/link stays valid
+        otpExpiryMinutes: parseInt(process.env.PASSWORDLESS_LOGIN_EXPIRY_MINUTES || '15', 10),
+    },
+    passkeys: {
+        // Relying party: the site passkeys are bound to. The ID must be the client's domain (or a parent of it).
+        rpName: process.env.WEBAUTHN_RP_NAME || process.env.MFA_ISSUER || 'Auth Portal',
+        rpID: process.env.WEBAUTHN_RP_ID || new URL(process.env.CLIENT_URL || 'http://localhost:3000').hostname,
+        // Origins the browser may report during a ceremony (comma separated); defaults to CLIENT_URL
+        origins: (process.env.WEBAUTHN_ORIGINS || process.env.CLIENT_URL || 'http://localhost:3000')
+            .split(',')
+            .map(origin => origin.trim().replace(/\/$/, ''))
+            .filter(Boolean),
+        // How long a registration or login challenge can be answered
+        challengeTimeoutMinutes: parseInt(process.env.WEBAUTHN_CHALLENGE_TIMEOUT_MINUTES || '5', 10),
+        maxPerUser: parseInt(process.env.WEBAUTHN_MAX_PASSKEYS_PER_USER || '10', 10),
+    },
+    loginHistory: {
+        // Login attempts are kept this long, then MongoDB deletes them
+        retentionDays: parseInt(process.env.LOGIN_HISTORY_RETENTION_DAYS || '90', 10),
+        // Email the user when a login comes from a device or IP range not seen in their history
+        newDeviceAlerts: parseBoolean(process.env.LOGIN_NEW_DEVICE_ALERTS, true),
+    },
+    lockout: {
+        // Failed login attempts (password or second factor) before the account is locked
+        maxFailedAttempts: parseInt(process.env.LOCKOUT_MAX_FAILED_ATTEMPTS || '5', 10),
+        // Failures older than this no longer count towards a lockout
+        failureWindowMinutes: parseInt(process.env.LOCKOUT_FAILURE_WINDOW_MINUTES || '15', 10),
+        // First lockout duration; doubles with each consecutive lockout, up to the maximum
+        baseDurationMinutes: parseInt(process.env.LOCKOUT_BASE_DURATION_MINUTES || '15', 10),
+        maxDurationMinutes: parseInt(process.env.LOCKOUT_MAX_DURATION_MINUTES || '1440', 10),
+    },
+    tokenRevocation: {
+        // How long authenticate may reuse a user's token version and active flag before reading them
+        // again. Bounds how long another server instance accepts access tokens of a suspended user.
+        cacheSeconds: parseInt(process.env.TOKEN_VERSION_CACHE_SECONDS || '10', 10),
+    },
+    accountDeletion: {
+        // Days between the confirmed request and the actual deletion, during which it can be canceled
+        coolingOffDays: parseInt(process.env.ACCOUNT_DELETION_COOLING_OFF_DAYS || '14', 10),
+        // How long the confirmation OTP stays valid
+        otpExpiryMinutes: parseInt(process.env.ACCOUNT_DELETION_OTP_EXPIRY_MINUTES || '15', 10),
+    },
+    apiKeys: {
+        // Keys look like `<prefix>_<key id>_<secret>`; the prefix makes leaked keys easy to scan for
+        prefix: process.env.API_KEY_PREFIX || 'uak',
+        // Scopes a key can be granted; they are the Casbin actions a key may perform
+        scopes: ['read', 'write', 'update', 'delete'],
+        maxPerUser: parseInt(process.env.API_KEY_MAX_PER_USER || '10', 10),
+        // Longest allowed lifetime, also the default when no expiry is given; 0 allows keys that never expire
+        maxLifetimeDays: parseInt(process.env.API_KEY_MAX_LIFETIME_DAYS || '365', 10),
+        // lastUsedAt is written at most this often per key, not on every request
+        lastUsedUpdateSeconds: parseInt(process.env.API_KEY_LAST_USED_UPDATE_SECONDS || '60', 10),
+    },
+    impersonation: {
+        // Longest an admin may act as a user with one token; there is no refresh token, so it simply ends
+        maxMinutes: parseInt(process.env.IMPERSONATION_MAX_MINUTES || '30', 10),
+        // Used when the admin doesn't ask for a duration
+        defaultMinutes: parseInt(process.env.IMPERSONATION_DEFAULT_MINUTES || '15', 10),
+    },
+    // Base URL of the Next.js client, used to build links in emails
+    clientUrl: (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, ''),
+};
+
+module.exports = authPolicy;
+module.exports.parseBoolean = parseBoolean;
@@ -0,0 +1,51 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+/**
+ * Access token signing settings.
+ *
+ * `algorithm` selects how access tokens are signed:
+ * - 'HS256' (default): with the shared ACCESS_TOKEN_SECRET
+ * - 'RS256' or 'EdDSA' (Ed25519): with the private key of the keyring (services/keyringService.js).
+ *   Tokens carry the key ID in their `kid` header and anyone can verify them with the public
+ *   keys published at /.well-known/jwks.json, without being able to forge them.
+ *
+ * When switching from HS256, keep ACCESS_TOKEN_SECRET set until the HS256 tokens already issued
+ * have expired (ACCESS_TOKEN_EXPIRY), then remove it: HS256 tokens are accepted only while it is set.
+ *
+ * Refresh and challenge tokens are only ever verified by this server and stay HS256.
+ */
+
+const intFromEnv = (name, defaultValue) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? defaultValue : value;
+};
+
+const jwtSigning = {
+    algorithm: process.env.JWT_SIGNING_ALG || 'HS256',
+    asymmetricAlgorithms: ['RS256', 'EdDSA'],
+    // Optional `iss` claim, set and checked on asymmetrically signed tokens
+    issuer: process.env.JWT_ISSUER || undefined,
+    // Encrypts private keys stored in the database (recommended)
+    privateKeyPassphrase: process.env.JWT_PRIVATE_KEY_PASSPHRASE || undefined,
+    rotation: {
+        // A new key is published this long before it starts signing, so verifiers that cache
+        // the JWKS know it before the first token signed with it reaches them
+        publishAheadMinutes: intFromEnv('JWT_KEY_PUBLISH_AHEAD_MINUTES', 10),
+        // A replaced key stays published this long after it stops signing; must exceed the access token lifetime
+        retentionMinutes: intFromEnv('JWT_KEY_RETENTION_MINUTES', 60),
+    },
+    // How long each server instance caches the keyring before reading it again
+    keyringCacheSeconds: intFromEnv('JWT_KEYRING_CACHE_SECONDS', 60),
+    // Cache-Control max-age of the JWKS response
+    jwksMaxAgeSeconds: intFromEnv('JWT_JWKS_MAX_AGE_SECONDS', 300),
+};
+
+jwtSigning.isAsymmetric = jwtSigning.asymmetricAlgorithms.includes(jwtSigning.algorithm);
+
+if (jwtSigning.algorithm !== 'HS256' && !jwtSigning.isAsymmetric) {
+    throw new Error(`Unsupported JWT_SIGNING_ALG "${jwtSigning.algorithm}". Use HS256, RS256 or EdDSA.`);
+}
+
+module.exports = jwtSigning;
@@ -0,0 +1,131 @@
+/**
+ * OAuth2 / OpenID Connect provider configurations.
+ *
+ * Every endpoint can be overridden through environment variables
+ * (OAUTH_<PROVIDER>_AUTHORIZATION_URL, _TOKEN_URL, _USERINFO_URL, _EMAILS_URL), so the
+ * flow can run against a local mock OIDC server in tests. A provider is enabled once
+ * OAUTH_<PROVIDER>_CLIENT_ID is set.
+ *
+ * `mapProfile` turns the provider's user info response into:
+ * { providerId, email, emailVerified, firstName, lastName, profilePictureUrl }
+ */
+const authPolicy = require('./authPolicy');
+
+/**
+ * Reads an endpoint/credential for a provider, preferring the environment override.
+ * @param {string} provider - Provider key (e.g. 'google').
+ * @param {string} name - Setting name (e.g. 'TOKEN_URL').
+ * @param {string} [defaultValue] - Used when no override is set.
+ * @returns {string|undefined}
+ */
+const envSetting = (provider, name, defaultValue) =>
+    process.env[`OAUTH_${provider.toUpperCase()}_${name}`] || defaultValue;
+
+const providerDefinitions = {
+    google: {
+        authorizationUrl: 'https://accounts.google.com/o/oauth2/v2/auth',
+        tokenUrl: 'https://oauth2.googleapis.com/token',
+        userInfoUrl: 'https://openidconnect.googleapis.com/v1/userinfo',
+        scopes: ['openid', 'email', 'profile'],
+        mapProfile: (profile) => ({
+            providerId: String(profile.sub),
+            email: profile.email,
+            emailVerified: profile.email_verified === true || profile.email_verified === 'true',
+            firstName: profile.given_name,
+            lastName: profile.family_name,
+            profilePictureUrl: profile.picture,
+        }),
+    },
+    github: {
+        authorizationUrl: 'https://github.com/login/oauth/authorize',
+        tokenUrl: 'https://github.com/login/oauth/access_token',
+        userInfoUrl: 'https://api.github.com/user',
+        // The user endpoint doesn't say whether the email is verified; the emails endpoint does.
+        emailsUrl: 'https://api.github.com/user/emails',
+        scopes: ['read:user', 'user:email'],
+        mapProfile: (profile, emails = []) => {
+            const primary = emails.find(entry => entry.primary) || emails.find(entry => entry.verified);
+            const [firstName, ...rest] = (profile.name || '').split(' ');
+            return {
+                providerId: String(profile.id),
+                email: primary ? primary.email : profile.email,
+                emailVerified: primary ? primary.verified === true : false,
+                firstName: firstName || undefined,
+                lastName: rest.join(' ') || undefined,
+                profilePictureUrl: profile.avatar_url,
+            };
+        },
+    },
+    facebook: {
+        authorizationUrl: 'https://www.facebook.com/v19.0/dialog/oauth',
+        tokenUrl: 'https://graph.facebook.com/v19.0/oauth/access_token',
+        userInfoUrl: 'https://graph.facebook.com/me?fields=id,email,first_name,last_name,picture',
+        scopes: ['email', 'public_profile'],
+        mapProfile: (profile) => ({
+            providerId: String(profile.id),
+            email: profile.email,
+            // Facebook only returns confirmed email addresses
+            emailVerified: Boolean(profile.email),
+            firstName: profile.first_name,
+            lastName: profile.last_name,
+            profilePictureUrl: profile.picture && profile.picture.data ? profile.picture.data.url : undefined,
+        }),
+    },
+};
+
+/**
+ * Returns the full configuration of a provider, or null if it is unknown or not configured.
+ * @param {string} provider - Provider key (e.g. 'google').
+ * @returns {object|null}
+ */
+const getProviderConfig = (provider) => {
+    const definition = providerDefinitions[provider];
+    if (!definition) {
+        return null;
+    }
+
+    const clientId = envSetting(provider, 'CLIENT_ID');
+    if (!clientId) {
+        return null;
+    }
+
+    return {
+        ...definition,
+        name: provider,
+        clientId,
+        clientSecret: envSetting(provider, 'CLIENT_SECRET'),
+        authorizationUrl: envSetting(provider, 'AUTHORIZATION_URL', definition.authorizationUrl),
+        tokenUrl: envSetting(provider, 'TOKEN_URL', definition.tokenUrl),
+        userInfoUrl: envSetting(provider, 'USERINFO_URL', definition.userInfoUrl),
+        emailsUrl: definition.emailsUrl ? envSetting(provider, 'EMAILS_URL', definition.emailsUrl) : undefined,
+        scopes: envSetting(provider, 'SCOPES') ? envSetting(provider, 'SCOPES').split(' ') : definition.scopes,
+    };
+};
+
+/**
+ * Lists the providers that are configured in this deployment.
+ * @returns {string[]} Provider keys.
+ */
+const getEnabledProviders = () => Object.keys(providerDefinitions).filter(provider => getProviderConfig(provider));
+
+/**
+ * Checks a redirect URI against the allowlist. OAUTH_REDIRECT_URIS holds comma-separated
+ * URIs where `{provider}` is replaced by the provider key; it defaults to the client's
+ * callback page.
+ * @param {string} provider - Provider key.
+ * @param {string} redirectUri - The redirect URI requested by the client.
+ * @returns {boolean}
+ */
+const isAllowedRedirectUri = (provider, redirectUri) => {
+    const allowed = (process.env.OAUTH_REDIRECT_URIS || `${authPolicy.clientUrl}/oauth/callback/{provider}`)
+        .split(',')
+        .map(uri => uri.trim().replace('{provider}', provider))
+        .filter(Boolean);
+    return allowed.includes(redirectUri);
+};
+
+module.exports = {
+    getProviderConfig,
+    getEnabledProviders,
+    isAllowedRedirectUri,
+};
@@ -0,0 +1,39 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+/**
+ * How authorization policy changes reach every server instance (see services/policyWatcher.js).
+ *
+ * Every change made through the policy API (or PUT /api/auth/reload-policies) increments a
+ * policy version stored in MongoDB. `watcher` selects how the other instances learn about it:
+ * - 'poll' (default): each instance reads the version every `pollIntervalMs`
+ * - 'change-stream': MongoDB change stream on the version (needs a replica set; falls back
+ *   to polling if the stream fails)
+ * - 'redis': Redis pub/sub on `redisChannel` (REDIS_URL, see config/redis.js)
+ * - 'none': only the instance that made the change reloads (single-instance deployments)
+ *
+ * With 'change-stream' and 'redis' the version is still read every `fallbackPollIntervalMs`,
+ * so a notification missed during a disconnect is caught up. Every check also refreshes the
+ * instance's entry in the instance status list (GET /api/auth/policies/status).
+ */
+
+const WATCHERS = ['poll', 'change-stream', 'redis', 'none'];
+
+const intFromEnv = (name, defaultValue) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? defaultValue : value;
+};
+
+const policySync = {
+    watcher: process.env.POLICY_WATCHER || 'poll',
+    pollIntervalMs: Math.max(intFromEnv('POLICY_POLL_INTERVAL_MS', 5000), 1000),
+    fallbackPollIntervalMs: Math.max(intFromEnv('POLICY_FALLBACK_POLL_INTERVAL_MS', 60000), 1000),
+    redisChannel: process.env.POLICY_REDIS_CHANNEL || 'casbin:policy-updated',
+};
+
+if (!WATCHERS.includes(policySync.watcher)) {
+    throw new Error(`Unsupported POLICY_WATCHER "${policySync.watcher}". Use ${WATCHERS.join(', ')}.`);
+}
+
+module.exports = policySync;
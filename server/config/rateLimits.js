@@ -0,0 +1,98 @@
+/**
+ * Rate limiting policies, all in one place.
+ *
+ * `store` selects where counters live:
+ * - 'mongo' (default): shared by every server instance through MongoDB
+ * - 'redis': shared through Redis (REDIS_URL, see config/redis.js)
+ * - 'memory': per process, reset on restart (development only)
+ *
+ * Each policy has a `keyBy`:
+ * - 'ip': the client IP
+ * - 'user': the authenticated user (falls back to IP)
+ * - 'identity': the authenticated user, or the account named in the request body
+ *   (identifier/email). Requests without an identity are not counted, so this limits
+ *   a distributed attack on one account without double-limiting IPs.
+ *
+ * `limit` and `windowMs` can be overridden per policy with RATE_LIMIT_<POLICY>_LIMIT and
+ * RATE_LIMIT_<POLICY>_WINDOW_MS (policy name in upper snake case, e.g. AUTH_IDENTITY).
+ */
+
+/**
+ * Reads a numeric override for a policy setting.
+ * @param {string} policyName - Policy name (camelCase).
+ * @param {string} setting - 'LIMIT' or 'WINDOW_MS'.
+ * @param {number} defaultValue - Used when no override is set.
+ * @returns {number}
+ */
+const envNumber = (policyName, setting, defaultValue) => {
+    const envName = `RATE_LIMIT_${policyName.replace(/([A-Z])/g, '_$1').toUpperCase()}_${setting}`;
+    const value = parseInt(process.env[envName], 10);
+    return Number.isNaN(value) ? defaultValue : value;
+};
+
+/**
+ * Applies the environment overrides to a policy.
+ * @param {string} name - Policy name.
+ * @param {object} policy - Policy defaults.
+ * @returns {object} The effective policy.
+ */
+const definePolicy = (name, policy) => ({
+    ...policy,
+    name,
+    windowMs: envNumber(name, 'WINDOW_MS', policy.windowMs),
+    ...(policy.type === 'slowDown'
+        ? { delayAfter: envNumber(name, 'LIMIT', policy.delayAfter) }
+        : { limit: envNumber(name, 'LIMIT', policy.limit) }),
+});
+
+const rateLimits = {
+    store: process.env.RATE_LIMIT_STORE || 'mongo',
+    policies: {
+        // Slows down sensitive endpoints after a few attempts to mitigate brute-force attacks
+        authSlowDown: definePolicy('authSlowDown', {
+            type: 'slowDown',
+            keyBy: 'ip',
+            windowMs: 15 * 60 * 1000, // 15 minutes
+            delayAfter: 5,            // Start delaying after 5 requests within windowMs
+            delayMs: (hits) => hits * 100, // Increment delay by 100ms for each request after delayAfter
+            maxDelayMs: 3000,         // Cap the delay at 3 seconds
+        }),
+        // Authentication actions (login, register, password reset) per IP
+        auth: definePolicy('auth', {
+            keyBy: 'ip',
+            windowMs: 15 * 60 * 1000, // 15 minutes
+            limit: 10,                // Limit each IP to 10 requests per windowMs
+            message: { error: 'Too many attempts from this IP, please try again after 15 minutes.' },
+        }),
+        // Authentication actions per account, whatever the number of IPs involved
+        authIdentity: definePolicy('authIdentity', {
+            keyBy: 'identity',
+            windowMs: 15 * 60 * 1000,
+            limit: 20,
+            message: { error: 'Too many attempts for this account, please try again after 15 minutes.' },
+        }),
+        // Refreshing tokens: more frequent than auth actions but still limited
+        refresh: definePolicy('refresh', {
+            keyBy: 'ip',
+            windowMs: 5 * 60 * 1000,  // 5 minutes
+            limit: 20,                // Limit to 20 requests per 5 minutes
+            message: { error: 'Too many refresh requests, please try again later.' },
+        }),
+        // File uploads per user (image processing is expensive)
+        upload: definePolicy('upload', {
+            keyBy: 'user',
+            windowMs: 60 * 60 * 1000, // 1 hour
+            limit: 20,
+            message: { error: 'Too many uploads, please try again later.' },
+        }),
+        // Personal data exports per user (each one reads every collection of the user)
+        dataExport: definePolicy('dataExport', {
+            keyBy: 'user',
+            windowMs: 60 * 60 * 1000, // 1 hour
+            limit: 5,
+            message: { error: 'Too many data exports, please try again later.' },
+        }),
+    },
+};
+
+module.exports = rateLimits;
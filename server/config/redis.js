@@ -0,0 +1,34 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// Shared Redis connection, created on first use so deployments without Redis never connect
+let client = null;
+
+/**
+ * Returns the shared ioredis client for REDIS_URL.
+ * @returns {import('ioredis').Redis}
+ * @throws {Error} If REDIS_URL is not defined.
+ */
+const getRedisClient = () => {
+    if (client) {
+        return client;
+    }
+
+    const redisUrl = process.env.REDIS_URL;
+    if (!redisUrl) {
+        throw new Error('REDIS_URL is not defined in environment variables.');
+    }
+
+    const Redis = require('ioredis');
+    client = new Redis(redisUrl, {
+        maxRetriesPerRequest: 2, // Fail fast instead of queueing requests while Redis is down
+    });
+
+    client.on('connect', () => console.log('Redis connected.'));
+    client.on('error', (err) => console.error(`Redis connection error: ${err.message}`));
+
+    return client;
+};
+
+module.exports = { getRedisClient };
@@ -0,0 +1,42 @@
+const path = require('path');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+/**
+ * File upload settings.
+ *
+ * `storage.driver` selects where uploaded files live:
+ * - 'local' (default): on disk under UPLOAD_LOCAL_DIR, served by this server at /uploads
+ * - 'cloudinary': in Cloudinary (CLOUDINARY_URL, or CLOUDINARY_CLOUD_NAME/API_KEY/API_SECRET)
+ */
+
+const intFromEnv = (name, defaultValue) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? defaultValue : value;
+};
+
+const uploads = {
+    storage: {
+        driver: process.env.UPLOAD_STORAGE_DRIVER || 'local',
+        local: {
+            directory: path.resolve(process.env.UPLOAD_LOCAL_DIR || path.join(__dirname, '..', 'uploads')),
+            routePath: '/uploads',
+            // Public URL of routePath; set it when the API is served behind another host name
+            publicBaseUrl: (process.env.UPLOAD_PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 5000}/uploads`).replace(/\/+$/, ''),
+        },
+        cloudinary: {
+            folder: process.env.CLOUDINARY_FOLDER || 'nextjs-auth',
+        },
+    },
+    avatar: {
+        maxBytes: intFromEnv('AVATAR_MAX_BYTES', 5 * 1024 * 1024), // 5 MB
+        // Checked against both the declared MIME type and the decoded image format
+        allowedMimeTypes: ['image/jpeg', 'image/png', 'image/webp', 'image/gif'],
+        maxInputPixels: 40 * 1000 * 1000, // Refuse decompression bombs
+        size: intFromEnv('AVATAR_SIZE', 512), // Stored avatars are size x size pixels
+        quality: 85,
+    },
+};
+
+module.exports = uploads;
@@ -0,0 +1,103 @@
+const { isValidObjectId } = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+const { describeApiKey, createApiKey: createKey } = require('../services/apiKeyService');
+const { recordSecurityEvent } = require('../services/securityEventService');
+
+/**
+ * @description Lists the logged-in user's API keys, newest first. Revoked and expired keys are
+ * included so their last use stays visible; the keys themselves are never returned.
+ * @route GET /api/users/api-keys
+ * @access Private (signed-in session only)
+ */
+const listApiKeys = async (req, res) => {
+    try {
+        const apiKeys = await ApiKey.find({ userId: req.user._id }).sort({ createdAt: -1 });
+
+        res.status(200).json({
+            message: 'API keys fetched successfully.',
+            apiKeys: apiKeys.map(describeApiKey)
+        });
+    } catch (error) {
+        console.error('Error listing API keys:', error);
+        res.status(500).json({ message: 'Error fetching API keys.', error: error.message });
+    }
+};
+
+/**
+ * @description Creates an API key. The key is returned in this response only.
+ * @route POST /api/users/api-keys
+ * @access Private (signed-in session only)
+ * @body {string} name - What the key is for.
+ * @body {string[]} scopes - Granted actions: read, write, update, delete.
+ * @body {string} [expiresAt] - ISO 8601 date; defaults to the longest allowed lifetime.
+ */
+const createApiKey = async (req, res) => {
+    const { name, scopes, expiresAt } = req.body;
+
+    try {
+        const { key, apiKey } = await createKey(req.user._id, { name, scopes, expiresAt });
+
+        await recordSecurityEvent({
+            type: 'api_key_created',
+            userId: req.user._id,
+            req,
+            details: { apiKeyId: apiKey._id, name: apiKey.name, scopes: apiKey.scopes, expiresAt: apiKey.expiresAt }
+        });
+
+        res.status(201).json({
+            message: 'API key created. Copy it now: it will not be shown again.',
+            key,
+            apiKey
+        });
+    } catch (error) {
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error('Error creating API key:', error);
+        res.status(500).json({ message: 'Error creating API key.', error: error.message });
+    }
+};
+
+/**
+ * @description Revokes one of the logged-in user's API keys.
+ * @route DELETE /api/users/api-keys/:apiKeyId
+ * @access Private (signed-in session only)
+ */
+const revokeApiKey = async (req, res) => {
+    const { apiKeyId } = req.params;
+
+    if (!isValidObjectId(apiKeyId)) {
+        return res.status(400).json({ message: 'Invalid API key ID format.' });
+    }
+
+    try {
+        // Scoped to the user so nobody can revoke someone else's key
+        const apiKey = await ApiKey.findOneAndUpdate(
+            { _id: apiKeyId, userId: req.user._id, revokedAt: null },
+            { $set: { revokedAt: new Date() } },
+            { new: true }
+        );
+
+        if (!apiKey) {
+            return res.status(404).json({ message: 'API key not found or already revoked.' });
+        }
+
+        await recordSecurityEvent({
+            type: 'api_key_revoked',
+            userId: req.user._id,
+            req,
+            details: { apiKeyId: apiKey._id, name: apiKey.name }
+        });
+
+        res.status(200).json({ message: 'API key revoked successfully.', apiKey: describeApiKey(apiKey) });
+    } catch (error) {
+        console.error('Error revoking API key:', error);
+        res.status(500).json({ message: 'Error revoking API key.', error: error.message });
+    }
+};
+
+module.exports = {
+    listApiKeys,
+    createApiKey,
+    revokeApiKey,
+};
@@ -1,29 +1,17 @@
 const User = require('../models/User');
 const Token = require('../models/Token');
-const { generateOtp } = require('../utils/otpUtils');
+const { createAndSaveToken, findValidToken, consumeToken } = require('../utils/tokenUtils');
 const { sendNotification } = require('../services/notificationService');
-
-// --- Helper Function to create and save token ---
-const createAndSaveToken = async (userId, type, otpExpiryMinutes) => {
-    // --- Best Practice: Handle Resend ---
-    // Invalidate previous tokens of the same type for this user
-    await Token.deleteMany({ userId, type });
-
-    const otp = generateOtp(6); // Generate a 6-digit OTP
-    const expiresAt = new Date(Date.now() + otpExpiryMinutes * 60 * 1000); // Set expiry
-
-    // IMPORTANT: The 'Token' model's pre-save hook handles hashing the 'otp' value automatically
-    const token = new Token({
-        userId,
-        token: otp, // Store the plain OTP here; it gets hashed before saving
-        type,
-        expiresAt,
-    });
-
-    await token.save();
-
-    return otp; // Return the plain OTP for sending
-};
+const { buildLockedResponse, getActiveLockout, recordFailedLogin, clearFailedLogins, unlockAccount } = require('../services/lockoutService');
+const { revokeSessions } = require('../services/sessionService');
+const { revokeAccessTokens } = require('../services/tokenVersionService');
+const { recordSecurityEvent } = require('../services/securityEventService');
+const { setPassword, isPasswordExpired } = require('../services/passwordPolicyService');
+const { buildSuspendedResponse, getActiveSuspension } = require('../services/suspensionService');
+const { issueLoginTokens } = require('../services/loginService');
+const { recordLoginAttempt } = require('../services/loginHistoryService');
+const { verifyChallengeToken } = require('../utils/challengeToken');
+const authPolicy = require('../config/authPolicy');
 
 // --- Request Password Reset ---
 const requestPasswordReset = async (req, res, next) => {
@@ -77,61 +65,440 @@ const resetPassword = async (req, res, next) => {
             return res.status(400).json({ message: 'Email, OTP, and new password are required' });
         }
 
-        const user = await User.findOne({ email });
+        const user = await User.findOne({ email }).select('+password_hash +passwordHistory');
         if (!user) {
             // Although unlikely if they got this far, handle it.
             return res.status(400).json({ message: 'Invalid request.' });
         }
 
-        // Find the most recent password reset token for the user
-        const resetToken = await Token.findOne({
-            userId: user._id,
-            type: 'passwordReset',
-            expiresAt: { $gt: Date.now() } // Check if token hasn't expired
-        }).sort({ createdAt: -1 }); // Get the latest one if multiple somehow exist (shouldn't due to deleteMany)
+        // Find the most recent password reset token for the user and verify the submitted OTP
+        const resetToken = await findValidToken(user._id, 'passwordReset', otp);
 
         if (!resetToken) {
             return res.status(400).json({ message: 'Invalid or expired OTP.' });
         }
 
-        // Verify the submitted OTP against the hashed token in the DB
-        const isValidOtp = await resetToken.compareToken(otp); // Use the instance method
-
-        if (!isValidOtp) {
-            return res.status(400).json({ message: 'Invalid or expired OTP.' });
-        }
-
-        // The User model's pre-save hook should handle hashing the new password
-        user.password_hash = newPassword;
+        // Rejects recently used passwords; accounts created through a provider can set a password this way.
+        // The User model's pre-save hook hashes the new password
+        await setPassword(user, newPassword);
         await user.save();
 
         // --- Best Practice: Invalidate the token immediately after use ---
         await Token.deleteOne({ _id: resetToken._id });
 
+        // Whoever knew the old password is signed out everywhere: every session and access token ends
+        await revokeAccessTokens(user._id);
+        const revokedSessions = await revokeSessions({ userId: user._id }, 'password_reset');
+
+        await recordSecurityEvent({
+            type: 'password_changed',
+            userId: user._id,
+            req,
+            details: { reason: 'reset', revokedSessions }
+        });
+
+        // Proving control of the email address lifts a brute-force lockout
+        await unlockAccount(user._id, { reason: 'password_reset', req });
+
         // --- Optional: Send confirmation email ---
         try {
             await sendNotification({
                 method: 'email',
                 user: user,
                 subject: 'Your Password Has Been Reset',
-                text: 'Your password for our service has been successfully reset.',
+                text: 'Your password for our service has been successfully reset and all your devices were signed out.',
             });
         } catch (emailError) {
             console.error("Failed to send password reset confirmation email:", emailError);
             // Don't fail the whole request if confirmation email fails
         }
 
-        res.status(200).json({ message: 'Password reset successfully.' });
+        res.status(200).json({ message: 'Password reset successfully. All your devices have been signed out.' });
 
     } catch (error) {
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
         console.error("Error in resetPassword:", error);
         // Pass error to the central error handler
         next(error);
     }
 };
 
+/**
+ * Issues an email verification OTP for the user and sends it, together with a
+ * one-click verification link, through the notification service.
+ * @param {object} user - The user document (must have _id and email).
+ * @returns {Promise<boolean>} True if the notification was sent.
+ */
+const sendEmailVerification = async (user) => {
+    const { otpExpiryMinutes } = authPolicy.emailVerification;
+    const plainOtp = await createAndSaveToken(user._id, 'emailVerification', otpExpiryMinutes);
+
+    const params = new URLSearchParams({ email: user.email, otp: plainOtp });
+    const verifyLink = `${authPolicy.clientUrl}/verify-email?${params.toString()}`;
+
+    return sendNotification({
+        method: 'email',
+        user: user,
+        subject: 'Verify your email address',
+        text: `Your email verification code is: ${plainOtp}\nOr open this link to verify your email: ${verifyLink}\nIt is valid for ${otpExpiryMinutes} minutes.`,
+        html: `<p>Your email verification code is: <b>${plainOtp}</b></p><p>Or <a href="${verifyLink}">click here to verify your email</a>.</p><p>It is valid for ${otpExpiryMinutes} minutes.</p>`
+    });
+};
+
+// --- Verify Email ---
+const verifyEmail = async (req, res, next) => {
+    try {
+        const { email, otp } = req.body;
+
+        if (!email || !otp) {
+            return res.status(400).json({ message: 'Email and OTP are required' });
+        }
+
+        const user = await User.findOne({ email });
+        if (!user) {
+            return res.status(400).json({ message: 'Invalid or expired OTP.' });
+        }
+
+        if (user.isEmailVerified) {
+            return res.status(200).json({ message: 'Email is already verified.' });
+        }
+
+        const verificationToken = await findValidToken(user._id, 'emailVerification', otp);
+
+        if (!verificationToken) {
+            return res.status(400).json({ message: 'Invalid or expired OTP.' });
+        }
+
+        user.isEmailVerified = true;
+        await user.save({ validateBeforeSave: false });
+
+        // Invalidate the token immediately after use
+        await Token.deleteMany({ userId: user._id, type: 'emailVerification' });
+
+        res.status(200).json({ message: 'Email verified successfully.' });
+
+    } catch (error) {
+        console.error("Error in verifyEmail:", error);
+        next(error);
+    }
+};
+
+// --- Resend Email Verification ---
+const resendEmailVerification = async (req, res, next) => {
+    try {
+        const { email } = req.body;
+        if (!email) {
+            return res.status(400).json({ message: 'Email is required' });
+        }
+
+        const genericMessage = 'If an unverified account with that email exists, a new verification code has been sent.';
+
+        const user = await User.findOne({ email });
+        if (!user || user.isEmailVerified) {
+            // Don't reveal if the email exists or is already verified.
+            return res.status(200).json({ message: genericMessage });
+        }
+
+        await sendEmailVerification(user);
+
+        res.status(200).json({ message: genericMessage });
+
+    } catch (error) {
+        console.error("Error in resendEmailVerification:", error);
+        next(error);
+    }
+};
+
+/**
+ * Checks the current password of a signed-in user before a sensitive change.
+ * Wrong guesses count towards the account lockout, like failed logins.
+ * @param {object} user - The user document (password_hash and lockout loaded).
+ * @param {string} currentPassword - The password the user entered.
+ * @param {object} req - Express request object.
+ * @returns {Promise<{status: number, body: object}|null>} The error response, or null if the password is correct.
+ */
+const checkCurrentPassword = async (user, currentPassword, req) => {
+    const lockedUntil = await getActiveLockout(user);
+    if (lockedUntil) {
+        return { status: 423, body: buildLockedResponse(lockedUntil) };
+    }
+
+    if (!(await user.isPasswordCorrect(currentPassword))) {
+        const failure = await recordFailedLogin(user, req);
+        if (failure.locked) {
+            return { status: 423, body: buildLockedResponse(failure.lockedUntil) };
+        }
+        return { status: 401, body: { message: 'Current password is incorrect.' } };
+    }
+
+    return null;
+};
+
+// --- Change Password (signed in) ---
+const changePassword = async (req, res, next) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        const user = await User.findById(req.user._id).select('+password_hash +passwordHistory');
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        if (!user.hasPassword) {
+            // Accounts created through an external login have no password the user knows
+            return res.status(400).json({ message: 'Your account has no password yet. Use password reset to set one.' });
+        }
+
+        const passwordError = await checkCurrentPassword(user, currentPassword, req);
+        if (passwordError) {
+            return res.status(passwordError.status).json(passwordError.body);
+        }
+
+        if (currentPassword === newPassword) {
+            return res.status(400).json({ message: 'The new password must be different from the current password.' });
+        }
+
+        // Rejects recently used passwords; the User model's pre-save hook hashes the new one
+        await setPassword(user, newPassword);
+        await user.save();
+
+        // Sign out every other device: whoever knew the old password loses access. Their access
+        // tokens stop working too, as authenticate rejects tokens of revoked sessions.
+        const revokedSessions = await revokeSessions(
+            { userId: user._id, _id: { $ne: req.user.sid } },
+            'password_changed'
+        );
+
+        await recordSecurityEvent({
+            type: 'password_changed',
+            userId: user._id,
+            req,
+            details: { revokedSessions }
+        });
+
+        await sendNotification({
+            method: 'email',
+            user: user,
+            subject: 'Your password was changed',
+            text: 'The password for your account was just changed and your other devices were signed out. If this wasn\'t you, reset your password immediately.',
+            html: '<p>The password for your account was just changed and your other devices were signed out.</p><p>If this wasn\'t you, reset your password immediately.</p>'
+        });
+
+        res.status(200).json({ message: 'Password changed successfully. Your other sessions have been signed out.', revokedSessions });
+
+    } catch (error) {
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error("Error in changePassword:", error);
+        next(error);
+    }
+};
+
+// --- Change Expired Password (login) ---
+// A login whose password is older than authPolicy.password.maxAgeDays returns `passwordChangeRequired`
+// and a password-change token; the new password completes the login.
+const changeExpiredPassword = async (req, res, next) => {
+    try {
+        const { passwordToken, newPassword } = req.body;
+
+        const challenge = verifyChallengeToken(passwordToken, 'password-change');
+        if (!challenge) {
+            return res.status(401).json({ message: 'Password change session expired. Please log in again.' });
+        }
+
+        const user = await User.findById(challenge._id).select('+password_hash +passwordHistory').populate('planId');
+        // The token is only good until the password has been replaced
+        if (!user || !isPasswordExpired(user)) {
+            return res.status(401).json({ message: 'Password change session expired. Please log in again.' });
+        }
+
+        const mfa = Boolean(challenge.mfa);
+
+        // The account may have been suspended since the password step
+        const suspension = await getActiveSuspension(user);
+        if (suspension) {
+            await recordLoginAttempt({ user, method: 'password', mfa, success: false, failureReason: 'account_suspended', req });
+            return res.status(403).json(buildSuspendedResponse(suspension));
+        }
+
+        // Rejects recently used passwords; the User model's pre-save hook hashes the new one
+        await setPassword(user, newPassword);
+        await user.save();
+
+        // Devices still signed in with the old password are signed out, as after any password change
+        const revokedSessions = await revokeSessions({ userId: user._id }, 'password_changed');
+
+        await recordSecurityEvent({
+            type: 'password_changed',
+            userId: user._id,
+            req,
+            details: { reason: 'expired', revokedSessions }
+        });
+
+        await clearFailedLogins(user);
+
+        const loginPayload = await issueLoginTokens(user, req, { method: 'password', mfa });
+
+        res.status(200).json({
+            message: 'Password changed. Login successful.',
+            ...loginPayload
+        });
+
+    } catch (error) {
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error("Error in changeExpiredPassword:", error);
+        next(error);
+    }
+};
+
+// --- Request Email Change (signed in) ---
+const requestEmailChange = async (req, res, next) => {
+    try {
+        const { newEmail, currentPassword, currentEmailCode } = req.body;
+
+        const user = await User.findById(req.user._id).select('+password_hash');
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        if (newEmail === user.email) {
+            return res.status(400).json({ message: 'This is already your email address.' });
+        }
+
+        if (await User.exists({ email: newEmail })) {
+            return res.status(409).json({ message: 'Email is already registered to another user.' });
+        }
+
+        // Re-authenticate: a stolen access token alone must not be enough to take over the account
+        if (user.hasPassword) {
+            if (!currentPassword) {
+                return res.status(400).json({ message: 'Current password is required.' });
+            }
+            const passwordError = await checkCurrentPassword(user, currentPassword, req);
+            if (passwordError) {
+                return res.status(passwordError.status).json(passwordError.body);
+            }
+        } else if (!currentEmailCode) {
+            // No password (external login or passkey only): prove control of the current address instead
+            const { otpExpiryMinutes } = authPolicy.emailVerification;
+            const plainOtp = await createAndSaveToken(user._id, 'emailChangeAuth', otpExpiryMinutes);
+
+            const sent = await sendNotification({
+                method: 'email',
+                user: user,
+                subject: 'Confirm it is you',
+                text: `Someone asked to change the email address of your account to ${newEmail}. If it was you, enter this code: ${plainOtp}\nIt is valid for ${otpExpiryMinutes} minutes. If it wasn't you, ignore this email and secure your account.`,
+                html: `<p>Someone asked to change the email address of your account to <b>${newEmail}</b>. If it was you, enter this code: <b>${plainOtp}</b></p><p>It is valid for ${otpExpiryMinutes} minutes. If it wasn't you, ignore this email and secure your account.</p>`
+            });
+            if (!sent) {
+                return res.status(502).json({ message: 'Could not send the confirmation code. Please try again.' });
+            }
+
+            return res.status(200).json({
+                message: `A code has been sent to your current address, ${user.email}. Enter it to continue.`,
+                currentEmailCodeRequired: true
+            });
+        } else if (!(await consumeToken(user._id, 'emailChangeAuth', currentEmailCode))) {
+            // The code is consumed by any attempt, so it can't be guessed
+            return res.status(400).json({ message: 'Invalid or expired code. Please request a new one.' });
+        }
+
+        user.pendingEmail = newEmail;
+        await user.save({ validateBeforeSave: false });
+
+        // The OTP goes to the new address, proving the user controls it
+        const { otpExpiryMinutes } = authPolicy.emailVerification;
+        const plainOtp = await createAndSaveToken(user._id, 'emailChange', otpExpiryMinutes);
+
+        const sent = await sendNotification({
+            method: 'email',
+            user: { email: newEmail },
+            subject: 'Confirm your new email address',
+            text: `Your email change confirmation code is: ${plainOtp}\nIt is valid for ${otpExpiryMinutes} minutes.`,
+            html: `<p>Your email change confirmation code is: <b>${plainOtp}</b></p><p>It is valid for ${otpExpiryMinutes} minutes.</p>`
+        });
+
+        if (!sent) {
+            return res.status(502).json({ message: 'Could not send the confirmation code. Please try again.' });
+        }
+
+        res.status(200).json({ message: `A confirmation code has been sent to ${newEmail}.` });
+
+    } catch (error) {
+        console.error("Error in requestEmailChange:", error);
+        next(error);
+    }
+};
+
+// --- Confirm Email Change (signed in) ---
+const confirmEmailChange = async (req, res, next) => {
+    try {
+        const { otp } = req.body;
+
+        const user = await User.findById(req.user._id);
+        if (!user || !user.pendingEmail) {
+            return res.status(400).json({ message: 'No email change is pending.' });
+        }
+
+        const changeToken = await findValidToken(user._id, 'emailChange', otp);
+        if (!changeToken) {
+            return res.status(400).json({ message: 'Invalid or expired OTP.' });
+        }
+
+        // The address may have been registered since the change was requested
+        if (await User.exists({ email: user.pendingEmail, _id: { $ne: user._id } })) {
+            return res.status(409).json({ message: 'Email is already registered to another user.' });
+        }
+
+        const oldEmail = user.email;
+        user.email = user.pendingEmail;
+        user.pendingEmail = undefined;
+        user.isEmailVerified = true; // The OTP proved control of the new address
+        await user.save({ validateBeforeSave: false });
+
+        await Token.deleteMany({ userId: user._id, type: 'emailChange' });
+
+        await recordSecurityEvent({
+            type: 'email_changed',
+            userId: user._id,
+            req,
+            details: { oldEmail, newEmail: user.email }
+        });
+
+        // Tell the old address, so a hijacked account doesn't go unnoticed
+        await sendNotification({
+            method: 'email',
+            user: { email: oldEmail },
+            subject: 'Your email address was changed',
+            text: `The email address of your account was changed to ${user.email}. If this wasn't you, contact support immediately.`,
+            html: `<p>The email address of your account was changed to <b>${user.email}</b>.</p><p>If this wasn't you, contact support immediately.</p>`
+        });
+
+        res.status(200).json({ message: 'Email changed successfully.', email: user.email });
+
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ message: 'Email is already registered to another user.' });
+        }
+        console.error("Error in confirmEmailChange:", error);
+        next(error);
+    }
+};
 
 module.exports = {
     requestPasswordReset,
-    resetPassword
+    resetPassword,
+    sendEmailVerification,
+    verifyEmail,
+    resendEmailVerification,
+    changePassword,
+    changeExpiredPassword,
+    requestEmailChange,
+    confirmEmailChange,
+    checkCurrentPassword,
 };
\ No newline at end of file
@@ -0,0 +1,158 @@
+const { isValidObjectId } = require('mongoose');
+const Invitation = require('../models/Invitation');
+const authPolicy = require('../config/authPolicy');
+const {
+    describeInvitation,
+    createInvitation: createInvitationRecord,
+    findPendingInvitation,
+    revokeInvitation: revokeInvitationRecord,
+} = require('../services/invitationService');
+
+const INVITATION_STATUSES = ['pending', 'accepted', 'revoked', 'expired'];
+
+/**
+ * Builds the Mongo filter for an invitation status.
+ * @param {string} status - One of INVITATION_STATUSES.
+ * @returns {object}
+ */
+const statusFilter = (status) => {
+    const now = new Date();
+    switch (status) {
+        case 'accepted':
+            return { acceptedAt: { $ne: null } };
+        case 'revoked':
+            return { acceptedAt: null, revokedAt: { $ne: null } };
+        case 'expired':
+            return { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } };
+        default:
+            return { acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } };
+    }
+};
+
+// --- Admin ---
+
+/**
+ * @desc   Invite someone to register: emails a single-use link
+ * @route  POST /api/auth/invitations
+ * @access Private (Admin only)
+ * @body   { email, role?, planId? }
+ */
+const createInvitation = async (req, res) => {
+    const { email, role, planId } = req.body;
+
+    try {
+        const { invitation, emailSent } = await createInvitationRecord({
+            email,
+            role,
+            planId,
+            invitedBy: req.user._id
+        });
+
+        res.status(201).json({
+            message: emailSent
+                ? `Invitation sent to ${invitation.email}.`
+                : 'Invitation created, but the email could not be sent. Try again to send a new link.',
+            invitation,
+            emailSent
+        });
+    } catch (error) {
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error('Error creating invitation:', error);
+        res.status(500).json({ message: 'Error creating invitation.', error: error.message });
+    }
+};
+
+/**
+ * @desc   List invitations, newest first
+ * @route  GET /api/auth/invitations?status=<pending|accepted|revoked|expired>
+ * @access Private (Admin only)
+ * @query  status (optional): only invitations in this state
+ */
+const listInvitations = async (req, res) => {
+    const { status } = req.query;
+
+    if (status !== undefined && !INVITATION_STATUSES.includes(status)) {
+        return res.status(400).json({
+            message: `Invalid status value. Allowed values are: ${INVITATION_STATUSES.join(', ')}`
+        });
+    }
+
+    try {
+        const invitations = await Invitation.find(status ? statusFilter(status) : {})
+            .sort({ createdAt: -1 })
+            .limit(200)
+            .populate('planId', 'name slug')
+            .populate('invitedBy', 'username email')
+            .populate('acceptedBy', 'username email');
+
+        res.status(200).json({
+            message: 'Invitations fetched successfully.',
+            registrationMode: authPolicy.registration.mode,
+            invitations: invitations.map(describeInvitation)
+        });
+    } catch (error) {
+        console.error('Error listing invitations:', error);
+        res.status(500).json({ message: 'Error fetching invitations.', error: error.message });
+    }
+};
+
+/**
+ * @desc   Revoke a pending invitation; its link stops working
+ * @route  DELETE /api/auth/invitations/:invitationId
+ * @access Private (Admin only)
+ */
+const revokeInvitation = async (req, res) => {
+    const { invitationId } = req.params;
+
+    if (!isValidObjectId(invitationId)) {
+        return res.status(400).json({ message: 'Invalid invitation ID format.' });
+    }
+
+    try {
+        const invitation = await revokeInvitationRecord(invitationId);
+
+        res.status(200).json({ message: 'Invitation revoked.', invitation });
+    } catch (error) {
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error('Error revoking invitation:', error);
+        res.status(500).json({ message: 'Error revoking invitation.', error: error.message });
+    }
+};
+
+// --- Public ---
+
+/**
+ * @description Looks up an invitation link, so the registration form can show the invited email.
+ * @route GET /api/users/invitations/:token
+ * @access Public (the token is the secret)
+ */
+const getInvitation = async (req, res) => {
+    try {
+        const invitation = await findPendingInvitation(req.params.token);
+        if (!invitation) {
+            return res.status(404).json({
+                message: 'This invitation is invalid, has expired or was already used.',
+                code: 'INVALID_INVITATION'
+            });
+        }
+
+        res.status(200).json({
+            email: invitation.email,
+            expiresAt: invitation.expiresAt
+        });
+    } catch (error) {
+        console.error('Error looking up invitation:', error);
+        res.status(500).json({ message: 'Error looking up invitation.', error: error.message });
+    }
+};
+
+module.exports = {
+    createInvitation,
+    listInvitations,
+    revokeInvitation,
+    getInvitation,
+};
@@ -0,0 +1,408 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const authPolicy = require('../config/authPolicy');
+const { generateTotpSecret, verifyTotp, buildOtpauthUri } = require('../utils/totp');
+const { signChallengeToken, verifyChallengeToken } = require('../utils/challengeToken');
+const { createAndSaveToken, consumeToken } = require('../utils/tokenUtils');
+const { getPasswordChangeChallenge, issueLoginTokens } = require('../services/loginService');
+const { recordLoginAttempt } = require('../services/loginHistoryService');
+const { buildLockedResponse, getActiveLockout, recordFailedLogin, clearFailedLogins } = require('../services/lockoutService');
+const { buildSuspendedResponse, getActiveSuspension } = require('../services/suspensionService');
+
+// Lifetime of the single-use code behind an 'mfa-verified' token (the token itself expires
+// after CHALLENGE_TOKEN_EXPIRY)
+const MFA_VERIFIED_LOGIN_MINUTES = 15;
+
+const MFA_SECRET_FIELDS = '+mfa.secret +mfa.pendingSecret +mfa.recoveryCodes +mfa.lastUsedStep';
+
+// --- Helper Functions ---
+
+/**
+ * Normalizes a recovery code so users can type it with or without dashes, in any case.
+ * @param {string} code - The recovery code as entered.
+ * @returns {string} The normalized code.
+ */
+const normalizeRecoveryCode = (code) => String(code || '').replace(/[\s-]/g, '').toLowerCase();
+
+/**
+ * Generates a fresh set of one-time recovery codes.
+ * @returns {Promise<{codes: string[], hashes: string[]}>} Plain codes (shown once) and their bcrypt hashes (stored).
+ */
+const generateRecoveryCodes = async () => {
+    const codes = Array.from({ length: authPolicy.mfa.recoveryCodeCount }, () => {
+        const raw = crypto.randomBytes(5).toString('hex'); // 10 hex characters
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    const hashes = await Promise.all(codes.map(code => bcrypt.hash(normalizeRecoveryCode(code), 10)));
+    return { codes, hashes };
+};
+
+/**
+ * Checks a TOTP code or a recovery code against the user's confirmed enrollment.
+ * On success the user instance is updated (replay step recorded / recovery code consumed)
+ * but not saved.
+ * @param {object} user - User document selected with MFA_SECRET_FIELDS.
+ * @param {object} factor
+ * @param {string} [factor.code] - 6-digit TOTP code.
+ * @param {string} [factor.recoveryCode] - One-time recovery code.
+ * @returns {Promise<boolean>} True if the factor is valid.
+ */
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+    if (!user.mfa || !user.mfa.enabled || !user.mfa.secret) {
+        return false;
+    }
+
+    if (code) {
+        const matchedStep = verifyTotp(user.mfa.secret, code);
+        // Reject codes from a time step that was already used (replay protection)
+        if (matchedStep === null || (user.mfa.lastUsedStep && matchedStep <= user.mfa.lastUsedStep)) {
+            return false;
+        }
+        user.mfa.lastUsedStep = matchedStep;
+        return true;
+    }
+
+    if (recoveryCode) {
+        const normalized = normalizeRecoveryCode(recoveryCode);
+        const hashes = user.mfa.recoveryCodes || [];
+        for (let i = 0; i < hashes.length; i++) {
+            if (await bcrypt.compare(normalized, hashes[i])) {
+                // Recovery codes are single use
+                user.mfa.recoveryCodes = hashes.filter((_, index) => index !== i);
+                return true;
+            }
+        }
+    }
+
+    return false;
+};
+
+/**
+ * Generates a pending TOTP secret for the user and saves it.
+ * @param {object} user - User document selected with MFA_SECRET_FIELDS.
+ * @returns {Promise<{secret: string, otpauthUri: string}>} Enrollment details for the authenticator app.
+ */
+const startEnrollment = async (user) => {
+    const secret = generateTotpSecret();
+    user.mfa.pendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    return {
+        secret,
+        otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: authPolicy.mfa.issuer })
+    };
+};
+
+/**
+ * Confirms a pending enrollment with the first code from the authenticator app.
+ * @param {object} user - User document selected with MFA_SECRET_FIELDS.
+ * @param {string} code - The 6-digit TOTP code.
+ * @returns {Promise<string[]|null>} The plain recovery codes, or null if the code is invalid.
+ */
+const confirmEnrollment = async (user, code) => {
+    if (!user.mfa.pendingSecret) {
+        return null;
+    }
+
+    const matchedStep = verifyTotp(user.mfa.pendingSecret, code);
+    if (matchedStep === null) {
+        return null;
+    }
+
+    const { codes, hashes } = await generateRecoveryCodes();
+
+    user.mfa.enabled = true;
+    user.mfa.secret = user.mfa.pendingSecret;
+    user.mfa.pendingSecret = undefined;
+    user.mfa.lastUsedStep = matchedStep;
+    user.mfa.recoveryCodes = hashes;
+    user.mfa.enabledAt = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    return codes;
+};
+
+// --- Authenticated Enrollment Management ---
+
+/**
+ * @description Starts TOTP enrollment for the logged-in user.
+ * @route POST /api/users/mfa/setup
+ * @access Private
+ */
+const setupMfa = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select(MFA_SECRET_FIELDS);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+        if (user.mfa.enabled) {
+            return res.status(409).json({ message: 'Two-factor authentication is already enabled.' });
+        }
+
+        const enrollment = await startEnrollment(user);
+
+        res.status(200).json({
+            message: 'Scan the QR code or enter the secret in your authenticator app, then confirm with a code.',
+            ...enrollment
+        });
+    } catch (error) {
+        console.error('Error starting MFA setup:', error);
+        res.status(500).json({ message: 'Error starting two-factor authentication setup.', error: error.message });
+    }
+};
+
+/**
+ * @description Confirms TOTP enrollment and returns one-time recovery codes.
+ * @route POST /api/users/mfa/confirm
+ * @access Private
+ */
+const confirmMfa = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select(MFA_SECRET_FIELDS);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+        if (user.mfa.enabled) {
+            return res.status(409).json({ message: 'Two-factor authentication is already enabled.' });
+        }
+
+        const recoveryCodes = await confirmEnrollment(user, req.body.code);
+        if (!recoveryCodes) {
+            return res.status(400).json({ message: 'Invalid code or no setup in progress.' });
+        }
+
+        res.status(200).json({
+            message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.',
+            recoveryCodes
+        });
+    } catch (error) {
+        console.error('Error confirming MFA setup:', error);
+        res.status(500).json({ message: 'Error confirming two-factor authentication.', error: error.message });
+    }
+};
+
+/**
+ * @description Disables two-factor authentication after re-checking the password and a second factor.
+ * @route POST /api/users/mfa/disable
+ * @access Private
+ */
+const disableMfa = async (req, res) => {
+    try {
+        const { password, code, recoveryCode } = req.body;
+
+        const user = await User.findById(req.user._id).select(`+password_hash ${MFA_SECRET_FIELDS}`);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+        if (!user.mfa.enabled) {
+            return res.status(400).json({ message: 'Two-factor authentication is not enabled.' });
+        }
+        if (authPolicy.mfa.requiredRoles.includes(user.role)) {
+            return res.status(403).json({ message: 'Two-factor authentication is mandatory for your role.' });
+        }
+
+        const isMatch = await user.isPasswordCorrect(password);
+        if (!isMatch || !(await verifySecondFactor(user, { code, recoveryCode }))) {
+            return res.status(401).json({ message: 'Invalid password or code.' });
+        }
+
+        user.mfa = { enabled: false };
+        await user.save({ validateBeforeSave: false });
+
+        res.status(200).json({ message: 'Two-factor authentication disabled.' });
+    } catch (error) {
+        console.error('Error disabling MFA:', error);
+        res.status(500).json({ message: 'Error disabling two-factor authentication.', error: error.message });
+    }
+};
+
+/**
+ * @description Replaces all recovery codes with a new set.
+ * @route POST /api/users/mfa/recovery-codes
+ * @access Private
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select(MFA_SECRET_FIELDS);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+        if (!(await verifySecondFactor(user, { code: req.body.code }))) {
+            return res.status(401).json({ message: 'Invalid code.' });
+        }
+
+        const { codes, hashes } = await generateRecoveryCodes();
+        user.mfa.recoveryCodes = hashes;
+        await user.save({ validateBeforeSave: false });
+
+        res.status(200).json({
+            message: 'New recovery codes generated. Previous codes no longer work.',
+            recoveryCodes: codes
+        });
+    } catch (error) {
+        console.error('Error regenerating recovery codes:', error);
+        res.status(500).json({ message: 'Error regenerating recovery codes.', error: error.message });
+    }
+};
+
+// --- Login Second Step ---
+
+/**
+ * @description Completes a login that returned `mfaRequired` by checking a TOTP or recovery code.
+ * A token with purpose 'mfa-verified' (issued right after enrollment) completes the login without
+ * a code, once: it carries a single-use code that is consumed here.
+ * @route POST /api/users/login/mfa
+ * @access Public (requires a valid mfa pending token)
+ */
+const verifyMfaLogin = async (req, res) => {
+    try {
+        const { mfaToken, code, recoveryCode } = req.body;
+
+        const challenge = verifyChallengeToken(mfaToken, ['mfa', 'mfa-verified']);
+        if (!challenge) {
+            return res.status(401).json({ message: 'Two-factor session expired. Please log in again.' });
+        }
+
+        const user = await User.findById(challenge._id).select(MFA_SECRET_FIELDS).populate('planId');
+        if (!user || !user.mfa.enabled) {
+            return res.status(401).json({ message: 'Two-factor session expired. Please log in again.' });
+        }
+
+        // First factor the login started with (tokens issued before this field existed: password)
+        const method = challenge.method || 'password';
+
+        // Second-factor guesses count towards the same lockout as password guesses
+        const lockedUntil = await getActiveLockout(user);
+        if (lockedUntil) {
+            await recordLoginAttempt({ user, method, mfa: true, success: false, failureReason: 'account_locked', req });
+            return res.status(423).json(buildLockedResponse(lockedUntil));
+        }
+
+        if (challenge.purpose === 'mfa') {
+            if (!code && !recoveryCode) {
+                return res.status(400).json({ message: 'Please provide a code or a recovery code.' });
+            }
+            if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+                await recordLoginAttempt({ user, method, mfa: true, success: false, failureReason: 'invalid_mfa_code', req });
+                const failure = await recordFailedLogin(user, req);
+                if (failure.locked) {
+                    return res.status(423).json(buildLockedResponse(failure.lockedUntil));
+                }
+                return res.status(401).json({ message: 'Invalid two-factor code.' });
+            }
+            // Stores the used time step / recovery code now: the login may still stop below
+            // (suspension, expired password) and the factor must not work a second time
+            await user.save({ validateBeforeSave: false });
+        } else if (!challenge.loginCode || !(await consumeToken(user._id, 'mfaVerifiedLogin', challenge.loginCode))) {
+            // Already used (or replaced by a later enrollment): the token can't mint another session
+            return res.status(401).json({ message: 'Two-factor session expired. Please log in again.' });
+        }
+
+        // The account may have been suspended since the password step
+        const suspension = await getActiveSuspension(user);
+        if (suspension) {
+            await recordLoginAttempt({ user, method, mfa: true, success: false, failureReason: 'account_suspended', req });
+            return res.status(403).json(buildSuspendedResponse(suspension));
+        }
+
+        // A password login with an expired password continues with /api/users/login/password-change
+        if (method === 'password') {
+            const passwordChangeChallenge = getPasswordChangeChallenge(user, { mfa: true });
+            if (passwordChangeChallenge) {
+                return res.status(200).json(passwordChangeChallenge);
+            }
+        }
+
+        await clearFailedLogins(user);
+
+        const loginPayload = await issueLoginTokens(user, req, { method, mfa: true });
+
+        res.status(200).json({
+            message: 'Login successful.',
+            ...loginPayload,
+            // Warn the user when they are running out of recovery codes
+            recoveryCodesRemaining: user.mfa.recoveryCodes ? user.mfa.recoveryCodes.length : 0
+        });
+    } catch (error) {
+        console.error('Error verifying MFA login:', error);
+        res.status(500).json({ message: 'Error verifying two-factor authentication.', error: error.message });
+    }
+};
+
+/**
+ * @description Starts mandatory TOTP enrollment for a user whose login returned `mfaSetupRequired`.
+ * @route POST /api/users/login/mfa/setup
+ * @access Public (requires a valid mfa setup token)
+ */
+const setupMfaDuringLogin = async (req, res) => {
+    try {
+        const challenge = verifyChallengeToken(req.body.mfaToken, 'mfa-setup');
+        if (!challenge) {
+            return res.status(401).json({ message: 'Setup session expired. Please log in again.' });
+        }
+
+        const user = await User.findById(challenge._id).select(MFA_SECRET_FIELDS);
+        if (!user || user.mfa.enabled) {
+            return res.status(409).json({ message: 'Two-factor authentication is already enabled. Please log in again.' });
+        }
+
+        const enrollment = await startEnrollment(user);
+
+        res.status(200).json({
+            message: 'Scan the QR code or enter the secret in your authenticator app, then confirm with a code.',
+            ...enrollment
+        });
+    } catch (error) {
+        console.error('Error starting MFA setup during login:', error);
+        res.status(500).json({ message: 'Error starting two-factor authentication setup.', error: error.message });
+    }
+};
+
+/**
+ * @description Confirms mandatory enrollment during login. Returns the recovery codes and an
+ * 'mfa-verified' token that completes the login through /api/users/login/mfa, once.
+ * @route POST /api/users/login/mfa/confirm
+ * @access Public (requires a valid mfa setup token)
+ */
+const confirmMfaDuringLogin = async (req, res) => {
+    try {
+        const { mfaToken, code } = req.body;
+
+        const challenge = verifyChallengeToken(mfaToken, 'mfa-setup');
+        if (!challenge) {
+            return res.status(401).json({ message: 'Setup session expired. Please log in again.' });
+        }
+
+        const user = await User.findById(challenge._id).select(MFA_SECRET_FIELDS);
+        if (!user || user.mfa.enabled) {
+            return res.status(409).json({ message: 'Two-factor authentication is already enabled. Please log in again.' });
+        }
+
+        const recoveryCodes = await confirmEnrollment(user, code);
+        if (!recoveryCodes) {
+            return res.status(400).json({ message: 'Invalid code or no setup in progress.' });
+        }
+
+        const loginCode = await createAndSaveToken(user._id, 'mfaVerifiedLogin', MFA_VERIFIED_LOGIN_MINUTES);
+
+        res.status(200).json({
+            message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.',
+            recoveryCodes,
+            mfaToken: signChallengeToken(user, 'mfa-verified', { method: challenge.method, loginCode })
+        });
+    } catch (error) {
+        console.error('Error confirming MFA setup during login:', error);
+        res.status(500).json({ message: 'Error confirming two-factor authentication.', error: error.message });
+    }
+};
+
+module.exports = {
+    setupMfa,
+    confirmMfa,
+    disableMfa,
+    regenerateRecoveryCodes,
+    verifyMfaLogin,
+    setupMfaDuringLogin,
+    confirmMfaDuringLogin,
+};
@@ -0,0 +1,380 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const authPolicy = require('../config/authPolicy');
+const { getEnabledProviders } = require('../config/oauthProviders');
+const { createAuthorizationRequest, completeAuthorization } = require('../services/oauthService');
+const { getMfaChallenge, issueLoginTokens } = require('../services/loginService');
+const { recordLoginAttempt } = require('../services/loginHistoryService');
+const { buildSuspendedResponse, getActiveSuspension } = require('../services/suspensionService');
+const { recordSecurityEvent } = require('../services/securityEventService');
+const { sendNotification } = require('../services/notificationService');
+const { sendEmailVerification } = require('./authController');
+
+/**
+ * Sends the error of a failed OAuth step. Service errors (AppError) carry their own status code.
+ * @param {object} res - Express response object.
+ * @param {Error} error - The caught error.
+ * @param {string} fallbackMessage - Message for unexpected errors.
+ */
+const sendOAuthError = (res, error, fallbackMessage) => {
+    if (error.isOperational) {
+        return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error(fallbackMessage, error);
+    return res.status(500).json({ message: fallbackMessage, error: error.message });
+};
+
+/**
+ * Finds the user an external account is linked to.
+ * @param {string} provider - Provider key.
+ * @param {string} providerId - The user's ID at the provider.
+ * @returns {Promise<object|null>} The user (planId populated) or null.
+ */
+const findUserByLinkedAccount = (provider, providerId) =>
+    User.findOne({ linkedAccounts: { $elemMatch: { provider, providerId } } }).populate('planId');
+
+/**
+ * Lists a user's linked accounts without internal fields.
+ * @param {object} user - The user document.
+ * @returns {Array<object>}
+ */
+const describeLinkedAccounts = (user) =>
+    (user.linkedAccounts || []).map(({ provider, email, linkedAt }) => ({ provider, email, linkedAt }));
+
+/**
+ * Picks a free, alphanumeric username for an account created through a provider.
+ * @param {object} profile - Normalized provider profile.
+ * @returns {Promise<string>}
+ */
+const generateUsername = async (profile) => {
+    let base = (profile.email || '').split('@')[0].replace(/[^a-zA-Z0-9]/g, '').slice(0, 20);
+    if (base.length < 3) {
+        base = 'user';
+    }
+
+    const candidates = [base, ...Array.from({ length: 5 }, () => `${base}${crypto.randomInt(1000, 10000)}`)];
+    for (const candidate of candidates) {
+        if (!(await User.exists({ username: candidate }))) {
+            return candidate;
+        }
+    }
+    return `${base}${crypto.randomBytes(4).toString('hex')}`;
+};
+
+/**
+ * Tells the user that an external login was added to or removed from their account.
+ * @param {object} user - The user document.
+ * @param {string} provider - Provider key.
+ * @param {boolean} linked - True when linked, false when unlinked.
+ * @returns {Promise<void>}
+ */
+const notifyLinkChange = async (user, provider, linked) => {
+    const action = linked ? 'linked to' : 'removed from';
+    await sendNotification({
+        method: 'email',
+        user: user,
+        subject: `Your ${provider} login was ${action} your account`,
+        text: `Your ${provider} login was ${action} your account. If this wasn't you, change your password and review your connected accounts.`,
+        html: `<p>Your <b>${provider}</b> login was ${action} your account.</p><p>If this wasn't you, change your password and review your connected accounts.</p>`
+    });
+};
+
+/**
+ * Adds an external account to a user, saves it and records the event.
+ * @param {object} user - The user document.
+ * @param {string} provider - Provider key.
+ * @param {object} profile - Normalized provider profile.
+ * @param {object} req - Express request object.
+ * @returns {Promise<void>}
+ */
+const linkAccount = async (user, provider, profile, req) => {
+    user.linkedAccounts.push({ provider, providerId: profile.providerId, email: profile.email });
+    await user.save({ validateBeforeSave: false });
+
+    await recordSecurityEvent({
+        type: 'oauth_account_linked',
+        userId: user._id,
+        req,
+        details: { provider, providerEmail: profile.email }
+    });
+    await notifyLinkChange(user, provider, true);
+};
+
+/**
+ * @description Lists the external login providers enabled on this server.
+ * @route GET /api/users/oauth/providers
+ * @access Public
+ */
+const listProviders = async (req, res) => {
+    res.status(200).json({ providers: getEnabledProviders() });
+};
+
+/**
+ * @description Starts a login with an external provider: returns the provider's
+ * authorization URL (authorization code + PKCE).
+ * @route GET /api/users/oauth/:provider/authorize?redirectUri=
+ * @access Public
+ */
+const getAuthorizationUrl = async (req, res) => {
+    try {
+        const result = await createAuthorizationRequest(req.params.provider, {
+            redirectUri: req.query.redirectUri,
+            mode: 'login'
+        });
+        res.status(200).json(result);
+    } catch (error) {
+        sendOAuthError(res, error, 'Error starting external login.');
+    }
+};
+
+/**
+ * @description Completes a login with an external provider. Signs in the user the external
+ * account is linked to; otherwise links it to the local account with the same email when
+ * both sides have verified that email, or creates a new account.
+ * Responds like /api/users/login (tokens, or an MFA challenge).
+ * @route POST /api/users/oauth/:provider/callback
+ * @access Public
+ */
+const oauthLogin = async (req, res) => {
+    const { provider } = req.params;
+
+    try {
+        const { profile } = await completeAuthorization(provider, {
+            code: req.body.code,
+            state: req.body.state,
+            mode: 'login'
+        });
+
+        let user = await findUserByLinkedAccount(provider, profile.providerId);
+
+        if (!user) {
+            if (!profile.email) {
+                return res.status(400).json({ message: `Your ${provider} account has no email address we can use.` });
+            }
+
+            const existingUser = await User.findOne({ email: profile.email }).populate('planId');
+
+            if (existingUser) {
+                // Linking on an unverified email on either side would let someone take over an account
+                // by registering (locally or at the provider) an address they don't own.
+                if (!profile.emailVerified || !existingUser.isEmailVerified) {
+                    return res.status(409).json({
+                        message: `An account with this email already exists. Log in with your password and connect ${provider} from your account settings.`,
+                        code: 'ACCOUNT_EXISTS'
+                    });
+                }
+                await linkAccount(existingUser, provider, profile, req);
+                user = existingUser;
+            } else {
+                // A first external login creates an account, so it follows the registration mode
+                if (authPolicy.registration.mode !== 'open') {
+                    return res.status(403).json({
+                        message: authPolicy.registration.mode === 'invite-only'
+                            ? 'Registration is by invitation only. Register with your invitation, then connect this provider from your account settings.'
+                            : 'Registration is closed.',
+                        code: 'REGISTRATION_CLOSED'
+                    });
+                }
+                user = new User({
+                    username: await generateUsername(profile),
+                    email: profile.email,
+                    // Random, never disclosed: the user can set a real one through password reset
+                    password_hash: crypto.randomBytes(32).toString('hex'),
+                    hasPassword: false,
+                    firstName: profile.firstName,
+                    lastName: profile.lastName,
+                    profilePictureUrl: profile.profilePictureUrl,
+                    isEmailVerified: profile.emailVerified,
+                    authProvider: provider,
+                    providerId: profile.providerId,
+                    linkedAccounts: [{ provider, providerId: profile.providerId, email: profile.email }]
+                });
+                await user.save();
+
+                if (!user.isEmailVerified) {
+                    await sendEmailVerification(user);
+                }
+            }
+        }
+
+        // Same policy checks as a password login
+        const suspension = await getActiveSuspension(user);
+        if (suspension) {
+            await recordLoginAttempt({ user, method: 'oauth', success: false, failureReason: 'account_suspended', req });
+            return res.status(403).json(buildSuspendedResponse(suspension));
+        }
+
+        if (authPolicy.emailVerification.requiredForLogin && !user.isEmailVerified) {
+            await recordLoginAttempt({ user, method: 'oauth', success: false, failureReason: 'email_not_verified', req });
+            return res.status(403).json({
+                message: 'Please verify your email address before logging in.',
+                code: 'EMAIL_NOT_VERIFIED'
+            });
+        }
+
+        const mfaChallenge = getMfaChallenge(user, 'oauth');
+        if (mfaChallenge) {
+            return res.status(200).json(mfaChallenge);
+        }
+
+        const loginPayload = await issueLoginTokens(user, req, { method: 'oauth' });
+
+        res.status(200).json({
+            message: 'Login successful.',
+            ...loginPayload
+        });
+    } catch (error) {
+        if (error.code === 11000) { // Same account created/linked by a concurrent request
+            return res.status(409).json({ message: 'An account for this login already exists. Please try again.' });
+        }
+        sendOAuthError(res, error, 'Error logging in with external provider.');
+    }
+};
+
+/**
+ * @description Lists the external logins linked to the logged-in user.
+ * @route GET /api/users/oauth/accounts
+ * @access Private
+ */
+const listLinkedAccounts = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select('linkedAccounts hasPassword');
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        res.status(200).json({
+            providers: getEnabledProviders(),
+            linkedAccounts: describeLinkedAccounts(user),
+            hasPassword: user.hasPassword
+        });
+    } catch (error) {
+        console.error('Error listing linked accounts:', error);
+        res.status(500).json({ message: 'Error fetching linked accounts.', error: error.message });
+    }
+};
+
+/**
+ * @description Starts linking an external login to the logged-in user: returns the
+ * provider's authorization URL, bound to this user.
+ * @route GET /api/users/oauth/:provider/link?redirectUri=
+ * @access Private
+ */
+const getLinkAuthorizationUrl = async (req, res) => {
+    try {
+        const result = await createAuthorizationRequest(req.params.provider, {
+            redirectUri: req.query.redirectUri,
+            mode: 'link',
+            userId: req.user._id
+        });
+        res.status(200).json(result);
+    } catch (error) {
+        sendOAuthError(res, error, 'Error starting account linking.');
+    }
+};
+
+/**
+ * @description Completes linking an external login to the logged-in user.
+ * @route POST /api/users/oauth/:provider/link
+ * @access Private
+ */
+const linkProvider = async (req, res) => {
+    const { provider } = req.params;
+
+    try {
+        const { profile, authorization } = await completeAuthorization(provider, {
+            code: req.body.code,
+            state: req.body.state,
+            mode: 'link'
+        });
+
+        // The link was started by this user, not by someone who tricked them into opening the callback
+        if (!authorization.userId || authorization.userId.toString() !== req.user._id.toString()) {
+            return res.status(403).json({ message: 'This link request belongs to another session.' });
+        }
+
+        const user = await User.findById(req.user._id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        const owner = await findUserByLinkedAccount(provider, profile.providerId);
+        if (owner && owner._id.toString() !== user._id.toString()) {
+            return res.status(409).json({ message: `This ${provider} account is already linked to another user.` });
+        }
+
+        if (!owner) {
+            if (user.linkedAccounts.some(account => account.provider === provider)) {
+                return res.status(409).json({ message: `Another ${provider} account is already linked. Unlink it first.` });
+            }
+            await linkAccount(user, provider, profile, req);
+        }
+
+        res.status(200).json({
+            message: `${provider} account linked successfully.`,
+            linkedAccounts: describeLinkedAccounts(user)
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ message: 'This external account is already linked to another user.' });
+        }
+        sendOAuthError(res, error, 'Error linking external account.');
+    }
+};
+
+/**
+ * @description Unlinks an external login from the logged-in user. Refused when it is the
+ * account's only way to sign in.
+ * @route DELETE /api/users/oauth/:provider
+ * @access Private
+ */
+const unlinkProvider = async (req, res) => {
+    const { provider } = req.params;
+
+    try {
+        const user = await User.findById(req.user._id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        const remaining = user.linkedAccounts.filter(account => account.provider !== provider);
+        if (remaining.length === user.linkedAccounts.length) {
+            return res.status(404).json({ message: `No ${provider} account is linked.` });
+        }
+
+        if (!user.hasPassword && remaining.length === 0) {
+            return res.status(400).json({
+                message: 'This is your only way to sign in. Set a password (via password reset) before unlinking it.'
+            });
+        }
+
+        user.linkedAccounts = remaining;
+        await user.save({ validateBeforeSave: false });
+
+        await recordSecurityEvent({
+            type: 'oauth_account_unlinked',
+            userId: user._id,
+            req,
+            details: { provider }
+        });
+        await notifyLinkChange(user, provider, false);
+
+        res.status(200).json({
+            message: `${provider} account unlinked successfully.`,
+            linkedAccounts: describeLinkedAccounts(user)
+        });
+    } catch (error) {
+        console.error('Error unlinking external account:', error);
+        res.status(500).json({ message: 'Error unlinking external account.', error: error.message });
+    }
+};
+
+module.exports = {
+    listProviders,
+    getAuthorizationUrl,
+    oauthLogin,
+    listLinkedAccounts,
+    getLinkAuthorizationUrl,
+    linkProvider,
+    unlinkProvider,
+};
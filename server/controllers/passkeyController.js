@@ -0,0 +1,204 @@
+const { isValidObjectId } = require('mongoose');
+const User = require('../models/User');
+const Passkey = require('../models/Passkey');
+const authPolicy = require('../config/authPolicy');
+const { issueLoginTokens } = require('../services/loginService');
+const { buildLockedResponse, getActiveLockout, clearFailedLogins } = require('../services/lockoutService');
+const { buildSuspendedResponse, getActiveSuspension } = require('../services/suspensionService');
+const { recordSecurityEvent } = require('../services/securityEventService');
+const { recordLoginAttempt } = require('../services/loginHistoryService');
+const {
+    describePasskey,
+    startRegistration,
+    finishRegistration,
+    startAuthentication,
+    finishAuthentication,
+} = require('../services/passkeyService');
+
+// --- Passkey Management ---
+
+/**
+ * @description Lists the logged-in user's passkeys.
+ * @route GET /api/users/passkeys
+ * @access Private
+ */
+const listPasskeys = async (req, res) => {
+    try {
+        const passkeys = await Passkey.find({ userId: req.user._id }).sort({ createdAt: -1 });
+
+        res.status(200).json({
+            message: 'Passkeys fetched successfully.',
+            passkeys: passkeys.map(describePasskey)
+        });
+    } catch (error) {
+        console.error('Error listing passkeys:', error);
+        res.status(500).json({ message: 'Error fetching passkeys.', error: error.message });
+    }
+};
+
+/**
+ * @description Starts registering a passkey: returns options for navigator.credentials.create().
+ * @route POST /api/users/passkeys/register/options
+ * @access Private
+ */
+const getRegistrationOptions = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        const { challengeId, options } = await startRegistration(user);
+
+        res.status(200).json({ challengeId, options });
+    } catch (error) {
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error('Error starting passkey registration:', error);
+        res.status(500).json({ message: 'Error starting passkey registration.', error: error.message });
+    }
+};
+
+/**
+ * @description Finishes registering a passkey with the authenticator's response.
+ * @route POST /api/users/passkeys/register
+ * @access Private
+ */
+const registerPasskey = async (req, res) => {
+    const { challengeId, response, name } = req.body;
+
+    try {
+        const user = await User.findById(req.user._id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        const passkey = await finishRegistration(user, { challengeId, response, name, req });
+
+        res.status(201).json({ message: 'Passkey added successfully.', passkey });
+    } catch (error) {
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error('Error registering passkey:', error);
+        res.status(500).json({ message: 'Error registering passkey.', error: error.message });
+    }
+};
+
+/**
+ * @description Removes one of the logged-in user's passkeys.
+ * @route DELETE /api/users/passkeys/:passkeyId
+ * @access Private
+ */
+const deletePasskey = async (req, res) => {
+    const { passkeyId } = req.params;
+
+    if (!isValidObjectId(passkeyId)) {
+        return res.status(400).json({ message: 'Invalid passkey ID format.' });
+    }
+
+    try {
+        // Scoped to the user so nobody can remove someone else's passkey
+        const passkey = await Passkey.findOneAndDelete({ _id: passkeyId, userId: req.user._id });
+        if (!passkey) {
+            return res.status(404).json({ message: 'Passkey not found.' });
+        }
+
+        await recordSecurityEvent({
+            type: 'passkey_removed',
+            userId: req.user._id,
+            req,
+            details: { passkeyId: passkey._id, name: passkey.name }
+        });
+
+        res.status(200).json({ message: 'Passkey removed successfully.' });
+    } catch (error) {
+        console.error('Error removing passkey:', error);
+        res.status(500).json({ message: 'Error removing passkey.', error: error.message });
+    }
+};
+
+// --- Passkey Login ---
+
+/**
+ * @description Starts a passkey login: returns options for navigator.credentials.get().
+ * Without an identifier the user picks one of their passkeys in the browser.
+ * @route POST /api/users/login/passkey/options
+ * @access Public
+ */
+const getLoginOptions = async (req, res) => {
+    try {
+        const { challengeId, options } = await startAuthentication({ identifier: req.body.identifier });
+
+        res.status(200).json({ challengeId, options });
+    } catch (error) {
+        console.error('Error starting passkey login:', error);
+        res.status(500).json({ message: 'Error starting passkey login.', error: error.message });
+    }
+};
+
+/**
+ * @description Logs in with a passkey assertion and issues the access/refresh token pair.
+ * A passkey with user verification (device PIN or biometrics) is already two factors,
+ * so no TOTP step follows.
+ * @route POST /api/users/login/passkey
+ * @access Public
+ */
+const loginWithPasskey = async (req, res) => {
+    const { challengeId, response } = req.body;
+
+    try {
+        const result = await finishAuthentication({ challengeId, response, req });
+        if (!result) {
+            await recordLoginAttempt({ method: 'passkey', success: false, failureReason: 'invalid_credentials', req });
+            return res.status(401).json({ message: 'Passkey login failed. Please try again.' });
+        }
+
+        const user = await User.findById(result.userId).populate('planId');
+        if (!user) {
+            return res.status(401).json({ message: 'Passkey login failed. Please try again.' });
+        }
+
+        const lockedUntil = await getActiveLockout(user);
+        if (lockedUntil) {
+            await recordLoginAttempt({ user, method: 'passkey', success: false, failureReason: 'account_locked', req });
+            return res.status(423).json(buildLockedResponse(lockedUntil));
+        }
+
+        const suspension = await getActiveSuspension(user);
+        if (suspension) {
+            await recordLoginAttempt({ user, method: 'passkey', success: false, failureReason: 'account_suspended', req });
+            return res.status(403).json(buildSuspendedResponse(suspension));
+        }
+
+        if (authPolicy.emailVerification.requiredForLogin && !user.isEmailVerified) {
+            await recordLoginAttempt({ user, method: 'passkey', success: false, failureReason: 'email_not_verified', req });
+            return res.status(403).json({
+                message: 'Please verify your email address before logging in.',
+                code: 'EMAIL_NOT_VERIFIED'
+            });
+        }
+
+        await clearFailedLogins(user);
+
+        const loginPayload = await issueLoginTokens(user, req, { method: 'passkey' });
+
+        res.status(200).json({
+            message: 'Login successful.',
+            ...loginPayload
+        });
+    } catch (error) {
+        console.error('Error logging in with passkey:', error);
+        res.status(500).json({ message: 'Error logging in user.', error: error.message });
+    }
+};
+
+module.exports = {
+    listPasskeys,
+    getRegistrationOptions,
+    registerPasskey,
+    deletePasskey,
+    getLoginOptions,
+    loginWithPasskey,
+};
@@ -0,0 +1,140 @@
+const User = require('../models/User');
+const Token = require('../models/Token');
+const authPolicy = require('../config/authPolicy');
+const { createAndSaveToken, findValidToken } = require('../utils/tokenUtils');
+const { sendNotification } = require('../services/notificationService');
+const { getMfaChallenge, issueLoginTokens } = require('../services/loginService');
+const { buildLockedResponse, getActiveLockout, recordFailedLogin, clearFailedLogins } = require('../services/lockoutService');
+const { buildSuspendedResponse, getActiveSuspension } = require('../services/suspensionService');
+const { recordLoginAttempt } = require('../services/loginHistoryService');
+
+const GENERIC_REQUEST_MESSAGE = 'If an account with that email exists, a sign-in code and link have been sent.';
+
+/**
+ * Sends a one-time sign-in code, and a link that carries it, through the notification service.
+ * @param {object} user - The user document (must have _id and email).
+ * @returns {Promise<boolean>} True if the notification was sent.
+ */
+const sendPasswordlessLogin = async (user) => {
+    const { otpExpiryMinutes } = authPolicy.passwordless;
+    const plainOtp = await createAndSaveToken(user._id, 'passwordlessLogin', otpExpiryMinutes);
+
+    // The login page redeems the link, so two-factor steps work the same as for a password login
+    const params = new URLSearchParams({ passwordlessEmail: user.email, loginCode: plainOtp });
+    const loginLink = `${authPolicy.clientUrl}/login?${params.toString()}`;
+
+    return sendNotification({
+        method: 'email',
+        user: user,
+        subject: 'Your sign-in code',
+        text: `Your sign-in code is: ${plainOtp}\nOr open this link to sign in: ${loginLink}\nIt is valid for ${otpExpiryMinutes} minutes and can be used once. If you didn't ask to sign in, ignore this email.`,
+        html: `<p>Your sign-in code is: <b>${plainOtp}</b></p><p>Or <a href="${loginLink}">click here to sign in</a>.</p><p>It is valid for ${otpExpiryMinutes} minutes and can be used once. If you didn't ask to sign in, ignore this email.</p>`
+    });
+};
+
+// --- Passwordless Login ---
+
+/**
+ * @description Emails a one-time sign-in code and magic link. The response never reveals
+ * whether the email belongs to an account.
+ * @route POST /api/users/login/passwordless
+ * @access Public
+ */
+const requestPasswordlessLogin = async (req, res) => {
+    if (!authPolicy.passwordless.enabled) {
+        return res.status(404).json({ message: 'Passwordless login is not available.' });
+    }
+
+    try {
+        const { email } = req.body;
+
+        const user = await User.findOne({ email });
+        // Nothing is sent to suspended or deleted accounts, or during a lockout
+        if (!user || user.isActive === false || (await getActiveLockout(user))) {
+            return res.status(200).json({ message: GENERIC_REQUEST_MESSAGE });
+        }
+
+        await sendPasswordlessLogin(user);
+
+        res.status(200).json({ message: GENERIC_REQUEST_MESSAGE });
+    } catch (error) {
+        console.error('Error requesting passwordless login:', error);
+        res.status(500).json({ message: 'Error sending sign-in code.', error: error.message });
+    }
+};
+
+/**
+ * @description Logs in with a code from requestPasswordlessLogin (typed in or from the link).
+ * The code replaces the password only: users with two-factor authentication still get an
+ * `mfaRequired` challenge. Wrong codes count towards the account lockout.
+ * @route POST /api/users/login/passwordless/verify
+ * @access Public
+ */
+const verifyPasswordlessLogin = async (req, res) => {
+    if (!authPolicy.passwordless.enabled) {
+        return res.status(404).json({ message: 'Passwordless login is not available.' });
+    }
+
+    try {
+        const { email, code } = req.body;
+
+        const user = await User.findOne({ email }).populate('planId');
+        if (!user) {
+            await recordLoginAttempt({ identifier: email, method: 'passwordless', success: false, failureReason: 'unknown_user', req });
+            return res.status(401).json({ message: 'Invalid or expired sign-in code.' });
+        }
+
+        const lockedUntil = await getActiveLockout(user);
+        if (lockedUntil) {
+            await recordLoginAttempt({ user, identifier: email, method: 'passwordless', success: false, failureReason: 'account_locked', req });
+            return res.status(423).json(buildLockedResponse(lockedUntil));
+        }
+
+        const loginToken = await findValidToken(user._id, 'passwordlessLogin', code);
+        if (!loginToken) {
+            await recordLoginAttempt({ user, identifier: email, method: 'passwordless', success: false, failureReason: 'invalid_credentials', req });
+            const failure = await recordFailedLogin(user, req);
+            if (failure.locked) {
+                return res.status(423).json(buildLockedResponse(failure.lockedUntil));
+            }
+            return res.status(401).json({ message: 'Invalid or expired sign-in code.' });
+        }
+
+        // Single use, even if the login stops at a later step
+        await Token.deleteMany({ userId: user._id, type: 'passwordlessLogin' });
+
+        const suspension = await getActiveSuspension(user);
+        if (suspension) {
+            await recordLoginAttempt({ user, identifier: email, method: 'passwordless', success: false, failureReason: 'account_suspended', req });
+            return res.status(403).json(buildSuspendedResponse(suspension));
+        }
+
+        // Receiving the code proves control of the email address
+        if (!user.isEmailVerified) {
+            user.isEmailVerified = true;
+        }
+
+        const mfaChallenge = getMfaChallenge(user, 'passwordless');
+        if (mfaChallenge) {
+            await user.save({ validateBeforeSave: false });
+            return res.status(200).json(mfaChallenge);
+        }
+
+        await clearFailedLogins(user);
+
+        const loginPayload = await issueLoginTokens(user, req, { method: 'passwordless' });
+
+        res.status(200).json({
+            message: 'Login successful.',
+            ...loginPayload
+        });
+    } catch (error) {
+        console.error('Error verifying passwordless login:', error);
+        res.status(500).json({ message: 'Error logging in user.', error: error.message });
+    }
+};
+
+module.exports = {
+    requestPasswordlessLogin,
+    verifyPasswordlessLogin,
+};
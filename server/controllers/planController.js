@@ -4,6 +4,8 @@ const mongoose = require('mongoose');
 const Payment = require('../models/Payment');
 const Invoice = require('../models/Invoice')
 const { createOrderWithPayment } = require('../utils/order');
+const { calculateNextBillingDate } = require('../utils/subscription');
+const authPolicy = require('../config/authPolicy');
 
 /**
  * @desc   Add a new subscription plan (Admin only)
@@ -246,20 +248,6 @@ const deletePlan = async (req, res) => {
     }
 };
 
-// Helper function to calculate next billing date (simplified)
-const calculateNextBillingDate = (startingDate, billingCycle) => {
-    const now = new Date(startingDate);
-    if (billingCycle === 'monthly') {
-        now.setMonth(now.getMonth() + 1);
-    } else if (billingCycle === 'annually') {
-        now.setFullYear(now.getFullYear() + 1);
-    } else {
-        // For 'free', 'lifetime', or unknown cycles, set no specific end date
-        return null;
-    }
-    return now;
-};
-
 /**
  * @desc   Change the user's current subscription plan
  * @route  POST /api/users/change-plan (Example route, adjust as needed)
@@ -587,6 +575,17 @@ const placeOrder = async (req, res) => {
             return res.status(400).json({ message: `Plan price ${plan.price} does not match the order amount ${amount}.` });
         }
 
+        // Paid plans may require a verified email address (see config/authPolicy.js)
+        if (plan.price > 0 && authPolicy.emailVerification.requiredForPaidOrders) {
+            const orderingUser = await User.findById(userId).select('isEmailVerified');
+            if (!orderingUser || !orderingUser.isEmailVerified) {
+                return res.status(403).json({
+                    message: 'Please verify your email address before ordering a paid plan.',
+                    code: 'EMAIL_NOT_VERIFIED'
+                });
+            }
+        }
+
         // --- Create and Save Order Document ---
         const orderData = {
             user: userId,
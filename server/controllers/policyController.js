@@ -0,0 +1,272 @@
+const { listPolicies, addPolicy, removePolicy, replacePolicies, rollbackPolicies } = require('../services/policyService');
+const { listPolicyHistory, getPolicySnapshot, comparePolicyVersions } = require('../services/policyHistoryService');
+const { getPolicySyncStatus } = require('../services/policyWatcher');
+const { explainDecision, explainUserRequest, buildPermissionMatrix } = require('../services/policyExplainService');
+const { recordSecurityEvent } = require('../services/securityEventService');
+
+/**
+ * @description Lists the stored Casbin rules and the rule types config/model.conf defines.
+ * @route GET /api/auth/policies
+ * @access Private (Admin only)
+ */
+const getPolicies = async (req, res) => {
+    try {
+        res.status(200).json(await listPolicies());
+    } catch (error) {
+        console.error('Error listing policies:', error);
+        res.status(500).json({ message: 'Error listing policies.', error: error.message });
+    }
+};
+
+/**
+ * @description Adds a `p` or `g` rule, e.g. { ptype: 'g', rule: ['user', 'consumer'] }.
+ * @route POST /api/auth/policies
+ * @access Private (Admin only)
+ * @body   { ptype, rule }
+ */
+const createPolicy = async (req, res) => {
+    const { ptype, rule } = req.body;
+
+    try {
+        const { rule: added, version } = await addPolicy({ ptype, rule }, req.user);
+
+        await recordSecurityEvent({
+            type: 'policy_changed',
+            userId: req.user._id,
+            req,
+            details: { action: 'add', ptype, rule, version }
+        });
+
+        res.status(201).json({ message: 'Rule added.', rule: added, version });
+    } catch (error) {
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error('Error adding policy:', error);
+        res.status(500).json({ message: 'Error adding policy.', error: error.message });
+    }
+};
+
+/**
+ * @description Removes a `p` or `g` rule.
+ * @route DELETE /api/auth/policies
+ * @access Private (Admin only)
+ * @body   { ptype, rule }
+ */
+const deletePolicy = async (req, res) => {
+    const { ptype, rule } = req.body;
+
+    try {
+        const version = await removePolicy({ ptype, rule }, req.user);
+
+        await recordSecurityEvent({
+            type: 'policy_changed',
+            userId: req.user._id,
+            req,
+            details: { action: 'remove', ptype, rule, version }
+        });
+
+        res.status(200).json({ message: 'Rule removed.', version });
+    } catch (error) {
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error('Error removing policy:', error);
+        res.status(500).json({ message: 'Error removing policy.', error: error.message });
+    }
+};
+
+/**
+ * @description Replaces every rule with the given set (rules not listed are removed).
+ * @route PUT /api/auth/policies
+ * @access Private (Admin only)
+ * @body   { rules: [{ ptype, rule }, ...] }
+ */
+const replaceAllPolicies = async (req, res) => {
+    const rules = req.body.rules.map(({ ptype, rule }) => ({ ptype, rule }));
+
+    try {
+        const result = await replacePolicies(rules, req.user);
+
+        await recordSecurityEvent({
+            type: 'policy_changed',
+            userId: req.user._id,
+            req,
+            details: { action: 'replace', ...result }
+        });
+
+        res.status(200).json({ message: 'Policies replaced.', ...result });
+    } catch (error) {
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error('Error replacing policies:', error);
+        res.status(500).json({ message: 'Error replacing policies.', error: error.message });
+    }
+};
+
+/**
+ * @description Reports the policy version this instance has loaded, and that of every instance
+ * that checked in recently (see config/policySync.js).
+ * @route GET /api/auth/policies/status
+ * @access Private (Admin only)
+ */
+const getPolicyStatus = async (req, res) => {
+    try {
+        res.status(200).json(await getPolicySyncStatus());
+    } catch (error) {
+        console.error('Error reading policy status:', error);
+        res.status(500).json({ message: 'Error reading policy status.', error: error.message });
+    }
+};
+
+/**
+ * @description Lists the policy versions, newest first: who changed the rules, how, and how many
+ * rules were added and removed.
+ * @route GET /api/auth/policies/history?page=<page>&limit=<limit>
+ * @access Private (Admin only)
+ * @query  page (optional, default 1), limit (optional, default 20, max 100)
+ */
+const getPolicyHistory = async (req, res) => {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    try {
+        res.status(200).json(await listPolicyHistory({ page, limit }));
+    } catch (error) {
+        console.error('Error listing policy history:', error);
+        res.status(500).json({ message: 'Error listing policy history.', error: error.message });
+    }
+};
+
+/**
+ * @description Returns one policy version: its complete rule set and its diff against the previous version.
+ * @route GET /api/auth/policies/history/:version
+ * @access Private (Admin only)
+ */
+const getPolicyVersion = async (req, res) => {
+    try {
+        res.status(200).json(await getPolicySnapshot(parseInt(req.params.version, 10)));
+    } catch (error) {
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error('Error reading policy version:', error);
+        res.status(500).json({ message: 'Error reading policy version.', error: error.message });
+    }
+};
+
+/**
+ * @description Compares the rule sets of two policy versions.
+ * @route GET /api/auth/policies/history/compare?from=<version>&to=<version>
+ * @access Private (Admin only)
+ */
+const comparePolicyHistory = async (req, res) => {
+    try {
+        const from = parseInt(req.query.from, 10);
+        const to = parseInt(req.query.to, 10);
+        res.status(200).json(await comparePolicyVersions(from, to));
+    } catch (error) {
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error('Error comparing policy versions:', error);
+        res.status(500).json({ message: 'Error comparing policy versions.', error: error.message });
+    }
+};
+
+/**
+ * @description Restores the rules of an earlier policy version. The restored set is published
+ * as a new version, so every instance reloads it and the history keeps the rolled back versions.
+ * @route POST /api/auth/policies/history/:version/rollback
+ * @access Private (Admin only)
+ */
+const rollbackPolicyVersion = async (req, res) => {
+    const version = parseInt(req.params.version, 10);
+
+    try {
+        const result = await rollbackPolicies(version, req.user);
+
+        await recordSecurityEvent({
+            type: 'policy_changed',
+            userId: req.user._id,
+            req,
+            details: { action: 'rollback', ...result }
+        });
+
+        res.status(200).json({ message: `Policies rolled back to version ${version}.`, ...result });
+    } catch (error) {
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error('Error rolling back policies:', error);
+        res.status(500).json({ message: 'Error rolling back policies.', error: error.message });
+    }
+};
+
+// Proposed rules sent for a dry run, without unexpected properties
+const readProposedRules = (body) => (body.rules ? body.rules.map(({ ptype, rule }) => ({ ptype, rule })) : undefined);
+
+/**
+ * @description Explains the decision for a request: allowed or not, the rules that match it with
+ * their effects, and the rule that decided. Describe the request as Casbin sees it
+ * ({ sub, dom, obj, act }) or as a user calling a route ({ userId, method, path }). With `rules`,
+ * the decision is made with that rule set instead of the stored one (dry run).
+ * @route POST /api/auth/policies/explain
+ * @access Private (Admin only)
+ * @body   { sub, dom, obj, act } | { userId, method, path }, optional rules: [{ ptype, rule }, ...]
+ */
+const explainPolicyDecision = async (req, res) => {
+    const { sub, dom, obj, act, userId, method, path } = req.body;
+    const options = { rules: readProposedRules(req.body) };
+
+    try {
+        if (sub && dom && obj && act) {
+            return res.status(200).json(await explainDecision({ sub, dom, obj, act }, options));
+        }
+        if (userId && method && path) {
+            return res.status(200).json(await explainUserRequest(req.app, { userId, method, path }, options));
+        }
+        res.status(400).json({ message: 'Provide either sub, dom, obj and act, or userId, method and path.' });
+    } catch (error) {
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error('Error explaining policy decision:', error);
+        res.status(500).json({ message: 'Error explaining policy decision.', error: error.message });
+    }
+};
+
+/**
+ * @description Builds the permission matrix: the actions every role may perform on every
+ * resource, per plan. With `rules`, also the matrix of that rule set and the cells it would
+ * change, to review an edit before applying it (PUT /api/auth/policies).
+ * @route POST /api/auth/policies/matrix
+ * @access Private (Admin only)
+ * @body   optional rules: [{ ptype, rule }, ...]
+ */
+const getPermissionMatrix = async (req, res) => {
+    try {
+        res.status(200).json(await buildPermissionMatrix({ rules: readProposedRules(req.body) }));
+    } catch (error) {
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error('Error building permission matrix:', error);
+        res.status(500).json({ message: 'Error building permission matrix.', error: error.message });
+    }
+};
+
+module.exports = {
+    getPolicies,
+    getPolicyStatus,
+    getPolicyHistory,
+    getPolicyVersion,
+    comparePolicyHistory,
+    rollbackPolicyVersion,
+    explainPolicyDecision,
+    getPermissionMatrix,
+    createPolicy,
+    deletePolicy,
+    replaceAllPolicies,
+};
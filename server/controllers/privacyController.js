@@ -0,0 +1,140 @@
+const User = require('../models/User');
+const Token = require('../models/Token');
+const { createAndSaveToken, findValidToken } = require('../utils/tokenUtils');
+const { sendNotification } = require('../services/notificationService');
+const { collectUserData, writeDataArchive } = require('../services/dataExportService');
+const { scheduleDeletion, cancelDeletion } = require('../services/accountDeletionService');
+const { checkCurrentPassword } = require('./authController');
+const authPolicy = require('../config/authPolicy');
+
+// --- Export My Data ---
+const exportMyData = async (req, res, next) => {
+    try {
+        const data = await collectUserData(req.user._id);
+        if (!data) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        const date = new Date().toISOString().slice(0, 10);
+        res.attachment(`personal-data-${date}.zip`);
+        res.set('Cache-Control', 'no-store');
+        await writeDataArchive(data, res);
+
+    } catch (error) {
+        console.error("Error in exportMyData:", error);
+        if (res.headersSent) {
+            // The archive is already streaming: all we can do is cut it off
+            return res.destroy(error);
+        }
+        next(error);
+    }
+};
+
+// --- Request Account Deletion ---
+const requestAccountDeletion = async (req, res, next) => {
+    try {
+        const { currentPassword } = req.body;
+
+        const user = await User.findById(req.user._id).select('+password_hash');
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        if (user.deletion && user.deletion.scheduledFor) {
+            return res.status(409).json({ message: 'Your account is already scheduled for deletion.', scheduledFor: user.deletion.scheduledFor });
+        }
+
+        // Re-authenticate: a stolen access token alone must not be enough to delete the account
+        if (user.hasPassword) {
+            if (!currentPassword) {
+                return res.status(400).json({ message: 'Current password is required.' });
+            }
+            const passwordError = await checkCurrentPassword(user, currentPassword, req);
+            if (passwordError) {
+                return res.status(passwordError.status).json(passwordError.body);
+            }
+        }
+
+        const { otpExpiryMinutes, coolingOffDays } = authPolicy.accountDeletion;
+        const plainOtp = await createAndSaveToken(user._id, 'accountDeletion', otpExpiryMinutes);
+
+        const sent = await sendNotification({
+            method: 'email',
+            user,
+            subject: 'Confirm the deletion of your account',
+            text: `Your account deletion confirmation code is: ${plainOtp}\nIt is valid for ${otpExpiryMinutes} minutes. Once confirmed, your account will be deleted after ${coolingOffDays} days.`,
+            html: `<p>Your account deletion confirmation code is: <b>${plainOtp}</b></p><p>It is valid for ${otpExpiryMinutes} minutes. Once confirmed, your account will be deleted after ${coolingOffDays} days.</p>`
+        });
+
+        if (!sent) {
+            return res.status(502).json({ message: 'Could not send the confirmation code. Please try again.' });
+        }
+
+        res.status(200).json({ message: `A confirmation code has been sent to ${user.email}.` });
+
+    } catch (error) {
+        console.error("Error in requestAccountDeletion:", error);
+        next(error);
+    }
+};
+
+// --- Confirm Account Deletion ---
+const confirmAccountDeletion = async (req, res, next) => {
+    try {
+        const { otp } = req.body;
+
+        const user = await User.findById(req.user._id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        if (user.deletion && user.deletion.scheduledFor) {
+            return res.status(409).json({ message: 'Your account is already scheduled for deletion.', scheduledFor: user.deletion.scheduledFor });
+        }
+
+        const deletionToken = await findValidToken(user._id, 'accountDeletion', otp);
+        if (!deletionToken) {
+            return res.status(400).json({ message: 'Invalid or expired OTP.' });
+        }
+        await Token.deleteMany({ userId: user._id, type: 'accountDeletion' });
+
+        const scheduledFor = await scheduleDeletion(user, req);
+
+        res.status(200).json({
+            message: `Your account will be deleted on ${scheduledFor.toUTCString()}. You can cancel until then.`,
+            scheduledFor
+        });
+
+    } catch (error) {
+        console.error("Error in confirmAccountDeletion:", error);
+        next(error);
+    }
+};
+
+// --- Cancel Account Deletion ---
+const cancelAccountDeletion = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user._id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        const canceled = await cancelDeletion(user, req);
+        if (!canceled) {
+            return res.status(400).json({ message: 'Your account is not scheduled for deletion.' });
+        }
+
+        res.status(200).json({ message: 'The deletion of your account has been canceled.' });
+
+    } catch (error) {
+        console.error("Error in cancelAccountDeletion:", error);
+        next(error);
+    }
+};
+
+module.exports = {
+    exportMyData,
+    requestAccountDeletion,
+    confirmAccountDeletion,
+    cancelAccountDeletion,
+};
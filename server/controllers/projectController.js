@@ -0,0 +1,110 @@
+const Project = require('../models/Project');
+const Transaction = require('../models/Transaction');
+
+/**
+ * @description Lists the logged-in user's projects, newest first.
+ * @route GET /api/projects
+ * @access Private (policy: project read)
+ */
+const listProjects = async (req, res) => {
+    try {
+        const projects = await Project.find({ user_id: req.user._id }).sort({ createdAt: -1 }).lean();
+
+        res.status(200).json({ message: 'Projects fetched successfully.', projects });
+    } catch (error) {
+        console.error('Error listing projects:', error);
+        res.status(500).json({ message: 'Error fetching projects.', error: error.message });
+    }
+};
+
+/**
+ * @description Creates a project owned by the logged-in user.
+ * @route POST /api/projects
+ * @access Private (policy: project write)
+ * @body {string} name
+ * @body {string} [description]
+ * @body {string} [currency] - Three-letter currency code.
+ */
+const createProject = async (req, res) => {
+    const { name, description, currency } = req.body;
+
+    try {
+        const project = await Project.create({ user_id: req.user._id, name, description, currency });
+
+        res.status(201).json({ message: 'Project created successfully.', project });
+    } catch (error) {
+        console.error('Error creating project:', error);
+        res.status(500).json({ message: 'Error creating project.', error: error.message });
+    }
+};
+
+/**
+ * @description Returns a project. authorize() loaded it and checked the document policies
+ * (consumers: their own projects only).
+ * @route GET /api/projects/:projectId
+ * @access Private (policy: project read, on the document)
+ */
+const getProject = (req, res) => {
+    res.status(200).json({ message: 'Project fetched successfully.', project: req.authorizedDocument });
+};
+
+/**
+ * @description Updates a project's name, description or currency.
+ * @route PATCH /api/projects/:projectId
+ * @access Private (policy: project update, on the document)
+ */
+const updateProject = async (req, res) => {
+    const { name, description, currency } = req.body;
+    const updates = Object.fromEntries(
+        Object.entries({ name, description, currency }).filter(([, value]) => value !== undefined)
+    );
+    if (Object.keys(updates).length === 0) {
+        return res.status(400).json({ message: 'No update data provided.' });
+    }
+
+    try {
+        const project = await Project.findByIdAndUpdate(
+            req.authorizedDocument._id,
+            { $set: updates },
+            { new: true, runValidators: true }
+        ).lean();
+        if (!project) {
+            return res.status(404).json({ message: 'Resource not found.' });
+        }
+
+        res.status(200).json({ message: 'Project updated successfully.', project });
+    } catch (error) {
+        console.error('Error updating project:', error);
+        res.status(500).json({ message: 'Error updating project.', error: error.message });
+    }
+};
+
+/**
+ * @description Deletes a project and its transactions.
+ * @route DELETE /api/projects/:projectId
+ * @access Private (policy: project delete, on the document)
+ */
+const deleteProject = async (req, res) => {
+    const projectId = req.authorizedDocument._id;
+
+    try {
+        const transactions = await Transaction.deleteMany({ project_id: projectId });
+        await Project.deleteOne({ _id: projectId });
+
+        res.status(200).json({
+            message: 'Project deleted successfully.',
+            deletedTransactions: transactions.deletedCount
+        });
+    } catch (error) {
+        console.error('Error deleting project:', error);
+        res.status(500).json({ message: 'Error deleting project.', error: error.message });
+    }
+};
+
+module.exports = {
+    listProjects,
+    createProject,
+    getProject,
+    updateProject,
+    deleteProject,
+};
@@ -0,0 +1,87 @@
+const rateLimits = require('../config/rateLimits');
+const { getRateLimitCounters, clearRateLimitCounters } = require('../middleware/rateLimiter');
+
+/**
+ * Checks the optional `policy` query parameter.
+ * @param {string} [policy] - Policy name.
+ * @returns {boolean} True if it is absent or a known policy.
+ */
+const isKnownPolicy = (policy) => !policy || Object.prototype.hasOwnProperty.call(rateLimits.policies, policy);
+
+/**
+ * @description Lists the rate limiting policies and the store in use.
+ * @route GET /api/auth/rate-limits/policies
+ * @access Private (Admin only)
+ */
+const listPolicies = async (req, res) => {
+    res.status(200).json({
+        store: rateLimits.store,
+        policies: Object.values(rateLimits.policies).map(({ name, type, keyBy, windowMs, limit, delayAfter }) => ({
+            name,
+            type: type || 'limit',
+            keyBy,
+            windowMs,
+            limit,
+            delayAfter
+        }))
+    });
+};
+
+/**
+ * @description Shows the counters of a key, e.g. "ip:203.0.113.7", "user:<id>" or
+ * "account:alice@example.com", under every policy or the given one.
+ * @route GET /api/auth/rate-limits?key=&policy=
+ * @access Private (Admin only)
+ */
+const getCounters = async (req, res) => {
+    const { key, policy } = req.query;
+
+    if (!key) {
+        return res.status(400).json({ message: 'Please provide the key to inspect (e.g. ?key=ip:203.0.113.7).' });
+    }
+    if (!isKnownPolicy(policy)) {
+        return res.status(404).json({ message: `Unknown rate limit policy "${policy}".` });
+    }
+
+    try {
+        const counters = await getRateLimitCounters(key, policy);
+        res.status(200).json({ key, counters });
+    } catch (error) {
+        console.error('Error reading rate limit counters:', error);
+        res.status(500).json({ message: 'Error reading rate limit counters.', error: error.message });
+    }
+};
+
+/**
+ * @description Clears the counters of a key under every policy or the given one.
+ * @route DELETE /api/auth/rate-limits?key=&policy=
+ * @access Private (Admin only)
+ */
+const clearCounters = async (req, res) => {
+    const { key, policy } = req.query;
+
+    if (!key) {
+        return res.status(400).json({ message: 'Please provide the key to clear (e.g. ?key=ip:203.0.113.7).' });
+    }
+    if (!isKnownPolicy(policy)) {
+        return res.status(404).json({ message: `Unknown rate limit policy "${policy}".` });
+    }
+
+    try {
+        const cleared = await clearRateLimitCounters(key, policy);
+        res.status(200).json({
+            message: cleared.length > 0 ? 'Rate limit counters cleared.' : 'No active counters for this key.',
+            key,
+            cleared
+        });
+    } catch (error) {
+        console.error('Error clearing rate limit counters:', error);
+        res.status(500).json({ message: 'Error clearing rate limit counters.', error: error.message });
+    }
+};
+
+module.exports = {
+    listPolicies,
+    getCounters,
+    clearCounters,
+};
@@ -0,0 +1,126 @@
+const { isValidObjectId } = require('mongoose');
+const Session = require('../models/Session');
+const LoginEvent = require('../models/LoginEvent');
+const { revokeSessions } = require('../services/sessionService');
+const { describeLoginEvent } = require('../services/loginHistoryService');
+
+const LOGIN_HISTORY_PAGE_SIZE = 50;
+
+/**
+ * @description Lists the logged-in user's active sessions (devices).
+ * @route GET /api/users/sessions
+ * @access Private
+ */
+const listSessions = async (req, res) => {
+    try {
+        const sessions = await Session.find({
+            userId: req.user._id,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        })
+            .sort({ lastUsedAt: -1 })
+            .select('deviceLabel userAgent ip createdAt lastUsedAt expiresAt');
+
+        res.status(200).json({
+            message: 'Sessions fetched successfully.',
+            sessions: sessions.map(session => ({
+                ...session.toObject(),
+                current: session._id.toString() === req.user.sid // The session making this request
+            }))
+        });
+    } catch (error) {
+        console.error('Error listing sessions:', error);
+        res.status(500).json({ message: 'Error fetching sessions.', error: error.message });
+    }
+};
+
+/**
+ * @description Lists the logged-in user's recent login attempts, successful or not, newest first.
+ * @route GET /api/users/login-history?before=<ISO date>
+ * @access Private
+ * @query  before (optional): only attempts older than this, to load the next page
+ */
+const listLoginHistory = async (req, res) => {
+    const filter = { userId: req.user._id };
+
+    if (req.query.before !== undefined) {
+        const before = new Date(req.query.before);
+        if (Number.isNaN(before.getTime())) {
+            return res.status(400).json({ message: 'before must be a valid date.' });
+        }
+        filter.createdAt = { $lt: before };
+    }
+
+    try {
+        const events = await LoginEvent.find(filter)
+            .sort({ createdAt: -1 })
+            .limit(LOGIN_HISTORY_PAGE_SIZE);
+
+        res.status(200).json({
+            message: 'Login history fetched successfully.',
+            events: events.map(describeLoginEvent),
+            hasMore: events.length === LOGIN_HISTORY_PAGE_SIZE
+        });
+    } catch (error) {
+        console.error('Error listing login history:', error);
+        res.status(500).json({ message: 'Error fetching login history.', error: error.message });
+    }
+};
+
+/**
+ * @description Revokes one of the logged-in user's sessions (logs that device out).
+ * @route DELETE /api/users/sessions/:sessionId
+ * @access Private
+ */
+const revokeSession = async (req, res) => {
+    const { sessionId } = req.params;
+
+    if (!isValidObjectId(sessionId)) {
+        return res.status(400).json({ message: 'Invalid session ID format.' });
+    }
+
+    try {
+        // Scoped to the user so nobody can revoke someone else's session
+        const revokedCount = await revokeSessions({ _id: sessionId, userId: req.user._id }, 'revoked_by_user');
+
+        if (revokedCount === 0) {
+            return res.status(404).json({ message: 'Session not found.' });
+        }
+
+        res.status(200).json({ message: 'Session revoked successfully.' });
+    } catch (error) {
+        console.error('Error revoking session:', error);
+        res.status(500).json({ message: 'Error revoking session.', error: error.message });
+    }
+};
+
+/**
+ * @description Revokes all of the logged-in user's sessions except the current one.
+ * @route DELETE /api/users/sessions
+ * @access Private
+ */
+const revokeOtherSessions = async (req, res) => {
+    try {
+        const filter = { userId: req.user._id };
+        if (req.user.sid) {
+            filter._id = { $ne: req.user.sid };
+        }
+
+        const revokedCount = await revokeSessions(filter, 'revoked_by_user');
+
+        res.status(200).json({
+            message: 'All other sessions revoked successfully.',
+            revokedCount
+        });
+    } catch (error) {
+        console.error('Error revoking other sessions:', error);
+        res.status(500).json({ message: 'Error revoking sessions.', error: error.message });
+    }
+};
+
+module.exports = {
+    listSessions,
+    listLoginHistory,
+    revokeSession,
+    revokeOtherSessions,
+};
@@ -0,0 +1,80 @@
+const jwtSigning = require('../config/jwtSigning');
+const { getPublicJwks, listSigningKeys, rotateSigningKey } = require('../services/keyringService');
+const { recordSecurityEvent } = require('../services/securityEventService');
+
+/**
+ * @description Publishes the public keys that verify access tokens (JSON Web Key Set).
+ * Empty while access tokens are signed with the shared HS256 secret.
+ * @route GET /.well-known/jwks.json
+ * @access Public
+ */
+const getJwks = async (req, res) => {
+    try {
+        const jwks = await getPublicJwks();
+        res.set('Cache-Control', `public, max-age=${jwtSigning.jwksMaxAgeSeconds}`);
+        res.status(200).json(jwks);
+    } catch (error) {
+        console.error('Error building JWKS:', error);
+        res.status(500).json({ message: 'Error loading signing keys.' });
+    }
+};
+
+/**
+ * @description Lists the signing keys of the keyring (no private keys) and the algorithm in use.
+ * @route GET /api/auth/signing-keys
+ * @access Private (Admin only)
+ */
+const listKeys = async (req, res) => {
+    try {
+        res.status(200).json({
+            algorithm: jwtSigning.algorithm,
+            keys: await listSigningKeys()
+        });
+    } catch (error) {
+        console.error('Error listing signing keys:', error);
+        res.status(500).json({ message: 'Error listing signing keys.', error: error.message });
+    }
+};
+
+/**
+ * @description Rotates the signing key. The new key is published right away and starts signing
+ * after `publishAheadMinutes`; the replaced keys keep verifying until their tokens have expired.
+ * @route POST /api/auth/signing-keys/rotate
+ * @access Private (Admin only)
+ * @body {number} [publishAheadMinutes] - Defaults to JWT_KEY_PUBLISH_AHEAD_MINUTES.
+ */
+const rotateKeys = async (req, res) => {
+    if (!jwtSigning.isAsymmetric) {
+        return res.status(400).json({ message: 'Access tokens are signed with HS256. Set JWT_SIGNING_ALG to RS256 or EdDSA to use the keyring.' });
+    }
+
+    const { publishAheadMinutes } = req.body || {};
+    if (publishAheadMinutes !== undefined && !(Number.isInteger(publishAheadMinutes) && publishAheadMinutes >= 0 && publishAheadMinutes <= 1440)) {
+        return res.status(400).json({ message: 'publishAheadMinutes must be an integer between 0 and 1440.' });
+    }
+
+    try {
+        const key = await rotateSigningKey({ publishAheadMinutes, createdBy: req.user._id });
+
+        await recordSecurityEvent({
+            type: 'signing_key_rotated',
+            userId: req.user._id,
+            req,
+            details: { kid: key.kid, alg: key.alg, activatesAt: key.activatesAt }
+        });
+
+        res.status(201).json({ message: 'Signing key rotated successfully.', key });
+    } catch (error) {
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error('Error rotating signing keys:', error);
+        res.status(500).json({ message: 'Error rotating signing keys.', error: error.message });
+    }
+};
+
+module.exports = {
+    getJwks,
+    listKeys,
+    rotateKeys,
+};
@@ -1,9 +1,24 @@
 const User = require('../models/User');
 const UsedRefreshToken = require('../models/UsedRefreshToken');
+const Session = require('../models/Session');
 const jwt = require('jsonwebtoken');
 const { isValidObjectId } = require('mongoose');
+const { sendEmailVerification } = require('./authController');
+const authPolicy = require('../config/authPolicy');
+const { getMfaChallenge, getPasswordChangeChallenge, issueLoginTokens } = require('../services/loginService');
+const { recordLoginAttempt } = require('../services/loginHistoryService');
+const { revokeSessions, handleRefreshTokenReuse } = require('../services/sessionService');
+const { recordSecurityEvent } = require('../services/securityEventService');
+const { buildLockedResponse, getActiveLockout, recordFailedLogin, clearFailedLogins, unlockAccount } = require('../services/lockoutService');
+const { setAvatar, removeAvatar, discardStoredAvatar } = require('../services/avatarService');
+const { buildSuspendedResponse, getActiveSuspension, suspendAccount, reinstateAccount } = require('../services/suspensionService');
+const { revokeAccessTokens, forgetAccessState } = require('../services/tokenVersionService');
+const { startImpersonation } = require('../services/impersonationService');
+const { findPendingInvitation, claimInvitation, releaseInvitation, applyInvitation } = require('../services/invitationService');
 
 const REFRESH_TOKEN_SECRET = process.env.REFRESH_TOKEN_SECRET;
+// Profile fields users may edit themselves through PATCH /api/users/me
+const SELF_EDITABLE_FIELDS = ['firstName', 'lastName', 'profilePictureUrl', 'preferences'];
 const COOKIE_OPTIONS = {
     httpOnly: true,
     secure: process.env.NODE_ENV === 'production', // Use secure cookies in production
@@ -11,18 +26,42 @@ const COOKIE_OPTIONS = {
 };
 
 /**
- * @description Registers a new user.
+ * @description Registers a new user. Depends on authPolicy.registration.mode: 'open' (an
+ * invitation token is optional), 'invite-only' (requires one) or 'closed'. An invitation fixes
+ * the email address, sets the role and plan, and counts as email verification.
  * @route POST /api/users/register
  * @access Public
  */
 const registerUser = async (req, res) => {
     try {
-        const { username, email, password } = req.body;
+        const { username, email, password, inviteToken } = req.body;
+        const { mode } = authPolicy.registration;
 
         if (!username || !email || !password) {
             return res.status(400).json({ message: 'Please provide username, email, and password.' });
         } //
 
+        if (mode === 'closed') {
+            return res.status(403).json({ message: 'Registration is closed.', code: 'REGISTRATION_CLOSED' });
+        }
+        if (mode === 'invite-only' && !inviteToken) {
+            return res.status(403).json({ message: 'Registration is by invitation only.', code: 'INVITE_REQUIRED' });
+        }
+
+        let invitation = null;
+        if (inviteToken) {
+            invitation = await findPendingInvitation(inviteToken);
+            if (!invitation) {
+                return res.status(400).json({
+                    message: 'This invitation is invalid, has expired or was already used.',
+                    code: 'INVALID_INVITATION'
+                });
+            }
+            if (invitation.email !== email.toLowerCase()) {
+                return res.status(400).json({ message: 'Please register with the email address the invitation was sent to.' });
+            }
+        }
+
         const existingUser = await User.findOne({ $or: [{ username }, { email }] }); //
         if (existingUser) {
             return res.status(400).json({ message: 'Username or email already exists.' });
@@ -32,12 +71,45 @@ const registerUser = async (req, res) => {
         const newUser = new User({
             username,
             email,
-            password_hash: password // Assign plain password
+            password_hash: password, // Assign plain password
+            passwordChangedAt: new Date()
         });
 
-        await newUser.save(); // Pre-save hook will hash password
+        if (invitation) {
+            // Claimed before saving, so two registrations can't share one invitation
+            if (!(await claimInvitation(invitation, newUser))) {
+                return res.status(400).json({
+                    message: 'This invitation is invalid, has expired or was already used.',
+                    code: 'INVALID_INVITATION'
+                });
+            }
+            applyInvitation(newUser, invitation);
+        }
 
-        res.status(201).json({ message: 'User registered successfully.' });
+        try {
+            await newUser.save(); // Pre-save hook will hash password
+        } catch (error) {
+            if (invitation) {
+                await releaseInvitation(invitation);
+            }
+            throw error;
+        }
+
+        if (invitation) {
+            return res.status(201).json({
+                message: 'User registered successfully. You can log in now.',
+                verificationSent: false
+            });
+        }
+
+        // Send the email verification OTP/link. A delivery failure shouldn't fail registration;
+        // the user can request a new code through /api/users/resend-verification.
+        const verificationSent = await sendEmailVerification(newUser);
+
+        res.status(201).json({
+            message: 'User registered successfully. Please check your email to verify your account.',
+            verificationSent
+        });
     } catch (error) {
         // console.error('Error registering user:', error);
         if (error.code === 11000) { // Handle duplicate key error from MongoDB
@@ -65,36 +137,71 @@ const loginUser = async (req, res) => {
         // Populate 'planId' as it's used by model methods for token generation/subscription checks.
         const user = await User.findOne({
             $or: [{ username: identifier }, { email: identifier }]
-        }).select('+password_hash +refreshToken').populate('planId'); //
+        }).select('+password_hash').populate('planId'); //
 
         if (!user) {
+            await recordLoginAttempt({ identifier, method: 'password', success: false, failureReason: 'unknown_user', req });
             return res.status(404).json({ message: 'Invalid credentials.' }); //
         }
 
+        // Refuse locked accounts before checking the password, so guessing can't continue during a lockout
+        const lockedUntil = await getActiveLockout(user);
+        if (lockedUntil) {
+            await recordLoginAttempt({ user, identifier, method: 'password', success: false, failureReason: 'account_locked', req });
+            return res.status(423).json(buildLockedResponse(lockedUntil));
+        }
+
         // Verify password using the instance method from User model
         const isMatch = await user.isPasswordCorrect(password);
 
         if (!isMatch) {
+            await recordLoginAttempt({ user, identifier, method: 'password', success: false, failureReason: 'invalid_credentials', req });
+            const failure = await recordFailedLogin(user, req);
+            if (failure.locked) {
+                return res.status(423).json(buildLockedResponse(failure.lockedUntil));
+            }
             return res.status(401).json({ message: 'Invalid credentials.' }); //
         }
 
-        // Passwords match, generate tokens using the instance method
-        // This model method also handles subscription checks and saving the refresh token.
-        const { accessToken, refreshToken } = await user.generateAccessAndRefereshTokens();
-        await user.save({ validateBeforeSave: false }); // Save the updated user with the new refresh token
+        // Checked after the password, so only the account owner learns about a suspension
+        const suspension = await getActiveSuspension(user);
+        if (suspension) {
+            await recordLoginAttempt({ user, identifier, method: 'password', success: false, failureReason: 'account_suspended', req });
+            return res.status(403).json(buildSuspendedResponse(suspension));
+        }
+
+        // Enforce the email verification policy before issuing any tokens
+        if (authPolicy.emailVerification.requiredForLogin && !user.isEmailVerified) {
+            await recordLoginAttempt({ user, identifier, method: 'password', success: false, failureReason: 'email_not_verified', req });
+            return res.status(403).json({
+                message: 'Please verify your email address before logging in.',
+                code: 'EMAIL_NOT_VERIFIED'
+            });
+        }
+
+        // Users enrolled in (or required to enroll in) two-factor authentication get a
+        // short-lived "mfa pending" token instead of access/refresh tokens.
+        const mfaChallenge = getMfaChallenge(user, 'password');
+        if (mfaChallenge) {
+            return res.status(200).json(mfaChallenge);
+        }
+
+        // An expired password (authPolicy.password.maxAgeDays) is replaced before the login completes
+        const passwordChangeChallenge = getPasswordChangeChallenge(user);
+        if (passwordChangeChallenge) {
+            return res.status(200).json(passwordChangeChallenge);
+        }
+
+        // Counters are only cleared once login completes; otherwise knowing the password
+        // would reset the lockout for second-factor guesses
+        await clearFailedLogins(user);
+
+        // Passwords match, start a new session (device) and issue its tokens
+        const loginPayload = await issueLoginTokens(user, req, { method: 'password' });
 
         res.status(200).json({
             message: 'Login successful.',
-            accessToken,
-            refreshToken,
-            user: { // Send back non-sensitive user info
-                _id: user._id,
-                username: user.username,
-                email: user.email,
-                role: user.role,
-                plan: user.planId && typeof user.planId === 'object' ? user.planId.slug : (user.subscriptionStatus === 'free' ? 'free' : null),
-                subscriptionStatus: user.subscriptionStatus
-            }
+            ...loginPayload
         });
 
     } catch (error) {
@@ -104,20 +211,26 @@ const loginUser = async (req, res) => {
 };
 
 /**
- * @description Logs out a user by clearing the refresh token.
+ * @description Logs out a user by revoking the current session (device) only.
  * @route POST /api/users/logout
  * @access Private (Requires authentication)
  */
 const logoutUser = async (req, res) => {
     const userId = req.user?._id; // From auth middleware
+    const sessionId = req.user?.sid; // Session the access token was issued for
     const incomingRefreshToken = req.body?.refreshToken; //
 
     try {
-        // Unset the refresh token in the database
-        if (userId) { // If user authenticated
-            await User.updateOne({ _id: userId }, { $unset: { refreshToken: "" } }); // logic using $unset
-        } else if (incomingRefreshToken) { // Fallback, less secure, if user not identified by middleware but token exists
-            await User.updateOne({ refreshToken: incomingRefreshToken }, { $unset: { refreshToken: "" } });
+        if (userId && sessionId) { // If user authenticated with a session-bound access token
+            await revokeSessions({ _id: sessionId, userId }, 'logout');
+        } else if (incomingRefreshToken) { // Fallback: identify the session through its refresh token
+            const decoded = jwt.decode(incomingRefreshToken);
+            if (decoded?.sid) {
+                await revokeSessions({
+                    _id: decoded.sid,
+                    refreshTokenHash: Session.hashToken(incomingRefreshToken)
+                }, 'logout');
+            }
         }
 
         res.status(200).json({ message: 'User logged out successfully.' }); //
@@ -128,8 +241,28 @@ const logoutUser = async (req, res) => {
     }
 };
 
+/**
+ * @description Looks up the grace-period record of a refresh token that was just rotated
+ * by a concurrent request. Retries briefly, because the concurrent request may still be
+ * writing the record.
+ * @param {string} tokenHash - Hash of the used refresh token.
+ * @param {ObjectId} sessionId - The session the token belongs to.
+ * @returns {Promise<UsedRefreshToken|null>}
+ */
+const findGraceRecord = async (tokenHash, sessionId) => {
+    for (let attempt = 0; attempt < 3; attempt++) {
+        const record = await UsedRefreshToken.findOne({ token: tokenHash, sessionId });
+        if (record) {
+            return record;
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    return null;
+};
+
 /**
  * @description Refreshes the access token using a valid refresh token.
+ * Rotation is per session, so refreshing on one device never affects another.
  * @route POST /api/users/refresh-token
  * @access Public (but requires a valid refresh token cookie)
  */
@@ -145,63 +278,107 @@ const refreshAccessToken = async (req, res) => {
         // 1. Verify the JWT signature and decode the payload
         const decoded = jwt.verify(incomingRefreshToken, REFRESH_TOKEN_SECRET);
 
-        // 2. Find the user associated with the token
-        const user = await User.findById(decoded._id)
-            .select('+refreshToken') // Explicitly request the refreshToken
-            .populate('planId'); // Populate necessary fields
+        if (!decoded.sid) {
+            // Tokens issued before sessions existed can't be matched to a device
+            return res.status(403).json({ message: 'Forbidden: Invalid refresh token.' });
+        }
+
+        // 2. Find the session and the user associated with the token
+        const [session, user] = await Promise.all([
+            Session.findOne({ _id: decoded.sid, userId: decoded._id }).select('+refreshTokenHash'),
+            User.findById(decoded._id).populate('planId') // Populate necessary fields
+        ]);
 
         if (!user) {
-            console.log('User not found:', incomingRefreshToken);
+            console.log('User not found for refresh token.');
             return res.status(403).json({ message: 'Forbidden: User not found.' });
         }
 
-        // 3. --- The Core Logic for Handling Race Conditions ---
-
-        // HAPPY PATH: The token matches the current one in the DB.
-        if (user.refreshToken === incomingRefreshToken) {
-            // Generate new tokens. The user instance is updated in memory.
-            const { accessToken, refreshToken: newRefreshToken } = await user.generateAccessAndRefereshTokens();
+        const suspension = await getActiveSuspension(user);
+        if (suspension) {
+            return res.status(403).json(buildSuspendedResponse(suspension));
+        }
 
-            // Add the just-used token to the grace period list
-            await UsedRefreshToken.create({
-                token: incomingRefreshToken,
-                userId: user._id,
-                accessToken
-            });
+        if (!session || !session.isActive()) {
+            if (session && session.revokedReason === 'refresh_token_reuse') {
+                // The family was already revoked for reuse; keep a trace of further replays
+                await recordSecurityEvent({
+                    type: 'refresh_token_reuse',
+                    userId: user._id,
+                    req,
+                    details: { sessionId: session._id.toString(), afterRevocation: true }
+                });
+            }
+            return res.status(403).json({ message: 'Forbidden: Session has been revoked or has expired.' });
+        }
 
-            // Now, save the user with the new refresh token.
-            await user.save({ validateBeforeSave: false });
+        const incomingTokenHash = Session.hashToken(incomingRefreshToken);
 
-            console.log('Token sussesfully refreshed:', incomingRefreshToken);
+        // 3. --- The Core Logic for Handling Race Conditions ---
 
-            return res.status(200).json({
-                message: 'Access token refreshed.',
-                accessToken,
-                refreshToken: newRefreshToken,
-            });
+        // HAPPY PATH: The token matches the session's current one.
+        if (session.refreshTokenHash === incomingTokenHash) {
+            // Generate new tokens. The session's new hash/expiry are set in memory.
+            const { accessToken, refreshToken: newRefreshToken } = await user.generateAccessAndRefereshTokens(session);
+
+            // Compare-and-swap so only one of several concurrent requests rotates the token
+            const rotation = await Session.updateOne(
+                { _id: session._id, refreshTokenHash: incomingTokenHash, revokedAt: null },
+                {
+                    $set: {
+                        refreshTokenHash: session.refreshTokenHash,
+                        expiresAt: session.expiresAt,
+                        lastUsedAt: session.lastUsedAt
+                    }
+                }
+            );
+
+            if (rotation.modifiedCount === 1) {
+                // Add the just-used token to the grace period list
+                await UsedRefreshToken.create({
+                    token: incomingTokenHash,
+                    userId: user._id,
+                    sessionId: session._id,
+                    accessToken,
+                    refreshToken: newRefreshToken
+                });
+
+                // Persist any subscription status change made during token generation
+                await user.save({ validateBeforeSave: false });
+
+                console.log('Token successfully refreshed for session:', session._id.toString());
+
+                return res.status(200).json({
+                    message: 'Access token refreshed.',
+                    accessToken,
+                    refreshToken: newRefreshToken,
+                });
+            }
+            // Another request rotated the token first; fall through to the grace period check.
         }
 
         // GRACE PERIOD PATH: The token doesn't match the current one,
-        // so check if it's a recently used token.
-        const isInGraceList = await UsedRefreshToken.findOne({ token: incomingRefreshToken });
+        // so check if it's a recently used token of this session.
+        const isInGraceList = await findGraceRecord(incomingTokenHash, session._id);
 
         if (isInGraceList) {
-            console.log('Token sussesfully refreshed: (grace period)', incomingRefreshToken);
+            console.log('Token successfully refreshed (grace period) for session:', session._id.toString());
             // It's a concurrent request. The token is valid for this short window.
-            // We issue a new access token but return the *already rotated* refresh token
-            // that is now stored on the user object to keep all clients in sync.
-            const accessToken = isInGraceList.accessToken;
+            // We return the access token and the *already rotated* refresh token
+            // issued by the winning request to keep all clients in sync.
             return res.status(200).json({
                 message: 'Access token refreshed (grace period).',
-                accessToken,
-                refreshToken: user.refreshToken, // Send the newest token
+                accessToken: isInGraceList.accessToken,
+                refreshToken: isInGraceList.refreshToken, // Send the newest token
             });
         }
 
-        // FAILURE PATH: The token is not the current one and not in the grace list.
-        // It's an old, invalid, or compromised token.
-        console.log('Token invalid:', incomingRefreshToken);
-        return res.status(403).json({ message: 'Forbidden: Invalid refresh token.' });
+        // REUSE PATH: The token is correctly signed and belongs to this session, but it was
+        // rotated before the grace period. A stale token being replayed is the signal that
+        // it was stolen, so the whole token family (the session) is revoked.
+        console.warn('Refresh token reuse detected for session:', session._id.toString());
+        await handleRefreshTokenReuse(user, session, req);
+        return res.status(403).json({ message: 'Forbidden: Refresh token reuse detected. The session has been revoked.' });
 
     } catch (error) {
         if (error instanceof jwt.TokenExpiredError) {
@@ -303,7 +480,11 @@ const updateUserProfileByAdmin = async (req, res) => {
         //    - { runValidators: true } ensures that schema validations are applied during the update.
         const updatedUser = await User.findByIdAndUpdate(
             userId,
-            { $set: updateData }, // Use $set to only update provided fields
+            {
+                $set: updateData, // Use $set to only update provided fields
+                // Reactivating lifts any suspension along with it
+                ...(updateData.isActive === true ? { $unset: { suspension: '' } } : {})
+            },
             { new: true, runValidators: true, context: 'query' }
         ).select('-password'); // Exclude password from the returned user object
 
@@ -311,6 +492,15 @@ const updateUserProfileByAdmin = async (req, res) => {
             return res.status(404).json({ message: 'User not found.' });
         }
 
+        // Deactivating signs the user out everywhere, like a suspension
+        // (use POST /api/auth/users/:userId/suspend to give a reason or an end date)
+        if (updateData.isActive === false) {
+            await revokeAccessTokens(updatedUser._id);
+            await revokeSessions({ userId: updatedUser._id }, 'deactivated');
+        } else if (updateData.isActive === true) {
+            forgetAccessState(updatedUser._id);
+        }
+
         res.status(200).json({
             message: 'User profile updated successfully by admin.',
             user: updatedUser
@@ -329,6 +519,311 @@ const updateUserProfileByAdmin = async (req, res) => {
     }
 }
 
+/**
+ * @desc   Unlock a user account locked after too many failed logins
+ * @route  POST /api/auth/users/:userId/unlock
+ * @access Private (Admin only)
+ */
+const unlockUserByAdmin = async (req, res) => {
+    const { userId } = req.params;
+
+    if (!isValidObjectId(userId)) {
+        return res.status(400).json({ message: 'Invalid user ID format.' });
+    }
+
+    try {
+        const user = await User.findById(userId).select('lockout');
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        const unlocked = await unlockAccount(userId, { reason: 'admin', req, performedBy: req.user._id });
+        if (!unlocked) {
+            return res.status(409).json({ message: 'This account is not locked.' });
+        }
+
+        res.status(200).json({ message: 'Account unlocked successfully.' });
+    } catch (error) {
+        console.error('Error unlocking user account:', error);
+        res.status(500).json({ message: 'Error unlocking user account.', error: error.message });
+    }
+};
+
+/**
+ * @desc   Suspend a user account. The user is signed out everywhere and notified.
+ * @route  POST /api/auth/users/:userId/suspend
+ * @access Private (Admin only)
+ */
+const suspendUserByAdmin = async (req, res) => {
+    const { userId } = req.params;
+    const { reason, suspendedUntil } = req.body;
+
+    if (!isValidObjectId(userId)) {
+        return res.status(400).json({ message: 'Invalid user ID format.' });
+    }
+
+    if (userId === req.user._id.toString()) {
+        return res.status(400).json({ message: 'You cannot suspend your own account.' });
+    }
+
+    try {
+        const user = await suspendAccount(userId, { reason, suspendedUntil, req, performedBy: req.user._id });
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        res.status(200).json({
+            message: 'Account suspended successfully.',
+            suspension: user.suspension
+        });
+    } catch (error) {
+        console.error('Error suspending user account:', error);
+        res.status(500).json({ message: 'Error suspending user account.', error: error.message });
+    }
+};
+
+/**
+ * @desc   Lift the suspension of a user account. The user is notified.
+ * @route  POST /api/auth/users/:userId/reinstate
+ * @access Private (Admin only)
+ */
+const reinstateUserByAdmin = async (req, res) => {
+    const { userId } = req.params;
+
+    if (!isValidObjectId(userId)) {
+        return res.status(400).json({ message: 'Invalid user ID format.' });
+    }
+
+    try {
+        if (!(await User.exists({ _id: userId }))) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        const reinstated = await reinstateAccount(userId, { req, performedBy: req.user._id });
+        if (!reinstated) {
+            return res.status(409).json({ message: 'This account is not suspended.' });
+        }
+
+        res.status(200).json({ message: 'Account reinstated successfully.' });
+    } catch (error) {
+        console.error('Error reinstating user account:', error);
+        res.status(500).json({ message: 'Error reinstating user account.', error: error.message });
+    }
+};
+
+/**
+ * @desc   Act as a user ("log in as user") to see what they see. Returns a short-lived access
+ *         token with an `act` claim naming the admin; sensitive actions are blocked with it.
+ *         Recorded in the user's security log.
+ * @route  POST /api/auth/users/:userId/impersonate
+ * @access Private (Admin only)
+ */
+const impersonateUserByAdmin = async (req, res) => {
+    const { userId } = req.params;
+    const { reason, durationMinutes } = req.body;
+
+    if (!isValidObjectId(userId)) {
+        return res.status(400).json({ message: 'Invalid user ID format.' });
+    }
+
+    if (userId === req.user._id.toString()) {
+        return res.status(400).json({ message: 'You cannot impersonate yourself.' });
+    }
+
+    try {
+        const result = await startImpersonation(userId, { actor: req.user, reason, durationMinutes, req });
+        if (!result) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        res.status(200).json({
+            message: `You are now acting as ${result.user.username}.`,
+            accessToken: result.accessToken,
+            expiresAtMs: result.expiresAt.getTime(),
+            user: buildOwnProfile(result.user)
+        });
+    } catch (error) {
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error('Error starting impersonation:', error);
+        res.status(500).json({ message: 'Error starting impersonation.', error: error.message });
+    }
+};
+
+/**
+ * Builds the profile returned to the user themselves (no secrets or internal counters).
+ * @param {object} user - The user document (planId populated).
+ * @returns {object}
+ */
+const buildOwnProfile = (user) => ({
+    _id: user._id,
+    username: user.username,
+    email: user.email,
+    pendingEmail: user.pendingEmail,
+    isEmailVerified: user.isEmailVerified,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    profilePictureUrl: user.profilePictureUrl,
+    preferences: user.preferences || {},
+    role: user.role,
+    plan: user.planId && typeof user.planId === 'object' ? { _id: user.planId._id, name: user.planId.name, slug: user.planId.slug } : null,
+    subscriptionStatus: user.subscriptionStatus,
+    subscriptionEndDate: user.subscriptionEndDate,
+    mfaEnabled: Boolean(user.mfa && user.mfa.enabled),
+    hasPassword: user.hasPassword,
+    authProvider: user.authProvider,
+    lastLoginAt: user.lastLoginAt,
+    deletionScheduledFor: user.deletion ? user.deletion.scheduledFor : undefined,
+    createdAt: user.createdAt
+});
+
+/**
+ * @desc   Get the logged-in user's profile
+ * @route  GET /api/users/me
+ * @access Private
+ */
+const getMyProfile = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).populate('planId');
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        res.status(200).json({
+            message: 'Profile fetched successfully.',
+            user: buildOwnProfile(user)
+        });
+    } catch (error) {
+        console.error('Error fetching own profile:', error);
+        res.status(500).json({ message: 'Error fetching profile.', error: error.message });
+    }
+};
+
+/**
+ * @desc   Update the logged-in user's own profile. Only SELF_EDITABLE_FIELDS may change;
+ *         preferences are merged key by key (a null value removes the key).
+ * @route  PATCH /api/users/me
+ * @access Private
+ */
+const updateMyProfile = async (req, res) => {
+    const updateData = req.body;
+
+    if (Object.keys(updateData).length === 0) {
+        return res.status(400).json({ message: 'No update data provided.' });
+    }
+
+    const isValidOperation = Object.keys(updateData).every(field => SELF_EDITABLE_FIELDS.includes(field));
+    if (!isValidOperation) {
+        return res.status(400).json({ message: 'Invalid update fields provided.' });
+    }
+
+    try {
+        const user = await User.findById(req.user._id).populate('planId');
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        // A picture URL set by hand replaces the uploaded avatar
+        const replacedAvatar = updateData.profilePictureUrl !== undefined && user.avatar && user.avatar.key
+            && updateData.profilePictureUrl !== user.profilePictureUrl
+            ? { driver: user.avatar.driver, key: user.avatar.key }
+            : null;
+        if (replacedAvatar) {
+            user.avatar = undefined;
+        }
+
+        ['firstName', 'lastName', 'profilePictureUrl']
+            .filter(field => updateData[field] !== undefined)
+            .forEach(field => {
+                // An empty value clears the field
+                user[field] = updateData[field] === '' || updateData[field] === null ? undefined : updateData[field];
+            });
+
+        if (updateData.preferences) {
+            const preferences = { ...(user.preferences || {}) };
+            Object.entries(updateData.preferences).forEach(([key, value]) => {
+                if (value === null) {
+                    delete preferences[key];
+                } else {
+                    preferences[key] = value;
+                }
+            });
+            user.preferences = preferences;
+            user.markModified('preferences'); // Mixed type: Mongoose doesn't track changes itself
+        }
+
+        await user.save();
+        await discardStoredAvatar(replacedAvatar);
+
+        res.status(200).json({
+            message: 'Profile updated successfully.',
+            user: buildOwnProfile(user)
+        });
+    } catch (error) {
+        console.error('Error updating own profile:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: 'Validation error.', errors: error.errors });
+        }
+        res.status(500).json({ message: 'Error updating profile.', error: error.message });
+    }
+};
+
+/**
+ * @desc   Upload a new profile picture. It is re-encoded, resized and replaces the previous one.
+ * @route  PUT /api/users/me/avatar
+ * @access Private
+ */
+const uploadMyAvatar = async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ message: 'Please attach an image in the "avatar" field.' });
+    }
+
+    try {
+        const user = await User.findById(req.user._id).populate('planId');
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        await setAvatar(user, req.file.buffer);
+
+        res.status(200).json({
+            message: 'Profile picture updated successfully.',
+            user: buildOwnProfile(user)
+        });
+    } catch (error) {
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error('Error uploading avatar:', error);
+        res.status(500).json({ message: 'Error uploading profile picture.', error: error.message });
+    }
+};
+
+/**
+ * @desc   Remove the profile picture (and delete the uploaded file, if any)
+ * @route  DELETE /api/users/me/avatar
+ * @access Private
+ */
+const deleteMyAvatar = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).populate('planId');
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        await removeAvatar(user);
+
+        res.status(200).json({
+            message: 'Profile picture removed successfully.',
+            user: buildOwnProfile(user)
+        });
+    } catch (error) {
+        console.error('Error removing avatar:', error);
+        res.status(500).json({ message: 'Error removing profile picture.', error: error.message });
+    }
+};
+
 module.exports = {
     registerUser,
     loginUser,
@@ -336,4 +831,12 @@ module.exports = {
     refreshAccessToken,
     getUserProfile,
     updateUserProfileByAdmin,
+    unlockUserByAdmin,
+    suspendUserByAdmin,
+    reinstateUserByAdmin,
+    impersonateUserByAdmin,
+    getMyProfile,
+    updateMyProfile,
+    uploadMyAvatar,
+    deleteMyAvatar,
 };
\ No newline at end of file
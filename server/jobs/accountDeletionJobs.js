@@ -0,0 +1,29 @@
+﻿// jobs/accountDeletionJobs.js
+const cron = require('node-cron');
+const { processDueDeletions } = require('../services/accountDeletionService');
+
+/**
+ * Scheduled task that erases accounts whose deletion cooling-off period has ended.
+ * Runs daily at 4:00 AM server time, after the subscription expiry check.
+ */
+const scheduleAccountDeletionJob = () => {
+    cron.schedule('0 4 * * *', async () => {
+        console.log(`[${new Date().toISOString()}] Running scheduled job: Process Account Deletions...`);
+
+        try {
+            const { deleted, failed } = await processDueDeletions();
+            console.log(`[${new Date().toISOString()}] Scheduled Job Finished: Process Account Deletions. Deleted: ${deleted}, failed: ${failed}`);
+        } catch (error) {
+            console.error(`[${new Date().toISOString()}] Error during scheduled account deletion:`, error);
+        }
+    }, {
+        scheduled: true,
+        timezone: "Asia/Dhaka" // Same timezone as the subscription jobs
+    });
+
+    console.log('Account deletion job scheduled.');
+};
+
+module.exports = {
+    scheduleAccountDeletionJob
+};
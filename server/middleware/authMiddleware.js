@@ -1,17 +1,77 @@
 const jwt = require('jsonwebtoken');
+const jwtSigning = require('../config/jwtSigning');
+const { getAccessState } = require('../services/tokenVersionService');
+const { isSessionActive } = require('../services/sessionService');
+const { verifyAccessToken } = require('../services/accessTokenService');
+const { recordSecurityEvent } = require('../services/securityEventService');
+const { resolveApiKey, buildApiKeyClaims } = require('../services/apiKeyService');
+const { mapMethodToAction } = require('./casbinAuthorize');
 
-const ACCESS_TOKEN_SECRET = process.env.ACCESS_TOKEN_SECRET;
-
-// Critical: Ensure the secret key is defined during startup.
-if (!ACCESS_TOKEN_SECRET) {
+// Critical: Ensure the secret key is defined during startup (asymmetric signing uses the keyring instead).
+if (!jwtSigning.isAsymmetric && !process.env.ACCESS_TOKEN_SECRET) {
     console.error("FATAL ERROR: ACCESS_TOKEN_SECRET is not defined in environment variables.");
     process.exit(1); // Exit if the secret is missing.
 }
 
 /**
- * @description Middleware to authenticate requests using JWT.
- * Verifies the 'Authorization: Bearer <token>' header.
+ * @description Authenticates a request made with a personal API key
+ * ('Authorization: ApiKey <key>'). Attaches the owner's role and plan to req.user,
+ * like the claims of an access token, plus the key's scopes.
+ * The request method must be within the scopes (GET needs `read`, POST `write`, PUT/PATCH
+ * `update`, DELETE `delete`), whether or not the route also runs authorize.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ * @param {string} key - The key from the header.
+ */
+const authenticateApiKey = async (req, res, next, key) => {
+    try {
+        const resolved = await resolveApiKey(key, req);
+        if (!resolved) {
+            return res.status(401).json({
+                status: 'error',
+                message: 'Unauthorized: Invalid, expired or revoked API key.'
+            });
+        }
+        if (resolved.user.isActive === false) {
+            return res.status(403).json({
+                status: 'error',
+                message: 'Forbidden: This account is suspended.',
+                code: 'ACCOUNT_SUSPENDED'
+            });
+        }
+
+        const act = mapMethodToAction(req.method);
+        if (!resolved.apiKey.scopes.includes(act)) {
+            console.warn(`Access DENIED: API key of User='${resolved.user._id}' lacks scope '${act}'`);
+            return res.status(403).json({
+                status: 'error',
+                message: `Forbidden: The API key does not have the '${act}' scope.`,
+                code: 'API_KEY_SCOPE'
+            });
+        }
+
+        req.user = buildApiKeyClaims(resolved.apiKey, resolved.user);
+
+        next();
+    } catch (error) {
+        console.error(`API Key Authentication Error: ${error.name} - ${error.message}`);
+        return res.status(500).json({
+            status: 'error',
+            message: 'Internal Server Error during authentication.'
+        });
+    }
+};
+
+/**
+ * @description Middleware to authenticate requests using JWT or a personal API key.
+ * Verifies the 'Authorization: Bearer <token>' or 'Authorization: ApiKey <key>' header.
  * Attaches the decoded user payload to req.user upon success.
+ * Tokens issued before the user's token version was incremented (suspension, admin
+ * deactivation) are rejected, as are tokens of inactive accounts and tokens whose
+ * session (`sid` claim) has been revoked.
+ * Impersonation tokens (with an `act` claim) also need the acting admin to be active,
+ * and every request made with them is recorded in the user's security log.
  * @param {object} req - Express request object.
  * @param {object} res - Express response object.
  * @param {function} next - Express next middleware function.
@@ -20,6 +80,10 @@ const authenticate = async (req, res, next) => {
 
     const authHeader = req.headers['authorization'];
 
+    if (authHeader && authHeader.startsWith('ApiKey ')) {
+        return authenticateApiKey(req, res, next, authHeader.slice('ApiKey '.length).trim());
+    }
+
     // Check for Authorization header and 'Bearer ' prefix
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
         return res.status(401).json({
@@ -39,7 +103,49 @@ const authenticate = async (req, res, next) => {
 
     try {
 
-        const decoded = jwt.verify(token, ACCESS_TOKEN_SECRET);
+        // The verification key is selected by the token's `kid` header (HS256 tokens use the shared secret)
+        const decoded = await verifyAccessToken(token);
+
+        const accessState = await getAccessState(decoded._id);
+        if (!accessState || accessState.tokenVersion !== (decoded.tv || 0)) {
+            return res.status(401).json({
+                status: 'error',
+                message: 'Unauthorized: Token has been revoked.'
+            });
+        }
+        if (!accessState.isActive) {
+            return res.status(403).json({
+                status: 'error',
+                message: 'Forbidden: This account is suspended.',
+                code: 'ACCOUNT_SUSPENDED'
+            });
+        }
+
+        // Signing out, revoking a device, a password change or refresh token reuse revoke the session
+        if (decoded.sid && !(await isSessionActive(decoded.sid))) {
+            return res.status(401).json({
+                status: 'error',
+                message: 'Unauthorized: Token has been revoked.'
+            });
+        }
+
+        if (decoded.act) {
+            // Impersonation token: the admin acting as the user must still be allowed in
+            const actorState = await getAccessState(decoded.act.sub);
+            if (!actorState || !actorState.isActive) {
+                return res.status(401).json({
+                    status: 'error',
+                    message: 'Unauthorized: Token has been revoked.'
+                });
+            }
+            // Audit trail: every request made as the user goes to the user's security log
+            await recordSecurityEvent({
+                type: 'impersonated_request',
+                userId: decoded._id,
+                req,
+                details: { actorId: decoded.act.sub, method: req.method, path: req.originalUrl }
+            });
+        }
 
         req.user = decoded;
 
@@ -70,4 +176,32 @@ const authenticate = async (req, res, next) => {
     }
 };
 
-module.exports = { authenticate };
\ No newline at end of file
+/**
+ * @description Rejects requests not made by the user through their own signed-in session:
+ * requests with an API key, and requests of an admin impersonating the user. Guards account
+ * security routes (password, email, sessions, two-factor, API keys) and purchases, so a
+ * leaked key or an impersonating admin can't take over the account or spend money.
+ * Must run after authenticate.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+const requireSessionAuth = (req, res, next) => {
+    if (req.user && req.user.authMethod === 'apiKey') {
+        return res.status(403).json({
+            status: 'error',
+            message: 'Forbidden: This action requires signing in; API keys are not accepted.',
+            code: 'API_KEY_NOT_ALLOWED'
+        });
+    }
+    if (req.user && req.user.act) {
+        return res.status(403).json({
+            status: 'error',
+            message: 'Forbidden: This action is not available while impersonating a user.',
+            code: 'IMPERSONATION_NOT_ALLOWED'
+        });
+    }
+    next();
+};
+
+module.exports = { authenticate, requireSessionAuth };
\ No newline at end of file
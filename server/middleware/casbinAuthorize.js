@@ -1,9 +1,16 @@
 // middleware/authorize.js
+const mongoose = require('mongoose');
+const { newEnforceContext } = require('casbin');
 const { getEnforcer } = require('../services/casbin.js');
+
+// Request, policy, effect and matcher of the document checks in config/model.conf (r2, p2, e2, m2)
+const documentContext = newEnforceContext('2');
+
 // Helper function to map HTTP methods to Casbin actions
 function mapMethodToAction(method) {
     switch (method.toUpperCase()) {
         case 'GET': return 'read';
+        case 'HEAD': return 'read';
         case 'POST': return 'write';
         case 'PUT': return 'update';
         case 'PATCH': return 'update'; // Or a separate 'patch' action if needed
@@ -12,9 +19,61 @@ function mapMethodToAction(method) {
     }
 }
 
+// ObjectIds (and populated documents) become strings, so conditions compare them with ==
+const toAttributeValue = (value) => {
+    if (Array.isArray(value)) {
+        return value.map(toAttributeValue);
+    }
+    if (value instanceof mongoose.Types.ObjectId) {
+        return value.toString();
+    }
+    if (value && typeof value === 'object' && value._id instanceof mongoose.Types.ObjectId) {
+        return value._id.toString();
+    }
+    return value;
+};
+
+/**
+ * Reads the attributes document policies see as r2.res.
+ * @param {object} doc - The loaded document.
+ * @param {object} [attributes] - Attribute name => document field (dotted paths allowed).
+ *   Without it, every top-level field is passed under its own name.
+ * @returns {object}
+ */
+const readAttributes = (doc, attributes) => {
+    const plain = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+    const fields = attributes || Object.fromEntries(Object.keys(plain).map(key => [key, key]));
+    const result = {};
+    for (const [name, field] of Object.entries(fields)) {
+        const value = field.split('.').reduce((current, key) => (current == null ? undefined : current[key]), plain);
+        result[name] = value === undefined ? null : toAttributeValue(value);
+    }
+    return result;
+};
+
+/**
+ * Builds a document loader for authorize() that finds a document by the ID in a route parameter.
+ * @param {mongoose.Model} Model - E.g. Project.
+ * @param {string} [paramName='id'] - Route parameter holding the ID.
+ * @param {string} [select] - Fields to load (those the attributes read).
+ * @returns {function(object): Promise<object|null>} Resolves to null if the ID is invalid or unknown.
+ */
+const documentById = (Model, paramName = 'id', select) => async (req) => {
+    const id = req.params[paramName];
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return null;
+    }
+    const query = Model.findById(id);
+    return (select ? query.select(select) : query).lean();
+};
+
+// Every resource a route checks, for the permission matrix (services/policyExplainService.js)
+const authorizedResources = new Set();
+
 /**
  * Express middleware to enforce Casbin authorization.
- * Assumes JWT authentication middleware runs first and attaches user info to req.user.
+ * Assumes JWT authentication middleware runs first and attaches user info to req.user
+ * (from the access token claims, or from the owner of an API key).
  *
  * Example req.user structure expected:
  * req.user = {
@@ -25,9 +84,29 @@ function mapMethodToAction(method) {
  * @param {string} resource - The resource identifier (object in Casbin).
  * Can be a static string like 'resource1' or dynamic like req.path.
  * @param {string} [action] - Optional explicit action (action in Casbin). If not provided, derived from req.method.
+ * @param {object} [options]
+ * @param {object} [options.document] - Also checks the target document against the p2 rules
+ *   (attribute-based, e.g. "only the owner may update a project"):
+ * @param {function(object): Promise<object|null>} options.document.load - Loads the document
+ *   from the request (see documentById); null answers 404.
+ * @param {object} [options.document.attributes] - Attribute name => document field, for the
+ *   conditions (r2.res.<name>). Defaults to every field of the document.
+ *
+ * Example (routes/project.js):
+ * router.patch('/:projectId', authenticate,
+ *     authorize('project', null, {
+ *         document: {
+ *             load: documentById(Project, 'projectId'),
+ *             attributes: { owner: 'user_id' }
+ *         }
+ *     }),
+ *     handler); // The document is in req.authorizedDocument
+ * with the rule: p2, consumer, *, project, (read|update|delete), r2.res.owner == r2.user.id, allow
  */
-const authorize = (resource, explicitAction = null) => {
-    return async (req, res, next) => {
+const authorize = (resource, explicitAction = null, { document = null } = {}) => {
+    authorizedResources.add(resource);
+
+    const middleware = async (req, res, next) => {
         const enforcer = await getEnforcer();
 
         // --- 1. Extract Subject (User ID) and Domain (Plan) ---
@@ -49,19 +128,53 @@ const authorize = (resource, explicitAction = null) => {
         // --- 3. Determine Action ---
         const act = explicitAction || mapMethodToAction(req.method); // e.g., 'read', 'write'
 
+        // --- 3b. API Key Scopes ---
+        // Requests made with an API key (see authMiddleware) may only perform the actions the key
+        // was granted, on top of what the owner's role and plan allow. authenticate already
+        // checked the method; this covers routes with an explicit action.
+        if (Array.isArray(req.user.scopes) && !req.user.scopes.includes(act)) {
+            console.warn(`Access DENIED: API key of User='${req.user._id}' lacks scope '${act}'`);
+            return res.status(403).json({ message: `Forbidden: The API key does not have the '${act}' scope.` });
+        }
+
         // --- 4. Enforce Policy ---
         console.log(`Checking access: User='${sub}', Plan='${dom}', Resource='${obj}', Action='${act}'`); // For debugging
         const hasPermission = await enforcer.enforce(sub, dom, obj, act);
 
-        if (hasPermission) {
-            console.log(`Access GRANTED: User='${sub}', Plan='${dom}', Resource='${obj}', Action='${act}'`);
-            next(); // User has permission, proceed to the route handler
-        } else {
+        if (!hasPermission) {
             console.warn(`Access DENIED: User='${sub}', Plan='${dom}', Resource='${obj}', Action='${act}'`);
             // User does not have permission
-            res.status(403).json({ message: 'Forbidden: You do not have permission to perform this action.' });
+            return res.status(403).json({ message: 'Forbidden: You do not have permission to perform this action.' });
         }
+
+        // --- 5. Document Policies (ABAC) ---
+        if (document) {
+            const doc = await document.load(req);
+            if (!doc) {
+                return res.status(404).json({ message: 'Resource not found.' });
+            }
+
+            const user = { id: String(req.user._id), role: req.user.role, plan: req.user.plan };
+            const attributes = readAttributes(doc, document.attributes);
+            if (!(await enforcer.enforce(documentContext, sub, dom, obj, act, user, attributes))) {
+                console.warn(`Access DENIED: User='${sub}', Plan='${dom}', Resource='${obj}', Action='${act}', Document='${doc._id}'`);
+                return res.status(403).json({ message: 'Forbidden: You do not have permission to perform this action.' });
+            }
+            req.authorizedDocument = doc; // Spares the handler loading it again
+        }
+
+        console.log(`Access GRANTED: User='${sub}', Plan='${dom}', Resource='${obj}', Action='${act}'`);
+        next(); // User has permission, proceed to the route handler
     };
+    // Lets the policy explain endpoint find what a route checks
+    middleware.policyCheck = { resource, action: explicitAction, checksDocument: Boolean(document) };
+    return middleware;
 };
 
-module.exports = { authorize };
\ No newline at end of file
+/**
+ * Lists the resources the routes check, in the order they were registered.
+ * @returns {string[]}
+ */
+const getAuthorizedResources = () => [...authorizedResources];
+
+module.exports = { authorize, documentById, mapMethodToAction, getAuthorizedResources };
\ No newline at end of file
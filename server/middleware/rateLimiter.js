@@ -0,0 +1,142 @@
+const rateLimit = require('express-rate-limit');
+const slowDown = require('express-slow-down');
+const rateLimits = require('../config/rateLimits');
+const { createRateLimitStore } = require('../services/rateLimitStore');
+
+// One store and one limiter per policy (express-rate-limit refuses to share a store between limiters)
+const stores = new Map();
+const limiters = new Map();
+
+/**
+ * Returns the store of a policy, creating it on first use.
+ * @param {string} policyName - Policy name from config/rateLimits.js.
+ * @returns {object} The express-rate-limit store.
+ */
+const getStore = (policyName) => {
+    if (!stores.has(policyName)) {
+        stores.set(policyName, createRateLimitStore(rateLimits.store, `rl:${policyName}:`));
+    }
+    return stores.get(policyName);
+};
+
+/**
+ * Returns the account a request is about: the authenticated user, or the
+ * username/email it names in the body.
+ * @param {object} req - Express request object.
+ * @returns {string|null} A key such as "user:<id>" or "account:alice@example.com".
+ */
+const identityOf = (req) => {
+    if (req.user && req.user._id) {
+        return `user:${req.user._id}`;
+    }
+    const named = req.body && (req.body.identifier || req.body.email);
+    return typeof named === 'string' && named.trim() ? `account:${named.trim().toLowerCase()}` : null;
+};
+
+/**
+ * Builds the key a policy counts a request under.
+ * @param {object} policy - The policy.
+ * @param {object} req - Express request object.
+ * @returns {string}
+ */
+const keyFor = (policy, req) => {
+    if (policy.keyBy === 'identity') {
+        return identityOf(req);
+    }
+    if (policy.keyBy === 'user' && req.user && req.user._id) {
+        return `user:${req.user._id}`;
+    }
+    return `ip:${req.ip}`;
+};
+
+/**
+ * Creates the middleware for a rate limiting policy.
+ * @param {string} policyName - Policy name from config/rateLimits.js.
+ * @returns {function} Express middleware.
+ * @throws {Error} If the policy does not exist.
+ */
+const createLimiter = (policyName) => {
+    const policy = rateLimits.policies[policyName];
+    if (!policy) {
+        throw new Error(`Unknown rate limit policy "${policyName}".`);
+    }
+
+    const common = {
+        windowMs: policy.windowMs,
+        store: getStore(policyName),
+        keyGenerator: (req) => keyFor(policy, req),
+        // Identity policies ignore requests that don't name an account
+        skip: (req) => policy.keyBy === 'identity' && !identityOf(req),
+        // Don't lock everyone out when the store is unreachable
+        passOnStoreError: true,
+    };
+
+    if (policy.type === 'slowDown') {
+        return slowDown({
+            ...common,
+            delayAfter: policy.delayAfter,
+            delayMs: policy.delayMs,
+            maxDelayMs: policy.maxDelayMs,
+        });
+    }
+
+    return rateLimit({
+        ...common,
+        limit: policy.limit,
+        standardHeaders: 'draft-7', // Use RFC 7231 / IETF draft 7 standard headers
+        legacyHeaders: false,       // Disable X-RateLimit-* headers
+        message: policy.message,
+        handler: (req, res, next, options) => { // Custom handler for logging/actions
+            // console.warn(`Rate limit '${policyName}' exceeded for key: ${keyFor(policy, req)}`);
+            res.status(options.statusCode).send(options.message);
+        }
+    });
+};
+
+/**
+ * Returns the middleware for a rate limiting policy. Routes using the same policy share
+ * its counters.
+ * @param {string} policyName - Policy name from config/rateLimits.js.
+ * @returns {function} Express middleware.
+ * @throws {Error} If the policy does not exist.
+ */
+const rateLimitPolicy = (policyName) => {
+    if (!limiters.has(policyName)) {
+        limiters.set(policyName, createLimiter(policyName));
+    }
+    return limiters.get(policyName);
+};
+
+/**
+ * Reads the counters of a key under every policy (or one policy).
+ * @param {string} key - A key as built by the limiters, e.g. "ip:203.0.113.7" or "account:alice".
+ * @param {string} [policyName] - Limit the lookup to one policy.
+ * @returns {Promise<Array<{policy: string, totalHits: number, resetTime: Date}>>} Active counters only.
+ */
+const getRateLimitCounters = async (key, policyName) => {
+    const policyNames = policyName ? [policyName] : Object.keys(rateLimits.policies);
+    const counters = await Promise.all(policyNames.map(async (name) => {
+        rateLimitPolicy(name); // Makes sure the policy's store has been initialized
+        const info = await getStore(name).get(key);
+        return info ? { policy: name, totalHits: info.totalHits, resetTime: info.resetTime } : null;
+    }));
+    return counters.filter(Boolean);
+};
+
+/**
+ * Clears the counters of a key under every policy (or one policy).
+ * @param {string} key - A key as built by the limiters.
+ * @param {string} [policyName] - Limit the reset to one policy.
+ * @returns {Promise<string[]>} The policies whose counter was cleared.
+ */
+const clearRateLimitCounters = async (key, policyName) => {
+    const active = await getRateLimitCounters(key, policyName);
+    await Promise.all(active.map(counter => getStore(counter.policy).resetKey(key)));
+    return active.map(counter => counter.policy);
+};
+
+module.exports = {
+    rateLimitPolicy,
+    getRateLimitCounters,
+    clearRateLimitCounters,
+};
@@ -0,0 +1,50 @@
+const multer = require('multer');
+const uploads = require('../config/uploads');
+
+/**
+ * Wraps a multer middleware so upload problems get a JSON error response.
+ * @param {function} upload - A multer middleware.
+ * @returns {function} Express middleware.
+ */
+const handleUploadErrors = (upload) => (req, res, next) => {
+    upload(req, res, (error) => {
+        if (!error) {
+            return next();
+        }
+        if (error instanceof multer.MulterError) {
+            if (error.code === 'LIMIT_FILE_SIZE') {
+                return res.status(413).json({ message: `The file is too large. The maximum size is ${(uploads.avatar.maxBytes / (1024 * 1024)).toFixed(1).replace(/\.0$/, '')} MB.` });
+            }
+            return res.status(400).json({ message: `Upload rejected: ${error.message}.` });
+        }
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        next(error);
+    });
+};
+
+/**
+ * Accepts one image in the "avatar" field, kept in memory for processing.
+ * The declared MIME type is checked here; the content is checked when it is decoded.
+ */
+const avatarUpload = handleUploadErrors(multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: uploads.avatar.maxBytes,
+        files: 1,
+        fields: 0,
+    },
+    fileFilter: (req, file, cb) => {
+        if (!uploads.avatar.allowedMimeTypes.includes(file.mimetype)) {
+            const error = new Error('Unsupported image type. Use JPEG, PNG, WebP or GIF.');
+            error.statusCode = 415;
+            return cb(error);
+        }
+        cb(null, true);
+    },
+}).single('avatar'));
+
+module.exports = {
+    avatarUpload,
+};
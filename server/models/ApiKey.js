@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const Schema = mongoose.Schema;
+
+/**
+ * @description A personal API key for scripts and other programmatic access.
+ * The plain key (`<prefix>_<keyId>_<secret>`) is shown once at creation; only its
+ * SHA-256 hash is stored. `keyId` is public and finds the key without the hash.
+ */
+const apiKeySchema = new Schema({
+    userId: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    name: { // What the key is for, e.g. "Nightly backup script"
+        type: String,
+        required: [true, 'API key name is required.'],
+        trim: true,
+        maxlength: 100
+    },
+    keyId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    keyHash: { // SHA-256 of the full key
+        type: String,
+        required: true,
+        select: false
+    },
+    scopes: { // Casbin actions the key may perform (see authPolicy.apiKeys.scopes)
+        type: [String],
+        required: true
+    },
+    expiresAt: { // Unset: never expires
+        type: Date
+    },
+    lastUsedAt: {
+        type: Date
+    },
+    lastUsedIp: {
+        type: String,
+        trim: true
+    },
+    revokedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+/**
+ * @description Hashes an API key for storage and comparison.
+ * API keys are long random strings, so a fast hash is enough (no bcrypt needed).
+ * @param {string} key - The plain API key.
+ * @returns {string} - Hex encoded SHA-256 hash.
+ */
+apiKeySchema.statics.hashKey = function (key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+/**
+ * @description Whether the key can still authenticate requests.
+ * @returns {boolean}
+ */
+apiKeySchema.methods.isUsable = function () {
+    return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
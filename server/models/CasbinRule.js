@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Casbin rules have at most this many fields (v0..v5)
+const RULE_FIELDS = ['v0', 'v1', 'v2', 'v3', 'v4', 'v5'];
+
+/**
+ * @description A Casbin policy (`p`) or role assignment (`g`) rule, loaded by
+ * services/casbinMongoAdapter.js. The fields are positional, as defined in config/model.conf
+ * (e.g. p = sub, dom, obj, act, eft).
+ */
+const casbinRuleSchema = new Schema({
+    ptype: { // Rule type from model.conf: 'p', 'g', 'p2', ...
+        type: String,
+        required: [true, 'Rule type is required.']
+    },
+    v0: { type: String },
+    v1: { type: String },
+    v2: { type: String },
+    v3: { type: String },
+    v4: { type: String },
+    v5: { type: String }
+}, {
+    timestamps: true,
+    collection: 'casbin_rule'
+});
+
+// The same rule can't be stored twice
+casbinRuleSchema.index({ ptype: 1, v0: 1, v1: 1, v2: 1, v3: 1, v4: 1, v5: 1 }, { unique: true });
+
+/**
+ * Builds the document fields for a rule.
+ * @param {string} ptype - Rule type.
+ * @param {string[]} rule - The rule's values, in model.conf order.
+ * @returns {object}
+ */
+casbinRuleSchema.statics.fromRule = function (ptype, rule) {
+    const doc = { ptype };
+    rule.forEach((value, index) => {
+        doc[RULE_FIELDS[index]] = value;
+    });
+    return doc;
+};
+
+/**
+ * Builds a filter matching exactly one rule (unused fields must be absent).
+ * @param {string} ptype - Rule type.
+ * @param {string[]} rule - The rule's values.
+ * @returns {object} Mongo filter.
+ */
+casbinRuleSchema.statics.ruleFilter = function (ptype, rule) {
+    const filter = { ptype };
+    RULE_FIELDS.forEach((field, index) => {
+        filter[field] = index < rule.length ? rule[index] : null;
+    });
+    return filter;
+};
+
+/**
+ * Reads the rule values back from a document (plain or hydrated).
+ * @param {object} doc - CasbinRule document.
+ * @returns {string[]} The values, in model.conf order.
+ */
+casbinRuleSchema.statics.toRule = function (doc) {
+    const rule = RULE_FIELDS.map(field => doc[field]);
+    while (rule.length > 0 && (rule[rule.length - 1] === undefined || rule[rule.length - 1] === null)) {
+        rule.pop();
+    }
+    return rule;
+};
+
+const CasbinRule = mongoose.model('CasbinRule', casbinRuleSchema);
+
+module.exports = CasbinRule;
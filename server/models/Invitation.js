@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * @description An admin-issued invitation to register (see services/invitationService.js).
+ * The token is emailed to the invitee and only its hash is stored. Accepted, revoked and
+ * expired invitations are kept as a record of who invited whom.
+ */
+const invitationSchema = new Schema({
+    email: {
+        type: String,
+        required: [true, 'Email is required.'],
+        lowercase: true,
+        trim: true,
+        index: true
+    },
+    role: { // Role the new account gets
+        type: String,
+        enum: ['user', 'admin', 'editor', 'support'],
+        default: 'user'
+    },
+    planId: { // Optional plan assigned on registration, without payment
+        type: Schema.Types.ObjectId,
+        ref: 'Plan'
+    },
+    tokenHash: { // SHA-256 of the emailed token
+        type: String,
+        required: true,
+        unique: true,
+        select: false
+    },
+    invitedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    acceptedAt: {
+        type: Date
+    },
+    acceptedBy: { // The account registered with this invitation
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    revokedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+/**
+ * Hashes an invitation token for storage and lookup.
+ * @param {string} token - The plain token from the invitation link.
+ * @returns {string} Hex-encoded SHA-256 hash.
+ */
+invitationSchema.statics.hashToken = function (token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * Describes where the invitation stands.
+ * @returns {'pending'|'accepted'|'revoked'|'expired'}
+ */
+invitationSchema.methods.getStatus = function () {
+    if (this.acceptedAt) return 'accepted';
+    if (this.revokedAt) return 'revoked';
+    if (this.expiresAt <= new Date()) return 'expired';
+    return 'pending';
+};
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+module.exports = Invitation;
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * @description One login attempt, successful or not (see services/loginHistoryService.js).
+ * Users review their own attempts; new devices and networks are detected against past successes.
+ */
+const loginEventSchema = new Schema({
+    userId: { // Unset when the identifier matched no account
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    identifier: { // Username or email as submitted, for password and emailed-code logins
+        type: String,
+        trim: true,
+        maxlength: 254
+    },
+    method: {
+        type: String,
+        enum: ['password', 'passwordless', 'passkey', 'oauth'],
+        required: true
+    },
+    mfa: { // A TOTP or recovery code was checked as a second step
+        type: Boolean,
+        default: false
+    },
+    success: {
+        type: Boolean,
+        required: true
+    },
+    failureReason: {
+        type: String,
+        enum: [
+            'unknown_user',
+            'invalid_credentials', // Wrong password, code, link or passkey
+            'invalid_mfa_code',
+            'account_locked',
+            'account_suspended',
+            'email_not_verified',
+        ]
+    },
+    ip: {
+        type: String,
+        trim: true
+    },
+    ipRange: { // Network of the IP (IPv4 /24, IPv6 /48), compared for new-device alerts
+        type: String
+    },
+    userAgent: {
+        type: String,
+        trim: true
+    },
+    device: { // E.g. "Chrome on Windows" (see describeUserAgent)
+        type: String
+    },
+    newDevice: { // First successful login from this device or network; the user was alerted
+        type: Boolean,
+        default: false
+    },
+    expiresAt: { // End of the retention period (authPolicy.loginHistory.retentionDays)
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// A user's recent attempts, and "seen before" lookups
+loginEventSchema.index({ userId: 1, createdAt: -1 });
+loginEventSchema.index({ userId: 1, success: 1, device: 1 });
+loginEventSchema.index({ userId: 1, success: 1, ipRange: 1 });
+// MongoDB deletes attempts after the retention period
+loginEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginEvent = mongoose.model('LoginEvent', loginEventSchema);
+
+module.exports = LoginEvent;
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * @description A pending OAuth authorization request. Created when the client asks for a
+ * provider's authorization URL and consumed (deleted) when the provider redirects back,
+ * so every `state` value can be used only once.
+ */
+const oauthStateSchema = new Schema({
+    state: { // Random value sent to the provider and echoed back (CSRF protection)
+        type: String,
+        required: true,
+        unique: true
+    },
+    provider: {
+        type: String,
+        required: true
+    },
+    codeVerifier: { // PKCE verifier; only its S256 challenge is sent to the provider
+        type: String,
+        required: true
+    },
+    redirectUri: { // Must be sent again, unchanged, when exchanging the code
+        type: String,
+        required: true
+    },
+    mode: {
+        type: String,
+        enum: ['login', 'link'],
+        default: 'login'
+    },
+    userId: { // The signed-in user for 'link' requests
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// --- TTL Index ---
+// MongoDB deletes abandoned authorization requests once they expire.
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const OAuthState = mongoose.model('OAuthState', oauthStateSchema);
+
+module.exports = OAuthState;
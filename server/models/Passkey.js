@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * @description A WebAuthn credential (passkey) registered by a user. Only the public key
+ * is stored; the private key never leaves the authenticator.
+ */
+const passkeySchema = new Schema({
+    userId: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    credentialId: { // Base64URL credential ID chosen by the authenticator
+        type: String,
+        required: true,
+        unique: true
+    },
+    publicKey: { // COSE encoded credential public key
+        type: Buffer,
+        required: true
+    },
+    counter: { // Signature counter; a value that doesn't increase hints at a cloned authenticator
+        type: Number,
+        default: 0
+    },
+    transports: { // How the browser can reach the authenticator (usb, nfc, ble, internal, hybrid)
+        type: [String],
+        default: undefined
+    },
+    deviceType: { // 'singleDevice' or 'multiDevice' (synced passkey)
+        type: String,
+        enum: ['singleDevice', 'multiDevice']
+    },
+    backedUp: {
+        type: Boolean,
+        default: false
+    },
+    aaguid: { // Authenticator model identifier
+        type: String
+    },
+    name: { // Label chosen by the user, e.g. "MacBook Touch ID"
+        type: String,
+        trim: true,
+        maxlength: 100
+    },
+    lastUsedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+const Passkey = mongoose.model('Passkey', passkeySchema);
+
+module.exports = Passkey;
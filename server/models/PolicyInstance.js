@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+/**
+ * @description A running server instance and the authorization policy version it has loaded
+ * (see services/policyWatcher.js). Refreshed on every policy check; entries of stopped
+ * instances expire.
+ */
+const policyInstanceSchema = new mongoose.Schema({
+    _id: { // Instance ID: "<hostname>:<pid>"
+        type: String,
+        required: true
+    },
+    policyVersion: { // Policy version the instance's enforcer was loaded from
+        type: Number,
+        required: true
+    },
+    loadedAt: {
+        type: Date,
+        required: true
+    },
+    watcher: { // config/policySync.js `watcher` of the instance
+        type: String
+    },
+    lastSeenAt: {
+        type: Date,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+// --- TTL Index ---
+// MongoDB deletes the entries of instances that stopped checking in.
+policyInstanceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const PolicyInstance = mongoose.model('PolicyInstance', policyInstanceSchema);
+
+module.exports = PolicyInstance;
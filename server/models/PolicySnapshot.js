@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A Casbin rule as the policy API describes it: { ptype: 'g', rule: ['user', 'consumer'] }
+const ruleSchema = new Schema({
+    ptype: { type: String, required: true },
+    rule: { type: [String], required: true }
+}, { _id: false });
+
+/**
+ * @description The complete authorization rule set at one policy version (services/casbin.js),
+ * with who changed it and how it differs from the previous version.
+ * Written by services/policyHistoryService.js; rollbacks restore the rules of a snapshot.
+ */
+const policySnapshotSchema = new Schema({
+    version: { // Policy version these rules were published as
+        type: Number,
+        required: true,
+        unique: true
+    },
+    rules: {
+        type: [ruleSchema],
+        default: []
+    },
+    previousVersion: { // Snapshot the diff is computed against (null for the first one)
+        type: Number,
+        default: null
+    },
+    diff: {
+        added: { type: [ruleSchema], default: [] },
+        removed: { type: [ruleSchema], default: [] }
+    },
+    action: {
+        type: String,
+        enum: ['add', 'remove', 'replace', 'rollback', 'import', 'reload', 'baseline'],
+        required: true
+    },
+    author: { // Null for changes made by scripts or on startup
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    rolledBackTo: { // For rollbacks: the version whose rules were restored
+        type: Number,
+        default: null
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+const PolicySnapshot = mongoose.model('PolicySnapshot', policySnapshotSchema);
+
+module.exports = PolicySnapshot;
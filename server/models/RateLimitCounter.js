@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+/**
+ * @description A rate limit counter shared by all server instances (see services/rateLimitStore.js).
+ * `key` includes the policy prefix, e.g. "rl:auth:ip:203.0.113.7".
+ */
+const rateLimitCounterSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    hits: {
+        type: Number,
+        default: 0,
+    },
+    resetAt: { // End of the current window
+        type: Date,
+        required: true,
+    },
+});
+
+// --- TTL Index ---
+// MongoDB deletes counters once their window has ended.
+rateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitCounter = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
+
+module.exports = RateLimitCounter;
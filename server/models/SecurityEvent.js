@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * @description Audit log of security-relevant events on a user account
+ * (e.g. refresh token reuse). Kept separate from operational logs so it can be queried per user.
+ */
+const securityEventSchema = new Schema({
+    userId: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        index: true
+    },
+    type: {
+        type: String,
+        required: [true, 'Security event type is required.'],
+        enum: [
+            'refresh_token_reuse', // A rotated refresh token was replayed after the grace period
+            'oauth_account_linked', // An external login (Google, GitHub, ...) was linked
+            'oauth_account_unlinked',
+            'account_locked', // Too many failed logins
+            'account_unlocked',
+            'password_changed', // Changed by the signed-in user
+            'email_changed',
+            'account_deletion_scheduled', // Confirmed by the user, carried out after the cooling-off period
+            'account_deletion_canceled',
+            'account_deleted', // Personal data erased (see services/accountDeletionService.js)
+            'account_suspended', // By an admin
+            'account_reinstated', // By an admin, or automatically when the suspension ran out
+            'impersonation_started', // An admin acts as this user; details.actorId is the admin
+            'impersonated_request', // A request the admin made as this user (method and path)
+            'api_key_created', // Personal API key for programmatic access
+            'api_key_revoked',
+            'signing_key_rotated', // Access token keyring; userId is the admin who rotated it
+            'policy_changed', // Casbin rules added, removed or replaced; userId is the admin
+            'passkey_registered', // WebAuthn credential added
+            'passkey_removed',
+            'passkey_counter_mismatch', // Signature counter didn't increase: possibly a cloned authenticator
+        ],
+        index: true
+    },
+    ip: {
+        type: String,
+        trim: true
+    },
+    userAgent: {
+        type: String,
+        trim: true
+    },
+    details: { // Event-specific data (session id, actor, etc.)
+        type: Schema.Types.Mixed,
+        default: {}
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Efficiently list a user's most recent events
+securityEventSchema.index({ userId: 1, createdAt: -1 });
+
+const SecurityEvent = mongoose.model('SecurityEvent', securityEventSchema);
+
+module.exports = SecurityEvent;
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const Schema = mongoose.Schema;
+
+/**
+ * @description A logged-in device. Each session holds its own refresh token, so a user
+ * can stay signed in on several devices and end them one by one.
+ * All refresh tokens rotated within a session form one token family: replaying a stale
+ * member of the family revokes the session (see handleRefreshTokenReuse).
+ */
+const sessionSchema = new Schema({
+    userId: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true // Index for listing/revoking a user's sessions
+    },
+    deviceLabel: { // Human readable name, e.g. "Chrome on Windows" or a client-provided label
+        type: String,
+        trim: true,
+        maxlength: 100
+    },
+    userAgent: {
+        type: String,
+        trim: true
+    },
+    ip: {
+        type: String,
+        trim: true
+    },
+    refreshTokenHash: { // SHA-256 of the current refresh token; the plain token is never stored
+        type: String,
+        select: false
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: { // Expiry of the current refresh token
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date
+    },
+    revokedReason: {
+        type: String,
+        trim: true
+    }
+}, {
+    // Automatically add createdAt and updatedAt timestamps
+    timestamps: true
+});
+
+// --- TTL Index ---
+// MongoDB deletes a session once its refresh token can no longer be used.
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * @description Hashes a refresh token for storage and lookup.
+ * Refresh tokens are long random JWTs, so a fast hash is sufficient (unlike passwords).
+ * @param {string} token - The plain refresh token.
+ * @returns {string} The hex-encoded SHA-256 hash.
+ */
+sessionSchema.statics.hashToken = function (token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * @description Stores a new refresh token on the session (in memory; the caller saves).
+ * @param {string} refreshToken - The plain refresh token.
+ * @param {Date} expiresAt - When the refresh token expires.
+ */
+sessionSchema.methods.setRefreshToken = function (refreshToken, expiresAt) {
+    this.refreshTokenHash = this.constructor.hashToken(refreshToken);
+    this.expiresAt = expiresAt;
+    this.lastUsedAt = new Date();
+};
+
+/**
+ * @description Checks whether the session is still usable.
+ * @returns {boolean} True if the session has not been revoked or expired.
+ */
+sessionSchema.methods.isActive = function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * @description A key pair of the access token keyring (see services/keyringService.js).
+ * The key that activated last signs new tokens; every unexpired key verifies tokens and is
+ * published in the JWKS, so keys overlap during a rotation.
+ */
+const signingKeySchema = new Schema({
+    kid: { // Key ID, sent in the `kid` header of the tokens it signs
+        type: String,
+        required: true,
+        unique: true
+    },
+    alg: {
+        type: String,
+        enum: ['RS256', 'EdDSA'],
+        required: true
+    },
+    publicKey: { // SPKI PEM
+        type: String,
+        required: true
+    },
+    privateKey: { // PKCS#8 PEM, encrypted when JWT_PRIVATE_KEY_PASSPHRASE is set
+        type: String,
+        required: true,
+        select: false
+    },
+    activatesAt: { // Starts signing at this time; published in the JWKS before that
+        type: Date,
+        required: true,
+        index: true
+    },
+    expiresAt: { // Set when the key is replaced; removed once no token it signed can still be valid
+        type: Date
+    },
+    createdBy: { // Admin who rotated the keys (unset for automatic or CLI rotation)
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// MongoDB deletes expired keys by itself
+signingKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const SigningKey = mongoose.model('SigningKey', signingKeySchema);
+
+module.exports = SigningKey;
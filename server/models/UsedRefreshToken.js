@@ -1,7 +1,7 @@
 ﻿const mongoose = require('mongoose');
 
 const usedRefreshTokenSchema = new mongoose.Schema({
-    // The token string itself, indexed for fast lookups.
+    // SHA-256 hash of the used refresh token (see Session.hashToken), indexed for fast lookups.
     token: {
         type: String,
         required: true,
@@ -13,10 +13,22 @@ const usedRefreshTokenSchema = new mongoose.Schema({
         ref: 'User',
         required: true,
     },
+    // The session (device) the token was rotated on.
+    sessionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Session',
+        required: true,
+    },
     accessToken: {
         type: String,
         required: true,
     },
+    // The refresh token that replaced the used one. Concurrent requests that arrive with the
+    // used token within the grace period receive it, so all tabs end up with the same token.
+    refreshToken: {
+        type: String,
+        required: true,
+    },
     // This is the core of the TTL strategy. MongoDB will automatically delete
     // this document 30 seconds after its creation time.
     createdAt: {
@@ -2,11 +2,11 @@ const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { signAccessToken } = require('../services/accessTokenService');
 
 // Environment variables for token secrets and expiry (ensure these are set in your .env)
-const ACCESS_TOKEN_SECRET = process.env.ACCESS_TOKEN_SECRET;
 const REFRESH_TOKEN_SECRET = process.env.REFRESH_TOKEN_SECRET;
-const ACCESS_TOKEN_EXPIRY = process.env.ACCESS_TOKEN_EXPIRY || '15m';
 const REFRESH_TOKEN_EXPIRY = process.env.REFRESH_TOKEN_EXPIRY || '7d';
 
 /**
@@ -34,9 +34,13 @@ const userSchema = new Schema({
         required: [true, 'Password hash is required.'],
         select: false // Exclude password hash from query results by default
     },
-    refreshToken: {
-        type: String,
-        select: false // Exclude refresh token from query results by default
+    passwordHistory: { // Previous password hashes, newest first (see services/passwordPolicyService.js)
+        type: [String],
+        select: false,
+        default: undefined
+    },
+    passwordChangedAt: { // Start of the password's age (authPolicy.password.maxAgeDays)
+        type: Date
     },
     firstName: {
         type: String,
@@ -50,6 +54,15 @@ const userSchema = new Schema({
         type: String,
         trim: true
     },
+    avatar: { // Uploaded picture behind profilePictureUrl, so it can be cleaned up (see services/avatarService.js)
+        driver: {
+            type: String,
+            enum: ['local', 'cloudinary']
+        },
+        key: {
+            type: String
+        }
+    },
     planId: {
         type: Schema.Types.ObjectId,
         ref: 'Plan', // Reference to the Plan model
@@ -84,6 +97,36 @@ const userSchema = new Schema({
         type: Boolean,
         default: false
     },
+    pendingEmail: { // New address waiting for its confirmation OTP (self-service email change)
+        type: String,
+        lowercase: true,
+        trim: true
+    },
+    mfa: { // TOTP two-factor authentication
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        secret: { // Base32 TOTP secret of the confirmed enrollment
+            type: String,
+            select: false
+        },
+        pendingSecret: { // Secret generated during setup, waiting for the first code
+            type: String,
+            select: false
+        },
+        recoveryCodes: { // bcrypt hashes of unused one-time recovery codes
+            type: [String],
+            select: false
+        },
+        lastUsedStep: { // Last accepted TOTP time step, prevents code replay
+            type: Number,
+            select: false
+        },
+        enabledAt: {
+            type: Date
+        }
+    },
     authProvider: {
         type: String,
         enum: ['local', 'google', 'facebook', 'github'], // Add providers as needed
@@ -95,11 +138,113 @@ const userSchema = new Schema({
         index: true,
         sparse: true // Allows multiple nulls, unique when set (compound index with authProvider might be better)
     },
+    // authProvider/providerId record how the account was created; every external login
+    // that can sign in to the account (including that one) is listed here.
+    linkedAccounts: [{
+        _id: false,
+        provider: {
+            type: String,
+            enum: ['google', 'facebook', 'github'],
+            required: true
+        },
+        providerId: {
+            type: String,
+            required: true
+        },
+        email: { // Email reported by the provider when the account was linked
+            type: String,
+            lowercase: true,
+            trim: true
+        },
+        linkedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    hasPassword: { // False for accounts created through a provider until a password is set
+        type: Boolean,
+        default: true
+    },
+    lockout: { // Per-account brute-force protection (see services/lockoutService.js)
+        failedAttempts: { // Consecutive failed logins within the failure window
+            type: Number,
+            default: 0
+        },
+        lastFailedAt: {
+            type: Date
+        },
+        lockedUntil: { // Login is refused until this time
+            type: Date
+        },
+        lockoutCount: { // Consecutive lockouts, drives the progressive duration; reset by a successful login
+            type: Number,
+            default: 0
+        },
+        history: [{ // Every lockout and unlock, most recent last
+            _id: false,
+            action: {
+                type: String,
+                enum: ['locked', 'unlocked'],
+                required: true
+            },
+            reason: { // 'failed_attempts', 'expired', 'admin', 'password_reset'
+                type: String,
+                trim: true
+            },
+            at: {
+                type: Date,
+                default: Date.now
+            },
+            lockedUntil: {
+                type: Date
+            },
+            ip: {
+                type: String,
+                trim: true
+            },
+            performedBy: { // Admin who unlocked the account
+                type: Schema.Types.ObjectId,
+                ref: 'User'
+            }
+        }]
+    },
     isActive: { // For soft deletion or suspension
         type: Boolean,
         default: true,
         index: true
     },
+    suspension: { // Set while an admin has suspended the account (isActive is false); see services/suspensionService.js
+        reason: {
+            type: String,
+            trim: true
+        },
+        suspendedAt: {
+            type: Date
+        },
+        suspendedUntil: { // Automatically reinstated after this time; unset for an indefinite suspension
+            type: Date
+        },
+        suspendedBy: {
+            type: Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    },
+    tokenVersion: { // Sent as the 'tv' access token claim; incrementing it invalidates every access token already issued
+        type: Number,
+        default: 0
+    },
+    deletion: { // Self-service account deletion (see services/accountDeletionService.js)
+        requestedAt: {
+            type: Date
+        },
+        scheduledFor: { // End of the cooling-off period; the deletion job erases the account after it
+            type: Date,
+            index: true
+        },
+        completedAt: { // Personal data erased; the document remains as an anonymous placeholder
+            type: Date
+        }
+    },
     lastLoginAt: {
         type: Date
     },
@@ -116,6 +261,12 @@ const userSchema = new Schema({
     timestamps: true
 });
 
+// An external account can be linked to only one user
+userSchema.index(
+    { 'linkedAccounts.provider': 1, 'linkedAccounts.providerId': 1 },
+    { unique: true, partialFilterExpression: { 'linkedAccounts.providerId': { $exists: true } } }
+);
+
 // Mongoose Pre-Save Hook for Password Hashing
 userSchema.pre('save', async function (next) {
     if (this.isModified('password_hash')) {
@@ -145,14 +296,15 @@ userSchema.methods.isPasswordCorrect = async function (passwordAttempt) {
 };
 
 /**
- * @description Generates a JWT Access Token for the user.
- * @returns {string} - The generated access token.
- * @throws {Error} - If ACCESS_TOKEN_SECRET is not defined.
+ * @description Generates a JWT Access Token for the user, signed as configured in config/jwtSigning.js.
+ * @param {string|ObjectId} [sessionId] - The session the token belongs to (added as the 'sid' claim).
+ * @param {object} [options]
+ * @param {object} [options.act] - Actor claim of an impersonation token ({ sub, username }: the admin acting as this user).
+ * @param {string|number} [options.expiresIn] - Overrides ACCESS_TOKEN_EXPIRY.
+ * @returns {Promise<string>} - The generated access token.
+ * @throws {Error} - If the signing secret or key is missing.
  */
-userSchema.methods.generateAccessToken = function () {
-    if (!ACCESS_TOKEN_SECRET) {
-        throw new Error('ACCESS_TOKEN_SECRET is not defined in environment variables.');
-    }
+userSchema.methods.generateAccessToken = function (sessionId, { act, expiresIn } = {}) {
     // Assumes planId is populated if its properties like 'slug' are accessed.
     // Original controller logic ensures 'planId' is populated before token generation.
     let planSlug = "free"; // Default plan slug
@@ -161,28 +313,33 @@ userSchema.methods.generateAccessToken = function () {
     } else if (this.planId && this.subscriptionStatus === 'free') { // Fallback if planId not populated but status is free
         planSlug = 'free';
     }
-    return jwt.sign(
-        {
-            _id: this._id,
-            role: this.role,
-            plan: planSlug
-        },
-        ACCESS_TOKEN_SECRET,
-        { expiresIn: ACCESS_TOKEN_EXPIRY }
-    );
+    return signAccessToken({
+        _id: this._id,
+        role: this.role,
+        plan: planSlug,
+        tv: this.tokenVersion || 0,
+        ...(sessionId ? { sid: sessionId.toString() } : {}),
+        ...(act ? { act } : {})
+    }, { expiresIn });
 };
 
 /**
  * @description Generates a JWT Refresh Token for the user.
+ * @param {string|ObjectId} sessionId - The session the token belongs to (added as the 'sid' claim).
  * @returns {string} - The generated refresh token.
  * @throws {Error} - If REFRESH_TOKEN_SECRET is not defined.
  */
-userSchema.methods.generateRefreshToken = function () {
+userSchema.methods.generateRefreshToken = function (sessionId) {
     if (!REFRESH_TOKEN_SECRET) {
         throw new Error('REFRESH_TOKEN_SECRET is not defined in environment variables.');
     }
     return jwt.sign(
-        { _id: this._id },
+        {
+            _id: this._id,
+            sid: sessionId.toString(),
+            // Unique per token so two refreshes within the same second never produce identical tokens
+            jti: crypto.randomUUID()
+        },
         REFRESH_TOKEN_SECRET,
         { expiresIn: REFRESH_TOKEN_EXPIRY }
     );
@@ -224,13 +381,19 @@ userSchema.methods.checkAndUpdateExpiredStatus = async function () {
 };
 
 /**
- * @description Generates Access and Refresh Tokens, updates subscription status,
- * and saves the user's refresh token.
+ * @description Generates Access and Refresh Tokens for a session and updates subscription status.
+ * The new refresh token's hash and expiry are set on the session instance; the caller saves
+ * both the user and the session.
+ * @param {Session} session - The session (device) the tokens are issued for.
  * @returns {Promise<{accessToken: string, refreshToken: string}>} - The generated tokens.
- * @throws {Error} - If token generation or DB update fails.
+ * @throws {Error} - If token generation fails.
  */
-userSchema.methods.generateAccessAndRefereshTokens = async function () {
+userSchema.methods.generateAccessAndRefereshTokens = async function (session) {
     try {
+        if (!session) {
+            throw new Error('A session is required to issue tokens.');
+        }
+
         // Ensure planId is populated if it's an ObjectId and its properties are needed.
         // Controllers (login, refresh) already populate planId. This is a safeguard.
         if (this.planId && !(this.planId instanceof mongoose.Model) && mongoose.Types.ObjectId.isValid(this.planId)) {
@@ -239,12 +402,12 @@ userSchema.methods.generateAccessAndRefereshTokens = async function () {
 
         await this.checkAndUpdateExpiredStatus(); // Check and update status on the instance
 
-        const accessToken = this.generateAccessToken();
-        const refreshToken = this.generateRefreshToken();
+        const accessToken = await this.generateAccessToken(session._id);
+        const refreshToken = this.generateRefreshToken(session._id);
 
-        this.refreshToken = refreshToken;
-        // The pre-save hook handles password hashing
-        // await this.save(); // The controller will be responsible for saving the user document.
+        const { exp } = jwt.decode(refreshToken);
+        session.setRefreshToken(refreshToken, new Date(exp * 1000));
+        // The controller will be responsible for saving the user and session documents.
 
         return { accessToken, refreshToken };
     } catch (error) {
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * @description A pending WebAuthn ceremony: the random challenge the authenticator must sign.
+ * Each challenge can be answered once (see services/passkeyService.js consumeChallenge).
+ */
+const webAuthnChallengeSchema = new Schema({
+    challenge: { // Base64URL
+        type: String,
+        required: true
+    },
+    purpose: {
+        type: String,
+        enum: ['registration', 'authentication'],
+        required: true
+    },
+    userId: { // Registration: the signed-in user. Login: the named account, unset for discoverable logins.
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+// MongoDB deletes unanswered challenges by itself
+webAuthnChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const WebAuthnChallenge = mongoose.model('WebAuthnChallenge', webAuthnChallengeSchema);
+
+module.exports = WebAuthnChallenge;
@@ -1,20 +1,38 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate } = require('../middleware/authMiddleware');
+const { authenticate, requireSessionAuth } = require('../middleware/authMiddleware');
 const { authorize } = require('../middleware/casbinAuthorize');
-const { reloadPolicies } = require('../services/casbin');
+const { reloadAllPolicies } = require('../services/policyService');
 
 // --- Controller & Middleware Imports ---
 const userController = require('../controllers/user');
+const rateLimitController = require('../controllers/rateLimitController');
+const signingKeyController = require('../controllers/signingKeyController');
+const invitationController = require('../controllers/invitationController');
+const policyController = require('../controllers/policyController');
+const {
+    suspendUserValidationRules,
+    impersonateUserValidationRules,
+    createInvitationValidationRules,
+    policyRuleValidationRules,
+    replacePoliciesValidationRules,
+    proposedRulesValidationRules,
+    explainPolicyValidationRules,
+    policyHistoryValidationRules,
+    policyVersionValidationRules,
+    comparePolicyVersionsValidationRules,
+    handleValidationErrors
+} = require('../validators/validatorsIndex');
 
-// Example of a protected route
+// Reload the Casbin rules from MongoDB on every instance (after changing them outside the policy API)
 router.put('/reload-policies',
     authenticate,
     authorize("admin"),
+    requireSessionAuth,
     async (req, res) => {
         try {
-            await reloadPolicies();
-            res.json({ message: 'Policies reloaded successfully. by', user: req.user });
+            const version = await reloadAllPolicies(req.user);
+            res.json({ message: 'Policies reloaded successfully. by', user: req.user, version });
         } catch (error) {
             res.status(500).json({ message: 'Error reloading policies.', error: error.message });
         }
@@ -29,9 +47,197 @@ router.get('/user-profile',
 router.patch('/user-profile/:userId',
     authenticate,
     authorize("admin"),
+    requireSessionAuth,
     userController.updateUserProfileByAdmin
 );
 
+// Unlock an account locked after too many failed logins
+router.post('/users/:userId/unlock',
+    authenticate,
+    authorize("admin"),
+    requireSessionAuth,
+    userController.unlockUserByAdmin
+);
+
+// Suspend an account (reason, optional suspendedUntil) and sign the user out everywhere
+router.post('/users/:userId/suspend',
+    authenticate,
+    authorize("admin"),
+    requireSessionAuth,
+    suspendUserValidationRules(),
+    handleValidationErrors,
+    userController.suspendUserByAdmin
+);
+
+// Lift a suspension
+router.post('/users/:userId/reinstate',
+    authenticate,
+    authorize("admin"),
+    requireSessionAuth,
+    userController.reinstateUserByAdmin
+);
+
+// Act as a user ("log in as user"): returns a short-lived access token with an `act` claim
+router.post('/users/:userId/impersonate',
+    authenticate,
+    authorize("admin"),
+    requireSessionAuth, // Not with an API key
+    impersonateUserValidationRules(),
+    handleValidationErrors,
+    userController.impersonateUserByAdmin
+);
+
+// Invitations: onboard users when registration is invite-only
+router.get('/invitations',
+    authenticate,
+    authorize("admin"),
+    invitationController.listInvitations
+);
+
+router.post('/invitations',
+    authenticate,
+    authorize("admin"),
+    requireSessionAuth,
+    createInvitationValidationRules(),
+    handleValidationErrors,
+    invitationController.createInvitation
+);
+
+router.delete('/invitations/:invitationId',
+    authenticate,
+    authorize("admin"),
+    requireSessionAuth,
+    invitationController.revokeInvitation
+);
+
+// Authorization policies (Casbin rules stored in MongoDB, checked against model.conf)
+router.get('/policies',
+    authenticate,
+    authorize("admin"),
+    policyController.getPolicies
+);
+
+// Policy version loaded by each server instance
+router.get('/policies/status',
+    authenticate,
+    authorize("admin"),
+    policyController.getPolicyStatus
+);
+
+// Every policy version, with author and diff; compare two and roll back to an earlier one
+router.get('/policies/history',
+    authenticate,
+    authorize("admin"),
+    policyHistoryValidationRules(),
+    handleValidationErrors,
+    policyController.getPolicyHistory
+);
+
+router.get('/policies/history/compare',
+    authenticate,
+    authorize("admin"),
+    comparePolicyVersionsValidationRules(),
+    handleValidationErrors,
+    policyController.comparePolicyHistory
+);
+
+router.get('/policies/history/:version',
+    authenticate,
+    authorize("admin"),
+    policyVersionValidationRules(),
+    handleValidationErrors,
+    policyController.getPolicyVersion
+);
+
+router.post('/policies/history/:version/rollback',
+    authenticate,
+    authorize("admin"),
+    requireSessionAuth,
+    policyVersionValidationRules(),
+    handleValidationErrors,
+    policyController.rollbackPolicyVersion
+);
+
+// Why a request is allowed or denied, optionally with a proposed rule set (dry run)
+router.post('/policies/explain',
+    authenticate,
+    authorize("admin", "read"),
+    explainPolicyValidationRules(),
+    handleValidationErrors,
+    policyController.explainPolicyDecision
+);
+
+// Permissions of every role and plan on every resource, and what a proposed rule set would change
+router.post('/policies/matrix',
+    authenticate,
+    authorize("admin", "read"),
+    proposedRulesValidationRules(),
+    handleValidationErrors,
+    policyController.getPermissionMatrix
+);
+
+router.post('/policies',
+    authenticate,
+    authorize("admin"),
+    requireSessionAuth,
+    policyRuleValidationRules(),
+    handleValidationErrors,
+    policyController.createPolicy
+);
+
+router.delete('/policies',
+    authenticate,
+    authorize("admin"),
+    requireSessionAuth,
+    policyRuleValidationRules(),
+    handleValidationErrors,
+    policyController.deletePolicy
+);
+
+// Replace the whole rule set
+router.put('/policies',
+    authenticate,
+    authorize("admin"),
+    requireSessionAuth,
+    replacePoliciesValidationRules(),
+    handleValidationErrors,
+    policyController.replaceAllPolicies
+);
+
+// Access token signing keys: list the keyring and rotate the signing key
+router.get('/signing-keys',
+    authenticate,
+    authorize("admin"),
+    signingKeyController.listKeys
+);
+
+router.post('/signing-keys/rotate',
+    authenticate,
+    authorize("admin"),
+    requireSessionAuth,
+    signingKeyController.rotateKeys
+);
+
+// Rate limiting: inspect and clear the counters of a key (IP, user or account)
+router.get('/rate-limits/policies',
+    authenticate,
+    authorize("admin"),
+    rateLimitController.listPolicies
+);
+
+router.get('/rate-limits',
+    authenticate,
+    authorize("admin"),
+    rateLimitController.getCounters
+);
+
+router.delete('/rate-limits',
+    authenticate,
+    authorize("admin"),
+    requireSessionAuth,
+    rateLimitController.clearCounters
+);
+
 router.post('/basic-info',
     authenticate,
     authorize("basic"),
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const planController = require('../controllers/planController');
-const { authenticate } = require('../middleware/authMiddleware');
+const { authenticate, requireSessionAuth } = require('../middleware/authMiddleware');
 const { authorize } = require('../middleware/casbinAuthorize');
 const { paymentValidationRules,
     planValidationRules,
@@ -54,12 +54,14 @@ router.get('/all-plans',
 // place order
 router.post('/order',
     authenticate,
+    requireSessionAuth, // Only the user themselves can buy (no API keys, no impersonation)
     planController.placeOrder);
 
 router.post('/manual-payment',
     paymentValidationRules(),
     handleValidationErrors,
     authenticate,
+    requireSessionAuth,
     planController.manualPaymentSubmit);
 
 // Get payments by status route
@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const projectController = require('../controllers/projectController');
+const Project = require('../models/Project');
+const { authenticate } = require('../middleware/authMiddleware');
+const { authorize, documentById } = require('../middleware/casbinAuthorize');
+const { createProjectValidationRules,
+    updateProjectValidationRules,
+    projectIdValidationRules,
+    handleValidationErrors } = require('../validators/validatorsIndex');
+
+// A single project is checked against the document policies too (config/policy.csv, p2):
+// consumers only reach their own projects
+const authorizeProject = authorize('project', null, {
+    document: {
+        load: documentById(Project, 'projectId'),
+        attributes: { owner: 'user_id' }
+    }
+});
+
+// List own projects route
+router.get('/',
+    authenticate,
+    authorize('project'),
+    projectController.listProjects);
+
+// Create project route
+router.post('/',
+    createProjectValidationRules(),
+    handleValidationErrors,
+    authenticate,
+    authorize('project'),
+    projectController.createProject);
+
+// Get project route
+router.get('/:projectId',
+    projectIdValidationRules(),
+    handleValidationErrors,
+    authenticate,
+    authorizeProject,
+    projectController.getProject);
+
+// Update project route
+router.patch('/:projectId',
+    updateProjectValidationRules(),
+    handleValidationErrors,
+    authenticate,
+    authorizeProject,
+    projectController.updateProject);
+
+// Delete project route
+router.delete('/:projectId',
+    projectIdValidationRules(),
+    handleValidationErrors,
+    authenticate,
+    authorizeProject,
+    projectController.deleteProject);
+
+module.exports = router;
@@ -1,65 +1,65 @@
 const express = require('express');
-const rateLimit = require('express-rate-limit');
-const slowDown = require('express-slow-down');
 const router = express.Router();
 
 // --- Controller & Middleware Imports ---
 const userController = require('../controllers/user');
 const authController = require('../controllers/authController');
-const { authenticate } = require('../middleware/authMiddleware');
+const mfaController = require('../controllers/mfaController');
+const sessionController = require('../controllers/sessionController');
+const oauthController = require('../controllers/oauthController');
+const privacyController = require('../controllers/privacyController');
+const apiKeyController = require('../controllers/apiKeyController');
+const passwordlessController = require('../controllers/passwordlessController');
+const passkeyController = require('../controllers/passkeyController');
+const invitationController = require('../controllers/invitationController');
+const { authenticate, requireSessionAuth } = require('../middleware/authMiddleware');
+const { rateLimitPolicy } = require('../middleware/rateLimiter');
+const { avatarUpload } = require('../middleware/uploadMiddleware');
 const {
     registerValidationRules,
     loginValidationRules,
     requestPasswordResetValidationRules,
     resetPasswordValidationRules,
+    verifyEmailValidationRules,
+    resendVerificationValidationRules,
+    requestPasswordlessLoginValidationRules,
+    passwordlessLoginValidationRules,
+    passkeyLoginOptionsValidationRules,
+    passkeyLoginValidationRules,
+    registerPasskeyValidationRules,
+    mfaCodeValidationRules,
+    mfaDisableValidationRules,
+    mfaLoginValidationRules,
+    mfaSetupTokenValidationRules,
+    mfaSetupConfirmValidationRules,
+    expiredPasswordChangeValidationRules,
+    oauthAuthorizeValidationRules,
+    oauthCallbackValidationRules,
+    oauthLinkValidationRules,
+    changePasswordValidationRules,
+    changeEmailValidationRules,
+    confirmEmailChangeValidationRules,
+    updateProfileValidationRules,
+    requestAccountDeletionValidationRules,
+    confirmAccountDeletionValidationRules,
+    createApiKeyValidationRules,
     handleValidationErrors
 } = require('../validators/validatorsIndex');
 
-// --- Middleware Configurations ---
-
-/**
- * @description Slows down responses for sensitive endpoints after a few attempts
- * to mitigate brute-force attacks.
- */
-const authSlowDown = slowDown({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    delayAfter: 5,            // Start delaying after 5 requests within windowMs
-    delayMs: (hits) => hits * 100, // Increment delay by 100ms for each request after delayAfter
-    maxDelayMs: 3000,         // Cap the delay at 3 seconds
-});
-
-/**
- * @description Rate limit for authentication actions (login, register, password reset).
- * Limits the number of requests per IP within a time window.
- */
-const authLimiter = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 10,                  // Limit each IP to 10 requests per windowMs
-    standardHeaders: 'draft-7', // Use RFC 7231 / IETF draft 7 standard headers
-    legacyHeaders: false,       // Disable X-RateLimit-* headers
-    message: { error: 'Too many attempts from this IP, please try again after 15 minutes.' }, // Send JSON response
-    handler: (req, res, next, options) => { // Custom handler for logging/actions
-        // console.warn(`Rate limit exceeded for IP: ${req.ip}`); // Optional: Log exceeded attempts
-        res.status(options.statusCode).send(options.message);
-    }
-});
-
-/**
- * @description Rate limit for refreshing tokens. Allows more frequent requests
- * than auth actions but still provides protection.
- */
-const refreshLimiter = rateLimit({
-    windowMs: 5 * 60 * 1000,  // 5 minutes
-    max: 20,                  // Limit to 20 requests per 5 minutes
-    standardHeaders: 'draft-7',
-    legacyHeaders: false,
-    message: { error: 'Too many refresh requests, please try again later.' }
-});
-
 // --- Middleware Bundles ---
+// Limits, windows and keys are defined in config/rateLimits.js
+
+// Slowdown plus per-IP and per-account rate limits for public auth routes
+const publicAuthProtection = [
+    rateLimitPolicy('authSlowDown'),
+    rateLimitPolicy('auth'),
+    rateLimitPolicy('authIdentity'),
+];
 
-// Combine slowdown and rate limiting for public auth routes
-const publicAuthProtection = [authSlowDown, authLimiter];
+// Rate limit for refreshing tokens
+const refreshLimiter = rateLimitPolicy('refresh');
+const uploadLimiter = rateLimitPolicy('upload');
+const dataExportLimiter = rateLimitPolicy('dataExport');
 
 // --- Route Definitions ---
 
@@ -73,6 +73,12 @@ router.post('/register',
     userController.registerUser
 );
 
+// Look up an invitation link (shows the invited email on the registration form)
+router.get('/invitations/:token',
+    ...publicAuthProtection, // Limits token guessing
+    invitationController.getInvitation
+);
+
 // User Login Route
 router.post('/login',
     ...publicAuthProtection, // Apply slowdown & rate limit
@@ -81,9 +87,73 @@ router.post('/login',
     userController.loginUser
 );
 
+// Passwordless Login: email a one-time code and magic link
+router.post('/login/passwordless',
+    ...publicAuthProtection, // Apply slowdown & rate limit to prevent email flooding
+    requestPasswordlessLoginValidationRules(),
+    handleValidationErrors,
+    passwordlessController.requestPasswordlessLogin
+);
+
+// Passwordless Login: redeem the code (may return `mfaRequired` like a password login)
+router.post('/login/passwordless/verify',
+    ...publicAuthProtection, // Apply slowdown & rate limit to prevent code guessing
+    passwordlessLoginValidationRules(),
+    handleValidationErrors,
+    passwordlessController.verifyPasswordlessLogin
+);
+
+// Passkey Login: options for navigator.credentials.get()
+router.post('/login/passkey/options',
+    ...publicAuthProtection,
+    passkeyLoginOptionsValidationRules(),
+    handleValidationErrors,
+    passkeyController.getLoginOptions
+);
+
+// Passkey Login: verify the signed challenge and issue tokens
+router.post('/login/passkey',
+    ...publicAuthProtection,
+    passkeyLoginValidationRules(),
+    handleValidationErrors,
+    passkeyController.loginWithPasskey
+);
+
+// Login Second Step: TOTP or recovery code after a login that returned `mfaRequired`
+router.post('/login/mfa',
+    ...publicAuthProtection, // Apply slowdown & rate limit to prevent code guessing
+    mfaLoginValidationRules(),
+    handleValidationErrors,
+    mfaController.verifyMfaLogin
+);
+
+// Mandatory enrollment during login (login returned `mfaSetupRequired`)
+router.post('/login/mfa/setup',
+    ...publicAuthProtection,
+    mfaSetupTokenValidationRules(),
+    handleValidationErrors,
+    mfaController.setupMfaDuringLogin
+);
+
+router.post('/login/mfa/confirm',
+    ...publicAuthProtection,
+    mfaSetupConfirmValidationRules(),
+    handleValidationErrors,
+    mfaController.confirmMfaDuringLogin
+);
+
+// Replace an expired password to finish a login that returned `passwordChangeRequired`
+router.post('/login/password-change',
+    ...publicAuthProtection,
+    expiredPasswordChangeValidationRules(),
+    handleValidationErrors,
+    authController.changeExpiredPassword
+);
+
 // User Logout Route (Requires authentication, less likely to be brute-forced)
 router.post('/logout',
     authenticate, // Ensure user is logged in
+    requireSessionAuth,
     userController.logoutUser
 );
 
@@ -94,7 +164,79 @@ router.post('/refresh-token',
 );
 
 
-// ## Password Reset
+// ## Profile
+
+// Get my profile
+router.get('/me',
+    authenticate,
+    userController.getMyProfile
+);
+
+// Update my profile (firstName, lastName, profilePictureUrl, preferences)
+router.patch('/me',
+    authenticate,
+    requireSessionAuth,
+    updateProfileValidationRules(),
+    handleValidationErrors,
+    userController.updateMyProfile
+);
+
+// Upload my profile picture (multipart/form-data, file field "avatar")
+router.put('/me/avatar',
+    authenticate,
+    requireSessionAuth,
+    uploadLimiter,
+    avatarUpload,
+    userController.uploadMyAvatar
+);
+
+// Remove my profile picture
+router.delete('/me/avatar',
+    authenticate,
+    requireSessionAuth,
+    userController.deleteMyAvatar
+);
+
+
+// ## Personal Data & Account Deletion
+
+// Download an archive of my personal data
+router.get('/me/export',
+    authenticate,
+    requireSessionAuth,
+    dataExportLimiter,
+    privacyController.exportMyData
+);
+
+// Request the deletion of my account (sends a confirmation OTP)
+router.post('/me/deletion',
+    authenticate,
+    requireSessionAuth,
+    ...publicAuthProtection, // Limits password guessing
+    requestAccountDeletionValidationRules(),
+    handleValidationErrors,
+    privacyController.requestAccountDeletion
+);
+
+// Confirm the deletion with the OTP; the account is deleted after the cooling-off period
+router.post('/me/deletion/confirm',
+    authenticate,
+    requireSessionAuth,
+    ...publicAuthProtection,
+    confirmAccountDeletionValidationRules(),
+    handleValidationErrors,
+    privacyController.confirmAccountDeletion
+);
+
+// Cancel a scheduled deletion
+router.delete('/me/deletion',
+    authenticate,
+    requireSessionAuth,
+    privacyController.cancelAccountDeletion
+);
+
+
+// ## Password Reset & Change
 
 // Request Password Reset Route
 router.post('/request-password-reset',
@@ -112,4 +254,239 @@ router.post('/reset-password',
     authController.resetPassword
 );
 
+// Change Password Route (signed in; signs out the user's other sessions)
+router.post('/change-password',
+    authenticate,
+    requireSessionAuth,
+    ...publicAuthProtection, // Limits current-password guessing per IP and per user
+    changePasswordValidationRules(),
+    handleValidationErrors,
+    authController.changePassword
+);
+
+
+// ## Email Change
+
+// Request an email change: sends an OTP to the new address (accounts without a password first confirm a code sent to the current one)
+router.post('/change-email',
+    authenticate,
+    requireSessionAuth,
+    ...publicAuthProtection, // Limits password guessing and email flooding
+    changeEmailValidationRules(),
+    handleValidationErrors,
+    authController.requestEmailChange
+);
+
+// Confirm the email change with the OTP
+router.post('/change-email/confirm',
+    authenticate,
+    requireSessionAuth,
+    ...publicAuthProtection, // Limits OTP guessing
+    confirmEmailChangeValidationRules(),
+    handleValidationErrors,
+    authController.confirmEmailChange
+);
+
+
+// ## Email Verification
+
+// Verify Email Route (OTP from the verification email or link)
+router.post('/verify-email',
+    ...publicAuthProtection, // Apply slowdown & rate limit to prevent OTP guessing
+    verifyEmailValidationRules(),
+    handleValidationErrors,
+    authController.verifyEmail
+);
+
+// Resend Verification Email Route
+router.post('/resend-verification',
+    ...publicAuthProtection, // Apply slowdown & rate limit to prevent email flooding
+    resendVerificationValidationRules(),
+    handleValidationErrors,
+    authController.resendEmailVerification
+);
+
+
+// ## Two-Factor Authentication (TOTP)
+
+// Start enrollment: returns a secret and otpauth URI
+router.post('/mfa/setup',
+    authenticate,
+    requireSessionAuth,
+    mfaController.setupMfa
+);
+
+// Confirm enrollment with the first code: returns recovery codes
+router.post('/mfa/confirm',
+    authenticate,
+    requireSessionAuth,
+    mfaCodeValidationRules(),
+    handleValidationErrors,
+    mfaController.confirmMfa
+);
+
+// Disable two-factor authentication (password + code or recovery code)
+router.post('/mfa/disable',
+    authenticate,
+    requireSessionAuth,
+    mfaDisableValidationRules(),
+    handleValidationErrors,
+    mfaController.disableMfa
+);
+
+// Replace recovery codes
+router.post('/mfa/recovery-codes',
+    authenticate,
+    requireSessionAuth,
+    mfaCodeValidationRules(),
+    handleValidationErrors,
+    mfaController.regenerateRecoveryCodes
+);
+
+
+// ## Passkeys (WebAuthn)
+
+// List my passkeys
+router.get('/passkeys',
+    authenticate,
+    requireSessionAuth,
+    passkeyController.listPasskeys
+);
+
+// Start adding a passkey: options for navigator.credentials.create()
+router.post('/passkeys/register/options',
+    authenticate,
+    requireSessionAuth,
+    passkeyController.getRegistrationOptions
+);
+
+// Finish adding a passkey with the authenticator's response
+router.post('/passkeys/register',
+    authenticate,
+    requireSessionAuth,
+    registerPasskeyValidationRules(),
+    handleValidationErrors,
+    passkeyController.registerPasskey
+);
+
+// Remove a passkey
+router.delete('/passkeys/:passkeyId',
+    authenticate,
+    requireSessionAuth,
+    passkeyController.deletePasskey
+);
+
+
+// ## Sessions (Devices)
+
+// List my active sessions
+router.get('/sessions',
+    authenticate,
+    requireSessionAuth,
+    sessionController.listSessions
+);
+
+// Revoke all sessions except the current one
+router.delete('/sessions',
+    authenticate,
+    requireSessionAuth,
+    sessionController.revokeOtherSessions
+);
+
+// Revoke one session
+router.delete('/sessions/:sessionId',
+    authenticate,
+    requireSessionAuth,
+    sessionController.revokeSession
+);
+
+// My recent login attempts (successful and failed)
+router.get('/login-history',
+    authenticate,
+    requireSessionAuth,
+    sessionController.listLoginHistory
+);
+
+
+// ## API Keys (programmatic access with 'Authorization: ApiKey <key>')
+
+// List my API keys
+router.get('/api-keys',
+    authenticate,
+    requireSessionAuth, // Keys can't manage keys
+    apiKeyController.listApiKeys
+);
+
+// Create an API key (returned once)
+router.post('/api-keys',
+    authenticate,
+    requireSessionAuth,
+    createApiKeyValidationRules(),
+    handleValidationErrors,
+    apiKeyController.createApiKey
+);
+
+// Revoke an API key
+router.delete('/api-keys/:apiKeyId',
+    authenticate,
+    requireSessionAuth,
+    apiKeyController.revokeApiKey
+);
+
+
+// ## External Login (OAuth2 / OpenID Connect)
+
+// Enabled providers (for rendering login buttons)
+router.get('/oauth/providers',
+    oauthController.listProviders
+);
+
+// External logins linked to my account
+router.get('/oauth/accounts',
+    authenticate,
+    requireSessionAuth,
+    oauthController.listLinkedAccounts
+);
+
+// Start a login: returns the provider's authorization URL
+router.get('/oauth/:provider/authorize',
+    ...publicAuthProtection,
+    oauthAuthorizeValidationRules(),
+    handleValidationErrors,
+    oauthController.getAuthorizationUrl
+);
+
+// Finish a login with the code/state the provider redirected back with
+router.post('/oauth/:provider/callback',
+    ...publicAuthProtection,
+    oauthCallbackValidationRules(),
+    handleValidationErrors,
+    oauthController.oauthLogin
+);
+
+// Start linking a provider to my account
+router.get('/oauth/:provider/link',
+    authenticate,
+    requireSessionAuth,
+    oauthAuthorizeValidationRules(),
+    handleValidationErrors,
+    oauthController.getLinkAuthorizationUrl
+);
+
+// Finish linking a provider to my account
+router.post('/oauth/:provider/link',
+    authenticate,
+    requireSessionAuth,
+    oauthLinkValidationRules(),
+    handleValidationErrors,
+    oauthController.linkProvider
+);
+
+// Unlink a provider from my account
+router.delete('/oauth/:provider',
+    authenticate,
+    requireSessionAuth,
+    oauthController.unlinkProvider
+);
+
 module.exports = router;
\ No newline at end of file
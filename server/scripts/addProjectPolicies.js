@@ -0,0 +1,39 @@
+/**
+ * Adds the project rules of config/policy.csv to a deployment whose rules were imported before
+ * they existed. Without them consumers get 403 on every /api/projects route. Rules already
+ * stored are left alone, so running it again changes nothing.
+ *
+ * Usage: npm run add-project-policies
+ * The rules are added as one new policy version; running servers pick them up with their next
+ * policy check (config/policySync.js).
+ */
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const { addMissingPolicies } = require('../services/policyService');
+
+const PROJECT_RULES = [
+    { ptype: 'p', rule: ['consumer', '*', 'project', '(read|write|update|delete)', 'allow'] },
+    // Document policies: admins reach any document, consumers their own projects only
+    { ptype: 'p2', rule: ['admin', '*', '*', '.*', 'true', 'allow'] },
+    { ptype: 'p2', rule: ['consumer', '*', 'project', '(read|update|delete)', 'r2.res.owner == r2.user.id', 'allow'] },
+];
+
+const main = async () => {
+    await connectDB();
+
+    const { added, version } = await addMissingPolicies(PROJECT_RULES, null);
+    if (!version) {
+        console.log('The project rules are stored already; nothing added.');
+        return;
+    }
+    console.log(`Added ${added.length} rules as policy version ${version}:`);
+    added.forEach(({ ptype, rule }) => console.log(`  ${ptype}, ${rule.join(', ')}`));
+};
+
+main()
+    .then(() => mongoose.connection.close())
+    .catch(async (error) => {
+        console.error(`Adding the project rules failed: ${error.message}`);
+        await mongoose.connection.close();
+        process.exitCode = 1;
+    });
@@ -0,0 +1,46 @@
+/**
+ * Imports Casbin rules from a policy file (config/policy.csv by default) into MongoDB.
+ * The server also does this on its first start, while MongoDB holds no rules.
+ *
+ * Usage: npm run import-policies -- [--replace] [--file path/to/policy.csv]
+ *   --replace  Replace the rules already in MongoDB. Without it, nothing is imported once
+ *              MongoDB holds any rule.
+ *   --file     Policy file to import.
+ * Running servers pick up the new rules with their next policy check (config/policySync.js).
+ */
+const path = require('path');
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const { importPoliciesFromFile } = require('../services/casbin');
+
+const parseArgs = (argv) => {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--replace') {
+            options.replace = true;
+        } else if (argv[i] === '--file') {
+            options.file = path.resolve(argv[++i]);
+        } else {
+            throw new Error(`Unknown argument "${argv[i]}".`);
+        }
+    }
+    return options;
+};
+
+const main = async () => {
+    const { file, replace } = parseArgs(process.argv.slice(2));
+    await connectDB();
+
+    const imported = await importPoliciesFromFile(file, { replace });
+    console.log(imported > 0
+        ? `Imported ${imported} rules.`
+        : 'MongoDB already holds rules; nothing imported. Use --replace to overwrite them.');
+};
+
+main()
+    .then(() => mongoose.connection.close())
+    .catch(async (error) => {
+        console.error(`Policy import failed: ${error.message}`);
+        await mongoose.connection.close();
+        process.exitCode = 1;
+    });
@@ -0,0 +1,86 @@
+/**
+ * Prints the permission matrix: the actions every role may perform on every resource, per plan,
+ * under the rules stored in MongoDB. Given a policy file, prints what it would change instead,
+ * so an edit can be reviewed before it is imported (npm run import-policies).
+ *
+ * Usage: npm run policy-matrix -- [--file path/to/policy.csv] [--json]
+ *   --file  Proposed policy file (policy.csv format) to compare with the stored rules.
+ *   --json  Print the full result as JSON.
+ */
+const path = require('path');
+const mongoose = require('mongoose');
+const { newEnforcer, FileAdapter } = require('casbin');
+const connectDB = require('../config/database');
+const { getModelRules } = require('../services/casbin');
+const { buildPermissionMatrix } = require('../services/policyExplainService');
+
+// Registers the resources the routes check (authorize), so they appear in the matrix
+require('../routes/user');
+require('../routes/authRoutes');
+require('../routes/plan');
+require('../routes/project');
+
+const modelPath = path.resolve(__dirname, '../config/model.conf');
+
+const parseArgs = (argv) => {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--file') {
+            options.file = path.resolve(argv[++i]);
+        } else if (argv[i] === '--json') {
+            options.json = true;
+        } else {
+            throw new Error(`Unknown argument "${argv[i]}".`);
+        }
+    }
+    return options;
+};
+
+// Reads a policy file into { ptype, rule } entries, parsed with model.conf
+const readPolicyFile = async (filePath) => {
+    const enforcer = await newEnforcer(modelPath, new FileAdapter(filePath));
+    return getModelRules(enforcer.getModel());
+};
+
+const printMatrix = (title, rows) => {
+    console.log(title);
+    console.table(rows.map(({ role, plan, resource, actions }) => ({
+        role,
+        plan,
+        resource,
+        actions: actions.join(', ') || '-'
+    })));
+};
+
+const main = async () => {
+    const { file, json } = parseArgs(process.argv.slice(2));
+    await connectDB();
+
+    const rules = file ? await readPolicyFile(file) : undefined;
+    const result = await buildPermissionMatrix({ rules });
+
+    if (json) {
+        console.log(JSON.stringify(result, null, 2));
+    } else if (!rules) {
+        printMatrix('Permissions under the stored rules:', result.matrix);
+    } else if (result.changes.length === 0) {
+        console.log(`${file} grants exactly the same permissions as the stored rules.`);
+    } else {
+        console.log(`${file} would change ${result.changes.length} permission(s):`);
+        console.table(result.changes.map(change => ({
+            role: change.role,
+            plan: change.plan,
+            resource: change.resource,
+            action: change.action,
+            change: change.proposed ? 'granted' : 'revoked'
+        })));
+    }
+};
+
+main()
+    .then(() => mongoose.connection.close())
+    .catch(async (error) => {
+        console.error(`Policy matrix failed: ${error.message}`);
+        await mongoose.connection.close();
+        process.exitCode = 1;
+    });
@@ -0,0 +1,43 @@
+/**
+ * Rotates the access token signing key from the command line.
+ *
+ * Usage: npm run rotate-signing-key -- [--now] [--alg RS256|EdDSA]
+ *   --now   Sign with the new key right away instead of after JWT_KEY_PUBLISH_AHEAD_MINUTES
+ *           (verifiers caching the JWKS may reject tokens until they refresh it).
+ *   --alg   Algorithm of the new key; defaults to JWT_SIGNING_ALG. A key of another algorithm
+ *           only replaces keys of its own algorithm: use it to prepare a JWT_SIGNING_ALG change.
+ */
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const { rotateSigningKey, listSigningKeys } = require('../services/keyringService');
+
+const parseArgs = (argv) => {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--now') {
+            options.publishAheadMinutes = 0;
+        } else if (argv[i] === '--alg') {
+            options.alg = argv[++i];
+        } else {
+            throw new Error(`Unknown argument "${argv[i]}".`);
+        }
+    }
+    return options;
+};
+
+const main = async () => {
+    const options = parseArgs(process.argv.slice(2));
+    await connectDB();
+
+    const key = await rotateSigningKey(options);
+    console.log(`Created ${key.alg} key ${key.kid}, signing from ${key.activatesAt.toISOString()}.`);
+    console.table(await listSigningKeys());
+};
+
+main()
+    .then(() => mongoose.connection.close())
+    .catch(async (error) => {
+        console.error(`Key rotation failed: ${error.message}`);
+        await mongoose.connection.close();
+        process.exitCode = 1;
+    });
@@ -7,16 +7,25 @@ const connectDB = require('./config/database');
 const userRoutes = require('./routes/user');
 const authRoutes = require('./routes/authRoutes');
 const planRoutes = require('./routes/plan');
+const projectRoutes = require('./routes/project');
 const { initializeEnforcer } = require('./services/casbin');
+const { startPolicyWatcher } = require('./services/policyWatcher');
 const { scheduleSubscriptionExpiryCheck } = require('./jobs/subscriptionJobs');
+const { scheduleAccountDeletionJob } = require('./jobs/accountDeletionJobs');
 const AppError = require('./utils/AppError');
 const globalErrorHandler = require('./middleware/errorHandler');
 const morgan = require('morgan');
+const uploads = require('./config/uploads');
+const { ensureSigningKey } = require('./services/keyringService');
+const { getJwks } = require('./controllers/signingKeyController');
 
 dotenv.config();
 const port = process.env.PORT || 5000;
 
 const app = express();
+// Trust X-Forwarded-For from these proxies (comma-separated addresses/subnets) so req.ip is the
+// real client IP. The Next.js server calls the API from localhost on behalf of browsers.
+app.set('trust proxy', process.env.TRUST_PROXY || 'loopback');
 // Secure HTTP headers
 app.use(helmet());
 
@@ -24,7 +33,7 @@ app.use(helmet());
 app.use(
     cors({
         origin: "http://localhost:3000",
-        methods: ["GET", "POST", "DELETE", "PUT"],
+        methods: ["GET", "POST", "DELETE", "PUT", "PATCH"],
         allowedHeaders: [
             "Content-Type",
             "Authorization",
@@ -46,9 +55,24 @@ app.use(morgan('dev'));
 app.get('/', (req, res) => {
     res.send('Backend is running!');
 });
+// Public keys verifying access tokens (when signed with RS256/EdDSA)
+app.get('/.well-known/jwks.json', getJwks);
 app.use('/api/users', userRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/plans', planRoutes);
+app.use('/api/projects', projectRoutes);
+
+// Uploaded files on local disk (the Cloudinary driver serves its own)
+if (uploads.storage.driver === 'local') {
+    app.use(uploads.storage.local.routePath,
+        // Let the client (another origin) display these images despite helmet's same-origin default
+        (req, res, next) => {
+            res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+            next();
+        },
+        express.static(uploads.storage.local.directory, { index: false, dotfiles: 'deny', maxAge: '7d' })
+    );
+}
 
 
 // Handle 404 Not Found for any routes not matched above
@@ -64,8 +88,11 @@ const startServer = async () => {
     try {
         // 1. Connect to Database (and wait for it)
         await connectDB();
-        initializeEnforcer();
+        await ensureSigningKey(); // Creates the first RS256/EdDSA key if needed
+        await initializeEnforcer(); // Imports config/policy.csv into MongoDB on the first start
+        await startPolicyWatcher(); // Reloads policies changed by other instances
         scheduleSubscriptionExpiryCheck();
+        scheduleAccountDeletionJob();
 
         // 2. Start Listening for Requests
         const server = app.listen(port, () => {
@@ -0,0 +1,80 @@
+const jwt = require('jsonwebtoken');
+const { SignJWT, jwtVerify } = require('jose');
+const jwtSigning = require('../config/jwtSigning');
+const { getSigningKey, getVerificationKey } = require('./keyringService');
+
+const ACCESS_TOKEN_SECRET = process.env.ACCESS_TOKEN_SECRET;
+const ACCESS_TOKEN_EXPIRY = process.env.ACCESS_TOKEN_EXPIRY || '15m';
+
+/**
+ * Signs an access token with the configured algorithm (see config/jwtSigning.js).
+ * @param {object} claims - Token claims.
+ * @param {object} [options]
+ * @param {string|number} [options.expiresIn] - Lifetime (e.g. '15m', or seconds); defaults to ACCESS_TOKEN_EXPIRY.
+ * @returns {Promise<string>} The signed token.
+ * @throws {Error} If the signing secret or key is missing.
+ */
+const signAccessToken = async (claims, { expiresIn = ACCESS_TOKEN_EXPIRY } = {}) => {
+    if (!jwtSigning.isAsymmetric) {
+        if (!ACCESS_TOKEN_SECRET) {
+            throw new Error('ACCESS_TOKEN_SECRET is not defined in environment variables.');
+        }
+        return jwt.sign(claims, ACCESS_TOKEN_SECRET, { expiresIn });
+    }
+
+    const key = await getSigningKey();
+    const token = new SignJWT(JSON.parse(JSON.stringify(claims))) // ObjectIds become strings, as with jwt.sign
+        .setProtectedHeader({ alg: key.alg, kid: key.kid, typ: 'JWT' })
+        .setIssuedAt()
+        .setExpirationTime(typeof expiresIn === 'number' ? Math.floor(Date.now() / 1000) + expiresIn : expiresIn);
+    if (jwtSigning.issuer) {
+        token.setIssuer(jwtSigning.issuer);
+    }
+    return token.sign(key.privateKey);
+};
+
+/**
+ * Verifies an access token. Asymmetrically signed tokens are checked with the keyring key
+ * named by their `kid` header; HS256 tokens only while ACCESS_TOKEN_SECRET is set.
+ * Failures are reported with the jsonwebtoken error classes whatever the algorithm.
+ * @param {string} token - The access token.
+ * @returns {Promise<object>} The token claims.
+ * @throws {jwt.TokenExpiredError|jwt.JsonWebTokenError} If the token is invalid.
+ */
+const verifyAccessToken = async (token) => {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded || !decoded.header) {
+        throw new jwt.JsonWebTokenError('jwt malformed');
+    }
+    const { alg, kid } = decoded.header;
+
+    if (alg === 'HS256') {
+        if (!ACCESS_TOKEN_SECRET) {
+            throw new jwt.JsonWebTokenError('HS256 access tokens are no longer accepted');
+        }
+        return jwt.verify(token, ACCESS_TOKEN_SECRET, { algorithms: ['HS256'] });
+    }
+
+    const key = kid ? await getVerificationKey(kid) : null;
+    if (!key || key.alg !== alg) {
+        throw new jwt.JsonWebTokenError('unknown signing key');
+    }
+
+    try {
+        const { payload } = await jwtVerify(token, key.publicKey, {
+            algorithms: [key.alg],
+            ...(jwtSigning.issuer ? { issuer: jwtSigning.issuer } : {})
+        });
+        return payload;
+    } catch (error) {
+        if (error.code === 'ERR_JWT_EXPIRED') {
+            throw new jwt.TokenExpiredError('jwt expired', new Date(error.payload.exp * 1000));
+        }
+        throw new jwt.JsonWebTokenError(error.message);
+    }
+};
+
+module.exports = {
+    signAccessToken,
+    verifyAccessToken,
+};
@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const Passkey = require('../models/Passkey');
+const WebAuthnChallenge = require('../models/WebAuthnChallenge');
+const Token = require('../models/Token');
+const UsedRefreshToken = require('../models/UsedRefreshToken');
+const OAuthState = require('../models/OAuthState');
+const SecurityEvent = require('../models/SecurityEvent');
+const LoginEvent = require('../models/LoginEvent');
+const Invitation = require('../models/Invitation');
+const Payment = require('../models/Payment');
+const Project = require('../models/Project');
+const Transaction = require('../models/Transaction');
+const authPolicy = require('../config/authPolicy');
+const { sendNotification } = require('./notificationService');
+const { recordSecurityEvent } = require('./securityEventService');
+const { discardStoredAvatar } = require('./avatarService');
+
+/**
+ * Schedules the deletion of a user's account after the cooling-off period.
+ * @param {object} user - The user document.
+ * @param {object} req - Express request object (for the audit log).
+ * @returns {Promise<Date>} When the account will be deleted.
+ */
+const scheduleDeletion = async (user, req) => {
+    const now = new Date();
+    const scheduledFor = new Date(now.getTime() + authPolicy.accountDeletion.coolingOffDays * 24 * 60 * 60 * 1000);
+
+    user.deletion = { requestedAt: now, scheduledFor };
+    await user.save({ validateBeforeSave: false });
+
+    await recordSecurityEvent({
+        type: 'account_deletion_scheduled',
+        userId: user._id,
+        req,
+        details: { scheduledFor }
+    });
+
+    await sendNotification({
+        method: 'email',
+        user,
+        subject: 'Your account is scheduled for deletion',
+        text: `Your account and personal data will be deleted on ${scheduledFor.toUTCString()}. Sign in and cancel the deletion before then if you change your mind.`,
+        html: `<p>Your account and personal data will be deleted on <b>${scheduledFor.toUTCString()}</b>.</p><p>Sign in and cancel the deletion before then if you change your mind.</p>`
+    });
+
+    return scheduledFor;
+};
+
+/**
+ * Cancels a scheduled deletion.
+ * @param {object} user - The user document.
+ * @param {object} req - Express request object (for the audit log).
+ * @returns {Promise<boolean>} False if no deletion was scheduled.
+ */
+const cancelDeletion = async (user, req) => {
+    if (!user.deletion || !user.deletion.scheduledFor || user.deletion.completedAt) {
+        return false;
+    }
+
+    const scheduledFor = user.deletion.scheduledFor;
+    user.deletion = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    await recordSecurityEvent({
+        type: 'account_deletion_canceled',
+        userId: user._id,
+        req,
+        details: { scheduledFor }
+    });
+
+    await sendNotification({
+        method: 'email',
+        user,
+        subject: 'Your account deletion was canceled',
+        text: 'The scheduled deletion of your account was canceled. If this wasn\'t you, change your password immediately.',
+        html: '<p>The scheduled deletion of your account was canceled.</p><p>If this wasn\'t you, change your password immediately.</p>'
+    });
+
+    return true;
+};
+
+/**
+ * Erases a user's personal data.
+ * - Projects and transactions are deleted.
+ * - Orders, invoices and payments are financial records that must be kept: they stay
+ *   attached to the anonymized account, and payment method details are removed.
+ * - Sessions, tokens, API keys and the security log are deleted.
+ * - The user document is kept as an anonymous, inactive placeholder so the kept
+ *   records still point at something.
+ * @param {object} user - The user document.
+ * @returns {Promise<void>}
+ */
+const eraseAccount = async (user) => {
+    const userId = user._id;
+
+    // Last message to the address we're about to erase
+    await sendNotification({
+        method: 'email',
+        user: { email: user.email },
+        subject: 'Your account has been deleted',
+        text: 'As you requested, your account and personal data have been deleted. Records we must keep for accounting no longer identify you.',
+        html: '<p>As you requested, your account and personal data have been deleted.</p><p>Records we must keep for accounting no longer identify you.</p>'
+    });
+
+    await discardStoredAvatar(user.avatar);
+
+    const [projects, transactions] = await Promise.all([
+        Project.deleteMany({ user_id: userId }),
+        Transaction.deleteMany({ user_id: userId }),
+        Payment.updateMany({ userId }, { $unset: { paymentMethodDetails: '', gatewayResponse: '' } }),
+        Session.deleteMany({ userId }),
+        ApiKey.deleteMany({ userId }),
+        Passkey.deleteMany({ userId }),
+        WebAuthnChallenge.deleteMany({ userId }),
+        Token.deleteMany({ userId }),
+        UsedRefreshToken.deleteMany({ userId }),
+        OAuthState.deleteMany({ userId }),
+        SecurityEvent.deleteMany({ userId }),
+        LoginEvent.deleteMany({ userId }),
+        Invitation.deleteMany({ acceptedBy: userId }), // Holds the email address
+    ]);
+
+    // Nobody knows this password: the account can't be signed in to again
+    const unusablePassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+    await User.updateOne({ _id: userId }, {
+        $set: {
+            username: `deleted-${userId}`,
+            email: `deleted-${userId}@deleted.invalid`,
+            password_hash: unusablePassword,
+            hasPassword: false,
+            isEmailVerified: false,
+            linkedAccounts: [],
+            mfa: { enabled: false },
+            lockout: { failedAttempts: 0, lockoutCount: 0, history: [] },
+            preferences: {},
+            metadata: {},
+            isActive: false,
+            'deletion.completedAt': new Date()
+        },
+        $unset: {
+            firstName: '',
+            lastName: '',
+            profilePictureUrl: '',
+            avatar: '',
+            pendingEmail: '',
+            providerId: '',
+            lastLoginAt: '',
+            passwordHistory: '',
+            passwordChangedAt: ''
+        }
+    });
+
+    await recordSecurityEvent({
+        type: 'account_deleted',
+        userId,
+        details: { deletedProjects: projects.deletedCount, deletedTransactions: transactions.deletedCount }
+    });
+};
+
+/**
+ * Erases every account whose cooling-off period has ended.
+ * @param {Date} [now] - Reference time.
+ * @returns {Promise<{deleted: number, failed: number}>}
+ */
+const processDueDeletions = async (now = new Date()) => {
+    let deleted = 0;
+    let failed = 0;
+
+    const dueUsers = User.find({
+        'deletion.scheduledFor': { $lte: now },
+        'deletion.completedAt': null
+    }).cursor();
+
+    for await (const user of dueUsers) {
+        try {
+            await eraseAccount(user);
+            deleted += 1;
+        } catch (error) {
+            // Left scheduled, so the next run tries again
+            console.error(`Error deleting account ${user._id}:`, error);
+            failed += 1;
+        }
+    }
+
+    return { deleted, failed };
+};
+
+module.exports = {
+    scheduleDeletion,
+    cancelDeletion,
+    eraseAccount,
+    processDueDeletions,
+};
@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const authPolicy = require('../config/authPolicy');
+const AppError = require('../utils/AppError');
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// `<prefix>_<16 hex key id>_<43 base64url secret characters>`
+const KEY_PATTERN = new RegExp(`^${escapeRegExp(authPolicy.apiKeys.prefix)}_([a-f0-9]{16})_[A-Za-z0-9_-]{43}$`);
+
+/**
+ * Generates a new API key.
+ * @returns {{key: string, keyId: string}} The plain key (shown to the user once) and its public ID.
+ */
+const generateApiKey = () => {
+    const keyId = crypto.randomBytes(8).toString('hex');
+    const secret = crypto.randomBytes(32).toString('base64url');
+    return { key: `${authPolicy.apiKeys.prefix}_${keyId}_${secret}`, keyId };
+};
+
+/**
+ * Describes a key without its hash, for listings and responses.
+ * @param {object} apiKey - ApiKey document.
+ * @returns {object}
+ */
+const describeApiKey = (apiKey) => ({
+    _id: apiKey._id,
+    name: apiKey.name,
+    keyPrefix: `${authPolicy.apiKeys.prefix}_${apiKey.keyId}`, // Identifies the key without revealing it
+    scopes: apiKey.scopes,
+    expiresAt: apiKey.expiresAt,
+    lastUsedAt: apiKey.lastUsedAt,
+    lastUsedIp: apiKey.lastUsedIp,
+    revokedAt: apiKey.revokedAt,
+    createdAt: apiKey.createdAt
+});
+
+/**
+ * Creates an API key for a user.
+ * @param {string|ObjectId} userId - The owner.
+ * @param {object} options
+ * @param {string} options.name - What the key is for.
+ * @param {string[]} options.scopes - Granted scopes (authPolicy.apiKeys.scopes).
+ * @param {Date} [options.expiresAt] - Defaults to the longest allowed lifetime.
+ * @returns {Promise<{key: string, apiKey: object}>} The plain key and the key's description.
+ * @throws {AppError} 400 if the expiry is beyond the allowed lifetime,
+ * 409 if the user already has the maximum number of keys.
+ */
+const createApiKey = async (userId, { name, scopes, expiresAt }) => {
+    const { maxPerUser, maxLifetimeDays } = authPolicy.apiKeys;
+
+    const latestExpiry = maxLifetimeDays > 0 ? new Date(Date.now() + maxLifetimeDays * 24 * 60 * 60 * 1000) : null;
+    if (latestExpiry && expiresAt && expiresAt > latestExpiry) {
+        throw new AppError(`API keys can be valid for at most ${maxLifetimeDays} days.`, 400);
+    }
+
+    const activeCount = await ApiKey.countDocuments({
+        userId,
+        revokedAt: null,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    });
+    if (activeCount >= maxPerUser) {
+        throw new AppError(`You can have at most ${maxPerUser} active API keys. Revoke one first.`, 409);
+    }
+
+    const { key, keyId } = generateApiKey();
+    const apiKey = await ApiKey.create({
+        userId,
+        name,
+        keyId,
+        keyHash: ApiKey.hashKey(key),
+        scopes: [...new Set(scopes)],
+        expiresAt: expiresAt || latestExpiry || undefined
+    });
+
+    return { key, apiKey: describeApiKey(apiKey) };
+};
+
+/**
+ * Resolves the key of an `Authorization: ApiKey <key>` header to its owner.
+ * Records the key's use (at most every authPolicy.apiKeys.lastUsedUpdateSeconds).
+ * @param {string} key - The plain API key.
+ * @param {object} [req] - Express request, for the last used IP.
+ * @returns {Promise<{apiKey: object, user: object}|null>} Null if the key is malformed,
+ * unknown, revoked or expired, or its owner no longer exists.
+ */
+const resolveApiKey = async (key, req) => {
+    const match = KEY_PATTERN.exec(key);
+    if (!match) {
+        return null;
+    }
+
+    const apiKey = await ApiKey.findOne({ keyId: match[1] }).select('+keyHash');
+    if (!apiKey || !apiKey.isUsable()) {
+        return null;
+    }
+
+    const expected = Buffer.from(apiKey.keyHash, 'hex');
+    const actual = Buffer.from(ApiKey.hashKey(key), 'hex');
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    const user = await User.findById(apiKey.userId)
+        .select('role planId isActive')
+        .populate('planId', 'slug')
+        .lean();
+    if (!user) {
+        return null;
+    }
+
+    const staleBefore = Date.now() - authPolicy.apiKeys.lastUsedUpdateSeconds * 1000;
+    if (!apiKey.lastUsedAt || apiKey.lastUsedAt.getTime() < staleBefore) {
+        // Not awaited: bookkeeping must not slow down or fail the request
+        ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date(), lastUsedIp: req ? req.ip : undefined } })
+            .catch(error => console.error('Failed to record API key use:', error));
+    }
+
+    return { apiKey, user };
+};
+
+/**
+ * Builds the req.user claims of a request authenticated with an API key. Role and plan
+ * are read from the user, so casbinAuthorize treats them like access token claims.
+ * @param {object} apiKey - ApiKey document.
+ * @param {object} user - Lean user with planId populated.
+ * @returns {object}
+ */
+const buildApiKeyClaims = (apiKey, user) => ({
+    _id: user._id.toString(),
+    role: user.role,
+    plan: user.planId && user.planId.slug ? user.planId.slug : 'free', // Same default as generateAccessToken
+    authMethod: 'apiKey',
+    apiKeyId: apiKey._id.toString(),
+    scopes: apiKey.scopes
+});
+
+module.exports = {
+    describeApiKey,
+    createApiKey,
+    resolveApiKey,
+    buildApiKeyClaims,
+};
@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const uploads = require('../config/uploads');
+const AppError = require('../utils/AppError');
+const { getFileStorage } = require('./fileStorage');
+
+// Decoded image formats (sharp metadata) accepted for the allowed MIME types
+const FORMAT_MIME_TYPES = {
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    webp: 'image/webp',
+    gif: 'image/gif',
+};
+
+/**
+ * Decodes an uploaded image and re-encodes it as a square WebP. Re-encoding drops
+ * metadata (EXIF, GPS) and anything hidden after the image data.
+ * @param {Buffer} buffer - The uploaded file.
+ * @returns {Promise<Buffer>} The processed image.
+ * @throws {AppError} 415 if the content is not an allowed image.
+ */
+const processAvatarImage = async (buffer) => {
+    const { size, quality, maxInputPixels, allowedMimeTypes } = uploads.avatar;
+    const options = { limitInputPixels: maxInputPixels, failOn: 'error' };
+
+    let metadata;
+    try {
+        metadata = await sharp(buffer, options).metadata();
+    } catch (error) {
+        throw new AppError('The uploaded file is not a readable image.', 415);
+    }
+
+    // The declared MIME type is only a hint; check what the content really is
+    if (!allowedMimeTypes.includes(FORMAT_MIME_TYPES[metadata.format])) {
+        throw new AppError('Unsupported image format. Use JPEG, PNG, WebP or GIF.', 415);
+    }
+
+    try {
+        return await sharp(buffer, options)
+            .rotate() // Apply the EXIF orientation before it is stripped
+            .resize(size, size, { fit: 'cover' })
+            .webp({ quality })
+            .toBuffer();
+    } catch (error) {
+        throw new AppError('The uploaded image could not be processed.', 415);
+    }
+};
+
+/**
+ * Deletes a stored avatar file. Failures are logged, not thrown: a leftover file
+ * must not fail the request that replaced it.
+ * @param {{driver: string, key: string}} [avatar] - user.avatar
+ */
+const discardStoredAvatar = async (avatar) => {
+    if (!avatar || !avatar.key) {
+        return;
+    }
+    try {
+        await getFileStorage(avatar.driver).remove(avatar.key);
+    } catch (error) {
+        console.error(`Error deleting avatar "${avatar.key}":`, error);
+    }
+};
+
+/**
+ * Processes and stores a new avatar, points the user's profilePictureUrl at it and
+ * deletes the avatar it replaces.
+ * @param {object} user - The user document.
+ * @param {Buffer} buffer - The uploaded file.
+ * @returns {Promise<object>} The saved user.
+ */
+const setAvatar = async (user, buffer) => {
+    const image = await processAvatarImage(buffer);
+    const storage = getFileStorage();
+    // A new key per upload, so caches never serve the previous picture
+    const key = `avatars/${user._id}/${crypto.randomBytes(8).toString('hex')}.webp`;
+    const stored = await storage.save(image, { key, contentType: 'image/webp' });
+
+    const previous = user.avatar && user.avatar.key ? { driver: user.avatar.driver, key: user.avatar.key } : null;
+    user.avatar = { driver: storage.name, key: stored.key };
+    user.profilePictureUrl = stored.url;
+
+    try {
+        await user.save();
+    } catch (error) {
+        await discardStoredAvatar({ driver: storage.name, key: stored.key });
+        throw error;
+    }
+
+    await discardStoredAvatar(previous);
+    return user;
+};
+
+/**
+ * Removes the user's avatar and profile picture URL.
+ * @param {object} user - The user document.
+ * @returns {Promise<object>} The saved user.
+ */
+const removeAvatar = async (user) => {
+    const previous = user.avatar && user.avatar.key ? { driver: user.avatar.driver, key: user.avatar.key } : null;
+    user.avatar = undefined;
+    user.profilePictureUrl = undefined;
+    await user.save();
+    await discardStoredAvatar(previous);
+    return user;
+};
+
+module.exports = {
+    processAvatarImage,
+    discardStoredAvatar,
+    setAvatar,
+    removeAvatar,
+};
@@ -1,17 +1,115 @@
 // services/casbin.js
-const { newEnforcer, FileAdapter } = require('casbin');
+const { newEnforcer, newModelFromString, FileAdapter } = require('casbin');
+const fs = require('fs');
 const path = require('path');
+const CasbinRule = require('../models/CasbinRule');
+const Counter = require('../models/Counter');
+const MongoAdapter = require('./casbinMongoAdapter');
+const { recordPolicySnapshot } = require('./policyHistoryService');
 
 const modelPath = path.resolve(__dirname, '../config/model.conf');
 const policyPath = path.resolve(__dirname, '../config/policy.csv');
 // --- End Configuration ---
 
+// Policies live in MongoDB (casbin_rule collection); policy.csv only seeds an empty database
+const adapter = new MongoAdapter();
+
+// Incremented on every policy change, so each instance can tell whether its rules are current
+const POLICY_VERSION_ID = 'casbinPolicyVersion';
 
 let enforcerInstance = null;
+let initialization = null;
+let loadedPolicy = { version: null, loadedAt: null };
+let reloadQueue = Promise.resolve();
+
+/**
+ * Reads the current policy version.
+ * @returns {Promise<number>} 0 until the first change.
+ */
+async function getPolicyVersion() {
+    const counter = await Counter.findById(POLICY_VERSION_ID).lean();
+    return counter ? counter.sequence_value : 0;
+}
+
+/**
+ * Increments the policy version after the stored rules changed.
+ * @param {ClientSession} [session] - Transaction changing the rules, so the version is part of it.
+ * @returns {Promise<number>} The new version.
+ */
+async function bumpPolicyVersion(session = null) {
+    const counter = await Counter.findByIdAndUpdate(
+        POLICY_VERSION_ID,
+        { $inc: { sequence_value: 1 } },
+        { new: true, upsert: true, session }
+    );
+    return counter.sequence_value;
+}
+
+/**
+ * Loads a new enforcer from MongoDB and swaps it in.
+ * The version is read first, so a change made during the load is picked up by the next check.
+ * @returns {Promise<Enforcer>}
+ */
+async function loadEnforcer() {
+    const version = await getPolicyVersion();
+    const enforcer = await newEnforcer(modelPath, adapter);
+    enforcerInstance = enforcer;
+    loadedPolicy = { version, loadedAt: new Date() };
+    return enforcer;
+}
+
+/**
+ * Describes the policies this instance enforces.
+ * @returns {{version: number|null, loadedAt: Date|null}} version is null before initialization.
+ */
+function getLoadedPolicy() {
+    return loadedPolicy;
+}
+
+/**
+ * Lists the rules a Casbin model holds.
+ * @param {Model} model - Casbin model (enforcer.getModel()).
+ * @returns {Array<{ptype: string, rule: string[]}>}
+ */
+function getModelRules(model) {
+    const rules = [];
+    for (const sec of ['p', 'g']) {
+        const assertions = model.model.get(sec);
+        if (!assertions) continue;
+        for (const [ptype, assertion] of assertions) {
+            for (const rule of assertion.policy) {
+                rules.push({ ptype, rule });
+            }
+        }
+    }
+    return rules;
+}
+
+/**
+ * Copies the rules of a policy file (policy.csv format) into MongoDB.
+ * @param {string} [filePath] - Policy file; defaults to config/policy.csv.
+ * @param {object} [options]
+ * @param {boolean} [options.replace=false] - Replace the stored rules. Otherwise nothing is
+ *   imported once MongoDB holds any rule.
+ * @returns {Promise<number>} Number of rules imported (0 if skipped).
+ */
+async function importPoliciesFromFile(filePath = policyPath, { replace = false } = {}) {
+    if (!replace && await CasbinRule.exists({})) {
+        return 0;
+    }
+
+    // Parsing with the model rejects rules model.conf doesn't define
+    const fileEnforcer = await newEnforcer(modelPath, new FileAdapter(filePath));
+    await adapter.savePolicy(fileEnforcer.getModel());
+    const version = await bumpPolicyVersion(); // Running instances reload (services/policyWatcher.js)
+    await recordPolicySnapshot(version, getModelRules(fileEnforcer.getModel()), { action: 'import' })
+        .catch(error => console.error(`Failed to record policy version ${version}:`, error.message));
+    return CasbinRule.countDocuments();
+}
 
 /**
  * Initializes and returns a singleton Casbin enforcer instance.
- * Uses FileAdapter for policies initially.
+ * On the first start (no rules in MongoDB yet) the rules of config/policy.csv are imported.
  * @returns {Promise<Enforcer>} The initialized Casbin enforcer.
  */
 async function initializeEnforcer() {
@@ -19,67 +117,104 @@ async function initializeEnforcer() {
         return enforcerInstance;
     }
 
-    try {
-        const adapter = new FileAdapter(policyPath);
-        const enforcer = await newEnforcer(modelPath, adapter);
+    // Concurrent callers share one initialization
+    if (!initialization) {
+        initialization = (async () => {
+            const imported = await importPoliciesFromFile();
+            if (imported > 0) {
+                console.log(`Imported ${imported} Casbin rules from ${policyPath}.`);
+            }
 
-        // Load policies from storage (CSV file in this case)
-        await enforcer.loadPolicy();
+            const enforcer = await loadEnforcer();
+            // Rules stored before the policy history existed become its first version
+            await recordPolicySnapshot(loadedPolicy.version, getModelRules(enforcer.getModel()), { action: 'baseline' })
+                .catch(error => console.error('Failed to record the policy baseline:', error.message));
 
-        // Optional: Enable auto-saving policies back to the file if you modify them programmatically
-        // enforcer.enableAutoSave(true);
+            // Optional: Enable logging.
+            // enforcer.enableLog(true);
 
-        // Optional: Enable logging.
-        // enforcer.enableLog(true);
-
-        console.log('Casbin enforcer initialized successfully.');
-        enforcerInstance = enforcer;
-        return enforcer;
-
-    } catch (error) {
-        console.error('Failed to initialize Casbin enforcer:', error);
-        // Depending on your app's needs, you might want to throw the error
-        // or handle it differently (e.g., exit the process if authz is critical)
-        throw error;
+            console.log(`Casbin enforcer initialized successfully (policy version ${loadedPolicy.version}).`);
+            return enforcer;
+        })().catch((error) => {
+            initialization = null;
+            console.error('Failed to initialize Casbin enforcer:', error);
+            // Depending on your app's needs, you might want to throw the error
+            // or handle it differently (e.g., exit the process if authz is critical)
+            throw error;
+        });
     }
+
+    return initialization;
 }
 
 /**
  * Returns the singleton Casbin enforcer instance.
  * Ensures initialization is complete before returning.
  * @returns {Promise<Enforcer>} The initialized Casbin enforcer.
- * @throws {Error} If the enforcer hasn't been initialized yet (should not happen if initializeEnforcer is called on app start).
  */
 async function getEnforcer() {
     if (!enforcerInstance) {
         // This can happen if getEnforcer is called before initializeEnforcer finishes.
-        // Option 1: Wait for initialization (safer)
         return await initializeEnforcer();
-        // Option 2: Throw an error (if you guarantee initialization happens first)
-        // throw new Error('Casbin enforcer is not initialized. Call initializeEnforcer first.');
     }
     return enforcerInstance;
 }
 
 /**
- * Reloads policies from the storage adapter (e.g., CSV file or DB).
- * Call this function after you know policies have been updated externally
- * or via administrative actions.
+ * Reloads policies from MongoDB on this instance. A new enforcer is loaded and then swapped in,
+ * so requests checked during the reload still see the previous policies instead of none.
+ * Reloads run one at a time, so an older load never replaces a newer one.
+ * To reload every instance, use publishPolicyChange (services/policyWatcher.js).
  * @returns {Promise<void>}
  * @throws {Error} If reloading fails or enforcer is not initialized.
  */
 async function reloadPolicies() {
-    const enforcer = await getEnforcer(); // Ensures enforcer is ready
+    await getEnforcer(); // Ensures enforcer is ready
+
+    const reload = reloadQueue.then(loadEnforcer);
+    reloadQueue = reload.catch(() => {});
     try {
-        await enforcer.loadPolicy();
-        console.log('Casbin policies reloaded successfully.');
+        await reload;
+        console.log(`Casbin policies reloaded successfully (policy version ${loadedPolicy.version}).`);
     } catch (error) {
         console.error('Failed to reload Casbin policies:', error);
         throw error; // Re-throw for upstream handling if necessary
     }
 }
 
-// Initialize on import (call this early in your app's startup)
-// await initializeEnforcer(); // Or call it in your main app file
+/**
+ * Builds a standalone enforcer (not stored anywhere) holding the given rules, to check what
+ * a policy change would allow before saving it.
+ * @param {Array<{ptype: string, rule: string[]}>} rules
+ * @param {object} [options]
+ * @param {string} [options.effect] - Replaces the policy_effect of model.conf,
+ *   e.g. 'some(where (p.eft == allow))'.
+ * @returns {Promise<Enforcer>}
+ */
+async function buildEnforcerFor(rules, { effect } = {}) {
+    const model = effect
+        ? newModelFromString(fs.readFileSync(modelPath, 'utf8').replace(/^e\s*=.*$/m, `e = ${effect}`))
+        : modelPath;
+    const enforcer = await newEnforcer(model);
+    for (const { ptype, rule } of rules) {
+        if (ptype.startsWith('g')) {
+            await enforcer.addNamedGroupingPolicy(ptype, ...rule);
+        } else {
+            await enforcer.addNamedPolicy(ptype, ...rule);
+        }
+    }
+    return enforcer;
+}
 
-module.exports = { initializeEnforcer, getEnforcer, reloadPolicies };
+module.exports = {
+    POLICY_VERSION_ID,
+    initializeEnforcer,
+    getEnforcer,
+    reloadPolicies,
+    importPoliciesFromFile,
+    buildEnforcerFor,
+    getModelRules,
+    getPolicyVersion,
+    bumpPolicyVersion,
+    getLoadedPolicy,
+};
@@ -0,0 +1,79 @@
+const CasbinRule = require('../models/CasbinRule');
+
+/**
+ * Casbin adapter that stores policy rules in MongoDB (models/CasbinRule.js), through the
+ * app's mongoose connection. Implements Casbin's Adapter and BatchAdapter interfaces.
+ */
+class MongoAdapter {
+    /**
+     * Loads every stored rule into the model. Rules of a type model.conf doesn't define are skipped.
+     * @param {Model} model - Casbin model.
+     * @returns {Promise<void>}
+     */
+    async loadPolicy(model) {
+        const docs = await CasbinRule.find().sort({ _id: 1 }).lean();
+
+        for (const doc of docs) {
+            const sec = doc.ptype.charAt(0);
+            const assertions = model.model.get(sec);
+            if (!assertions || !assertions.has(doc.ptype)) {
+                console.warn(`Skipping Casbin rule ${doc._id}: type "${doc.ptype}" is not defined in model.conf.`);
+                continue;
+            }
+            model.addPolicy(sec, doc.ptype, CasbinRule.toRule(doc));
+        }
+    }
+
+    /**
+     * Replaces every stored rule with the rules of the model.
+     * @param {Model} model - Casbin model.
+     * @returns {Promise<boolean>}
+     */
+    async savePolicy(model) {
+        const docs = [];
+        for (const sec of ['p', 'g']) {
+            const assertions = model.model.get(sec);
+            if (!assertions) continue;
+            for (const [ptype, assertion] of assertions) {
+                for (const rule of assertion.policy) {
+                    docs.push(CasbinRule.fromRule(ptype, rule));
+                }
+            }
+        }
+
+        await CasbinRule.deleteMany({});
+        if (docs.length > 0) {
+            await CasbinRule.insertMany(docs);
+        }
+        return true;
+    }
+
+    async addPolicy(sec, ptype, rule) {
+        await CasbinRule.create(CasbinRule.fromRule(ptype, rule));
+    }
+
+    async addPolicies(sec, ptype, rules) {
+        await CasbinRule.insertMany(rules.map(rule => CasbinRule.fromRule(ptype, rule)));
+    }
+
+    async removePolicy(sec, ptype, rule) {
+        await CasbinRule.deleteOne(CasbinRule.ruleFilter(ptype, rule));
+    }
+
+    async removePolicies(sec, ptype, rules) {
+        await CasbinRule.deleteMany({ $or: rules.map(rule => CasbinRule.ruleFilter(ptype, rule)) });
+    }
+
+    async removeFilteredPolicy(sec, ptype, fieldIndex, ...fieldValues) {
+        const filter = { ptype };
+        fieldValues.forEach((value, index) => {
+            // An empty value matches anything, as in Casbin's own adapters
+            if (value) {
+                filter[`v${fieldIndex + index}`] = value;
+            }
+        });
+        await CasbinRule.deleteMany(filter);
+    }
+}
+
+module.exports = MongoAdapter;
@@ -0,0 +1,100 @@
+const archiver = require('archiver');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const Passkey = require('../models/Passkey');
+const SecurityEvent = require('../models/SecurityEvent');
+const LoginEvent = require('../models/LoginEvent');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const Invoice = require('../models/Invoice');
+const Project = require('../models/Project');
+const Transaction = require('../models/Transaction');
+const { describeApiKey } = require('./apiKeyService');
+const { describePasskey } = require('./passkeyService');
+const { describeLoginEvent } = require('./loginHistoryService');
+
+const README = `Personal data export
+
+Every file is JSON:
+- profile.json: your account, preferences, linked logins and security settings
+- sessions.json: devices signed in to your account
+- api-keys.json: your API keys (names, scopes and last use; not the keys themselves)
+- passkeys.json: your passkeys (names and last use; not the keys themselves)
+- login-history.json: recent login attempts on your account (time, method, device, IP, result)
+- security-events.json: security log of your account (logins locked, password changes, ...)
+- orders.json, payments.json, invoices.json: your subscription purchases
+- projects.json, transactions.json: your projects and their transactions
+
+Secrets (password hash, two-factor secrets, tokens) are never exported.
+`;
+
+/**
+ * Collects everything stored about a user. Secret fields are excluded by their
+ * schemas (select: false) and never selected here.
+ * @param {string|ObjectId} userId - The user.
+ * @returns {Promise<object|null>} The data, one entry per archive file, or null if the user doesn't exist.
+ */
+const collectUserData = async (userId) => {
+    const user = await User.findById(userId).populate('planId', 'name slug').lean();
+    if (!user) {
+        return null;
+    }
+
+    const [sessions, apiKeys, passkeys, loginEvents, securityEvents, orders, payments, invoices, projects, transactions] = await Promise.all([
+        Session.find({ userId }).sort({ createdAt: -1 }).lean(),
+        ApiKey.find({ userId }).sort({ createdAt: -1 }).lean(),
+        Passkey.find({ userId }).sort({ createdAt: -1 }).lean(),
+        LoginEvent.find({ userId }).sort({ createdAt: -1 }).lean(),
+        SecurityEvent.find({ userId }).sort({ createdAt: -1 }).lean(),
+        Order.find({ user: userId }).populate('plan', 'name slug').sort({ createdAt: -1 }).lean(),
+        Payment.find({ userId }).sort({ createdAt: -1 }).lean(),
+        Invoice.find({ user: userId }).sort({ createdAt: -1 }).lean(),
+        Project.find({ user_id: userId }).sort({ createdAt: -1 }).lean(),
+        Transaction.find({ user_id: userId }).sort({ transaction_date: -1 }).lean(),
+    ]);
+
+    return {
+        'profile.json': user,
+        'sessions.json': sessions,
+        'api-keys.json': apiKeys.map(describeApiKey),
+        'passkeys.json': passkeys.map(describePasskey),
+        'login-history.json': loginEvents.map(describeLoginEvent),
+        'security-events.json': securityEvents,
+        'orders.json': orders,
+        'payments.json': payments,
+        'invoices.json': invoices,
+        'projects.json': projects,
+        'transactions.json': transactions,
+    };
+};
+
+/**
+ * Writes a ZIP archive of a user's data to a stream.
+ * @param {object} data - The result of collectUserData.
+ * @param {import('stream').Writable} output - Where the archive goes (e.g. the response).
+ * @returns {Promise<void>} Resolves once the archive has been written.
+ */
+const writeDataArchive = (data, output) => {
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const done = new Promise((resolve, reject) => {
+        archive.on('error', reject);
+        archive.on('warning', reject);
+        output.on('finish', resolve);
+        output.on('close', resolve);
+    });
+
+    archive.pipe(output);
+    archive.append(README, { name: 'README.txt' });
+    Object.entries(data).forEach(([name, content]) => {
+        archive.append(JSON.stringify(content, null, 2), { name });
+    });
+    archive.finalize();
+
+    return done;
+};
+
+module.exports = {
+    collectUserData,
+    writeDataArchive,
+};
@@ -0,0 +1,130 @@
+const fs = require('fs/promises');
+const path = require('path');
+const uploads = require('../config/uploads');
+
+/**
+ * Stores files on the local disk. Files are served by this server under
+ * uploads.storage.local.routePath (see server.js).
+ *
+ * Storage drivers share one interface:
+ * - save(buffer, { key, contentType }) -> Promise<{ key, url }>
+ * - remove(key) -> Promise<void> (a missing file is not an error)
+ */
+class LocalDiskStorage {
+    /**
+     * @param {object} options - uploads.storage.local
+     */
+    constructor({ directory, publicBaseUrl }) {
+        this.name = 'local';
+        this.directory = directory;
+        this.publicBaseUrl = publicBaseUrl;
+    }
+
+    /**
+     * Resolves a key inside the upload directory.
+     * @throws {Error} If the key would escape the upload directory.
+     */
+    resolve(key) {
+        const filePath = path.resolve(this.directory, key);
+        if (!filePath.startsWith(this.directory + path.sep)) {
+            throw new Error(`Invalid storage key "${key}".`);
+        }
+        return filePath;
+    }
+
+    async save(buffer, { key }) {
+        const filePath = this.resolve(key);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, buffer);
+        return { key, url: `${this.publicBaseUrl}/${key}` };
+    }
+
+    async remove(key) {
+        try {
+            await fs.unlink(this.resolve(key));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+    }
+}
+
+/**
+ * Stores files in Cloudinary. The key (without extension) becomes the public ID.
+ */
+class CloudinaryStorage {
+    /**
+     * @param {object} options - uploads.storage.cloudinary
+     */
+    constructor({ folder }) {
+        this.name = 'cloudinary';
+        this.folder = folder;
+        this.cloudinary = require('cloudinary').v2;
+
+        // CLOUDINARY_URL is read by the SDK itself; the separate variables are an alternative
+        if (!process.env.CLOUDINARY_URL) {
+            this.cloudinary.config({
+                cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+                api_key: process.env.CLOUDINARY_API_KEY,
+                api_secret: process.env.CLOUDINARY_API_SECRET,
+            });
+        }
+        this.cloudinary.config({ secure: true });
+    }
+
+    publicIdOf(key) {
+        return `${this.folder}/${key.replace(/\.[^./]+$/, '')}`;
+    }
+
+    save(buffer, { key }) {
+        return new Promise((resolve, reject) => {
+            const stream = this.cloudinary.uploader.upload_stream(
+                { public_id: this.publicIdOf(key), resource_type: 'image', overwrite: true },
+                (error, result) => {
+                    if (error) {
+                        return reject(new Error(`Cloudinary upload failed: ${error.message}`));
+                    }
+                    resolve({ key, url: result.secure_url });
+                }
+            );
+            stream.end(buffer);
+        });
+    }
+
+    async remove(key) {
+        // "not found" is a successful result, so a missing file doesn't throw
+        await this.cloudinary.uploader.destroy(this.publicIdOf(key), { resource_type: 'image', invalidate: true });
+    }
+}
+
+// Drivers are created on first use so a deployment only needs the settings of the one it uses
+const drivers = new Map();
+
+/**
+ * Returns a storage driver.
+ * @param {'local'|'cloudinary'} [name] - Defaults to the configured driver.
+ * @returns {LocalDiskStorage|CloudinaryStorage}
+ * @throws {Error} For an unknown driver.
+ */
+const getFileStorage = (name = uploads.storage.driver) => {
+    if (!drivers.has(name)) {
+        switch (name) {
+            case 'local':
+                drivers.set(name, new LocalDiskStorage(uploads.storage.local));
+                break;
+            case 'cloudinary':
+                drivers.set(name, new CloudinaryStorage(uploads.storage.cloudinary));
+                break;
+            default:
+                throw new Error(`Unknown upload storage driver "${name}". Use local or cloudinary.`);
+        }
+    }
+    return drivers.get(name);
+};
+
+module.exports = {
+    LocalDiskStorage,
+    CloudinaryStorage,
+    getFileStorage,
+};
@@ -0,0 +1,56 @@
+const User = require('../models/User');
+const authPolicy = require('../config/authPolicy');
+const AppError = require('../utils/AppError');
+const { recordSecurityEvent } = require('./securityEventService');
+
+/**
+ * Mints an access token that lets an admin act as a user ("log in as user").
+ * The token carries an `act` (actor) claim naming the admin, has no refresh token and
+ * no session, and is rejected by routes guarded with requireSessionAuth (password,
+ * email, orders, ...). Every impersonation, and each request made with the token (see
+ * authenticate), is recorded in the user's security log.
+ * @param {string|ObjectId} userId - The user to impersonate.
+ * @param {object} options
+ * @param {object} options.actor - req.user of the admin.
+ * @param {string} options.reason - Why (e.g. a support ticket), kept in the audit trail.
+ * @param {number} [options.durationMinutes] - Token lifetime, at most authPolicy.impersonation.maxMinutes.
+ * @param {object} [options.req] - Express request, for the audit trail.
+ * @returns {Promise<{accessToken: string, expiresAt: Date, user: object}|null>} The token and the user
+ * document (planId populated); null if the user doesn't exist.
+ * @throws {AppError} 403 for admin accounts, 409 for inactive accounts.
+ */
+const startImpersonation = async (userId, { actor, reason, durationMinutes, req }) => {
+    const user = await User.findById(userId).populate('planId');
+    if (!user) {
+        return null;
+    }
+    // Acting as another admin would hand out admin rights under someone else's name
+    if (user.role === 'admin') {
+        throw new AppError('Admin accounts cannot be impersonated.', 403);
+    }
+    if (user.isActive === false) {
+        throw new AppError('This account is suspended or deleted and cannot be impersonated.', 409);
+    }
+
+    const { maxMinutes, defaultMinutes } = authPolicy.impersonation;
+    const minutes = Math.min(durationMinutes || defaultMinutes, maxMinutes);
+    const expiresAt = new Date(Date.now() + minutes * 60 * 1000);
+
+    const actorUser = await User.findById(actor._id).select('username').lean();
+    const act = { sub: actor._id.toString(), username: actorUser ? actorUser.username : undefined };
+
+    const accessToken = await user.generateAccessToken(undefined, { act, expiresIn: minutes * 60 });
+
+    await recordSecurityEvent({
+        type: 'impersonation_started',
+        userId: user._id,
+        req,
+        details: { actorId: act.sub, actorUsername: act.username, reason, expiresAt }
+    });
+
+    return { accessToken, expiresAt, user };
+};
+
+module.exports = {
+    startImpersonation,
+};
@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const Plan = require('../models/Plan');
+const authPolicy = require('../config/authPolicy');
+const AppError = require('../utils/AppError');
+const { calculateNextBillingDate } = require('../utils/subscription');
+const { sendNotification } = require('./notificationService');
+
+/**
+ * Invitations let admins onboard users when registration is invite-only
+ * (authPolicy.registration.mode). An invitation fixes the email address, role and
+ * optionally a plan, and can be accepted once before it expires.
+ */
+
+/**
+ * Filter matching an invitation that can still be accepted.
+ * @returns {object} Mongo filter.
+ */
+const pendingFilter = () => ({
+    acceptedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+});
+
+/**
+ * Describes an invitation for admin listings (no token hash).
+ * @param {object} invitation - Invitation document.
+ * @returns {object}
+ */
+const describeInvitation = (invitation) => ({
+    _id: invitation._id,
+    email: invitation.email,
+    role: invitation.role,
+    planId: invitation.planId,
+    invitedBy: invitation.invitedBy,
+    status: invitation.getStatus(),
+    expiresAt: invitation.expiresAt,
+    acceptedAt: invitation.acceptedAt,
+    acceptedBy: invitation.acceptedBy,
+    revokedAt: invitation.revokedAt,
+    createdAt: invitation.createdAt
+});
+
+/**
+ * Emails the invitation link through the notification service.
+ * @param {object} invitation - Invitation document.
+ * @param {string} token - The plain token.
+ * @returns {Promise<boolean>} True if the notification was sent.
+ */
+const sendInvitation = (invitation, token) => {
+    const inviteLink = `${authPolicy.clientUrl}/register?invite=${encodeURIComponent(token)}`;
+    const expires = invitation.expiresAt.toUTCString();
+
+    return sendNotification({
+        method: 'email',
+        user: { email: invitation.email },
+        subject: "You're invited to create an account",
+        text: `You have been invited to create an account. Open this link to register: ${inviteLink}\nThe invitation can be used once and expires on ${expires}. If you weren't expecting it, ignore this email.`,
+        html: `<p>You have been invited to create an account.</p><p><a href="${inviteLink}">Click here to register</a>.</p><p>The invitation can be used once and expires on ${expires}. If you weren't expecting it, ignore this email.</p>`
+    });
+};
+
+/**
+ * Creates an invitation and emails it. Earlier pending invitations for the same email
+ * are revoked, so only the newest link works.
+ * @param {object} params
+ * @param {string} params.email - Address the invitation is sent to; the account must use it.
+ * @param {string} [params.role='user'] - Role of the new account.
+ * @param {string|ObjectId} [params.planId] - Plan assigned on registration.
+ * @param {string|ObjectId} params.invitedBy - The admin.
+ * @returns {Promise<{invitation: object, emailSent: boolean}>}
+ * @throws {AppError} 409 if an account with the email exists, 404 if the plan doesn't exist.
+ */
+const createInvitation = async ({ email, role = 'user', planId, invitedBy }) => {
+    if (await User.exists({ email })) {
+        throw new AppError('An account with this email already exists.', 409);
+    }
+    if (planId && !(await Plan.exists({ _id: planId }))) {
+        throw new AppError('Plan not found.', 404);
+    }
+
+    await Invitation.updateMany({ email, ...pendingFilter() }, { $set: { revokedAt: new Date() } });
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const invitation = await Invitation.create({
+        email,
+        role,
+        planId,
+        tokenHash: Invitation.hashToken(token),
+        invitedBy,
+        expiresAt: new Date(Date.now() + authPolicy.registration.inviteExpiryDays * 24 * 60 * 60 * 1000)
+    });
+
+    const emailSent = await sendInvitation(invitation, token);
+
+    return { invitation: describeInvitation(invitation), emailSent };
+};
+
+/**
+ * Finds the invitation a token belongs to, if it can still be accepted.
+ * @param {string} token - The plain token from the invitation link.
+ * @returns {Promise<object|null>} The invitation (plan populated), or null.
+ */
+const findPendingInvitation = (token) => Invitation.findOne({
+    tokenHash: Invitation.hashToken(token),
+    ...pendingFilter()
+}).populate('planId');
+
+/**
+ * Marks an invitation as used by a new account, atomically so it can't be used twice.
+ * @param {object} invitation - Invitation document from findPendingInvitation.
+ * @param {object} user - The new (unsaved) user document.
+ * @returns {Promise<boolean>} False if the invitation was used, revoked or expired meanwhile.
+ */
+const claimInvitation = async (invitation, user) => {
+    const claimed = await Invitation.findOneAndUpdate(
+        { _id: invitation._id, ...pendingFilter() },
+        { $set: { acceptedAt: new Date(), acceptedBy: user._id } }
+    );
+    return Boolean(claimed);
+};
+
+/**
+ * Makes a claimed invitation usable again, when creating the account failed.
+ * @param {object} invitation - Invitation document.
+ * @returns {Promise<void>}
+ */
+const releaseInvitation = async (invitation) => {
+    await Invitation.updateOne({ _id: invitation._id }, { $unset: { acceptedAt: '', acceptedBy: '' } });
+};
+
+/**
+ * Applies an invitation to a new (unsaved) user: role, plan and verified email
+ * (the invitation link reached the address).
+ * @param {object} user - The user document.
+ * @param {object} invitation - Invitation document with planId populated.
+ */
+const applyInvitation = (user, invitation) => {
+    user.role = invitation.role;
+    user.isEmailVerified = true;
+
+    const plan = invitation.planId;
+    if (plan && typeof plan === 'object') {
+        const startDate = new Date();
+        user.planId = plan._id;
+        user.subscriptionStatus = plan.price === 0 ? 'free' : 'active';
+        user.subscriptionStartDate = startDate;
+        user.subscriptionEndDate = calculateNextBillingDate(startDate, plan.billingCycle);
+    }
+};
+
+/**
+ * Revokes a pending invitation.
+ * @param {string|ObjectId} invitationId
+ * @returns {Promise<object>} The invitation's description.
+ * @throws {AppError} 404 if it doesn't exist, 409 if it is no longer pending.
+ */
+const revokeInvitation = async (invitationId) => {
+    const invitation = await Invitation.findById(invitationId);
+    if (!invitation) {
+        throw new AppError('Invitation not found.', 404);
+    }
+    if (invitation.getStatus() !== 'pending') {
+        throw new AppError(`This invitation is already ${invitation.getStatus()}.`, 409);
+    }
+
+    invitation.revokedAt = new Date();
+    await invitation.save();
+    return describeInvitation(invitation);
+};
+
+module.exports = {
+    describeInvitation,
+    createInvitation,
+    findPendingInvitation,
+    claimInvitation,
+    releaseInvitation,
+    applyInvitation,
+    revokeInvitation,
+};
@@ -0,0 +1,232 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { calculateJwkThumbprint } = require('jose');
+const SigningKey = require('../models/SigningKey');
+const jwtSigning = require('../config/jwtSigning');
+const AppError = require('../utils/AppError');
+
+const generateKeyPair = promisify(crypto.generateKeyPair);
+
+// Unknown `kid`s trigger a reload at most this often, so forged headers can't hammer the database
+const MIN_RELOAD_INTERVAL_MS = 5 * 1000;
+
+// Keys loaded from the database, newest activation first
+let keyring = null;
+let loadedAt = 0;
+let loading = null;
+
+/**
+ * Generates a key pair for an algorithm.
+ * @param {'RS256'|'EdDSA'} alg - The algorithm.
+ * @returns {Promise<{publicKey: string, privateKey: string}>} PEM encoded keys.
+ */
+const generatePemKeyPair = (alg) => {
+    const { privateKeyPassphrase } = jwtSigning;
+    const encoding = {
+        publicKeyEncoding: { type: 'spki', format: 'pem' },
+        privateKeyEncoding: {
+            type: 'pkcs8',
+            format: 'pem',
+            ...(privateKeyPassphrase ? { cipher: 'aes-256-cbc', passphrase: privateKeyPassphrase } : {})
+        }
+    };
+    return alg === 'EdDSA'
+        ? generateKeyPair('ed25519', encoding)
+        : generateKeyPair('rsa', { modulusLength: 2048, ...encoding });
+};
+
+/**
+ * Turns a stored key into a keyring entry with Node KeyObjects.
+ * @param {object} doc - SigningKey document (lean, privateKey selected).
+ * @returns {object} The keyring entry.
+ */
+const toKeyringEntry = (doc) => ({
+    kid: doc.kid,
+    alg: doc.alg,
+    activatesAt: doc.activatesAt,
+    expiresAt: doc.expiresAt,
+    publicKey: crypto.createPublicKey(doc.publicKey),
+    privateKey: crypto.createPrivateKey({ key: doc.privateKey, format: 'pem', passphrase: jwtSigning.privateKeyPassphrase }),
+});
+
+/**
+ * Reads the unexpired keys from the database.
+ * @returns {Promise<object[]>} Keyring entries, newest activation first.
+ */
+const loadKeyring = async () => {
+    if (!loading) {
+        loading = (async () => {
+            try {
+                const docs = await SigningKey.find({
+                    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+                }).select('+privateKey').sort({ activatesAt: -1 }).lean();
+
+                keyring = docs.map(toKeyringEntry);
+                loadedAt = Date.now();
+                return keyring;
+            } finally {
+                loading = null;
+            }
+        })();
+    }
+    return loading;
+};
+
+/**
+ * Returns the keyring, reading it again once the cache is older than jwtSigning.keyringCacheSeconds.
+ * @returns {Promise<object[]>}
+ */
+const getKeyring = async () => {
+    if (keyring && Date.now() - loadedAt < jwtSigning.keyringCacheSeconds * 1000) {
+        return keyring;
+    }
+    return loadKeyring();
+};
+
+/**
+ * Filters out keys that expired since the keyring was loaded.
+ * @param {object[]} keys - Keyring entries.
+ * @returns {object[]}
+ */
+const unexpired = (keys) => {
+    const now = new Date();
+    return keys.filter(key => !key.expiresAt || key.expiresAt > now);
+};
+
+/**
+ * Returns the key that signs new access tokens: the most recently activated key of the
+ * configured algorithm.
+ * @returns {Promise<object>} The keyring entry.
+ * @throws {Error} If the keyring has no active key (see ensureSigningKey).
+ */
+const getSigningKey = async () => {
+    const now = new Date();
+    const key = unexpired(await getKeyring())
+        .find(entry => entry.alg === jwtSigning.algorithm && entry.activatesAt <= now);
+    if (!key) {
+        throw new Error(`The keyring has no active ${jwtSigning.algorithm} key. Rotate the signing keys to create one.`);
+    }
+    return key;
+};
+
+/**
+ * Returns the key a token names in its `kid` header. An unknown key ID makes this
+ * instance read the keyring again, since another instance may have rotated the keys.
+ * @param {string} kid - Key ID.
+ * @returns {Promise<object|null>} The keyring entry, or null if no unexpired key has this ID.
+ */
+const getVerificationKey = async (kid) => {
+    let key = unexpired(await getKeyring()).find(entry => entry.kid === kid);
+    if (!key && Date.now() - loadedAt >= MIN_RELOAD_INTERVAL_MS) {
+        key = unexpired(await loadKeyring()).find(entry => entry.kid === kid);
+    }
+    return key || null;
+};
+
+/**
+ * Builds the public JSON Web Key Set: every unexpired key, including keys that don't sign yet.
+ * @returns {Promise<{keys: object[]}>}
+ */
+const getPublicJwks = async () => {
+    const keys = unexpired(await getKeyring()).map(key => ({
+        ...key.publicKey.export({ format: 'jwk' }),
+        kid: key.kid,
+        alg: key.alg,
+        use: 'sig'
+    }));
+    return { keys };
+};
+
+/**
+ * Creates a new signing key and schedules the replaced keys (those of the same algorithm) to
+ * expire once every token they signed has expired. Keys of another algorithm are left alone, so
+ * creating one ahead of a JWT_SIGNING_ALG change doesn't retire the keys signing today.
+ * @param {object} [options]
+ * @param {'RS256'|'EdDSA'} [options.alg] - Defaults to the configured algorithm.
+ * @param {number} [options.publishAheadMinutes] - Delay before the new key starts signing.
+ * @param {string|ObjectId} [options.createdBy] - The admin rotating the keys.
+ * @returns {Promise<object>} The new key's metadata.
+ * @throws {AppError} 400 if alg isn't an asymmetric algorithm (e.g. HS256, which uses no keyring).
+ */
+const rotateSigningKey = async ({ alg = jwtSigning.algorithm, publishAheadMinutes = jwtSigning.rotation.publishAheadMinutes, createdBy } = {}) => {
+    if (!jwtSigning.asymmetricAlgorithms.includes(alg)) {
+        throw new AppError(`Cannot create a signing key for "${alg}". Use ${jwtSigning.asymmetricAlgorithms.join(' or ')} (JWT_SIGNING_ALG).`, 400);
+    }
+
+    const { publicKey, privateKey } = await generatePemKeyPair(alg);
+    const kid = await calculateJwkThumbprint(crypto.createPublicKey(publicKey).export({ format: 'jwk' }));
+    const activatesAt = new Date(Date.now() + publishAheadMinutes * 60 * 1000);
+
+    const key = await SigningKey.create({ kid, alg, publicKey, privateKey, activatesAt, createdBy });
+
+    // The replaced keys sign until the new one activates, then stay published for the retention period
+    const expiresAt = new Date(activatesAt.getTime() + jwtSigning.rotation.retentionMinutes * 60 * 1000);
+    await SigningKey.updateMany({ _id: { $ne: key._id }, alg, expiresAt: null }, { $set: { expiresAt } });
+
+    keyring = null; // This instance picks the change up right away; others within keyringCacheSeconds
+    return describeKey(key);
+};
+
+/**
+ * Makes sure an asymmetric keyring can sign: creates an immediately active key when there
+ * is none for the configured algorithm (first start, or algorithm changed). No-op for HS256.
+ * @returns {Promise<object|null>} The created key's metadata, or null if none was needed.
+ */
+const ensureSigningKey = async () => {
+    if (!jwtSigning.isAsymmetric) {
+        return null;
+    }
+    const now = new Date();
+    const hasKey = await SigningKey.exists({
+        alg: jwtSigning.algorithm,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+    });
+    if (hasKey) {
+        return null;
+    }
+    return rotateSigningKey({ publishAheadMinutes: 0 });
+};
+
+/**
+ * Describes a key without its private part.
+ * @param {object} key - SigningKey document.
+ * @returns {object}
+ */
+const describeKey = (key) => {
+    const now = new Date();
+    let status = 'active';
+    if (key.activatesAt > now) {
+        status = 'pending';
+    } else if (key.expiresAt) {
+        status = 'retiring'; // Replaced: signs until its successor activates, verifies until it expires
+    }
+    return {
+        kid: key.kid,
+        alg: key.alg,
+        status,
+        activatesAt: key.activatesAt,
+        expiresAt: key.expiresAt,
+        createdBy: key.createdBy,
+        createdAt: key.createdAt
+    };
+};
+
+/**
+ * Lists the unexpired keys (metadata only).
+ * @returns {Promise<object[]>} Newest activation first.
+ */
+const listSigningKeys = async () => {
+    const keys = await SigningKey.find({
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    }).sort({ activatesAt: -1 }).lean();
+    return keys.map(describeKey);
+};
+
+module.exports = {
+    getSigningKey,
+    getVerificationKey,
+    getPublicJwks,
+    rotateSigningKey,
+    ensureSigningKey,
+    listSigningKeys,
+};
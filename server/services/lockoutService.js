@@ -0,0 +1,189 @@
+const User = require('../models/User');
+const authPolicy = require('../config/authPolicy');
+const { recordSecurityEvent } = require('./securityEventService');
+const { sendNotification } = require('./notificationService');
+
+// Only the most recent entries of lockout.history are kept
+const HISTORY_LIMIT = 50;
+
+/**
+ * Appends an entry to the user's lockout history (as a MongoDB update operator).
+ * @param {object} entry - The history entry.
+ * @returns {object} The $push value.
+ */
+const pushHistory = (entry) => ({
+    'lockout.history': { $each: [entry], $slice: -HISTORY_LIMIT }
+});
+
+/**
+ * Builds the response body for a login refused because the account is locked.
+ * @param {Date} [lockedUntil] - When the lockout ends.
+ * @returns {object} The response body.
+ */
+const buildLockedResponse = (lockedUntil) => ({
+    message: lockedUntil
+        ? `Too many failed login attempts. This account is locked until ${lockedUntil.toISOString()}.`
+        : 'Too many failed login attempts. This account is temporarily locked.',
+    code: 'ACCOUNT_LOCKED',
+    lockedUntil
+});
+
+/**
+ * Checks whether a user is currently locked out. A lockout that has run out is
+ * released here and recorded as an automatic unlock.
+ * @param {object} user - The user document (lockout fields loaded).
+ * @returns {Promise<Date|null>} The end of the active lockout, or null if the user may log in.
+ */
+const getActiveLockout = async (user) => {
+    const lockedUntil = user.lockout && user.lockout.lockedUntil;
+    if (!lockedUntil) {
+        return null;
+    }
+    if (lockedUntil > new Date()) {
+        return lockedUntil;
+    }
+
+    // Matching on the old lockedUntil records the automatic unlock only once
+    await User.updateOne(
+        { _id: user._id, 'lockout.lockedUntil': lockedUntil },
+        {
+            $set: { 'lockout.lockedUntil': null },
+            $push: pushHistory({ action: 'unlocked', reason: 'expired', at: lockedUntil })
+        }
+    );
+    user.lockout.lockedUntil = null;
+    return null;
+};
+
+/**
+ * Records a failed login attempt and locks the account once the limit is reached.
+ * The counter is updated atomically, so parallel guesses from many IPs are all counted.
+ * @param {object} user - The user document.
+ * @param {object} req - Express request object (IP recorded on lockout).
+ * @returns {Promise<{locked: boolean, lockedUntil?: Date, remainingAttempts?: number}>}
+ */
+const recordFailedLogin = async (user, req) => {
+    const { maxFailedAttempts, failureWindowMinutes, baseDurationMinutes, maxDurationMinutes } = authPolicy.lockout;
+    const now = new Date();
+    const windowStart = new Date(now.getTime() - failureWindowMinutes * 60 * 1000);
+    const options = { new: true, projection: { lockout: 1 } };
+
+    // Count the failure, or start a new count when the previous one is outside the window
+    let updated = await User.findOneAndUpdate(
+        { _id: user._id, 'lockout.lastFailedAt': { $gte: windowStart } },
+        { $inc: { 'lockout.failedAttempts': 1 }, $set: { 'lockout.lastFailedAt': now } },
+        options
+    );
+    if (!updated) {
+        updated = await User.findOneAndUpdate(
+            { _id: user._id },
+            { $set: { 'lockout.failedAttempts': 1, 'lockout.lastFailedAt': now } },
+            options
+        );
+    }
+    if (!updated) {
+        return { locked: false };
+    }
+
+    if (updated.lockout.failedAttempts < maxFailedAttempts) {
+        return { locked: false, remainingAttempts: maxFailedAttempts - updated.lockout.failedAttempts };
+    }
+
+    // Progressive lockout: 15 min, 30 min, 1 h, ... up to the maximum
+    const durationMinutes = Math.min(
+        baseDurationMinutes * 2 ** (updated.lockout.lockoutCount || 0),
+        maxDurationMinutes
+    );
+    const lockedUntil = new Date(now.getTime() + durationMinutes * 60 * 1000);
+
+    // Only one of several concurrent failures gets to lock (and notify)
+    const locked = await User.findOneAndUpdate(
+        {
+            _id: user._id,
+            'lockout.failedAttempts': { $gte: maxFailedAttempts },
+            $or: [{ 'lockout.lockedUntil': null }, { 'lockout.lockedUntil': { $lte: now } }]
+        },
+        {
+            $set: { 'lockout.lockedUntil': lockedUntil, 'lockout.failedAttempts': 0 },
+            $inc: { 'lockout.lockoutCount': 1 },
+            $push: pushHistory({ action: 'locked', reason: 'failed_attempts', at: now, lockedUntil, ip: req.ip })
+        },
+        { new: true, projection: { lockout: 1, email: 1, username: 1 } }
+    );
+
+    if (!locked) {
+        return { locked: true };
+    }
+
+    await recordSecurityEvent({
+        type: 'account_locked',
+        userId: user._id,
+        req,
+        details: { lockedUntil, durationMinutes, lockoutCount: locked.lockout.lockoutCount }
+    });
+
+    await sendNotification({
+        method: 'email',
+        user: locked,
+        subject: 'Your account has been temporarily locked',
+        text: `We locked your account after ${maxFailedAttempts} failed login attempts. You can log in again after ${lockedUntil.toUTCString()}.\nIf this wasn't you, someone may be trying to guess your password. Consider resetting it; a password reset also unlocks your account.`,
+        html: `<p>We locked your account after ${maxFailedAttempts} failed login attempts. You can log in again after <b>${lockedUntil.toUTCString()}</b>.</p><p>If this wasn't you, someone may be trying to guess your password. Consider resetting it; a password reset also unlocks your account.</p>`
+    });
+
+    return { locked: true, lockedUntil };
+};
+
+/**
+ * Clears the failed attempt counters after a successful login.
+ * @param {object} user - The user document.
+ * @returns {Promise<void>}
+ */
+const clearFailedLogins = async (user) => {
+    if (!user.lockout || (!user.lockout.failedAttempts && !user.lockout.lockoutCount)) {
+        return;
+    }
+    await User.updateOne(
+        { _id: user._id },
+        { $set: { 'lockout.failedAttempts': 0, 'lockout.lockoutCount': 0 } }
+    );
+};
+
+/**
+ * Unlocks an account before its lockout runs out.
+ * @param {string|ObjectId} userId - The locked user.
+ * @param {object} options
+ * @param {string} options.reason - 'admin' or 'password_reset'.
+ * @param {object} [options.req] - Express request object.
+ * @param {string|ObjectId} [options.performedBy] - The admin performing the unlock.
+ * @returns {Promise<boolean>} True if the account was locked and is now unlocked.
+ */
+const unlockAccount = async (userId, { reason, req, performedBy }) => {
+    const now = new Date();
+    const result = await User.updateOne(
+        { _id: userId, 'lockout.lockedUntil': { $gt: now } },
+        {
+            $set: { 'lockout.lockedUntil': null, 'lockout.failedAttempts': 0, 'lockout.lockoutCount': 0 },
+            $push: pushHistory({ action: 'unlocked', reason, at: now, ip: req ? req.ip : undefined, performedBy })
+        }
+    );
+
+    if (result.modifiedCount === 0) {
+        return false;
+    }
+
+    await recordSecurityEvent({
+        type: 'account_unlocked',
+        userId,
+        req,
+        details: { reason, performedBy: performedBy ? performedBy.toString() : undefined }
+    });
+    return true;
+};
+
+module.exports = {
+    buildLockedResponse,
+    getActiveLockout,
+    recordFailedLogin,
+    clearFailedLogins,
+    unlockAccount,
+};
@@ -0,0 +1,130 @@
+const net = require('net');
+const LoginEvent = require('../models/LoginEvent');
+const authPolicy = require('../config/authPolicy');
+const { sendNotification } = require('./notificationService');
+const { describeUserAgent } = require('./sessionService');
+
+/**
+ * Reduces an IP address to its network: IPv4 /24 or IPv6 /48. Logins from the same
+ * home or office network then don't look new when the last part of the address changes.
+ * @param {string} [ip] - IP address (IPv4, IPv6 or IPv4-mapped IPv6).
+ * @returns {string|undefined} E.g. "203.0.113.0/24" or "2001:db8:85a3::/48".
+ */
+const getIpRange = (ip) => {
+    if (!ip) return undefined;
+    const address = ip.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '').replace(/%.*$/, '');
+
+    if (net.isIPv4(address)) {
+        return `${address.split('.').slice(0, 3).join('.')}.0/24`;
+    }
+
+    if (net.isIPv6(address)) {
+        // Expand "::" so the first three groups can be read
+        const [head, tail] = address.split('::');
+        const headGroups = head ? head.split(':') : [];
+        const tailGroups = tail !== undefined && tail !== '' ? tail.split(':') : [];
+        const groups = [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+        return `${groups.slice(0, 3).map(group => parseInt(group, 16).toString(16)).join(':')}::/48`;
+    }
+
+    return undefined;
+};
+
+/**
+ * Describes a login attempt for the user's activity page.
+ * @param {object} event - LoginEvent document.
+ * @returns {object}
+ */
+const describeLoginEvent = (event) => ({
+    _id: event._id,
+    method: event.method,
+    mfa: event.mfa,
+    success: event.success,
+    failureReason: event.failureReason,
+    ip: event.ip,
+    device: event.device,
+    newDevice: event.newDevice,
+    createdAt: event.createdAt
+});
+
+/**
+ * Emails the user about a login from a device or network they haven't used before.
+ * @param {object} user - The user document.
+ * @param {object} event - The LoginEvent of the login.
+ * @returns {Promise<boolean>} True if the notification was sent.
+ */
+const sendNewDeviceAlert = (user, event) => {
+    const when = event.createdAt.toUTCString();
+    const activityLink = `${authPolicy.clientUrl}/login-history`;
+
+    return sendNotification({
+        method: 'email',
+        user: user,
+        subject: 'New sign-in to your account',
+        text: `Your account was signed in to from a new device or location.\nDevice: ${event.device}\nIP address: ${event.ip || 'unknown'}\nTime: ${when}\nIf this was you, there's nothing to do. If not, change your password right away and sign out the device from your sessions. Review your recent activity: ${activityLink}`,
+        html: `<p>Your account was signed in to from a new device or location.</p><ul><li>Device: <b>${event.device}</b></li><li>IP address: ${event.ip || 'unknown'}</li><li>Time: ${when}</li></ul><p>If this was you, there's nothing to do. If not, change your password right away and sign out the device from your sessions.</p><p><a href="${activityLink}">Review your recent activity</a></p>`
+    });
+};
+
+/**
+ * Records a login attempt. A successful login from a device or IP range missing from the
+ * user's earlier successful logins is flagged and, if enabled, triggers an email alert.
+ * Failures are logged but never thrown, so the history can't break a login.
+ * @param {object} options
+ * @param {object} [options.user] - The user document, if the attempt matched an account.
+ * @param {string} [options.identifier] - Username or email as submitted.
+ * @param {'password'|'passwordless'|'passkey'|'oauth'} options.method - First factor used.
+ * @param {boolean} [options.mfa=false] - Whether a second factor was checked.
+ * @param {boolean} options.success - Whether tokens were issued.
+ * @param {string} [options.failureReason] - Why the attempt failed (see LoginEvent model enum).
+ * @param {object} options.req - Express request, used for IP and user agent.
+ * @returns {Promise<LoginEvent|null>} The saved event, or null if saving failed.
+ */
+const recordLoginAttempt = async ({ user, identifier, method, mfa = false, success, failureReason, req }) => {
+    try {
+        const userAgent = req.get('user-agent') || '';
+        const device = describeUserAgent(userAgent);
+        const ipRange = getIpRange(req.ip);
+
+        let newDevice = false;
+        if (success && user) {
+            const [hasHistory, knownDevice, knownNetwork] = await Promise.all([
+                LoginEvent.exists({ userId: user._id, success: true }),
+                LoginEvent.exists({ userId: user._id, success: true, device }),
+                ipRange ? LoginEvent.exists({ userId: user._id, success: true, ipRange }) : true,
+            ]);
+            // The very first login has nothing to compare with
+            newDevice = Boolean(hasHistory) && (!knownDevice || !knownNetwork);
+        }
+
+        const event = await LoginEvent.create({
+            userId: user ? user._id : undefined,
+            identifier,
+            method,
+            mfa,
+            success,
+            failureReason: success ? undefined : failureReason,
+            ip: req.ip,
+            ipRange,
+            userAgent,
+            device,
+            newDevice,
+            expiresAt: new Date(Date.now() + authPolicy.loginHistory.retentionDays * 24 * 60 * 60 * 1000)
+        });
+
+        if (newDevice && authPolicy.loginHistory.newDeviceAlerts) {
+            await sendNewDeviceAlert(user, event);
+        }
+
+        return event;
+    } catch (error) {
+        console.error(`Failed to record ${method} login attempt:`, error);
+        return null;
+    }
+};
+
+module.exports = {
+    getIpRange,
+    describeLoginEvent,
+    recordLoginAttempt,
+};
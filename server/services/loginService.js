@@ -0,0 +1,104 @@
+const authPolicy = require('../config/authPolicy');
+const { signChallengeToken } = require('../utils/challengeToken');
+const { buildSession } = require('./sessionService');
+const { recordLoginAttempt } = require('./loginHistoryService');
+const { isPasswordExpired } = require('./passwordPolicyService');
+
+/**
+ * Builds the non-sensitive user info returned to the client after login.
+ * @param {object} user - The user document (planId ideally populated).
+ * @returns {object} The public user summary.
+ */
+const buildLoginUser = (user) => ({
+    _id: user._id,
+    username: user.username,
+    email: user.email,
+    role: user.role,
+    plan: user.planId && typeof user.planId === 'object' ? user.planId.slug : (user.subscriptionStatus === 'free' ? 'free' : null),
+    subscriptionStatus: user.subscriptionStatus,
+    isEmailVerified: user.isEmailVerified
+});
+
+/**
+ * Decides whether a user who passed the first login factor still needs a TOTP step.
+ * @param {object} user - The user document.
+ * @param {string} [method='password'] - First factor used, carried in the token for the login history.
+ * @returns {object|null} The challenge response body, or null if tokens can be issued right away.
+ */
+const getMfaChallenge = (user, method = 'password') => {
+    if (user.mfa && user.mfa.enabled) {
+        return {
+            message: 'Two-factor authentication required.',
+            mfaRequired: true,
+            mfaToken: signChallengeToken(user, 'mfa', { method })
+        };
+    }
+
+    if (authPolicy.mfa.requiredRoles.includes(user.role)) {
+        return {
+            message: 'Two-factor authentication must be set up before you can log in.',
+            mfaSetupRequired: true,
+            mfaToken: signChallengeToken(user, 'mfa-setup', { method })
+        };
+    }
+
+    return null;
+};
+
+/**
+ * Decides whether a password login must replace an expired password (authPolicy.password.maxAgeDays)
+ * before tokens are issued. Checked after the second factor, so the password alone can't replace itself.
+ * @param {object} user - The user document.
+ * @param {object} [options]
+ * @param {boolean} [options.mfa=false] - Whether a second factor was already checked, for the login history.
+ * @returns {object|null} The challenge response body, or null if the password is still valid.
+ */
+const getPasswordChangeChallenge = (user, { mfa = false } = {}) => {
+    if (!isPasswordExpired(user)) {
+        return null;
+    }
+
+    return {
+        message: 'Your password has expired. Please choose a new one.',
+        passwordChangeRequired: true,
+        passwordToken: signChallengeToken(user, 'password-change', { mfa })
+    };
+};
+
+/**
+ * Starts a new session (device) for a fully authenticated user and issues its access/refresh token pair.
+ * The login is added to the user's login history, which may send a new-device alert.
+ * @param {object} user - The user document.
+ * @param {object} req - Express request object (user agent, IP and optional body.deviceLabel are recorded).
+ * @param {object} [options]
+ * @param {string} [options.method='password'] - First factor used ('password', 'passwordless', 'passkey', 'oauth').
+ * @param {boolean} [options.mfa=false] - Whether a second factor was checked.
+ * @returns {Promise<{accessToken: string, refreshToken: string, sessionId: string, user: object}>} The login payload.
+ */
+const issueLoginTokens = async (user, req, { method = 'password', mfa = false } = {}) => {
+    const session = buildSession(user, req, req.body && req.body.deviceLabel);
+    user.lastLoginAt = new Date();
+
+    // This model method also handles subscription checks and setting the session's refresh token hash.
+    const { accessToken, refreshToken } = await user.generateAccessAndRefereshTokens(session);
+    await Promise.all([
+        user.save({ validateBeforeSave: false }), // Persist lastLoginAt and any subscription status change
+        session.save()
+    ]);
+
+    await recordLoginAttempt({ user, method, mfa, success: true, req });
+
+    return {
+        accessToken,
+        refreshToken,
+        sessionId: session._id,
+        user: buildLoginUser(user) // Send back non-sensitive user info
+    };
+};
+
+module.exports = {
+    buildLoginUser,
+    getMfaChallenge,
+    getPasswordChangeChallenge,
+    issueLoginTokens,
+};
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const OAuthState = require('../models/OAuthState');
+const AppError = require('../utils/AppError');
+const { getProviderConfig, isAllowedRedirectUri } = require('../config/oauthProviders');
+
+const STATE_EXPIRY_MINUTES = parseInt(process.env.OAUTH_STATE_EXPIRY_MINUTES || '10', 10);
+const PROVIDER_TIMEOUT_MS = parseInt(process.env.OAUTH_PROVIDER_TIMEOUT_MS || '8000', 10);
+
+/**
+ * Returns a provider's configuration or throws a 404 if it isn't enabled.
+ * @param {string} provider - Provider key from the route.
+ * @returns {object} The provider configuration.
+ * @throws {AppError}
+ */
+const requireProvider = (provider) => {
+    const config = getProviderConfig(provider);
+    if (!config) {
+        throw new AppError(`Login with ${provider} is not available.`, 404);
+    }
+    return config;
+};
+
+/**
+ * Generates a PKCE code verifier and its S256 challenge (RFC 7636).
+ * @returns {{codeVerifier: string, codeChallenge: string}}
+ */
+const createPkcePair = () => {
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+    return { codeVerifier, codeChallenge };
+};
+
+/**
+ * Starts an authorization-code + PKCE flow: stores the state/verifier and builds the
+ * provider's authorization URL.
+ * @param {string} provider - Provider key.
+ * @param {object} options
+ * @param {string} options.redirectUri - Client callback URL (must be allowlisted).
+ * @param {'login'|'link'} [options.mode='login'] - What the callback will do with the identity.
+ * @param {string|ObjectId} [options.userId] - The signed-in user, for 'link'.
+ * @returns {Promise<{authorizationUrl: string, state: string}>}
+ * @throws {AppError}
+ */
+const createAuthorizationRequest = async (provider, { redirectUri, mode = 'login', userId }) => {
+    const config = requireProvider(provider);
+
+    if (!isAllowedRedirectUri(provider, redirectUri)) {
+        throw new AppError('Redirect URI is not allowed.', 400);
+    }
+
+    const state = crypto.randomBytes(32).toString('base64url');
+    const { codeVerifier, codeChallenge } = createPkcePair();
+
+    await OAuthState.create({
+        state,
+        provider,
+        codeVerifier,
+        redirectUri,
+        mode,
+        userId,
+        expiresAt: new Date(Date.now() + STATE_EXPIRY_MINUTES * 60 * 1000)
+    });
+
+    const authorizationUrl = new URL(config.authorizationUrl);
+    authorizationUrl.searchParams.set('response_type', 'code');
+    authorizationUrl.searchParams.set('client_id', config.clientId);
+    authorizationUrl.searchParams.set('redirect_uri', redirectUri);
+    authorizationUrl.searchParams.set('scope', config.scopes.join(' '));
+    authorizationUrl.searchParams.set('state', state);
+    authorizationUrl.searchParams.set('code_challenge', codeChallenge);
+    authorizationUrl.searchParams.set('code_challenge_method', 'S256');
+
+    return { authorizationUrl: authorizationUrl.toString(), state };
+};
+
+/**
+ * Calls a provider endpoint and parses its JSON response.
+ * @param {string} url - Endpoint URL.
+ * @param {object} init - fetch() options.
+ * @returns {Promise<object>} The parsed body.
+ * @throws {AppError} 502 if the provider is unreachable or answers with an error.
+ */
+const fetchProviderJson = async (url, init) => {
+    let response;
+    try {
+        response = await fetch(url, {
+            ...init,
+            headers: { Accept: 'application/json', ...init.headers },
+            signal: AbortSignal.timeout(PROVIDER_TIMEOUT_MS)
+        });
+    } catch (error) {
+        throw new AppError('Could not reach the login provider.', 502);
+    }
+
+    const data = await response.json().catch(() => null);
+    if (!response.ok || !data || data.error) {
+        throw new AppError('The login provider rejected the request.', 502);
+    }
+    return data;
+};
+
+/**
+ * Finishes an authorization-code + PKCE flow: consumes the state, exchanges the code for
+ * tokens and loads the user's profile from the provider.
+ * @param {string} provider - Provider key.
+ * @param {object} params
+ * @param {string} params.code - Authorization code from the provider redirect.
+ * @param {string} params.state - State from the provider redirect.
+ * @param {'login'|'link'} params.mode - The flow the caller is completing.
+ * @returns {Promise<{profile: object, authorization: OAuthState}>} The normalized profile
+ * (see config/oauthProviders.js) and the consumed authorization request.
+ * @throws {AppError}
+ */
+const completeAuthorization = async (provider, { code, state, mode }) => {
+    const config = requireProvider(provider);
+
+    // Deleting on read makes every state single-use
+    const authorization = await OAuthState.findOneAndDelete({ state, provider, mode });
+    if (!authorization || authorization.expiresAt <= new Date()) {
+        throw new AppError('Invalid or expired login attempt. Please try again.', 400);
+    }
+
+    const tokenResponse = await fetchProviderJson(config.tokenUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: authorization.redirectUri,
+            client_id: config.clientId,
+            ...(config.clientSecret ? { client_secret: config.clientSecret } : {}),
+            code_verifier: authorization.codeVerifier
+        })
+    });
+
+    if (!tokenResponse.access_token) {
+        throw new AppError('The login provider did not return an access token.', 502);
+    }
+
+    const authHeaders = { Authorization: `Bearer ${tokenResponse.access_token}` };
+    const rawProfile = await fetchProviderJson(config.userInfoUrl, { headers: authHeaders });
+    const emails = config.emailsUrl ? await fetchProviderJson(config.emailsUrl, { headers: authHeaders }) : undefined;
+
+    const profile = config.mapProfile(rawProfile, emails);
+    if (!profile.providerId) {
+        throw new AppError('The login provider did not return an account identifier.', 502);
+    }
+    if (profile.email) {
+        profile.email = profile.email.toLowerCase();
+    }
+
+    return { profile, authorization };
+};
+
+module.exports = {
+    createAuthorizationRequest,
+    completeAuthorization,
+};
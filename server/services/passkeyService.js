@@ -0,0 +1,271 @@
+const {
+    generateRegistrationOptions,
+    verifyRegistrationResponse,
+    generateAuthenticationOptions,
+    verifyAuthenticationResponse,
+} = require('@simplewebauthn/server');
+const Passkey = require('../models/Passkey');
+const WebAuthnChallenge = require('../models/WebAuthnChallenge');
+const User = require('../models/User');
+const authPolicy = require('../config/authPolicy');
+const AppError = require('../utils/AppError');
+const { recordSecurityEvent } = require('./securityEventService');
+
+/**
+ * WebAuthn (passkey) registration and authentication ceremonies.
+ * Every function takes an optional `relyingParty` ({ rpName, rpID, origins }) that defaults
+ * to authPolicy.passkeys, so ceremonies can be verified against a software authenticator.
+ */
+
+/**
+ * Stores a challenge for a ceremony.
+ * @param {string} challenge - Base64URL challenge from the generated options.
+ * @param {'registration'|'authentication'} purpose
+ * @param {string|ObjectId} [userId]
+ * @returns {Promise<object>} The challenge document.
+ */
+const storeChallenge = (challenge, purpose, userId) => WebAuthnChallenge.create({
+    challenge,
+    purpose,
+    userId,
+    expiresAt: new Date(Date.now() + authPolicy.passkeys.challengeTimeoutMinutes * 60 * 1000)
+});
+
+/**
+ * Takes a pending challenge, so it can't be answered twice.
+ * @param {string} challengeId - ID returned with the options.
+ * @param {'registration'|'authentication'} purpose
+ * @returns {Promise<object|null>} The challenge document, or null if unknown, used or expired.
+ */
+const consumeChallenge = (challengeId, purpose) => WebAuthnChallenge.findOneAndDelete({
+    _id: challengeId,
+    purpose,
+    expiresAt: { $gt: new Date() }
+});
+
+/**
+ * Describes a passkey for listings (no public key).
+ * @param {object} passkey - Passkey document.
+ * @returns {object}
+ */
+const describePasskey = (passkey) => ({
+    _id: passkey._id,
+    name: passkey.name,
+    deviceType: passkey.deviceType,
+    backedUp: passkey.backedUp,
+    transports: passkey.transports,
+    createdAt: passkey.createdAt,
+    lastUsedAt: passkey.lastUsedAt
+});
+
+/**
+ * Starts registering a passkey for a signed-in user.
+ * @param {object} user - The user document.
+ * @param {object} [relyingParty]
+ * @returns {Promise<{challengeId: string, options: object}>} Options for navigator.credentials.create().
+ * @throws {AppError} 409 if the user has the maximum number of passkeys.
+ */
+const startRegistration = async (user, relyingParty = authPolicy.passkeys) => {
+    const existing = await Passkey.find({ userId: user._id }).select('credentialId transports').lean();
+    if (existing.length >= authPolicy.passkeys.maxPerUser) {
+        throw new AppError(`You can register at most ${authPolicy.passkeys.maxPerUser} passkeys. Remove one first.`, 409);
+    }
+
+    const options = await generateRegistrationOptions({
+        rpName: relyingParty.rpName,
+        rpID: relyingParty.rpID,
+        userName: user.email,
+        userDisplayName: [user.firstName, user.lastName].filter(Boolean).join(' ') || user.username,
+        userID: Buffer.from(user._id.toString(), 'hex'), // Opaque handle: the ObjectId bytes, no personal data
+        attestationType: 'none',
+        excludeCredentials: existing.map(passkey => ({ id: passkey.credentialId, transports: passkey.transports })),
+        authenticatorSelection: {
+            residentKey: 'required', // Discoverable, so the user can log in without typing a username
+            userVerification: 'required'
+        },
+        timeout: authPolicy.passkeys.challengeTimeoutMinutes * 60 * 1000
+    });
+
+    const stored = await storeChallenge(options.challenge, 'registration', user._id);
+    return { challengeId: stored._id.toString(), options };
+};
+
+/**
+ * Finishes registering a passkey.
+ * @param {object} user - The user document.
+ * @param {object} params
+ * @param {string} params.challengeId - From startRegistration.
+ * @param {object} params.response - RegistrationResponseJSON from the browser.
+ * @param {string} [params.name] - Label for the passkey.
+ * @param {object} [params.req] - Express request, for the audit trail.
+ * @param {object} [relyingParty]
+ * @returns {Promise<object>} The new passkey's description.
+ * @throws {AppError} 400 if the challenge or the attestation is invalid.
+ */
+const finishRegistration = async (user, { challengeId, response, name, req }, relyingParty = authPolicy.passkeys) => {
+    const challenge = await consumeChallenge(challengeId, 'registration');
+    if (!challenge || !challenge.userId || !challenge.userId.equals(user._id)) {
+        throw new AppError('Passkey registration expired. Please try again.', 400);
+    }
+
+    let verification;
+    try {
+        verification = await verifyRegistrationResponse({
+            response,
+            expectedChallenge: challenge.challenge,
+            expectedOrigin: relyingParty.origins,
+            expectedRPID: relyingParty.rpID,
+            requireUserVerification: true
+        });
+    } catch (error) {
+        throw new AppError(`Passkey registration failed: ${error.message}`, 400);
+    }
+    if (!verification.verified) {
+        throw new AppError('Passkey registration could not be verified.', 400);
+    }
+
+    const { credential, credentialDeviceType, credentialBackedUp, aaguid } = verification.registrationInfo;
+    if (await Passkey.exists({ credentialId: credential.id })) {
+        throw new AppError('This passkey is already registered.', 409);
+    }
+
+    const passkey = await Passkey.create({
+        userId: user._id,
+        credentialId: credential.id,
+        publicKey: Buffer.from(credential.publicKey),
+        counter: credential.counter,
+        transports: credential.transports,
+        deviceType: credentialDeviceType,
+        backedUp: credentialBackedUp,
+        aaguid,
+        name: name || 'Passkey'
+    });
+
+    await recordSecurityEvent({
+        type: 'passkey_registered',
+        userId: user._id,
+        req,
+        details: { passkeyId: passkey._id, name: passkey.name, deviceType: passkey.deviceType }
+    });
+
+    return describePasskey(passkey);
+};
+
+/**
+ * Starts a passkey login. With an identifier, the browser is told which of that account's
+ * passkeys to use; without one, the user picks a discoverable passkey. Unknown identifiers
+ * get the same answer as discoverable logins, so accounts can't be probed.
+ * @param {object} [params]
+ * @param {string} [params.identifier] - Username or email.
+ * @param {object} [relyingParty]
+ * @returns {Promise<{challengeId: string, options: object}>} Options for navigator.credentials.get().
+ */
+const startAuthentication = async ({ identifier } = {}, relyingParty = authPolicy.passkeys) => {
+    let user = null;
+    let allowCredentials;
+    if (identifier) {
+        user = await User.findOne({ $or: [{ username: identifier }, { email: identifier }] }).select('_id').lean();
+        const passkeys = user ? await Passkey.find({ userId: user._id }).select('credentialId transports').lean() : [];
+        if (passkeys.length > 0) {
+            allowCredentials = passkeys.map(passkey => ({ id: passkey.credentialId, transports: passkey.transports }));
+        } else {
+            user = null;
+        }
+    }
+
+    const options = await generateAuthenticationOptions({
+        rpID: relyingParty.rpID,
+        allowCredentials,
+        userVerification: 'required',
+        timeout: authPolicy.passkeys.challengeTimeoutMinutes * 60 * 1000
+    });
+
+    const stored = await storeChallenge(options.challenge, 'authentication', user ? user._id : undefined);
+    return { challengeId: stored._id.toString(), options };
+};
+
+/**
+ * Verifies a passkey login assertion and updates the passkey's signature counter.
+ * @param {object} params
+ * @param {string} params.challengeId - From startAuthentication.
+ * @param {object} params.response - AuthenticationResponseJSON from the browser.
+ * @param {object} [params.req] - Express request, for the audit trail.
+ * @param {object} [relyingParty]
+ * @returns {Promise<{userId: ObjectId, passkey: object}|null>} Null if the login is invalid.
+ */
+const finishAuthentication = async ({ challengeId, response, req }, relyingParty = authPolicy.passkeys) => {
+    const challenge = await consumeChallenge(challengeId, 'authentication');
+    if (!challenge || !response || typeof response.id !== 'string') {
+        return null;
+    }
+
+    const passkey = await Passkey.findOne({ credentialId: response.id });
+    // A login started for one account can't be finished with another account's passkey
+    if (!passkey || (challenge.userId && !challenge.userId.equals(passkey.userId))) {
+        return null;
+    }
+
+    let verification;
+    try {
+        verification = await verifyAuthenticationResponse({
+            response,
+            expectedChallenge: challenge.challenge,
+            expectedOrigin: relyingParty.origins,
+            expectedRPID: relyingParty.rpID,
+            credential: {
+                id: passkey.credentialId,
+                publicKey: new Uint8Array(passkey.publicKey),
+                counter: passkey.counter,
+                transports: passkey.transports
+            },
+            requireUserVerification: true
+        });
+    } catch (error) {
+        // The library refuses counters that don't increase: a sign of a cloned authenticator
+        if (/counter/i.test(error.message)) {
+            await recordSecurityEvent({
+                type: 'passkey_counter_mismatch',
+                userId: passkey.userId,
+                req,
+                details: { passkeyId: passkey._id, storedCounter: passkey.counter }
+            });
+        }
+        console.warn(`Passkey login failed for passkey ${passkey._id}: ${error.message}`);
+        return null;
+    }
+    if (!verification.verified) {
+        return null;
+    }
+
+    // Only if the counter is still the one verified against: of two logins answered with the
+    // same counter (a cloned authenticator or a replay race), one fails
+    const { newCounter, credentialBackedUp } = verification.authenticationInfo;
+    const lastUsedAt = new Date();
+    const result = await Passkey.updateOne(
+        { _id: passkey._id, counter: passkey.counter },
+        { $set: { counter: newCounter, backedUp: credentialBackedUp, lastUsedAt } }
+    );
+    if (result.matchedCount === 0) {
+        await recordSecurityEvent({
+            type: 'passkey_counter_mismatch',
+            userId: passkey.userId,
+            req,
+            details: { passkeyId: passkey._id, storedCounter: passkey.counter }
+        });
+        console.warn(`Passkey login failed for passkey ${passkey._id}: its counter changed during the login.`);
+        return null;
+    }
+
+    passkey.counter = newCounter;
+    passkey.backedUp = credentialBackedUp;
+    passkey.lastUsedAt = lastUsedAt;
+    return { userId: passkey.userId, passkey };
+};
+
+module.exports = {
+    describePasskey,
+    startRegistration,
+    finishRegistration,
+    startAuthentication,
+    finishAuthentication,
+};
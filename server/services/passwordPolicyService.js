@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const authPolicy = require('../config/authPolicy');
+const AppError = require('../utils/AppError');
+
+const BUNDLED_COMMON_PASSWORDS = path.join(__dirname, '../config/commonPasswords.txt');
+
+let commonPasswords = null;
+
+/**
+ * Loads the common/breached password list once (authPolicy.password.commonListFile, or the bundled list).
+ * @returns {Set<string>} Lowercase passwords.
+ */
+const loadCommonPasswords = () => {
+    if (!commonPasswords) {
+        const file = authPolicy.password.commonListFile || BUNDLED_COMMON_PASSWORDS;
+        commonPasswords = new Set(
+            fs.readFileSync(file, 'utf8')
+                .split(/\r?\n/)
+                .map(line => line.trim().toLowerCase())
+                .filter(line => line && !line.startsWith('#'))
+        );
+    }
+    return commonPasswords;
+};
+
+/**
+ * Checks a password against the common/breached list, ignoring case. Digits and symbols
+ * added around a listed word ("Password1!", "Summer2024!") don't make it any less common.
+ * @param {string} password
+ * @returns {boolean}
+ */
+const isCommonPassword = (password) => {
+    const list = loadCommonPasswords();
+    const lowered = password.toLowerCase();
+    const core = lowered.replace(/^[^a-z]+|[^a-z]+$/g, '');
+    return list.has(lowered) || (core.length >= 4 && list.has(core));
+};
+
+/**
+ * Describes the length and character rules, for error messages and the client.
+ * @returns {string} E.g. "Password must be at least 8 characters long and include a lowercase letter, ...".
+ */
+const describePasswordPolicy = () => {
+    const { minLength, requireLowercase, requireUppercase, requireNumber, requireSymbol } = authPolicy.password;
+    const classes = [
+        requireLowercase && 'a lowercase letter',
+        requireUppercase && 'an uppercase letter',
+        requireNumber && 'a number',
+        requireSymbol && 'a symbol',
+    ].filter(Boolean);
+
+    const include = classes.length > 1
+        ? `${classes.slice(0, -1).join(', ')} and ${classes[classes.length - 1]}`
+        : classes[0];
+    return `Password must be at least ${minLength} characters long${include ? ` and include ${include}` : ''}.`;
+};
+
+/**
+ * Checks a new password against the policy (everything except the user's history).
+ * @param {string} password - The new password.
+ * @returns {string[]} The problems found; empty if the password is acceptable.
+ */
+const checkPasswordStrength = (password) => {
+    const { maxLength, minLength, requireLowercase, requireUppercase, requireNumber, requireSymbol, rejectCommon } = authPolicy.password;
+    const problems = [];
+
+    if (password.length > maxLength) {
+        problems.push(`Password must be at most ${maxLength} characters long.`);
+    }
+
+    const meetsRules = password.length >= minLength
+        && (!requireLowercase || /[a-z]/.test(password))
+        && (!requireUppercase || /[A-Z]/.test(password))
+        && (!requireNumber || /[0-9]/.test(password))
+        && (!requireSymbol || /[^A-Za-z0-9]/.test(password));
+    if (!meetsRules) {
+        problems.push(describePasswordPolicy());
+    }
+
+    if (rejectCommon && isCommonPassword(password)) {
+        problems.push('This password is too common. Choose one that is harder to guess.');
+    }
+
+    return problems;
+};
+
+/**
+ * Sets a user's password after checking it against their recent passwords, and keeps the
+ * replaced hash in the history. The caller saves the user (the pre-save hook hashes the password).
+ * @param {object} user - The user document, loaded with '+password_hash +passwordHistory'.
+ * @param {string} newPassword - The new plain password (already checked with checkPasswordStrength).
+ * @returns {Promise<void>}
+ * @throws {AppError} 400 if the password is one of the last authPolicy.password.historyCount passwords.
+ */
+const setPassword = async (user, newPassword) => {
+    const { historyCount } = authPolicy.password;
+
+    if (historyCount > 0) {
+        // A provider-created account's random password was never known to the user
+        const recentHashes = [
+            user.hasPassword ? user.password_hash : null,
+            ...(user.passwordHistory || []),
+        ].filter(Boolean).slice(0, historyCount);
+
+        for (const hash of recentHashes) {
+            if (await bcrypt.compare(newPassword, hash)) {
+                throw new AppError(historyCount > 1
+                    ? `You can't reuse any of your last ${historyCount} passwords.`
+                    : 'The new password must be different from the current password.', 400);
+            }
+        }
+
+        // Together with the new password, the last `historyCount` passwords are remembered
+        user.passwordHistory = recentHashes.slice(0, historyCount - 1);
+    }
+
+    user.password_hash = newPassword;
+    user.hasPassword = true;
+    user.passwordChangedAt = new Date();
+};
+
+/**
+ * Checks whether a user's password is older than authPolicy.password.maxAgeDays.
+ * @param {object} user - The user document.
+ * @returns {boolean}
+ */
+const isPasswordExpired = (user) => {
+    const { maxAgeDays } = authPolicy.password;
+    if (maxAgeDays <= 0 || !user.hasPassword) {
+        return false;
+    }
+    // Accounts from before passwords were dated count from their creation
+    const changedAt = user.passwordChangedAt || user.createdAt;
+    return Boolean(changedAt) && Date.now() - changedAt.getTime() > maxAgeDays * 24 * 60 * 60 * 1000;
+};
+
+module.exports = {
+    describePasswordPolicy,
+    checkPasswordStrength,
+    setPassword,
+    isPasswordExpired,
+};
@@ -0,0 +1,256 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Plan = require('../models/Plan');
+const AppError = require('../utils/AppError');
+const { getEnforcer, buildEnforcerFor, getModelRules } = require('./casbin');
+const { validateRule, getRuleDefinitions } = require('./policyService');
+const { mapMethodToAction, getAuthorizedResources } = require('../middleware/casbinAuthorize');
+
+/**
+ * Explains authorization decisions: why a request is allowed or denied, and what every role
+ * and plan may do. Given a proposed rule set ({ ptype, rule } like services/policyService.js),
+ * the same questions are answered for it, so changes can be reviewed before they are applied.
+ */
+
+// The actions casbinAuthorize derives from HTTP methods
+const ACTIONS = ['read', 'write', 'update', 'delete'];
+
+// Decides whether a single rule matches, whatever policy_effect model.conf uses
+const MATCH_EFFECT = 'some(where (p.eft == allow))';
+
+/**
+ * Returns the enforcer deciding requests: the loaded one, or one holding the proposed rules.
+ * @param {Array<{ptype: string, rule: string[]}>} [rules] - Proposed rule set.
+ * @returns {Promise<Enforcer>}
+ * @throws {AppError} 400 naming the first invalid proposed rule.
+ */
+const getDecidingEnforcer = async (rules) => {
+    const enforcer = await getEnforcer();
+    if (!rules) {
+        return enforcer;
+    }
+
+    for (const [index, input] of rules.entries()) {
+        try {
+            await validateRule(enforcer.getModel(), input);
+        } catch (error) {
+            throw new AppError(`rules[${index}]: ${error.message}`, 400);
+        }
+    }
+    return buildEnforcerFor(rules);
+};
+
+/**
+ * Explains the decision for a request.
+ * @param {{sub: string, dom: string, obj: string, act: string}} request - As casbinAuthorize builds it.
+ * @param {object} [options]
+ * @param {Array<{ptype: string, rule: string[]}>} [options.rules] - Proposed rule set to decide with.
+ * @returns {Promise<object>} The decision, the roles of the subject, the matching rules and the effect.
+ * @throws {AppError} 400 if a proposed rule is invalid.
+ */
+const explainDecision = async ({ sub, dom, obj, act }, { rules } = {}) => {
+    const enforcer = await getDecidingEnforcer(rules);
+    const model = enforcer.getModel();
+    const definitions = getRuleDefinitions(model);
+    const allRules = getModelRules(model);
+    const groupings = allRules.filter(({ ptype }) => ptype.startsWith('g'));
+
+    const [allowed, decidedBy] = await enforcer.enforceEx(sub, dom, obj, act);
+
+    // Checks each policy rule on its own, with its effect set to allow, to see which ones match
+    const matches = [];
+    for (const { ptype, rule } of allRules) {
+        if (ptype !== 'p') continue;
+        const effectIndex = definitions[ptype].indexOf('eft');
+        const asAllow = effectIndex === -1 ? rule : rule.map((value, index) => (index === effectIndex ? 'allow' : value));
+        const single = await buildEnforcerFor([{ ptype, rule: asAllow }, ...groupings], { effect: MATCH_EFFECT });
+        if (await single.enforce(sub, dom, obj, act)) {
+            matches.push({ ptype, rule, effect: effectIndex === -1 ? 'allow' : rule[effectIndex] });
+        }
+    }
+
+    let reason;
+    if (allowed) {
+        reason = `Allowed by the rule: p, ${decidedBy.join(', ')}.`;
+    } else if (matches.length > 0) {
+        reason = `Denied: ${matches.length} rule(s) match, but the policy effect does not allow the request.`;
+    } else {
+        reason = 'Denied: no rule matches the request (denied by default).';
+    }
+
+    return {
+        request: { sub, dom, obj, act },
+        allowed,
+        reason,
+        decidedBy: decidedBy.length > 0 ? { ptype: 'p', rule: decidedBy } : null,
+        roles: await enforcer.getImplicitRolesForUser(sub),
+        matches,
+        // Effect chain: each matching rule's effect, combined by this expression
+        policyEffect: model.model.get('e').get('e').value.replace(/_/g, '.'),
+        matcher: model.model.get('m').get('m').value.replace(/\b([rp])_/g, '$1.')
+    };
+};
+
+/**
+ * Finds the route an app would run for a request, following mounted routers.
+ * @param {Array} stack - Router layers.
+ * @param {string} method - HTTP method.
+ * @param {string} path - Request path, relative to the router.
+ * @returns {Route|null}
+ */
+const findRoute = (stack, method, path) => {
+    for (const layer of stack) {
+        if (!layer.match(path)) continue;
+        if (layer.route) {
+            if (layer.route._handlesMethod(method)) {
+                return layer.route;
+            }
+        } else if (layer.handle && Array.isArray(layer.handle.stack)) {
+            const found = findRoute(layer.handle.stack, method, path.slice(layer.path.length) || '/');
+            if (found) {
+                return found;
+            }
+        }
+    }
+    return null;
+};
+
+/**
+ * Works out the request a user's call to a route would be checked with.
+ * @param {object} app - The Express app.
+ * @param {{userId: string, method: string, path: string}} input
+ * @returns {Promise<{request: object, user: object, route: object}>}
+ * @throws {AppError} 404 if the user or route doesn't exist, 400 if the route isn't authorized.
+ */
+const resolveUserRequest = async (app, { userId, method, path }) => {
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+        throw new AppError('User not found.', 404);
+    }
+    const user = await User.findById(userId).select('username role planId').populate('planId', 'slug').lean();
+    if (!user) {
+        throw new AppError('User not found.', 404);
+    }
+
+    const upperMethod = method.toUpperCase();
+    const route = findRoute(app.router.stack, upperMethod, path.split('?')[0]);
+    if (!route) {
+        throw new AppError(`No route handles ${upperMethod} ${path}.`, 404);
+    }
+    const check = route.stack.map(layer => layer.handle.policyCheck).find(Boolean);
+    if (!check) {
+        throw new AppError(`${upperMethod} ${path} is not checked against the policies.`, 400);
+    }
+
+    return {
+        request: {
+            sub: user.role,
+            dom: user.planId && user.planId.slug ? user.planId.slug : 'free', // Same default as generateAccessToken
+            obj: check.resource,
+            act: check.action || mapMethodToAction(upperMethod)
+        },
+        user: { _id: user._id, username: user.username },
+        // The decision covers the p rules; a route that checks documents also applies the p2 rules per document
+        route: { method: upperMethod, path: route.path, checksDocument: check.checksDocument }
+    };
+};
+
+/**
+ * Explains the decision for a user calling a route.
+ * @param {object} app - The Express app.
+ * @param {{userId: string, method: string, path: string}} input
+ * @param {object} [options] - As for explainDecision.
+ * @returns {Promise<object>}
+ */
+const explainUserRequest = async (app, input, options) => {
+    const { request, user, route } = await resolveUserRequest(app, input);
+    return { user, route, ...(await explainDecision(request, options)) };
+};
+
+/**
+ * Lists the roles, plans and resources the permission matrix covers.
+ * @param {Array<Array<{ptype: string, rule: string[]}>>} ruleSets - Rule sets whose resources are included.
+ * @returns {Promise<{roles: string[], plans: string[], resources: string[]}>}
+ */
+const getMatrixAxes = async (ruleSets) => {
+    const plans = await Plan.find().select('slug').sort({ slug: 1 }).lean();
+    const resources = new Set(getAuthorizedResources());
+    for (const rules of ruleSets) {
+        for (const { ptype, rule } of rules) {
+            // Patterns ('*', '/items/*') are not resources of their own
+            if (ptype === 'p' && !/[*:{]/.test(rule[2])) {
+                resources.add(rule[2]);
+            }
+        }
+    }
+
+    return {
+        roles: User.schema.path('role').enumValues,
+        plans: [...new Set([...plans.map(plan => plan.slug), 'free'])],
+        resources: [...resources]
+    };
+};
+
+/**
+ * Decides every role × plan × resource × action combination.
+ * @param {Enforcer} enforcer
+ * @param {{roles: string[], plans: string[], resources: string[]}} axes
+ * @returns {Promise<Array<{role: string, plan: string, resource: string, actions: string[]}>>}
+ *   One row per role, plan and resource, listing the allowed actions.
+ */
+const computeMatrix = async (enforcer, { roles, plans, resources }) => {
+    const rows = [];
+    for (const role of roles) {
+        for (const plan of plans) {
+            for (const resource of resources) {
+                const actions = [];
+                for (const act of ACTIONS) {
+                    if (await enforcer.enforce(role, plan, resource, act)) {
+                        actions.push(act);
+                    }
+                }
+                rows.push({ role, plan, resource, actions });
+            }
+        }
+    }
+    return rows;
+};
+
+/**
+ * Builds the permission matrix of roles × plans × resources. With a proposed rule set, the
+ * matrix it would produce is returned too, with the cells that would change.
+ * @param {object} [options]
+ * @param {Array<{ptype: string, rule: string[]}>} [options.rules] - Proposed rule set.
+ * @returns {Promise<object>} { actions, roles, plans, resources, matrix[, proposed, changes] }
+ * @throws {AppError} 400 if a proposed rule is invalid.
+ */
+const buildPermissionMatrix = async ({ rules } = {}) => {
+    const current = await getEnforcer();
+    const proposed = rules ? await getDecidingEnforcer(rules) : null;
+
+    const currentRules = getModelRules(current.getModel());
+    const axes = await getMatrixAxes(proposed ? [currentRules, rules] : [currentRules]);
+    const result = { actions: ACTIONS, ...axes, matrix: await computeMatrix(current, axes) };
+    if (!proposed) {
+        return result;
+    }
+
+    result.proposed = await computeMatrix(proposed, axes);
+    result.changes = [];
+    result.matrix.forEach((row, index) => {
+        const next = result.proposed[index].actions;
+        for (const act of ACTIONS) {
+            const before = row.actions.includes(act);
+            const after = next.includes(act);
+            if (before !== after) {
+                result.changes.push({ role: row.role, plan: row.plan, resource: row.resource, action: act, current: before, proposed: after });
+            }
+        }
+    });
+    return result;
+};
+
+module.exports = {
+    explainDecision,
+    explainUserRequest,
+    buildPermissionMatrix,
+};
@@ -0,0 +1,137 @@
+const PolicySnapshot = require('../models/PolicySnapshot');
+const AppError = require('../utils/AppError');
+
+/**
+ * History of the authorization rules: every policy version (services/casbin.js) is stored as a
+ * snapshot of the complete rule set, with its author and its diff against the previous version.
+ * Rules are described as { ptype, rule } like in services/policyService.js.
+ */
+
+const ruleKey = ({ ptype, rule }) => JSON.stringify([ptype, ...rule]);
+
+// Drops the subdocument wrappers of stored rules
+const toRules = (rules) => rules.map(({ ptype, rule }) => ({ ptype, rule: [...rule] }));
+
+/**
+ * Computes the rules added and removed between two rule sets.
+ * @param {Array<{ptype: string, rule: string[]}>} before
+ * @param {Array<{ptype: string, rule: string[]}>} after
+ * @returns {{added: Array, removed: Array}}
+ */
+const diffRules = (before, after) => {
+    const beforeKeys = new Set(before.map(ruleKey));
+    const afterKeys = new Set(after.map(ruleKey));
+    return {
+        added: after.filter(rule => !beforeKeys.has(ruleKey(rule))),
+        removed: before.filter(rule => !afterKeys.has(ruleKey(rule)))
+    };
+};
+
+/**
+ * Stores the rule set of a new policy version. Does nothing if the version is already recorded
+ * (several instances record the startup baseline).
+ * @param {number} version - The policy version the rules were published as.
+ * @param {Array<{ptype: string, rule: string[]}>} rules - The complete rule set.
+ * @param {object} options
+ * @param {string} options.action - What changed the rules (see models/PolicySnapshot.js).
+ * @param {string} [options.author] - ID of the admin who made the change.
+ * @param {number} [options.rolledBackTo] - For rollbacks, the version restored.
+ * @returns {Promise<object|null>} The snapshot, or null if the version was already recorded.
+ */
+const recordPolicySnapshot = async (version, rules, { action, author = null, rolledBackTo = null }) => {
+    if (await PolicySnapshot.exists({ version })) {
+        return null;
+    }
+
+    const previous = await PolicySnapshot.findOne({ version: { $lt: version } })
+        .sort({ version: -1 })
+        .select('version rules')
+        .lean();
+    const current = toRules(rules);
+
+    try {
+        return await PolicySnapshot.create({
+            version,
+            rules: current,
+            previousVersion: previous ? previous.version : null,
+            diff: diffRules(previous ? toRules(previous.rules) : [], current),
+            action,
+            author,
+            rolledBackTo
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return null; // Recorded concurrently
+        }
+        throw error;
+    }
+};
+
+/**
+ * Lists the policy versions, newest first, without their rules.
+ * @param {{page: number, limit: number}} options
+ * @returns {Promise<{snapshots: Array, pagination: object}>}
+ */
+const listPolicyHistory = async ({ page, limit }) => {
+    const [snapshots, total] = await Promise.all([
+        PolicySnapshot.find()
+            .sort({ version: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .select('-rules')
+            .populate('author', 'username email')
+            .lean(),
+        PolicySnapshot.countDocuments()
+    ]);
+
+    return {
+        snapshots: snapshots.map(({ _id, diff, ...snapshot }) => ({
+            ...snapshot,
+            added: diff.added.length,
+            removed: diff.removed.length
+        })),
+        pagination: {
+            currentPage: page,
+            totalPages: Math.ceil(total / limit),
+            totalItems: total,
+            itemsPerPage: limit
+        }
+    };
+};
+
+/**
+ * Reads one policy version with its rules and diff.
+ * @param {number} version
+ * @returns {Promise<object>}
+ * @throws {AppError} 404 if the version isn't recorded.
+ */
+const getPolicySnapshot = async (version) => {
+    const snapshot = await PolicySnapshot.findOne({ version })
+        .select('-_id')
+        .populate('author', 'username email')
+        .lean();
+    if (!snapshot) {
+        throw new AppError(`Policy version ${version} is not in the history.`, 404);
+    }
+    return { ...snapshot, rules: toRules(snapshot.rules) };
+};
+
+/**
+ * Compares the rule sets of two policy versions.
+ * @param {number} from - The older version (the base of the diff).
+ * @param {number} to - The newer version.
+ * @returns {Promise<{from: number, to: number, added: Array, removed: Array, unchanged: number}>}
+ * @throws {AppError} 404 if either version isn't recorded.
+ */
+const comparePolicyVersions = async (from, to) => {
+    const [before, after] = await Promise.all([getPolicySnapshot(from), getPolicySnapshot(to)]);
+    const { added, removed } = diffRules(before.rules, after.rules);
+    return { from, to, added, removed, unchanged: after.rules.length - added.length };
+};
+
+module.exports = {
+    recordPolicySnapshot,
+    listPolicyHistory,
+    getPolicySnapshot,
+    comparePolicyVersions,
+};
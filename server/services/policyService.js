@@ -0,0 +1,387 @@
+const mongoose = require('mongoose');
+const { newEnforceContext } = require('casbin');
+const CasbinRule = require('../models/CasbinRule');
+const AppError = require('../utils/AppError');
+const { getEnforcer, buildEnforcerFor, getPolicyVersion, bumpPolicyVersion } = require('./casbin');
+const { publishPolicyChange } = require('./policyWatcher');
+const { recordPolicySnapshot, getPolicySnapshot } = require('./policyHistoryService');
+
+/**
+ * Admin management of the Casbin rules stored in MongoDB. Rules are checked against
+ * config/model.conf before they are saved, every change reloads the enforcer of every
+ * instance (services/policyWatcher.js) and is kept in the policy history
+ * (services/policyHistoryService.js). Changes run in MongoDB transactions, which need a replica set.
+ * A rule is described as { ptype, rule }, e.g. { ptype: 'g', rule: ['user', 'consumer'] }.
+ */
+
+// Resource and actions of the admin routes (authorize("admin")), policy management included
+const ADMIN_RESOURCE = 'admin';
+const ADMIN_ACTIONS = ['read', 'write', 'update', 'delete'];
+const EFFECTS = ['allow', 'deny'];
+
+const ruleKey = ({ ptype, rule }) => JSON.stringify([ptype, ...rule]);
+
+/**
+ * Lists the rule types model.conf defines, with the names of their fields.
+ * @param {Model} model - Casbin model.
+ * @returns {object} E.g. { p: ['sub', 'dom', 'obj', 'act', 'eft'], g: ['_', '_'] }.
+ */
+const getRuleDefinitions = (model) => {
+    const definitions = {};
+    for (const sec of ['p', 'g']) {
+        const assertions = model.model.get(sec);
+        if (!assertions) continue;
+        for (const [ptype, assertion] of assertions) {
+            definitions[ptype] = sec === 'p'
+                ? assertion.tokens.map(token => token.slice(ptype.length + 1))
+                : (assertion.value.match(/_/g) || []).map(() => '_');
+        }
+    }
+    return definitions;
+};
+
+/**
+ * Finds the fields of a rule type that the matchers use as regular expressions (regexMatch).
+ * @param {Model} model - Casbin model.
+ * @param {string} ptype - Rule type.
+ * @returns {string[]} Field names, e.g. ['act'].
+ */
+const getRegexFields = (model, ptype) => {
+    const pattern = new RegExp(`regexMatch\\(\\s*r\\d*_\\w+\\s*,\\s*${ptype}_(\\w+)\\s*\\)`, 'g');
+    const fields = [];
+    for (const matcher of model.model.get('m').values()) {
+        for (const match of matcher.value.matchAll(pattern)) {
+            fields.push(match[1]);
+        }
+    }
+    return fields;
+};
+
+/**
+ * Finds the fields of a rule type that the matchers evaluate as expressions (eval), e.g. the
+ * conditions of the p2 document rules.
+ * @param {Model} model - Casbin model.
+ * @param {string} ptype - Rule type.
+ * @returns {string[]} Field names, e.g. ['cond'].
+ */
+const getExpressionFields = (model, ptype) => {
+    const pattern = new RegExp(`eval\\(\\s*${ptype}_(\\w+)\\s*\\)`, 'g');
+    const fields = [];
+    for (const matcher of model.model.get('m').values()) {
+        for (const match of matcher.value.matchAll(pattern)) {
+            fields.push(match[1]);
+        }
+    }
+    return fields;
+};
+
+/**
+ * Compiles the expressions of a rule, by checking a request no rule matches: the matcher stops
+ * before evaluating them, but Casbin parses them first.
+ * @param {{ptype: string, rule: string[]}} input
+ * @returns {Promise<string|null>} The parse error, or null.
+ */
+const findExpressionError = async ({ ptype, rule }) => {
+    const enforcer = await buildEnforcerFor([{ ptype, rule }]);
+    const index = ptype.slice(1); // 'p2' is checked in the context r2, p2, e2, m2
+    const requestTokens = enforcer.getModel().model.get('r').get(`r${index}`).tokens;
+    try {
+        await enforcer.enforce(newEnforceContext(index), ...requestTokens.map(() => ''));
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+};
+
+/**
+ * Checks a rule against model.conf: known type, number of values, effect, regular expressions
+ * and conditions.
+ * @param {Model} model - Casbin model.
+ * @param {{ptype: string, rule: string[]}} input
+ * @returns {Promise<void>}
+ * @throws {AppError} 400 describing the first problem.
+ */
+const validateRule = async (model, { ptype, rule }) => {
+    const definitions = getRuleDefinitions(model);
+    const fields = definitions[ptype];
+    if (!fields) {
+        throw new AppError(`Unknown rule type "${ptype}". model.conf defines: ${Object.keys(definitions).join(', ')}.`, 400);
+    }
+    if (rule.length !== fields.length) {
+        throw new AppError(`A "${ptype}" rule has ${fields.length} values (${fields.join(', ')}), got ${rule.length}.`, 400);
+    }
+
+    const effectIndex = fields.indexOf('eft');
+    if (effectIndex !== -1 && !EFFECTS.includes(rule[effectIndex])) {
+        throw new AppError(`The eft value must be one of: ${EFFECTS.join(', ')}.`, 400);
+    }
+
+    // An invalid expression would make every authorization check of this type throw
+    for (const field of getRegexFields(model, ptype)) {
+        const value = rule[fields.indexOf(field)];
+        if (value === undefined) continue;
+        try {
+            new RegExp(value);
+        } catch (error) {
+            throw new AppError(`The ${field} value "${value}" is not a valid regular expression.`, 400);
+        }
+    }
+
+    // Likewise for conditions, which are evaluated on every document check
+    if (getExpressionFields(model, ptype).length > 0) {
+        const problem = await findExpressionError({ ptype, rule });
+        if (problem) {
+            throw new AppError(`The rule has an invalid condition: ${problem}`, 400);
+        }
+    }
+};
+
+/**
+ * Loads the stored rules.
+ * @param {ClientSession} [session] - Transaction to read in.
+ * @returns {Promise<Array<{ptype: string, rule: string[]}>>}
+ */
+const loadRules = async (session = null) => {
+    const docs = await CasbinRule.find().sort({ ptype: 1, _id: 1 }).session(session).lean();
+    return docs.map(doc => ({ ptype: doc.ptype, rule: CasbinRule.toRule(doc) }));
+};
+
+/**
+ * Refuses a change after which the admin making it could no longer manage policies.
+ * @param {Array<{ptype: string, rule: string[]}>} rules - The rules after the change.
+ * @param {object} actor - req.user of the admin (role and plan are checked like in authorize).
+ * @throws {AppError} 409 if the admin would lose access.
+ */
+const assertKeepsAdminAccess = async (rules, actor) => {
+    const enforcer = await buildEnforcerFor(rules);
+    for (const act of ADMIN_ACTIONS) {
+        if (!(await enforcer.enforce(actor.role, actor.plan, ADMIN_RESOURCE, act))) {
+            throw new AppError('This change would take away your own access to policy management.', 409);
+        }
+    }
+};
+
+/**
+ * Changes the stored rules in one transaction with the policy version increment, then publishes
+ * the version and records its rules in the history. The version is incremented first: a
+ * concurrent change conflicts on it, and MongoDB runs that change again on the rules this one
+ * stored, so a failure never leaves half a change and every snapshot holds the stored rules.
+ * @param {function(Array<{ptype: string, rule: string[]}>, ClientSession): Promise<Array>} change -
+ *   Given the stored rules, writes the change in the session and returns the rules after it.
+ * @param {object|null} actor - req.user of the admin; null for scripts.
+ * @param {string} action - What changed (see models/PolicySnapshot.js).
+ * @param {object} [details] - Extra snapshot fields, e.g. { rolledBackTo }.
+ * @returns {Promise<{rules: Array<{ptype: string, rule: string[]}>, version: number}>}
+ */
+const commitRuleChange = async (change, actor, action, details = {}) => {
+    let rules;
+    let version;
+    const session = await mongoose.startSession();
+    try {
+        await session.withTransaction(async () => {
+            version = await bumpPolicyVersion(session);
+            rules = await change(await loadRules(session), session);
+        });
+    } finally {
+        await session.endSession();
+    }
+
+    await publishPolicyChange(version);
+    // The rules are saved and published; a missing snapshot only leaves a gap in the history
+    await recordPolicySnapshot(version, rules, { action, author: actor ? actor._id : null, ...details })
+        .catch(error => console.error(`Failed to record policy version ${version}:`, error.message));
+    return { rules, version };
+};
+
+/**
+ * Lists the stored rules, their version and the rule types model.conf defines.
+ * @returns {Promise<{version: number, definitions: object, rules: Array<{ptype: string, rule: string[]}>}>}
+ */
+const listPolicies = async () => {
+    const enforcer = await getEnforcer();
+    // Read before the rules: the rules listed are at least this version
+    const version = await getPolicyVersion();
+    return {
+        version,
+        definitions: getRuleDefinitions(enforcer.getModel()),
+        rules: await loadRules()
+    };
+};
+
+/**
+ * Adds a rule.
+ * @param {{ptype: string, rule: string[]}} input
+ * @param {object} actor - req.user of the admin.
+ * @returns {Promise<{rule: {ptype: string, rule: string[]}, version: number}>} The added rule and the new policy version.
+ * @throws {AppError} 400 if model.conf doesn't allow it, 409 if it exists.
+ */
+const addPolicy = async (input, actor) => {
+    const enforcer = await getEnforcer();
+    await validateRule(enforcer.getModel(), input);
+
+    const { version } = await commitRuleChange(async (rules, session) => {
+        if (rules.some(existing => ruleKey(existing) === ruleKey(input))) {
+            throw new AppError('This rule already exists.', 409);
+        }
+        // A deny rule can take access away as well
+        await assertKeepsAdminAccess([...rules, input], actor);
+
+        try {
+            await CasbinRule.create([CasbinRule.fromRule(input.ptype, input.rule)], { session });
+        } catch (error) {
+            if (error.code === 11000) {
+                throw new AppError('This rule already exists.', 409);
+            }
+            throw error;
+        }
+        return [...rules, input];
+    }, actor, 'add');
+    return { rule: input, version };
+};
+
+/**
+ * Adds those of the given rules that aren't stored yet, as one version; the stored rules stay
+ * as they are. Brings rules added to config/policy.csv to deployments that imported it earlier.
+ * @param {Array<{ptype: string, rule: string[]}>} inputs
+ * @param {object|null} actor - req.user of the admin; null for scripts.
+ * @returns {Promise<{added: Array<{ptype: string, rule: string[]}>, version: number|null}>} The
+ *   rules added and the new policy version (null if every rule was stored already).
+ * @throws {AppError} 400 naming the first invalid rule, 409 if the admin would lose access.
+ */
+const addMissingPolicies = async (inputs, actor) => {
+    const enforcer = await getEnforcer();
+    for (const [index, input] of inputs.entries()) {
+        try {
+            await validateRule(enforcer.getModel(), input);
+        } catch (error) {
+            throw new AppError(`rules[${index}]: ${error.message}`, 400);
+        }
+    }
+
+    const stored = new Set((await loadRules()).map(ruleKey));
+    if (inputs.every(input => stored.has(ruleKey(input)))) {
+        return { added: [], version: null };
+    }
+
+    let toAdd;
+    const { version } = await commitRuleChange(async (rules, session) => {
+        const current = new Set(rules.map(ruleKey));
+        toAdd = [...new Map(inputs.map(input => [ruleKey(input), input])).values()]
+            .filter(input => !current.has(ruleKey(input)));
+        if (actor) {
+            await assertKeepsAdminAccess([...rules, ...toAdd], actor);
+        }
+
+        if (toAdd.length > 0) {
+            await CasbinRule.insertMany(toAdd.map(({ ptype, rule }) => CasbinRule.fromRule(ptype, rule)), { session });
+        }
+        return [...rules, ...toAdd];
+    }, actor, 'add');
+    return { added: toAdd, version };
+};
+
+/**
+ * Removes a rule.
+ * @param {{ptype: string, rule: string[]}} input
+ * @param {object} actor - req.user of the admin.
+ * @returns {Promise<number>} The new policy version.
+ * @throws {AppError} 404 if the rule doesn't exist, 409 if the admin would lose access.
+ */
+const removePolicy = async (input, actor) => {
+    const { version } = await commitRuleChange(async (rules, session) => {
+        const remaining = rules.filter(existing => ruleKey(existing) !== ruleKey(input));
+        if (remaining.length === rules.length) {
+            throw new AppError('Rule not found.', 404);
+        }
+        await assertKeepsAdminAccess(remaining, actor);
+
+        await CasbinRule.deleteOne(CasbinRule.ruleFilter(input.ptype, input.rule), { session });
+        return remaining;
+    }, actor, 'remove');
+    return version;
+};
+
+/**
+ * Makes the given rules the stored rule set, in one transaction.
+ * @param {Array<{ptype: string, rule: string[]}>} inputs - The complete new rule set.
+ * @param {object} actor - req.user of the admin.
+ * @param {string} action - 'replace' or 'rollback'.
+ * @param {object} [details] - Extra snapshot fields.
+ * @returns {Promise<{added: number, removed: number, total: number, version: number}>}
+ * @throws {AppError} 400 naming the first invalid rule, 409 if the admin would lose access.
+ */
+const applyRuleSet = async (inputs, actor, action, details) => {
+    const enforcer = await getEnforcer();
+    for (const [index, input] of inputs.entries()) {
+        try {
+            await validateRule(enforcer.getModel(), input);
+        } catch (error) {
+            throw new AppError(`rules[${index}]: ${error.message}`, 400);
+        }
+    }
+
+    const next = new Map(inputs.map(input => [ruleKey(input), input]));
+    await assertKeepsAdminAccess([...next.values()], actor);
+
+    let toAdd;
+    let toRemove;
+    const { version } = await commitRuleChange(async (rules, session) => {
+        const current = new Map(rules.map(rule => [ruleKey(rule), rule]));
+        toAdd = [...next.values()].filter(rule => !current.has(ruleKey(rule)));
+        toRemove = [...current.values()].filter(rule => !next.has(ruleKey(rule)));
+
+        if (toRemove.length > 0) {
+            await CasbinRule.deleteMany({ $or: toRemove.map(({ ptype, rule }) => CasbinRule.ruleFilter(ptype, rule)) }, { session });
+        }
+        if (toAdd.length > 0) {
+            await CasbinRule.insertMany(toAdd.map(({ ptype, rule }) => CasbinRule.fromRule(ptype, rule)), { session });
+        }
+        return [...next.values()];
+    }, actor, action, details);
+    return { added: toAdd.length, removed: toRemove.length, total: next.size, version };
+};
+
+/**
+ * Replaces every rule with the given ones.
+ * @param {Array<{ptype: string, rule: string[]}>} inputs - The complete new rule set.
+ * @param {object} actor - req.user of the admin.
+ * @returns {Promise<{added: number, removed: number, total: number, version: number}>}
+ * @throws {AppError} 400 naming the first invalid rule, 409 if the admin would lose access.
+ */
+const replacePolicies = (inputs, actor) => applyRuleSet(inputs, actor, 'replace');
+
+/**
+ * Restores the rules of an earlier policy version, as a new version.
+ * @param {number} version - The version to restore.
+ * @param {object} actor - req.user of the admin.
+ * @returns {Promise<{rolledBackTo: number, added: number, removed: number, total: number, version: number}>}
+ * @throws {AppError} 404 if the version isn't in the history, 400 if its rules no longer fit
+ *   model.conf, 409 if the admin would lose access.
+ */
+const rollbackPolicies = async (version, actor) => {
+    const snapshot = await getPolicySnapshot(version);
+    const result = await applyRuleSet(snapshot.rules, actor, 'rollback', { rolledBackTo: version });
+    return { rolledBackTo: version, ...result };
+};
+
+/**
+ * Publishes the stored rules as a new version, after they were changed outside the policy API.
+ * @param {object} actor - req.user of the admin.
+ * @returns {Promise<number>} The new policy version.
+ */
+const reloadAllPolicies = async (actor) => {
+    const { version } = await commitRuleChange(async (rules) => rules, actor, 'reload');
+    return version;
+};
+
+module.exports = {
+    getRuleDefinitions,
+    validateRule,
+    listPolicies,
+    addPolicy,
+    addMissingPolicies,
+    removePolicy,
+    replacePolicies,
+    rollbackPolicies,
+    reloadAllPolicies,
+};
@@ -0,0 +1,198 @@
+const os = require('os');
+const policySync = require('../config/policySync');
+const Counter = require('../models/Counter');
+const PolicyInstance = require('../models/PolicyInstance');
+const { getRedisClient } = require('../config/redis');
+const {
+    POLICY_VERSION_ID,
+    reloadPolicies,
+    getPolicyVersion,
+    bumpPolicyVersion,
+    getLoadedPolicy,
+} = require('./casbin');
+
+/**
+ * Keeps the Casbin enforcer of every server instance in sync with the rules in MongoDB.
+ * A change increments the policy version (services/casbin.js); instances reload when the
+ * version they loaded is older, learning about it as configured in config/policySync.js.
+ */
+
+const instanceId = `${os.hostname()}:${process.pid}`;
+
+let pollTimer = null;
+let changeStream = null;
+let subscriber = null;
+
+// Time between this instance's regular checks
+const checkIntervalMs = () => (policySync.watcher === 'poll' ? policySync.pollIntervalMs : policySync.fallbackPollIntervalMs);
+
+/**
+ * Records which policy version this instance has loaded (GET /api/auth/policies/status).
+ * The entry expires after a few missed checks.
+ * @returns {Promise<void>}
+ */
+const reportInstance = async () => {
+    const { version, loadedAt } = getLoadedPolicy();
+    if (version === null || policySync.watcher === 'none') {
+        return;
+    }
+
+    const now = new Date();
+    await PolicyInstance.updateOne(
+        { _id: instanceId },
+        {
+            $set: {
+                policyVersion: version,
+                loadedAt,
+                watcher: policySync.watcher,
+                lastSeenAt: now,
+                expiresAt: new Date(now.getTime() + 3 * checkIntervalMs())
+            }
+        },
+        { upsert: true }
+    );
+};
+
+/**
+ * Reloads the enforcer if the stored policy version is newer than the loaded one.
+ * @returns {Promise<boolean>} True if the policies were reloaded.
+ */
+const reloadIfOutdated = async () => {
+    const latest = await getPolicyVersion();
+    const { version } = getLoadedPolicy();
+    if (version !== null && latest <= version) {
+        return false;
+    }
+    await reloadPolicies();
+    return true;
+};
+
+/**
+ * Handles a notification (or a poll tick) without letting errors escape the timer or event.
+ * @param {string} source - For the log.
+ */
+const checkForChanges = async (source) => {
+    try {
+        await reloadIfOutdated();
+        await reportInstance();
+    } catch (error) {
+        console.error(`Policy sync (${source}) failed:`, error.message);
+    }
+};
+
+const startPolling = (intervalMs) => {
+    if (pollTimer) {
+        clearInterval(pollTimer);
+    }
+    pollTimer = setInterval(() => checkForChanges('poll'), intervalMs);
+    pollTimer.unref(); // Doesn't keep the process alive on shutdown
+};
+
+const watchChangeStream = () => {
+    changeStream = Counter.watch([{ $match: { 'documentKey._id': POLICY_VERSION_ID } }]);
+    changeStream.on('change', () => checkForChanges('change stream'));
+    changeStream.on('error', (error) => {
+        // Standalone servers don't support change streams
+        console.error(`Policy change stream failed (${error.message}); polling every ${policySync.pollIntervalMs} ms instead.`);
+        changeStream.close().catch(() => {});
+        changeStream = null;
+        startPolling(policySync.pollIntervalMs);
+    });
+};
+
+const subscribeRedis = async () => {
+    // A subscribed connection can't run other commands, so it gets its own
+    subscriber = getRedisClient().duplicate();
+    subscriber.on('message', (channel) => {
+        if (channel === policySync.redisChannel) {
+            checkForChanges('redis');
+        }
+    });
+    await subscriber.subscribe(policySync.redisChannel);
+};
+
+/**
+ * Starts watching for policy changes made on other instances (call after initializeEnforcer).
+ * @returns {Promise<void>}
+ */
+const startPolicyWatcher = async () => {
+    switch (policySync.watcher) {
+        case 'none':
+            return;
+        case 'change-stream':
+            watchChangeStream();
+            startPolling(policySync.fallbackPollIntervalMs);
+            break;
+        case 'redis':
+            await subscribeRedis();
+            startPolling(policySync.fallbackPollIntervalMs);
+            break;
+        default:
+            startPolling(policySync.pollIntervalMs);
+    }
+
+    await checkForChanges('start');
+    console.log(`Policy watcher started (${policySync.watcher}) on instance ${instanceId}.`);
+};
+
+/**
+ * Records a change of the stored rules: increments the policy version, reloads this instance
+ * right away and notifies the others.
+ * @param {number} [version] - The version, if the change already incremented it (in its transaction).
+ * @returns {Promise<number>} The new policy version.
+ */
+const publishPolicyChange = async (version) => {
+    if (version === undefined) {
+        version = await bumpPolicyVersion();
+    }
+    await reloadPolicies();
+    await reportInstance().catch(error => console.error('Failed to report the policy version:', error.message));
+
+    if (policySync.watcher === 'redis') {
+        try {
+            await getRedisClient().publish(policySync.redisChannel, String(version));
+        } catch (error) {
+            // The rules are saved; the others catch up with their fallback poll
+            console.error(`Failed to publish policy version ${version}:`, error.message);
+        }
+    }
+
+    return version;
+};
+
+/**
+ * Describes the policy version of this instance and of every instance that reported in.
+ * @returns {Promise<object>}
+ */
+const getPolicySyncStatus = async () => {
+    const [latestVersion, instances] = await Promise.all([
+        getPolicyVersion(),
+        PolicyInstance.find().sort({ _id: 1 }).lean()
+    ]);
+    const loaded = getLoadedPolicy();
+
+    return {
+        watcher: policySync.watcher,
+        latestVersion,
+        instance: {
+            instanceId,
+            policyVersion: loaded.version,
+            loadedAt: loaded.loadedAt,
+            upToDate: loaded.version === latestVersion
+        },
+        instances: instances.map(entry => ({
+            instanceId: entry._id,
+            policyVersion: entry.policyVersion,
+            loadedAt: entry.loadedAt,
+            watcher: entry.watcher,
+            lastSeenAt: entry.lastSeenAt,
+            upToDate: entry.policyVersion === latestVersion
+        }))
+    };
+};
+
+module.exports = {
+    startPolicyWatcher,
+    publishPolicyChange,
+    getPolicySyncStatus,
+};
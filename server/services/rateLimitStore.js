@@ -0,0 +1,166 @@
+const { MemoryStore } = require('express-rate-limit');
+const RateLimitCounter = require('../models/RateLimitCounter');
+const { getRedisClient } = require('../config/redis');
+
+/**
+ * Rate limit counters stored in MongoDB, shared by every server instance.
+ * Implements the express-rate-limit Store interface.
+ */
+class MongoRateLimitStore {
+    /**
+     * @param {string} prefix - Namespace for this limiter's keys (one store per limiter).
+     */
+    constructor(prefix) {
+        this.prefix = prefix;
+        this.localKeys = false;
+        this.windowMs = 60 * 1000;
+    }
+
+    init(options) {
+        this.windowMs = options.windowMs;
+    }
+
+    /**
+     * Increments the hit count, starting a new window when the previous one has ended.
+     * The single pipeline update keeps concurrent requests from different instances consistent.
+     */
+    async increment(key, retry = true) {
+        const now = new Date();
+        const windowActive = { $gt: ['$resetAt', now] };
+        try {
+            const counter = await RateLimitCounter.findOneAndUpdate(
+                { key: this.prefix + key },
+                [{
+                    $set: {
+                        hits: { $cond: [windowActive, { $add: ['$hits', 1] }, 1] },
+                        resetAt: { $cond: [windowActive, '$resetAt', new Date(now.getTime() + this.windowMs)] }
+                    }
+                }],
+                { upsert: true, new: true }
+            );
+            return { totalHits: counter.hits, resetTime: counter.resetAt };
+        } catch (error) {
+            // Two instances inserted the same new key at once; the second attempt updates it
+            if (error.code === 11000 && retry) {
+                return this.increment(key, false);
+            }
+            throw error;
+        }
+    }
+
+    async decrement(key) {
+        await RateLimitCounter.updateOne(
+            { key: this.prefix + key, hits: { $gt: 0 }, resetAt: { $gt: new Date() } },
+            { $inc: { hits: -1 } }
+        );
+    }
+
+    async resetKey(key) {
+        await RateLimitCounter.deleteOne({ key: this.prefix + key });
+    }
+
+    async resetAll() {
+        await RateLimitCounter.deleteMany({ key: { $regex: `^${this.prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` } });
+    }
+
+    async get(key) {
+        const counter = await RateLimitCounter.findOne({ key: this.prefix + key, resetAt: { $gt: new Date() } });
+        return counter ? { totalHits: counter.hits, resetTime: counter.resetAt } : undefined;
+    }
+}
+
+// Increments the counter and starts its window on the first hit; returns [hits, ttlMs]
+const INCREMENT_LUA = `
+local hits = redis.call("INCR", KEYS[1])
+local ttl = redis.call("PTTL", KEYS[1])
+if ttl < 0 then
+  redis.call("PEXPIRE", KEYS[1], ARGV[1])
+  ttl = tonumber(ARGV[1])
+end
+return { hits, ttl }`;
+
+// Decrements only an existing counter, so an expired window isn't recreated without a TTL
+const DECREMENT_LUA = `
+if redis.call("EXISTS", KEYS[1]) == 1 then
+  return redis.call("DECR", KEYS[1])
+end
+return 0`;
+
+/**
+ * Rate limit counters stored in Redis, shared by every server instance.
+ * Implements the express-rate-limit Store interface.
+ */
+class RedisRateLimitStore {
+    /**
+     * @param {string} prefix - Namespace for this limiter's keys (one store per limiter).
+     */
+    constructor(prefix) {
+        this.prefix = prefix;
+        this.localKeys = false;
+        this.windowMs = 60 * 1000;
+    }
+
+    init(options) {
+        this.windowMs = options.windowMs;
+    }
+
+    async increment(key) {
+        const [hits, ttl] = await getRedisClient().eval(INCREMENT_LUA, 1, this.prefix + key, this.windowMs);
+        return { totalHits: Number(hits), resetTime: new Date(Date.now() + Number(ttl)) };
+    }
+
+    async decrement(key) {
+        await getRedisClient().eval(DECREMENT_LUA, 1, this.prefix + key);
+    }
+
+    async resetKey(key) {
+        await getRedisClient().del(this.prefix + key);
+    }
+
+    async resetAll() {
+        const redis = getRedisClient();
+        let cursor = '0';
+        do {
+            const [nextCursor, keys] = await redis.scan(cursor, 'MATCH', `${this.prefix}*`, 'COUNT', 100);
+            if (keys.length > 0) {
+                await redis.del(...keys);
+            }
+            cursor = nextCursor;
+        } while (cursor !== '0');
+    }
+
+    async get(key) {
+        const redis = getRedisClient();
+        const [hits, ttl] = await Promise.all([redis.get(this.prefix + key), redis.pttl(this.prefix + key)]);
+        if (hits === null || ttl < 0) {
+            return undefined;
+        }
+        return { totalHits: Number(hits), resetTime: new Date(Date.now() + ttl) };
+    }
+}
+
+/**
+ * Creates the store for one limiter.
+ * @param {'mongo'|'redis'|'memory'} type - Backend (see config/rateLimits.js).
+ * @param {string} prefix - Namespace for the limiter's keys.
+ * @returns {object} An express-rate-limit store.
+ * @throws {Error} For an unknown backend.
+ */
+const createRateLimitStore = (type, prefix) => {
+    switch (type) {
+        case 'mongo':
+            return new MongoRateLimitStore(prefix);
+        case 'redis':
+            return new RedisRateLimitStore(prefix);
+        case 'memory':
+            return new MemoryStore();
+        default:
+            throw new Error(`Unknown rate limit store "${type}". Use mongo, redis or memory.`);
+    }
+};
+
+module.exports = {
+    MongoRateLimitStore,
+    RedisRateLimitStore,
+    createRateLimitStore,
+};
@@ -0,0 +1,31 @@
+const SecurityEvent = require('../models/SecurityEvent');
+
+/**
+ * Records a security event. Failures are logged but never thrown, so auditing
+ * can't break the request that triggered it.
+ * @param {object} options
+ * @param {string} options.type - Event type (see SecurityEvent model enum).
+ * @param {string|ObjectId} [options.userId] - The affected user.
+ * @param {object} [options.req] - Express request, used for IP and user agent.
+ * @param {object} [options.details] - Event-specific data.
+ * @returns {Promise<SecurityEvent|null>} The saved event, or null if saving failed.
+ */
+const recordSecurityEvent = async ({ type, userId, req, details = {} }) => {
+    console.warn(`Security event '${type}' for user ${userId}:`, JSON.stringify(details));
+    try {
+        return await SecurityEvent.create({
+            type,
+            userId,
+            ip: req ? req.ip : undefined,
+            userAgent: req ? req.get('user-agent') : undefined,
+            details
+        });
+    } catch (error) {
+        console.error(`Failed to record security event '${type}':`, error);
+        return null;
+    }
+};
+
+module.exports = {
+    recordSecurityEvent,
+};
@@ -0,0 +1,149 @@
+const Session = require('../models/Session');
+const { recordSecurityEvent } = require('./securityEventService');
+const { sendNotification } = require('./notificationService');
+const authPolicy = require('../config/authPolicy');
+
+// sessionId -> { active, expiresAt }. Spares authenticate a database read on every request.
+const activeCache = new Map();
+
+/**
+ * Builds a short, human readable device name from a User-Agent string.
+ * @param {string} [userAgent] - The raw User-Agent header.
+ * @returns {string} E.g. "Chrome on Windows" or "Unknown device".
+ */
+const describeUserAgent = (userAgent = '') => {
+    const browsers = [
+        ['Edge', /Edg\//],
+        ['Opera', /OPR\//],
+        ['Chrome', /Chrome\//],
+        ['Firefox', /Firefox\//],
+        ['Safari', /Safari\//],
+    ];
+    const systems = [
+        ['Android', /Android/],
+        ['iOS', /iPhone|iPad|iPod/],
+        ['Windows', /Windows/],
+        ['macOS', /Mac OS X|Macintosh/],
+        ['Linux', /Linux/],
+    ];
+
+    const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+    const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+    if (browser && system) return `${browser[0]} on ${system[0]}`;
+    if (browser) return browser[0];
+    if (system) return system[0];
+    return 'Unknown device';
+};
+
+/**
+ * Creates (but does not save) a session for a user logging in from the given request.
+ * The refresh token hash and expiry are filled in by user.generateAccessAndRefereshTokens().
+ * @param {object} user - The user document.
+ * @param {object} req - Express request object.
+ * @param {string} [deviceLabel] - Optional label supplied by the client.
+ * @returns {Session} The unsaved session document.
+ */
+const buildSession = (user, req, deviceLabel) => {
+    const userAgent = req.get('user-agent') || '';
+    return new Session({
+        userId: user._id,
+        deviceLabel: deviceLabel || describeUserAgent(userAgent),
+        userAgent,
+        ip: req.ip, // Honors X-Forwarded-For when 'trust proxy' is configured
+    });
+};
+
+/**
+ * Tells whether the session an access token was issued for (its 'sid' claim) is still usable.
+ * Cached for authPolicy.tokenRevocation.cacheSeconds, like services/tokenVersionService.js.
+ * @param {string|ObjectId} sessionId - The session.
+ * @returns {Promise<boolean>} False if the session was revoked, has expired or doesn't exist.
+ */
+const isSessionActive = async (sessionId) => {
+    const key = sessionId.toString();
+    const cached = activeCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.active;
+    }
+
+    const session = await Session.findById(sessionId).select('revokedAt expiresAt').lean();
+    const active = Boolean(session && !session.revokedAt && session.expiresAt > new Date());
+    activeCache.set(key, { active, expiresAt: Date.now() + authPolicy.tokenRevocation.cacheSeconds * 1000 });
+
+    // Drop expired entries now and then so the cache doesn't grow with every session ever seen
+    if (activeCache.size > 10000) {
+        const now = Date.now();
+        activeCache.forEach((entry, id) => {
+            if (entry.expiresAt <= now) {
+                activeCache.delete(id);
+            }
+        });
+    }
+
+    return active;
+};
+
+/**
+ * Revokes sessions matching a filter. Access tokens issued for them stop working at once on
+ * this instance, and within authPolicy.tokenRevocation.cacheSeconds on the others.
+ * @param {object} filter - Mongo filter (combined with "not yet revoked").
+ * @param {string} reason - Why the sessions were revoked (e.g. 'logout', 'revoked_by_user').
+ * @returns {Promise<number>} Number of sessions revoked.
+ */
+const revokeSessions = async (filter, reason) => {
+    const sessions = await Session.find({ ...filter, revokedAt: null }).select('_id').lean();
+    if (sessions.length === 0) {
+        return 0;
+    }
+
+    const ids = sessions.map(session => session._id);
+    const result = await Session.updateMany(
+        { _id: { $in: ids }, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason }, $unset: { refreshTokenHash: '' } }
+    );
+    ids.forEach(id => activeCache.delete(id.toString()));
+    return result.modifiedCount;
+};
+
+/**
+ * Handles the replay of a rotated refresh token outside the grace period.
+ * Every refresh token of a session descends from the same login, so the session is the
+ * token family: it is revoked as a whole, because either the legitimate client or an
+ * attacker now holds a stolen token and we can't tell which.
+ * @param {object} user - The user document.
+ * @param {Session} session - The session (token family) the replayed token belongs to.
+ * @param {object} req - Express request object (the replaying client).
+ * @returns {Promise<void>}
+ */
+const handleRefreshTokenReuse = async (user, session, req) => {
+    await revokeSessions({ _id: session._id }, 'refresh_token_reuse');
+
+    await recordSecurityEvent({
+        type: 'refresh_token_reuse',
+        userId: user._id,
+        req,
+        details: {
+            sessionId: session._id.toString(),
+            deviceLabel: session.deviceLabel,
+            sessionIp: session.ip
+        }
+    });
+
+    const sentAt = new Date().toUTCString();
+    await sendNotification({
+        method: 'email',
+        user: user,
+        subject: 'Security alert: a device was signed out of your account',
+        text: `We detected an old sign-in token being reused for your session on "${session.deviceLabel || 'an unknown device'}" (${sentAt}). This can mean the token was stolen, so we signed that device out.\nIf you don't recognize this activity, change your password and review your active sessions.`,
+        html: `<p>We detected an old sign-in token being reused for your session on <b>${session.deviceLabel || 'an unknown device'}</b> (${sentAt}). This can mean the token was stolen, so we signed that device out.</p><p>If you don't recognize this activity, change your password and review your active sessions.</p>`
+    });
+};
+
+module.exports = {
+    describeUserAgent,
+    buildSession,
+    isSessionActive,
+    revokeSessions,
+    handleRefreshTokenReuse,
+};
@@ -0,0 +1,143 @@
+const User = require('../models/User');
+const { recordSecurityEvent } = require('./securityEventService');
+const { sendNotification } = require('./notificationService');
+const { revokeSessions } = require('./sessionService');
+const { revokeAccessTokens, forgetAccessState } = require('./tokenVersionService');
+
+/**
+ * Builds the response body for a request refused because the account is suspended.
+ * @param {object} [suspension] - user.suspension
+ * @returns {object} The response body.
+ */
+const buildSuspendedResponse = (suspension = {}) => ({
+    message: suspension.suspendedUntil
+        ? `This account is suspended until ${suspension.suspendedUntil.toISOString()}.`
+        : 'This account is suspended.',
+    code: 'ACCOUNT_SUSPENDED',
+    reason: suspension.reason,
+    suspendedUntil: suspension.suspendedUntil
+});
+
+/**
+ * Checks whether a user may sign in. A suspension that has run out is lifted here and
+ * recorded as an automatic reinstatement.
+ * @param {object} user - The user document.
+ * @returns {Promise<object|null>} The active suspension (possibly empty, for accounts
+ * deactivated without one), or null if the account is active.
+ */
+const getActiveSuspension = async (user) => {
+    if (user.isActive !== false) {
+        return null;
+    }
+
+    const suspension = user.suspension || {};
+    // Erased accounts stay inactive for good
+    const erased = user.deletion && user.deletion.completedAt;
+    if (erased || !suspension.suspendedUntil || suspension.suspendedUntil > new Date()) {
+        return suspension;
+    }
+
+    // Matching on the old end date records the automatic reinstatement only once
+    const result = await User.updateOne(
+        { _id: user._id, isActive: false, 'suspension.suspendedUntil': suspension.suspendedUntil },
+        { $set: { isActive: true }, $unset: { suspension: '' } }
+    );
+    if (result.modifiedCount === 1) {
+        forgetAccessState(user._id);
+        await recordSecurityEvent({
+            type: 'account_reinstated',
+            userId: user._id,
+            details: { reason: 'expired', suspendedUntil: suspension.suspendedUntil }
+        });
+    }
+    user.isActive = true;
+    user.suspension = undefined;
+    return null;
+};
+
+/**
+ * Suspends an account: sign-in and token refresh are refused, every session is revoked
+ * and access tokens already issued stop working.
+ * @param {string|ObjectId} userId - The user to suspend.
+ * @param {object} options
+ * @param {string} options.reason - Shown to the user.
+ * @param {Date} [options.suspendedUntil] - End of the suspension; omit for an indefinite one.
+ * @param {object} [options.req] - Express request object (for the audit log).
+ * @param {string|ObjectId} [options.performedBy] - The admin.
+ * @returns {Promise<object|null>} The updated user, or null if the user doesn't exist.
+ */
+const suspendAccount = async (userId, { reason, suspendedUntil, req, performedBy }) => {
+    const suspension = { reason, suspendedAt: new Date(), suspendedUntil, suspendedBy: performedBy };
+
+    const user = await User.findByIdAndUpdate(
+        userId,
+        { $set: { isActive: false, suspension } },
+        { new: true }
+    );
+    if (!user) {
+        return null;
+    }
+
+    await revokeAccessTokens(user._id);
+    const revokedSessions = await revokeSessions({ userId: user._id }, 'suspended');
+
+    await recordSecurityEvent({
+        type: 'account_suspended',
+        userId: user._id,
+        req,
+        details: { reason, suspendedUntil, performedBy, revokedSessions }
+    });
+
+    await sendNotification({
+        method: 'email',
+        user,
+        subject: 'Your account has been suspended',
+        text: `Your account has been suspended${suspendedUntil ? ` until ${suspendedUntil.toUTCString()}` : ''}.\nReason: ${reason}\nContact support if you believe this is a mistake.`,
+        html: `<p>Your account has been suspended${suspendedUntil ? ` until <b>${suspendedUntil.toUTCString()}</b>` : ''}.</p><p>Reason: ${reason}</p><p>Contact support if you believe this is a mistake.</p>`
+    });
+
+    return user;
+};
+
+/**
+ * Lifts a suspension (or an admin deactivation).
+ * @param {string|ObjectId} userId - The user to reinstate.
+ * @param {object} [options]
+ * @param {object} [options.req] - Express request object (for the audit log).
+ * @param {string|ObjectId} [options.performedBy] - The admin.
+ * @returns {Promise<boolean>} False if the account was not suspended.
+ */
+const reinstateAccount = async (userId, { req, performedBy } = {}) => {
+    const user = await User.findOneAndUpdate(
+        { _id: userId, isActive: false, 'deletion.completedAt': null },
+        { $set: { isActive: true }, $unset: { suspension: '' } }
+    );
+    if (!user) {
+        return false;
+    }
+    forgetAccessState(user._id);
+
+    await recordSecurityEvent({
+        type: 'account_reinstated',
+        userId: user._id,
+        req,
+        details: { reason: 'admin', performedBy, suspension: user.suspension }
+    });
+
+    await sendNotification({
+        method: 'email',
+        user,
+        subject: 'Your account has been reinstated',
+        text: 'The suspension of your account has been lifted. You can sign in again.',
+        html: '<p>The suspension of your account has been lifted. You can sign in again.</p>'
+    });
+
+    return true;
+};
+
+module.exports = {
+    buildSuspendedResponse,
+    getActiveSuspension,
+    suspendAccount,
+    reinstateAccount,
+};
@@ -0,0 +1,68 @@
+const User = require('../models/User');
+const authPolicy = require('../config/authPolicy');
+
+// userId -> { tokenVersion, isActive, expiresAt }. Spares authenticate a database read on every request.
+const cache = new Map();
+
+/**
+ * Returns what authenticate needs to know about a user: the current token version
+ * and whether the account is active. Cached for authPolicy.tokenRevocation.cacheSeconds.
+ * @param {string|ObjectId} userId - The user.
+ * @returns {Promise<{tokenVersion: number, isActive: boolean}|null>} Null if the user doesn't exist.
+ */
+const getAccessState = async (userId) => {
+    const key = userId.toString();
+    const cached = cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached;
+    }
+
+    const user = await User.findById(userId).select('tokenVersion isActive').lean();
+    if (!user) {
+        cache.delete(key);
+        return null;
+    }
+
+    const state = {
+        tokenVersion: user.tokenVersion || 0,
+        isActive: user.isActive !== false,
+        expiresAt: Date.now() + authPolicy.tokenRevocation.cacheSeconds * 1000
+    };
+    cache.set(key, state);
+
+    // Drop expired entries now and then so the cache doesn't grow with every user ever seen
+    if (cache.size > 10000) {
+        const now = Date.now();
+        cache.forEach((entry, id) => {
+            if (entry.expiresAt <= now) {
+                cache.delete(id);
+            }
+        });
+    }
+
+    return state;
+};
+
+/**
+ * Forgets the cached state of a user, so this instance reads it again on the next request.
+ * @param {string|ObjectId} userId - The user.
+ */
+const forgetAccessState = (userId) => {
+    cache.delete(userId.toString());
+};
+
+/**
+ * Invalidates every access token already issued to a user by incrementing their token version.
+ * @param {string|ObjectId} userId - The user.
+ * @returns {Promise<void>}
+ */
+const revokeAccessTokens = async (userId) => {
+    await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+    forgetAccessState(userId);
+};
+
+module.exports = {
+    getAccessState,
+    forgetAccessState,
+    revokeAccessTokens,
+};
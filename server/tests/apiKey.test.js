@@ -0,0 +1,122 @@
+process.env.ACCESS_TOKEN_SECRET = process.env.ACCESS_TOKEN_SECRET || 'test-access-secret';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const { createApiKey } = require('../services/apiKeyService');
+const { authenticate, requireSessionAuth } = require('../middleware/authMiddleware');
+
+// The ApiKey collection and the key owner, kept in memory
+let apiKeys;
+let owner;
+
+const query = (result) => ({
+    select: () => query(result),
+    populate: () => query(result),
+    lean: async () => result,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+});
+
+const response = () => {
+    const res = {};
+    res.status = (code) => {
+        res.statusCode = code;
+        return res;
+    };
+    res.json = (body) => {
+        res.body = body;
+        return res;
+    };
+    return res;
+};
+
+// Runs a request with the key through authenticate; returns the response and whether next() ran
+const requestWith = async (key, method) => {
+    const req = { method, headers: { authorization: `ApiKey ${key}` }, ip: '127.0.0.1', get: () => 'node-test' };
+    const res = response();
+    const next = mock.fn();
+    await authenticate(req, res, next);
+    return { req, res, passed: next.mock.callCount() === 1 };
+};
+
+beforeEach(() => {
+    apiKeys = [];
+    owner = { _id: new mongoose.Types.ObjectId(), role: 'user', planId: { slug: 'business' }, isActive: true };
+
+    mock.method(ApiKey, 'countDocuments', async () => apiKeys.length);
+    mock.method(ApiKey, 'create', async (doc) => {
+        const stored = { _id: new mongoose.Types.ObjectId(), createdAt: new Date(), ...doc };
+        apiKeys.push(stored);
+        return { ...stored };
+    });
+    mock.method(ApiKey, 'findOne', ({ keyId }) => {
+        const found = apiKeys.find(doc => doc.keyId === keyId);
+        return query(found ? ApiKey.hydrate({ ...found }) : null);
+    });
+    mock.method(ApiKey, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(User, 'findById', (id) => query(String(id) === String(owner._id) ? owner : null));
+    mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+describe('API key scopes', () => {
+    it('allows the methods of the granted scopes', async () => {
+        const { key } = await createApiKey(owner._id, { name: 'Reports', scopes: ['read', 'write'] });
+
+        const read = await requestWith(key, 'GET');
+        assert.equal(read.passed, true);
+        assert.equal(read.req.user._id, owner._id.toString());
+        assert.equal(read.req.user.plan, 'business');
+        assert.equal(read.req.user.authMethod, 'apiKey');
+        assert.deepEqual(read.req.user.scopes, ['read', 'write']);
+
+        assert.equal((await requestWith(key, 'POST')).passed, true);
+    });
+
+    it('rejects methods outside the granted scopes', async () => {
+        const { key } = await createApiKey(owner._id, { name: 'Reports', scopes: ['read'] });
+
+        for (const [method, scope] of [['POST', 'write'], ['PUT', 'update'], ['PATCH', 'update'], ['DELETE', 'delete']]) {
+            const { res, passed } = await requestWith(key, method);
+            assert.equal(passed, false, method);
+            assert.equal(res.statusCode, 403);
+            assert.equal(res.body.code, 'API_KEY_SCOPE');
+            assert.match(res.body.message, new RegExp(`'${scope}'`));
+        }
+    });
+
+    it('rejects revoked and expired keys', async () => {
+        const { key: revoked } = await createApiKey(owner._id, { name: 'Old script', scopes: ['read'] });
+        apiKeys[0].revokedAt = new Date();
+        const { key: expired } = await createApiKey(owner._id, { name: 'Trial', scopes: ['read'] });
+        apiKeys[1].expiresAt = new Date(Date.now() - 1000);
+
+        assert.equal((await requestWith(revoked, 'GET')).res.statusCode, 401);
+        assert.equal((await requestWith(expired, 'GET')).res.statusCode, 401);
+    });
+
+    it('rejects a key with a wrong secret', async () => {
+        const { key } = await createApiKey(owner._id, { name: 'Reports', scopes: ['read'] });
+        const forged = `${key.slice(0, -1)}${key.endsWith('A') ? 'B' : 'A'}`;
+
+        assert.equal((await requestWith(forged, 'GET')).res.statusCode, 401);
+    });
+
+    it('is not accepted on routes that require a signed-in session', async () => {
+        const { key } = await createApiKey(owner._id, { name: 'Admin script', scopes: ['read', 'write', 'update', 'delete'] });
+        const { req, passed } = await requestWith(key, 'POST');
+        assert.equal(passed, true);
+
+        const res = response();
+        const next = mock.fn();
+        requireSessionAuth(req, res, next);
+        assert.equal(next.mock.callCount(), 0);
+        assert.equal(res.statusCode, 403);
+        assert.equal(res.body.code, 'API_KEY_NOT_ALLOWED');
+    });
+});
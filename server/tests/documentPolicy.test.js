@@ -0,0 +1,120 @@
+process.env.ACCESS_TOKEN_SECRET = process.env.ACCESS_TOKEN_SECRET || 'test-access-secret';
+
+const { describe, it, before, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const mongoose = require('mongoose');
+const { newEnforcer, FileAdapter } = require('casbin');
+const casbin = require('../services/casbin');
+const Project = require('../models/Project');
+
+let enforcer;
+// The project routes, which check the rules of config/policy.csv through the enforcer above
+let projectRouter;
+
+// The stored projects, kept in memory
+let projects;
+
+// The authorize middleware of a project route
+const authorizeFor = (method, routePath) => {
+    const layer = projectRouter.stack.find(entry => entry.route
+        && entry.route.path === routePath
+        && entry.route.methods[method.toLowerCase()]);
+    return layer.route.stack.map(entry => entry.handle).find(handle => handle.policyCheck);
+};
+
+const response = () => {
+    const res = {};
+    res.status = (code) => {
+        res.statusCode = code;
+        return res;
+    };
+    res.json = (body) => {
+        res.body = body;
+        return res;
+    };
+    return res;
+};
+
+const check = async (user, method, projectId) => {
+    const req = { method, user, params: projectId ? { projectId: String(projectId) } : {} };
+    const res = response();
+    const next = mock.fn();
+    await authorizeFor(method, projectId ? '/:projectId' : '/')(req, res, next);
+    return { req, res, allowed: next.mock.callCount() === 1 };
+};
+
+const consumer = (plan = 'basic') => ({ _id: new mongoose.Types.ObjectId().toString(), role: 'user', plan });
+
+before(async () => {
+    enforcer = await newEnforcer(
+        path.resolve(__dirname, '../config/model.conf'),
+        new FileAdapter(path.resolve(__dirname, '../config/policy.csv'))
+    );
+    casbin.getEnforcer = async () => enforcer;
+    projectRouter = require('../routes/project');
+});
+
+beforeEach(() => {
+    projects = [];
+    mock.method(Project, 'findById', (id) => ({
+        lean: async () => projects.find(project => String(project._id) === String(id)) || null
+    }));
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+const addProject = (owner) => {
+    const project = { _id: new mongoose.Types.ObjectId(), user_id: new mongoose.Types.ObjectId(owner._id), name: 'Budget' };
+    projects.push(project);
+    return project;
+};
+
+describe('Project document policies', () => {
+    it('lets consumers on every plan list and create projects', async () => {
+        for (const plan of ['basic', 'professional', 'business', 'enterprise']) {
+            assert.equal((await check(consumer(plan), 'GET')).allowed, true, plan);
+            assert.equal((await check(consumer(plan), 'POST')).allowed, true, plan);
+        }
+    });
+
+    it('lets the owner read, update and delete their project', async () => {
+        const owner = consumer();
+        const project = addProject(owner);
+
+        for (const method of ['GET', 'PATCH', 'DELETE']) {
+            const { req, allowed } = await check(owner, method, project._id);
+            assert.equal(allowed, true, method);
+            assert.equal(req.authorizedDocument, project);
+        }
+    });
+
+    it('denies other consumers, whatever their plan', async () => {
+        const project = addProject(consumer('enterprise'));
+
+        for (const method of ['GET', 'PATCH', 'DELETE']) {
+            const { res, allowed } = await check(consumer('enterprise'), method, project._id);
+            assert.equal(allowed, false, method);
+            assert.equal(res.statusCode, 403);
+        }
+    });
+
+    it('lets admins reach any project', async () => {
+        const project = addProject(consumer());
+        const admin = { _id: new mongoose.Types.ObjectId().toString(), role: 'admin', plan: 'free' };
+
+        for (const method of ['GET', 'PATCH', 'DELETE']) {
+            assert.equal((await check(admin, method, project._id)).allowed, true, method);
+        }
+    });
+
+    it('answers 404 for a project that does not exist', async () => {
+        const { res, allowed } = await check(consumer(), 'GET', new mongoose.Types.ObjectId());
+        assert.equal(allowed, false);
+        assert.equal(res.statusCode, 404);
+    });
+});
@@ -0,0 +1,118 @@
+process.env.JWT_SIGNING_ALG = 'EdDSA';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const SigningKey = require('../models/SigningKey');
+const jwtSigning = require('../config/jwtSigning');
+const { rotateSigningKey, ensureSigningKey, getPublicJwks, listSigningKeys } = require('../services/keyringService');
+const { signAccessToken, verifyAccessToken } = require('../services/accessTokenService');
+
+const MINUTE_MS = 60 * 1000;
+const { publishAheadMinutes, retentionMinutes } = jwtSigning.rotation;
+
+// The SigningKey collection, kept in memory
+let keys;
+
+const isUnexpired = (doc, { $or }) => $or.some(condition => (condition.expiresAt === null
+    ? doc.expiresAt == null
+    : doc.expiresAt > condition.expiresAt.$gt));
+
+const query = (result) => ({
+    select: () => query(result),
+    sort: () => query(result),
+    lean: async () => result
+});
+
+// Lets time pass: activations, retention and token lifetimes all follow the mocked clock
+const advance = (minutes) => mock.timers.tick(minutes * MINUTE_MS);
+
+const kidOf = (token) => jwt.decode(token, { complete: true }).header.kid;
+
+// Long-lived, so only the key's retention decides whether it still verifies
+const sign = () => signAccessToken({ _id: 'user-1', role: 'consumer' }, { expiresIn: 24 * 60 * 60 });
+
+beforeEach(() => {
+    keys = [];
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+
+    mock.method(SigningKey, 'create', async (doc) => {
+        const stored = { _id: new mongoose.Types.ObjectId(), createdAt: new Date(), expiresAt: null, ...doc };
+        keys.push(stored);
+        return { ...stored };
+    });
+    mock.method(SigningKey, 'find', (filter) => query(keys
+        .filter(doc => isUnexpired(doc, filter))
+        .sort((a, b) => b.activatesAt - a.activatesAt)
+        .map(doc => ({ ...doc }))));
+    mock.method(SigningKey, 'exists', async (filter) => keys.some(doc => doc.alg === filter.alg && isUnexpired(doc, filter)));
+    mock.method(SigningKey, 'updateMany', async (filter, { $set }) => {
+        keys
+            .filter(doc => !doc._id.equals(filter._id.$ne) && doc.alg === filter.alg && doc.expiresAt == null)
+            .forEach(doc => Object.assign(doc, $set));
+    });
+});
+
+afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+});
+
+describe('Signing key rotation', () => {
+    it('creates a signing key on the first start, once', async () => {
+        const created = await ensureSigningKey();
+        assert.equal(created.alg, 'EdDSA');
+        assert.equal(created.status, 'active');
+        assert.equal(await ensureSigningKey(), null);
+
+        const token = await sign();
+        assert.equal(kidOf(token), created.kid);
+        assert.equal((await verifyAccessToken(token))._id, 'user-1');
+    });
+
+    it('publishes the new key ahead and signs with it once it activates', async () => {
+        const original = await ensureSigningKey();
+        const rotated = await rotateSigningKey();
+        assert.equal(rotated.status, 'pending');
+
+        // Verifiers learn the new key before any token signed with it exists
+        const published = (await getPublicJwks()).keys.map(key => key.kid);
+        assert.deepEqual(published.sort(), [original.kid, rotated.kid].sort());
+        assert.equal(kidOf(await sign()), original.kid);
+
+        advance(publishAheadMinutes + 1);
+        assert.equal(kidOf(await sign()), rotated.kid);
+        assert.deepEqual((await listSigningKeys()).map(key => key.status), ['active', 'retiring']);
+    });
+
+    it('verifies tokens of the replaced key until its retention period ends', async () => {
+        await ensureSigningKey();
+        const oldToken = await sign();
+        advance(1);
+        const rotated = await rotateSigningKey({ publishAheadMinutes: 0 });
+        const newToken = await sign();
+        assert.equal(kidOf(newToken), rotated.kid);
+
+        advance(retentionMinutes - 1);
+        assert.equal((await verifyAccessToken(oldToken))._id, 'user-1');
+
+        advance(2);
+        await assert.rejects(verifyAccessToken(oldToken), { name: 'JsonWebTokenError', message: 'unknown signing key' });
+        assert.equal((await verifyAccessToken(newToken))._id, 'user-1');
+        assert.deepEqual((await getPublicJwks()).keys.map(key => key.kid), [rotated.kid]);
+    });
+
+    it('leaves the keys of the configured algorithm alone when creating a key of another one', async () => {
+        const original = await ensureSigningKey();
+        await rotateSigningKey({ alg: 'RS256', publishAheadMinutes: 0 });
+
+        assert.equal(keys.find(doc => doc.kid === original.kid).expiresAt, null);
+        assert.equal(kidOf(await sign()), original.kid);
+    });
+
+    it('refuses to create a key for HS256', async () => {
+        await assert.rejects(rotateSigningKey({ alg: 'HS256' }), { statusCode: 400 });
+        assert.equal(keys.length, 0);
+    });
+});
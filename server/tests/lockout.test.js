@@ -0,0 +1,185 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const nodemailer = require('nodemailer');
+const User = require('../models/User');
+const SecurityEvent = require('../models/SecurityEvent');
+const authPolicy = require('../config/authPolicy');
+const { getActiveLockout, recordFailedLogin, clearFailedLogins, unlockAccount } = require('../services/lockoutService');
+
+const { maxFailedAttempts, failureWindowMinutes, baseDurationMinutes, maxDurationMinutes } = authPolicy.lockout;
+const MINUTE_MS = 60 * 1000;
+
+// The stored account and what the service recorded, kept in memory
+let account;
+let events;
+let emails;
+
+const req = { ip: '127.0.0.1', get: () => 'node-test' };
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const setPath = (doc, path, value) => {
+    const keys = path.split('.');
+    const parent = keys.slice(0, -1).reduce((value, key) => value[key], doc);
+    parent[keys[keys.length - 1]] = value;
+};
+
+const time = (value) => (value instanceof Date ? value.getTime() : value);
+
+// The MongoDB query operators the service uses
+const matchesValue = (actual, condition) => {
+    if (condition === null) {
+        return actual == null;
+    }
+    if (condition instanceof Date || typeof condition !== 'object' || condition instanceof mongoose.Types.ObjectId) {
+        return String(time(actual)) === String(time(condition));
+    }
+    return Object.entries(condition).every(([operator, operand]) => {
+        if (actual == null) {
+            return false;
+        }
+        switch (operator) {
+            case '$gt': return time(actual) > time(operand);
+            case '$gte': return time(actual) >= time(operand);
+            case '$lte': return time(actual) <= time(operand);
+            default: throw new Error(`Unsupported operator ${operator}`);
+        }
+    });
+};
+
+const matches = (doc, filter) => Object.entries(filter).every(([path, condition]) => (path === '$or'
+    ? condition.some(alternative => matches(doc, alternative))
+    : matchesValue(getPath(doc, path), condition)));
+
+const applyUpdate = (doc, { $set = {}, $inc = {}, $push = {} }) => {
+    Object.entries($set).forEach(([path, value]) => setPath(doc, path, value));
+    Object.entries($inc).forEach(([path, value]) => setPath(doc, path, (getPath(doc, path) || 0) + value));
+    Object.entries($push).forEach(([path, { $each, $slice }]) => {
+        setPath(doc, path, [...(getPath(doc, path) || []), ...$each].slice($slice));
+    });
+};
+
+const copy = () => ({
+    ...account,
+    lockout: { ...account.lockout, history: [...account.lockout.history] }
+});
+
+beforeEach(() => {
+    account = {
+        _id: new mongoose.Types.ObjectId(),
+        email: 'ada@example.com',
+        username: 'ada',
+        lockout: { failedAttempts: 0, lockoutCount: 0, history: [] }
+    };
+    events = [];
+    emails = [];
+
+    mock.method(User, 'findOneAndUpdate', async (filter, update) => {
+        if (!matches(account, filter)) {
+            return null;
+        }
+        applyUpdate(account, update);
+        return copy();
+    });
+    mock.method(User, 'updateOne', async (filter, update) => {
+        if (!matches(account, filter)) {
+            return { modifiedCount: 0 };
+        }
+        applyUpdate(account, update);
+        return { modifiedCount: 1 };
+    });
+    mock.method(SecurityEvent, 'create', async (doc) => {
+        events.push(doc);
+        return doc;
+    });
+    mock.method(nodemailer, 'createTransport', () => ({
+        sendMail: async (mail) => {
+            emails.push(mail);
+        }
+    }));
+    mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+// Fails logins until the account is locked and returns the lockout
+const failUntilLocked = async () => {
+    for (let attempt = 1; attempt < maxFailedAttempts; attempt++) {
+        const failure = await recordFailedLogin(account, req);
+        assert.deepEqual(failure, { locked: false, remainingAttempts: maxFailedAttempts - attempt });
+    }
+    const failure = await recordFailedLogin(account, req);
+    assert.equal(failure.locked, true);
+    return failure;
+};
+
+const lockedMinutes = ({ lockedUntil }) => Math.round((lockedUntil.getTime() - Date.now()) / MINUTE_MS);
+
+// Lets the current lockout run out, as the next login attempt notices it
+const expireLockout = async () => {
+    account.lockout.lockedUntil = new Date(Date.now() - 1000);
+    assert.equal(await getActiveLockout(copy()), null);
+};
+
+describe('Account lockout', () => {
+    it('locks the account at the failed attempt threshold', async () => {
+        const failure = await failUntilLocked();
+
+        assert.equal(lockedMinutes(failure), baseDurationMinutes);
+        assert.equal((await getActiveLockout(copy())).getTime(), failure.lockedUntil.getTime());
+        assert.equal(account.lockout.failedAttempts, 0);
+        assert.equal(account.lockout.history.at(-1).action, 'locked');
+        assert.deepEqual(events.map(event => event.type), ['account_locked']);
+        assert.equal(emails.length, 1);
+    });
+
+    it('starts counting again after the failure window', async () => {
+        for (let attempt = 1; attempt < maxFailedAttempts; attempt++) {
+            await recordFailedLogin(account, req);
+        }
+        account.lockout.lastFailedAt = new Date(Date.now() - (failureWindowMinutes + 1) * MINUTE_MS);
+
+        const failure = await recordFailedLogin(account, req);
+        assert.deepEqual(failure, { locked: false, remainingAttempts: maxFailedAttempts - 1 });
+    });
+
+    it('doubles the duration with each consecutive lockout, up to the maximum', async () => {
+        const durations = [];
+        let expected = baseDurationMinutes;
+        while (expected < maxDurationMinutes) {
+            durations.push(lockedMinutes(await failUntilLocked()));
+            await expireLockout();
+            expected *= 2;
+        }
+        durations.push(lockedMinutes(await failUntilLocked()));
+
+        assert.deepEqual(durations.slice(0, 3), [baseDurationMinutes, baseDurationMinutes * 2, baseDurationMinutes * 4]);
+        assert.equal(durations.at(-1), maxDurationMinutes);
+        assert.equal(account.lockout.history.filter(entry => entry.reason === 'expired').length, durations.length - 1);
+    });
+
+    it('starts again from the base duration after a successful login', async () => {
+        await failUntilLocked();
+        await expireLockout();
+        await clearFailedLogins(copy());
+
+        assert.equal(lockedMinutes(await failUntilLocked()), baseDurationMinutes);
+    });
+
+    it('unlocks a locked account', async () => {
+        await failUntilLocked();
+        const adminId = new mongoose.Types.ObjectId();
+
+        assert.equal(await unlockAccount(account._id, { reason: 'admin', req, performedBy: adminId }), true);
+        assert.equal(await getActiveLockout(copy()), null);
+        assert.equal(account.lockout.lockoutCount, 0);
+        assert.deepEqual(account.lockout.history.at(-1).performedBy, adminId);
+        assert.deepEqual(events.map(event => event.type), ['account_locked', 'account_unlocked']);
+
+        // Nothing left to unlock
+        assert.equal(await unlockAccount(account._id, { reason: 'admin', req }), false);
+    });
+});
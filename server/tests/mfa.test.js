@@ -0,0 +1,191 @@
+process.env.CHALLENGE_TOKEN_SECRET = process.env.CHALLENGE_TOKEN_SECRET || 'test-challenge-secret';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const LoginEvent = require('../models/LoginEvent');
+const authPolicy = require('../config/authPolicy');
+const { generateTotp } = require('../utils/totp');
+const { signChallengeToken } = require('../utils/challengeToken');
+const mfaController = require('../controllers/mfaController');
+
+const STEP_MS = 30 * 1000;
+
+// The stored account; every User.findById returns a fresh copy, like a new query would
+let account;
+
+const loadUser = () => {
+    const user = {
+        ...account,
+        mfa: { ...account.mfa },
+        lockout: { ...account.lockout }
+    };
+    user.save = async () => {
+        const { save, generateAccessAndRefereshTokens, ...fields } = user;
+        account = { ...fields, mfa: { ...fields.mfa }, lockout: { ...fields.lockout } };
+        return user;
+    };
+    user.generateAccessAndRefereshTokens = async () => ({ accessToken: 'access-token', refreshToken: 'refresh-token' });
+    return user;
+};
+
+// A query that can be awaited directly or after select() and populate()
+const userQuery = () => {
+    const query = {
+        select: () => query,
+        populate: () => query,
+        then: (resolve, reject) => Promise.resolve(loadUser()).then(resolve, reject)
+    };
+    return query;
+};
+
+const request = (body, user) => ({
+    body,
+    user,
+    ip: '127.0.0.1',
+    get: () => 'node-test'
+});
+
+const response = () => {
+    const res = {};
+    res.status = (code) => {
+        res.statusCode = code;
+        return res;
+    };
+    res.json = (body) => {
+        res.body = body;
+        return res;
+    };
+    return res;
+};
+
+const call = async (handler, body) => {
+    const res = response();
+    await handler(request(body, { _id: account._id }), res);
+    return res;
+};
+
+// Enrolls the account like the settings page does and returns the recovery codes
+const enroll = async () => {
+    const setup = await call(mfaController.setupMfa, {});
+    assert.equal(setup.statusCode, 200);
+    const confirm = await call(mfaController.confirmMfa, { code: generateTotp(setup.body.secret) });
+    assert.equal(confirm.statusCode, 200);
+    return { secret: setup.body.secret, recoveryCodes: confirm.body.recoveryCodes };
+};
+
+// The second login step, after a password check
+const loginWith = (factor) => call(mfaController.verifyMfaLogin, {
+    mfaToken: signChallengeToken(account, 'mfa', { method: 'password' }),
+    ...factor
+});
+
+beforeEach(() => {
+    account = {
+        _id: new mongoose.Types.ObjectId(),
+        email: 'ada@example.com',
+        username: 'ada',
+        role: 'user',
+        isActive: true,
+        hasPassword: false,
+        mfa: { enabled: false },
+        lockout: {}
+    };
+
+    mock.method(User, 'findById', userQuery);
+    mock.method(User, 'findOneAndUpdate', async () => ({ lockout: { failedAttempts: 1 } }));
+    mock.method(Session.prototype, 'save', async function () {
+        return this;
+    });
+    mock.method(LoginEvent, 'exists', async () => null);
+    mock.method(LoginEvent, 'create', async (doc) => doc);
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+describe('TOTP codes', () => {
+    it('accepts a code only once', async () => {
+        const { secret } = await enroll();
+        // The code confirming the enrollment used the current time step
+        const code = generateTotp(secret, { time: Date.now() + STEP_MS });
+
+        const first = await call(mfaController.regenerateRecoveryCodes, { code });
+        assert.equal(first.statusCode, 200);
+
+        const replay = await call(mfaController.regenerateRecoveryCodes, { code });
+        assert.equal(replay.statusCode, 401);
+    });
+
+    it('rejects a code of a time step before the last one used', async () => {
+        const { secret } = await enroll();
+
+        const earlier = await call(mfaController.regenerateRecoveryCodes, {
+            code: generateTotp(secret, { time: Date.now() - STEP_MS })
+        });
+        assert.equal(earlier.statusCode, 401);
+    });
+
+    it('rejects a code replayed in a second login', async () => {
+        const { secret } = await enroll();
+        const code = generateTotp(secret, { time: Date.now() + STEP_MS });
+
+        const login = await loginWith({ code });
+        assert.equal(login.statusCode, 200);
+        assert.equal(login.body.accessToken, 'access-token');
+
+        const replay = await loginWith({ code });
+        assert.equal(replay.statusCode, 401);
+    });
+
+    it('uses up a code even when the login stops at a suspension', async () => {
+        const { secret } = await enroll();
+        const code = generateTotp(secret, { time: Date.now() + STEP_MS });
+        account.isActive = false;
+        account.suspension = { reason: 'Under review' };
+
+        const suspended = await loginWith({ code });
+        assert.equal(suspended.statusCode, 403);
+
+        account.isActive = true;
+        const replay = await loginWith({ code });
+        assert.equal(replay.statusCode, 401);
+    });
+});
+
+describe('Recovery codes', () => {
+    it('accepts each recovery code once', async () => {
+        const { recoveryCodes } = await enroll();
+        assert.equal(recoveryCodes.length, authPolicy.mfa.recoveryCodeCount);
+
+        const login = await loginWith({ recoveryCode: recoveryCodes[0] });
+        assert.equal(login.statusCode, 200);
+        assert.equal(login.body.recoveryCodesRemaining, recoveryCodes.length - 1);
+
+        const replay = await loginWith({ recoveryCode: recoveryCodes[0] });
+        assert.equal(replay.statusCode, 401);
+
+        // Typed without the dash and in upper case
+        const other = await loginWith({ recoveryCode: recoveryCodes[1].replace('-', '').toUpperCase() });
+        assert.equal(other.statusCode, 200);
+        assert.equal(other.body.recoveryCodesRemaining, recoveryCodes.length - 2);
+    });
+
+    it('invalidates the previous recovery codes when new ones are generated', async () => {
+        const { secret, recoveryCodes } = await enroll();
+
+        const regenerated = await call(mfaController.regenerateRecoveryCodes, {
+            code: generateTotp(secret, { time: Date.now() + STEP_MS })
+        });
+        assert.equal(regenerated.statusCode, 200);
+
+        const old = await loginWith({ recoveryCode: recoveryCodes[0] });
+        assert.equal(old.statusCode, 401);
+
+        const fresh = await loginWith({ recoveryCode: regenerated.body.recoveryCodes[0] });
+        assert.equal(fresh.statusCode, 200);
+    });
+});
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const http = require('http');
+
+/**
+ * A local OpenID Connect provider for tests: authorization endpoint (redirects back with a
+ * code), token endpoint (checks the PKCE verifier and redirect URI) and user info endpoint.
+ * Point a provider at it with OAUTH_<PROVIDER>_AUTHORIZATION_URL, _TOKEN_URL and _USERINFO_URL
+ * (config/oauthProviders.js).
+ */
+class MockOidcServer {
+    constructor() {
+        this.clientId = 'test-client';
+        // The account that "signs in" at the provider; tests change it between flows
+        this.profile = { sub: 'provider-user-1', email: 'ada@example.com', email_verified: true, given_name: 'Ada' };
+        this.codes = new Map(); // code -> { codeChallenge, redirectUri, profile }
+        this.accessTokens = new Map(); // token -> profile
+        this.server = http.createServer((req, res) => {
+            this.handle(req, res).catch(() => {
+                res.writeHead(500).end();
+            });
+        });
+    }
+
+    /**
+     * Starts listening on a free local port.
+     * @returns {Promise<string>} The base URL.
+     */
+    async start() {
+        await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+        this.baseUrl = `http://127.0.0.1:${this.server.address().port}`;
+        return this.baseUrl;
+    }
+
+    stop() {
+        return new Promise(resolve => this.server.close(resolve));
+    }
+
+    /**
+     * The environment variables configuring a provider against this server.
+     * @param {string} provider - Provider key, e.g. 'google'.
+     * @returns {object}
+     */
+    envFor(provider) {
+        const prefix = `OAUTH_${provider.toUpperCase()}`;
+        return {
+            [`${prefix}_CLIENT_ID`]: this.clientId,
+            [`${prefix}_AUTHORIZATION_URL`]: `${this.baseUrl}/authorize`,
+            [`${prefix}_TOKEN_URL`]: `${this.baseUrl}/token`,
+            [`${prefix}_USERINFO_URL`]: `${this.baseUrl}/userinfo`,
+        };
+    }
+
+    /**
+     * Opens an authorization URL like a browser whose user consents, and returns the
+     * parameters of the redirect back to the client.
+     * @param {string} authorizationUrl
+     * @returns {Promise<{code: string, state: string}>}
+     */
+    async authorize(authorizationUrl) {
+        const response = await fetch(authorizationUrl, { redirect: 'manual' });
+        const location = new URL(response.headers.get('location'));
+        return { code: location.searchParams.get('code'), state: location.searchParams.get('state') };
+    }
+
+    async handle(req, res) {
+        const url = new URL(req.url, this.baseUrl);
+
+        if (url.pathname === '/authorize') {
+            const params = url.searchParams;
+            if (params.get('client_id') !== this.clientId || params.get('code_challenge_method') !== 'S256') {
+                return res.writeHead(400).end();
+            }
+            const code = crypto.randomBytes(16).toString('hex');
+            this.codes.set(code, {
+                codeChallenge: params.get('code_challenge'),
+                redirectUri: params.get('redirect_uri'),
+                profile: { ...this.profile }
+            });
+            const redirect = new URL(params.get('redirect_uri'));
+            redirect.searchParams.set('code', code);
+            redirect.searchParams.set('state', params.get('state'));
+            return res.writeHead(302, { Location: redirect.toString() }).end();
+        }
+
+        if (url.pathname === '/token' && req.method === 'POST') {
+            let body = '';
+            for await (const chunk of req) {
+                body += chunk;
+            }
+            const params = new URLSearchParams(body);
+            const grant = this.codes.get(params.get('code'));
+            this.codes.delete(params.get('code'));
+            const challenge = crypto.createHash('sha256').update(params.get('code_verifier') || '').digest('base64url');
+            if (!grant || grant.codeChallenge !== challenge || grant.redirectUri !== params.get('redirect_uri')) {
+                return this.json(res, 400, { error: 'invalid_grant' });
+            }
+            const accessToken = crypto.randomBytes(16).toString('hex');
+            this.accessTokens.set(accessToken, grant.profile);
+            return this.json(res, 200, { access_token: accessToken, token_type: 'Bearer' });
+        }
+
+        if (url.pathname === '/userinfo') {
+            const token = (req.headers.authorization || '').replace('Bearer ', '');
+            const profile = this.accessTokens.get(token);
+            return profile ? this.json(res, 200, profile) : this.json(res, 401, { error: 'invalid_token' });
+        }
+
+        res.writeHead(404).end();
+    }
+
+    json(res, status, body) {
+        res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify(body));
+    }
+}
+
+module.exports = MockOidcServer;
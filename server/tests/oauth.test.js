@@ -0,0 +1,147 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const OAuthState = require('../models/OAuthState');
+const User = require('../models/User');
+const { createAuthorizationRequest, completeAuthorization } = require('../services/oauthService');
+const oauthController = require('../controllers/oauthController');
+const MockOidcServer = require('./mockOidcServer');
+
+const redirectUri = 'https://app.example.com/oauth/callback/google';
+
+const provider = new MockOidcServer();
+let savedEnv;
+
+// Pending authorization requests, kept in memory
+let states;
+
+const response = () => {
+    const res = {};
+    res.status = (code) => {
+        res.statusCode = code;
+        return res;
+    };
+    res.json = (body) => {
+        res.body = body;
+        return res;
+    };
+    return res;
+};
+
+before(async () => {
+    await provider.start();
+    savedEnv = { ...process.env };
+    Object.assign(process.env, provider.envFor('google'), {
+        OAUTH_REDIRECT_URIS: 'https://app.example.com/oauth/callback/{provider}'
+    });
+});
+
+after(async () => {
+    process.env = savedEnv;
+    await provider.stop();
+});
+
+beforeEach(() => {
+    states = [];
+    mock.method(OAuthState, 'create', async (doc) => {
+        const stored = { _id: new mongoose.Types.ObjectId(), ...doc };
+        states.push(stored);
+        return stored;
+    });
+    mock.method(OAuthState, 'findOneAndDelete', async (filter) => {
+        const index = states.findIndex(doc => Object.entries(filter).every(([field, value]) => doc[field] === value));
+        return index === -1 ? null : states.splice(index, 1)[0];
+    });
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+// Runs the browser part of a flow: the provider redirects back with a code and the state
+const startFlow = async (options) => {
+    const { authorizationUrl, state } = await createAuthorizationRequest('google', { redirectUri, ...options });
+    const callback = await provider.authorize(authorizationUrl);
+    assert.equal(callback.state, state);
+    return callback;
+};
+
+describe('OAuth authorization flow', () => {
+    it('exchanges the code of an authorize → callback round trip for the profile', async () => {
+        const { code, state } = await startFlow({ mode: 'login' });
+
+        const { profile, authorization } = await completeAuthorization('google', { code, state, mode: 'login' });
+        assert.equal(profile.providerId, 'provider-user-1');
+        assert.equal(profile.email, 'ada@example.com');
+        assert.equal(profile.emailVerified, true);
+        assert.equal(authorization.redirectUri, redirectUri);
+        assert.equal(states.length, 0);
+    });
+
+    it('refuses a redirect URI that is not allowlisted', async () => {
+        await assert.rejects(
+            createAuthorizationRequest('google', { redirectUri: 'https://evil.example.com/callback', mode: 'login' }),
+            { statusCode: 400 }
+        );
+    });
+
+    it('accepts a state only once', async () => {
+        const { code, state } = await startFlow({ mode: 'login' });
+        await completeAuthorization('google', { code, state, mode: 'login' });
+
+        await assert.rejects(completeAuthorization('google', { code, state, mode: 'login' }), { statusCode: 400 });
+    });
+
+    it('refuses an expired state', async () => {
+        const { code, state } = await startFlow({ mode: 'login' });
+        states[0].expiresAt = new Date(Date.now() - 1000);
+
+        await assert.rejects(completeAuthorization('google', { code, state, mode: 'login' }), { statusCode: 400 });
+    });
+
+    it('refuses a login state for a link', async () => {
+        const { code, state } = await startFlow({ mode: 'login' });
+
+        await assert.rejects(completeAuthorization('google', { code, state, mode: 'link' }), { statusCode: 400 });
+    });
+});
+
+describe('oauthController', () => {
+    it('refuses to link with a state issued to another user', async () => {
+        const { code, state } = await startFlow({ mode: 'link', userId: new mongoose.Types.ObjectId() });
+        const findById = mock.method(User, 'findById', async () => null);
+
+        const res = response();
+        await oauthController.linkProvider({
+            params: { provider: 'google' },
+            body: { code, state },
+            user: { _id: new mongoose.Types.ObjectId() }
+        }, res);
+
+        assert.equal(res.statusCode, 403);
+        assert.equal(findById.mock.callCount(), 0);
+    });
+
+    it('refuses to link a login to an account by an email the provider has not verified', async () => {
+        provider.profile = { sub: 'provider-user-2', email: 'grace@example.com', email_verified: false };
+        const existingUser = {
+            _id: new mongoose.Types.ObjectId(),
+            email: 'grace@example.com',
+            isEmailVerified: true,
+            linkedAccounts: [],
+            save: mock.fn(async () => {})
+        };
+        mock.method(User, 'findOne', (filter) => ({
+            populate: async () => (filter.email === 'grace@example.com' ? existingUser : null)
+        }));
+
+        const { code, state } = await startFlow({ mode: 'login' });
+        const res = response();
+        await oauthController.oauthLogin({ params: { provider: 'google' }, body: { code, state } }, res);
+
+        assert.equal(res.statusCode, 409);
+        assert.equal(res.body.code, 'ACCOUNT_EXISTS');
+        assert.equal(existingUser.linkedAccounts.length, 0);
+        assert.equal(existingUser.save.mock.callCount(), 0);
+    });
+});
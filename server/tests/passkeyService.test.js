@@ -0,0 +1,164 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Passkey = require('../models/Passkey');
+const WebAuthnChallenge = require('../models/WebAuthnChallenge');
+const SecurityEvent = require('../models/SecurityEvent');
+const passkeyService = require('../services/passkeyService');
+const SoftwareAuthenticator = require('./softwareAuthenticator');
+
+const relyingParty = { rpName: 'Test', rpID: 'app.example.com', origins: ['https://app.example.com'] };
+
+// The collections the service uses, kept in memory
+let passkeys;
+let challenges;
+let events;
+
+const matches = (doc, filter) => Object.entries(filter).every(([field, value]) => {
+    if (value && value.$gt) {
+        return doc[field] > value.$gt;
+    }
+    return String(doc[field]) === String(value);
+});
+
+const findPasskey = async (filter) => {
+    const found = passkeys.find(doc => matches(doc, filter));
+    return found ? { ...found } : null;
+};
+
+const query = (result) => ({
+    select: () => query(result),
+    lean: async () => result
+});
+
+beforeEach(() => {
+    passkeys = [];
+    challenges = [];
+    events = [];
+
+    mock.method(WebAuthnChallenge, 'create', async (doc) => {
+        const stored = { _id: new mongoose.Types.ObjectId(), ...doc };
+        challenges.push(stored);
+        return stored;
+    });
+    mock.method(WebAuthnChallenge, 'findOneAndDelete', async (filter) => {
+        const index = challenges.findIndex(doc => matches(doc, filter));
+        return index === -1 ? null : challenges.splice(index, 1)[0];
+    });
+
+    mock.method(Passkey, 'find', (filter) => query(passkeys.filter(doc => matches(doc, filter))));
+    mock.method(Passkey, 'exists', async (filter) => passkeys.some(doc => matches(doc, filter)));
+    mock.method(Passkey, 'create', async (doc) => {
+        const stored = { _id: new mongoose.Types.ObjectId(), createdAt: new Date(), ...doc };
+        passkeys.push(stored);
+        return { ...stored };
+    });
+    mock.method(Passkey, 'findOne', findPasskey);
+    mock.method(Passkey, 'updateOne', async (filter, { $set }) => {
+        const found = passkeys.find(doc => matches(doc, filter));
+        if (found) {
+            Object.assign(found, $set);
+        }
+        return { matchedCount: found ? 1 : 0 };
+    });
+
+    mock.method(SecurityEvent, 'create', async (doc) => {
+        events.push(doc);
+        return doc;
+    });
+    mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+const user = {
+    _id: new mongoose.Types.ObjectId(),
+    email: 'ada@example.com',
+    username: 'ada',
+    firstName: 'Ada'
+};
+
+// Registers the authenticator's credential for the user
+const register = async (authenticator) => {
+    const { challengeId, options } = await passkeyService.startRegistration(user, relyingParty);
+    return passkeyService.finishRegistration(user, {
+        challengeId,
+        response: authenticator.register(options),
+        name: 'Laptop'
+    }, relyingParty);
+};
+
+// Runs a login ceremony; `answer` signs the options
+const login = async (authenticator, answer = options => authenticator.authenticate(options)) => {
+    const { challengeId, options } = await passkeyService.startAuthentication({}, relyingParty);
+    return passkeyService.finishAuthentication({ challengeId, response: answer(options) }, relyingParty);
+};
+
+describe('passkeyService', () => {
+    it('registers a passkey and logs in with it', async () => {
+        const authenticator = new SoftwareAuthenticator({ origin: 'https://app.example.com' });
+
+        const registered = await register(authenticator);
+        assert.equal(registered.name, 'Laptop');
+        assert.equal(registered.deviceType, 'singleDevice');
+        assert.equal(passkeys.length, 1);
+        assert.equal(passkeys[0].credentialId, authenticator.id);
+        assert.deepEqual(passkeys[0].transports, ['internal']);
+
+        const result = await login(authenticator);
+        assert.ok(result);
+        assert.ok(result.userId.equals(user._id));
+        assert.equal(passkeys[0].counter, 1);
+        assert.ok(passkeys[0].lastUsedAt instanceof Date);
+    });
+
+    it('refuses a registration made for another origin', async () => {
+        const authenticator = new SoftwareAuthenticator({ origin: 'https://evil.example.com' });
+
+        await assert.rejects(register(authenticator), { statusCode: 400 });
+        assert.equal(passkeys.length, 0);
+    });
+
+    it('refuses a challenge answered twice', async () => {
+        const authenticator = new SoftwareAuthenticator({ origin: 'https://app.example.com' });
+        await register(authenticator);
+
+        const { challengeId, options } = await passkeyService.startAuthentication({}, relyingParty);
+        const response = authenticator.authenticate(options);
+        assert.ok(await passkeyService.finishAuthentication({ challengeId, response }, relyingParty));
+        assert.equal(await passkeyService.finishAuthentication({ challengeId, response }, relyingParty), null);
+    });
+
+    it('refuses a login whose counter does not increase and records it', async () => {
+        const authenticator = new SoftwareAuthenticator({ origin: 'https://app.example.com', counter: 5 });
+        await register(authenticator);
+        assert.ok(await login(authenticator));
+        assert.equal(passkeys[0].counter, 6);
+
+        // A cloned authenticator still reports the counter it was copied with
+        const result = await login(authenticator, options => authenticator.authenticate(options, { counter: 3 }));
+        assert.equal(result, null);
+        assert.equal(passkeys[0].counter, 6);
+        assert.equal(events.at(-1).type, 'passkey_counter_mismatch');
+        assert.equal(events.at(-1).details.storedCounter, 6);
+    });
+
+    it('refuses a login when another login moved the counter meanwhile', async () => {
+        const authenticator = new SoftwareAuthenticator({ origin: 'https://app.example.com' });
+        await register(authenticator);
+
+        // Another login with the passkey is saved between reading and updating the counter
+        Passkey.findOne.mock.mockImplementationOnce(async (filter) => {
+            const found = await findPasskey(filter);
+            passkeys[0].counter = 1;
+            return found;
+        });
+
+        const result = await login(authenticator);
+        assert.equal(result, null);
+        assert.equal(passkeys[0].counter, 1);
+        assert.equal(events.at(-1).type, 'passkey_counter_mismatch');
+    });
+});
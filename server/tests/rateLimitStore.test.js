@@ -0,0 +1,264 @@
+const { describe, it, before, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const RateLimitCounter = require('../models/RateLimitCounter');
+const { MongoRateLimitStore, RedisRateLimitStore, createRateLimitStore } = require('../services/rateLimitStore');
+
+const WINDOW_MS = 60 * 1000;
+
+// --- MongoDB: the RateLimitCounter collection, kept in memory ---
+
+let counters;
+
+const time = (value) => (value instanceof Date ? value.getTime() : value);
+
+// The aggregation expressions of MongoRateLimitStore.increment
+const evaluate = (expression, doc) => {
+    if (typeof expression === 'string' && expression.startsWith('$')) {
+        return doc[expression.slice(1)];
+    }
+    if (expression && expression.$cond) {
+        const [condition, then, otherwise] = expression.$cond;
+        return evaluate(condition, doc) ? evaluate(then, doc) : evaluate(otherwise, doc);
+    }
+    if (expression && expression.$gt) {
+        const [left, right] = expression.$gt.map(operand => evaluate(operand, doc));
+        return left != null && time(left) > time(right);
+    }
+    if (expression && expression.$add) {
+        return expression.$add.reduce((sum, operand) => sum + evaluate(operand, doc), 0);
+    }
+    return expression;
+};
+
+const matchesCounter = (doc, filter) => Object.entries(filter).every(([field, condition]) => {
+    if (condition && condition.$gt !== undefined) {
+        return time(doc[field]) > time(condition.$gt);
+    }
+    if (condition && condition.$regex) {
+        return new RegExp(condition.$regex).test(doc[field]);
+    }
+    return doc[field] === condition;
+});
+
+const fakeCounterCollection = () => {
+    counters = new Map();
+
+    mock.method(RateLimitCounter, 'findOneAndUpdate', async ({ key }, pipeline) => {
+        const doc = counters.get(key) || { key };
+        pipeline.forEach(({ $set }) => {
+            const values = Object.fromEntries(Object.entries($set).map(([field, expression]) => [field, evaluate(expression, doc)]));
+            Object.assign(doc, values);
+        });
+        counters.set(key, doc);
+        return { ...doc };
+    });
+    mock.method(RateLimitCounter, 'updateOne', async (filter, { $inc }) => {
+        const doc = counters.get(filter.key);
+        if (doc && matchesCounter(doc, filter)) {
+            Object.entries($inc).forEach(([field, value]) => {
+                doc[field] += value;
+            });
+        }
+    });
+    mock.method(RateLimitCounter, 'findOne', async (filter) => {
+        const doc = counters.get(filter.key);
+        return doc && matchesCounter(doc, filter) ? { ...doc } : null;
+    });
+    mock.method(RateLimitCounter, 'deleteOne', async ({ key }) => {
+        counters.delete(key);
+    });
+    mock.method(RateLimitCounter, 'deleteMany', async (filter) => {
+        [...counters.values()].filter(doc => matchesCounter(doc, filter)).forEach(doc => counters.delete(doc.key));
+    });
+};
+
+// --- Redis: an in-memory client in place of ioredis (config/redis.js creates it on first use) ---
+
+class FakeRedis {
+    static entries = new Map(); // key -> { value, expiresAt }
+
+    on() {
+        return this;
+    }
+
+    entry(key) {
+        const entry = FakeRedis.entries.get(key);
+        if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+            FakeRedis.entries.delete(key);
+            return undefined;
+        }
+        return entry;
+    }
+
+    incrBy(key, amount) {
+        const entry = this.entry(key) || { value: 0, expiresAt: null };
+        entry.value += amount;
+        FakeRedis.entries.set(key, entry);
+        return entry.value;
+    }
+
+    pttlSync(key) {
+        const entry = this.entry(key);
+        if (!entry) {
+            return -2;
+        }
+        return entry.expiresAt === null ? -1 : entry.expiresAt - Date.now();
+    }
+
+    // Runs the scripts of services/rateLimitStore.js command by command
+    async eval(script, numKeys, key, ...args) {
+        if (script.includes('"INCR"')) {
+            const hits = this.incrBy(key, 1);
+            let ttl = this.pttlSync(key);
+            if (ttl < 0) {
+                this.entry(key).expiresAt = Date.now() + Number(args[0]);
+                ttl = Number(args[0]);
+            }
+            return [hits, ttl];
+        }
+        if (script.includes('"DECR"')) {
+            return this.entry(key) ? this.incrBy(key, -1) : 0;
+        }
+        throw new Error('Unexpected script');
+    }
+
+    async get(key) {
+        const entry = this.entry(key);
+        return entry ? String(entry.value) : null;
+    }
+
+    async pttl(key) {
+        return this.pttlSync(key);
+    }
+
+    async del(...keys) {
+        return keys.filter(key => FakeRedis.entries.delete(key)).length;
+    }
+
+    async scan(cursor, match, pattern, count, pageSize) {
+        const prefix = pattern.replace(/\*$/, '');
+        const keys = [...FakeRedis.entries.keys()].filter(key => key.startsWith(prefix)).sort();
+        const start = Number(cursor);
+        const next = start + pageSize;
+        return [next >= keys.length ? '0' : String(next), keys.slice(start, next)];
+    }
+}
+
+before(() => {
+    process.env.REDIS_URL = 'redis://127.0.0.1:6379';
+    const ioredisPath = require.resolve('ioredis');
+    require(ioredisPath);
+    require.cache[ioredisPath].exports = FakeRedis;
+});
+
+// --- The same behaviour for both stores ---
+
+const backends = [
+    {
+        name: 'MongoRateLimitStore',
+        Store: MongoRateLimitStore,
+        setUp: fakeCounterCollection,
+        count: () => counters.size,
+        endWindow: (key) => {
+            counters.get(key).resetAt = new Date(Date.now() - 1000);
+        }
+    },
+    {
+        name: 'RedisRateLimitStore',
+        Store: RedisRateLimitStore,
+        setUp: () => FakeRedis.entries.clear(),
+        count: () => FakeRedis.entries.size,
+        endWindow: (key) => {
+            FakeRedis.entries.get(key).expiresAt = Date.now() - 1000;
+        }
+    }
+];
+
+for (const { name, Store, setUp, count, endWindow } of backends) {
+    describe(name, () => {
+        let store;
+
+        const createStore = (prefix) => {
+            const created = new Store(prefix);
+            created.init({ windowMs: WINDOW_MS });
+            return created;
+        };
+
+        beforeEach(() => {
+            setUp();
+            store = createStore('rl:auth:');
+        });
+
+        afterEach(() => {
+            mock.restoreAll();
+        });
+
+        it('counts the hits of a key within one window', async () => {
+            const first = await store.increment('ip:203.0.113.7');
+            const second = await store.increment('ip:203.0.113.7');
+
+            assert.equal(first.totalHits, 1);
+            assert.equal(second.totalHits, 2);
+            assert.ok(Math.abs(first.resetTime.getTime() - (Date.now() + WINDOW_MS)) < 1000);
+            assert.ok(Math.abs(second.resetTime.getTime() - first.resetTime.getTime()) < 1000);
+            assert.equal((await store.get('ip:203.0.113.7')).totalHits, 2);
+        });
+
+        it('starts a new window once the previous one has ended', async () => {
+            await store.increment('ip:203.0.113.7');
+            await store.increment('ip:203.0.113.7');
+            endWindow('rl:auth:ip:203.0.113.7');
+
+            assert.equal(await store.get('ip:203.0.113.7'), undefined);
+            const hit = await store.increment('ip:203.0.113.7');
+            assert.equal(hit.totalHits, 1);
+            assert.ok(hit.resetTime.getTime() > Date.now() + WINDOW_MS - 1000);
+        });
+
+        it('decrements an existing counter and never creates one', async () => {
+            await store.increment('ip:203.0.113.7');
+            await store.increment('ip:203.0.113.7');
+            await store.decrement('ip:203.0.113.7');
+            assert.equal((await store.get('ip:203.0.113.7')).totalHits, 1);
+
+            await store.decrement('ip:198.51.100.1');
+            assert.equal(await store.get('ip:198.51.100.1'), undefined);
+            assert.equal(count(), 1);
+        });
+
+        it('keeps the keys of each limiter apart', async () => {
+            const other = createStore('rl:upload:');
+            await store.increment('user:ada');
+            await other.increment('user:ada');
+            await other.increment('user:ada');
+
+            assert.equal((await store.get('user:ada')).totalHits, 1);
+            assert.equal((await other.get('user:ada')).totalHits, 2);
+        });
+
+        it('resets one key, or every key of the limiter', async () => {
+            const other = createStore('rl:upload:');
+            await store.increment('ip:203.0.113.7');
+            await store.increment('ip:198.51.100.1');
+            await other.increment('ip:203.0.113.7');
+
+            await store.resetKey('ip:203.0.113.7');
+            assert.equal(await store.get('ip:203.0.113.7'), undefined);
+            assert.equal((await store.get('ip:198.51.100.1')).totalHits, 1);
+
+            await store.increment('ip:203.0.113.7');
+            await store.resetAll();
+            assert.equal(await store.get('ip:198.51.100.1'), undefined);
+            assert.equal(await store.get('ip:203.0.113.7'), undefined);
+            assert.equal((await other.get('ip:203.0.113.7')).totalHits, 1);
+        });
+    });
+}
+
+describe('createRateLimitStore', () => {
+    it('creates the configured backend', () => {
+        assert.ok(createRateLimitStore('mongo', 'rl:auth:') instanceof MongoRateLimitStore);
+        assert.ok(createRateLimitStore('redis', 'rl:auth:') instanceof RedisRateLimitStore);
+        assert.throws(() => createRateLimitStore('memcached', 'rl:auth:'), /Unknown rate limit store/);
+    });
+});
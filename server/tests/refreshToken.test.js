@@ -0,0 +1,196 @@
+process.env.REFRESH_TOKEN_SECRET = process.env.REFRESH_TOKEN_SECRET || 'test-refresh-secret';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const UsedRefreshToken = require('../models/UsedRefreshToken');
+const SecurityEvent = require('../models/SecurityEvent');
+const { refreshAccessToken } = require('../controllers/user');
+
+// The TTL index of models/UsedRefreshToken.js deletes grace records after 10 seconds
+const GRACE_PERIOD_MS = 10 * 1000;
+
+// The collections the controller uses, kept in memory
+let sessions;
+let usedTokens;
+let events;
+let emails;
+let user;
+
+const matches = (doc, filter) => Object.entries(filter).every(([field, value]) => {
+    if (value && value.$in) {
+        return value.$in.some(id => String(id) === String(doc[field]));
+    }
+    if (value === null) {
+        return doc[field] == null;
+    }
+    return String(doc[field]) === String(value);
+});
+
+const request = (refreshToken) => ({
+    body: { refreshToken },
+    ip: '127.0.0.1',
+    get: () => 'node-test'
+});
+
+const response = () => {
+    const res = {};
+    res.status = (code) => {
+        res.statusCode = code;
+        return res;
+    };
+    res.json = (body) => {
+        res.body = body;
+        return res;
+    };
+    return res;
+};
+
+const refresh = async (refreshToken) => {
+    const res = response();
+    await refreshAccessToken(request(refreshToken), res);
+    return res;
+};
+
+// Starts a session (token family) like a login and returns its first refresh token
+const login = async () => {
+    const session = new Session({ userId: user._id, deviceLabel: 'Test browser' });
+    const { refreshToken } = await user.generateAccessAndRefereshTokens(session);
+    sessions.push(session.toObject());
+    return { sessionId: session._id, refreshToken };
+};
+
+const findSession = (sessionId) => sessions.find(doc => String(doc._id) === String(sessionId));
+
+beforeEach(() => {
+    sessions = [];
+    usedTokens = [];
+    events = [];
+    emails = [];
+    user = new User({ username: 'ada', email: 'ada@example.com', subscriptionStatus: 'free' });
+
+    mock.method(User, 'findById', () => ({ populate: async () => user }));
+    mock.method(User.prototype, 'save', async function () {
+        return this;
+    });
+    // Access tokens are covered by the keyring; here only their value matters
+    mock.method(User.prototype, 'generateAccessToken', async () => `access-${crypto.randomUUID()}`);
+
+    mock.method(Session, 'findOne', (filter) => ({
+        select: async () => {
+            const found = sessions.find(doc => matches(doc, filter));
+            return found ? Session.hydrate({ ...found }) : null;
+        }
+    }));
+    mock.method(Session, 'find', (filter) => ({
+        select: () => ({ lean: async () => sessions.filter(doc => matches(doc, filter)) })
+    }));
+    mock.method(Session, 'updateOne', async (filter, { $set }) => {
+        const found = sessions.find(doc => matches(doc, filter));
+        if (found) {
+            Object.assign(found, $set);
+        }
+        return { modifiedCount: found ? 1 : 0 };
+    });
+    mock.method(Session, 'updateMany', async (filter, { $set, $unset }) => {
+        const found = sessions.filter(doc => matches(doc, filter));
+        found.forEach(doc => {
+            Object.assign(doc, $set);
+            Object.keys($unset || {}).forEach(field => delete doc[field]);
+        });
+        return { modifiedCount: found.length };
+    });
+
+    mock.method(UsedRefreshToken, 'create', async (doc) => {
+        const stored = { ...doc, createdAt: new Date() };
+        usedTokens.push(stored);
+        return stored;
+    });
+    mock.method(UsedRefreshToken, 'findOne', async (filter) => usedTokens.find(doc =>
+        matches(doc, filter) && Date.now() - doc.createdAt.getTime() < GRACE_PERIOD_MS
+    ) || null);
+
+    mock.method(SecurityEvent, 'create', async (doc) => {
+        events.push(doc);
+        return doc;
+    });
+    mock.method(nodemailer, 'createTransport', () => ({
+        sendMail: async (mail) => {
+            emails.push(mail);
+        }
+    }));
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+describe('Refresh token rotation', () => {
+    it('replaces the refresh token on every refresh', async () => {
+        const { refreshToken } = await login();
+
+        const first = await refresh(refreshToken);
+        assert.equal(first.statusCode, 200);
+        assert.notEqual(first.body.refreshToken, refreshToken);
+
+        const second = await refresh(first.body.refreshToken);
+        assert.equal(second.statusCode, 200);
+        assert.notEqual(second.body.refreshToken, first.body.refreshToken);
+    });
+
+    it('answers a second refresh with the same token within the grace period with the tokens already issued', async () => {
+        const { sessionId, refreshToken } = await login();
+
+        const winner = await refresh(refreshToken);
+        const racing = await refresh(refreshToken);
+
+        assert.equal(racing.statusCode, 200);
+        assert.equal(racing.body.accessToken, winner.body.accessToken);
+        assert.equal(racing.body.refreshToken, winner.body.refreshToken);
+        assert.equal(findSession(sessionId).revokedAt, undefined);
+        assert.equal(events.length, 0);
+    });
+
+    it('revokes the whole token family when a rotated token is replayed after the grace period', async () => {
+        const { sessionId, refreshToken } = await login();
+        const rotated = await refresh(refreshToken);
+        const latest = await refresh(rotated.body.refreshToken);
+        usedTokens.forEach(doc => {
+            doc.createdAt = new Date(Date.now() - GRACE_PERIOD_MS - 1000);
+        });
+
+        const replay = await refresh(refreshToken);
+        assert.equal(replay.statusCode, 403);
+        assert.equal(findSession(sessionId).revokedReason, 'refresh_token_reuse');
+        assert.deepEqual(events.map(event => event.type), ['refresh_token_reuse']);
+        assert.equal(emails.length, 1);
+        assert.equal(emails[0].to, 'ada@example.com');
+
+        // The newest token of the family, held by the legitimate client or the attacker, is dead too
+        const afterRevocation = await refresh(latest.body.refreshToken);
+        assert.equal(afterRevocation.statusCode, 403);
+        assert.equal(events.length, 2);
+        assert.equal(events[1].details.afterRevocation, true);
+    });
+
+    it('keeps the other sessions of the user signed in', async () => {
+        const stolen = await login();
+        const otherDevice = await login();
+
+        const rotated = await refresh(stolen.refreshToken);
+        assert.equal(rotated.statusCode, 200);
+        usedTokens.forEach(doc => {
+            doc.createdAt = new Date(Date.now() - GRACE_PERIOD_MS - 1000);
+        });
+        assert.equal((await refresh(stolen.refreshToken)).statusCode, 403);
+
+        const other = await refresh(otherDevice.refreshToken);
+        assert.equal(other.statusCode, 200);
+        assert.equal(findSession(otherDevice.sessionId).revokedAt, undefined);
+    });
+});
@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const { isoCBOR, isoBase64URL } = require('@simplewebauthn/server/helpers');
+
+/**
+ * A software WebAuthn authenticator with one ES256 credential, answering registration and
+ * login options the way a browser returns them (RegistrationResponseJSON and
+ * AuthenticationResponseJSON). Attestation is 'none'.
+ */
+
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_ATTESTED_CREDENTIAL = 0x40;
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+const uint32 = (value) => {
+    const bytes = Buffer.alloc(4);
+    bytes.writeUInt32BE(value);
+    return bytes;
+};
+
+class SoftwareAuthenticator {
+    /**
+     * @param {object} options
+     * @param {string} options.origin - Origin the "browser" reports, e.g. 'https://app.example.com'.
+     * @param {number} [options.counter=0] - Initial signature counter.
+     */
+    constructor({ origin, counter = 0 }) {
+        this.origin = origin;
+        this.counter = counter;
+        this.credentialId = crypto.randomBytes(32);
+        const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+        this.privateKey = privateKey;
+        this.publicKey = publicKey.export({ format: 'jwk' });
+        this.userHandle = null;
+    }
+
+    get id() {
+        return isoBase64URL.fromBuffer(this.credentialId);
+    }
+
+    clientData(type, challenge) {
+        return Buffer.from(JSON.stringify({ type, challenge, origin: this.origin, crossOrigin: false }));
+    }
+
+    /**
+     * Creates the credential, as navigator.credentials.create() would.
+     * @param {object} options - PublicKeyCredentialCreationOptionsJSON.
+     * @returns {object} RegistrationResponseJSON.
+     */
+    register(options) {
+        this.userHandle = options.user.id;
+
+        const cosePublicKey = isoCBOR.encode(new Map([
+            [1, 2], // kty: EC2
+            [3, -7], // alg: ES256
+            [-1, 1], // crv: P-256
+            [-2, isoBase64URL.toBuffer(this.publicKey.x)],
+            [-3, isoBase64URL.toBuffer(this.publicKey.y)]
+        ]));
+        const credentialIdLength = Buffer.alloc(2);
+        credentialIdLength.writeUInt16BE(this.credentialId.length);
+
+        const authData = Buffer.concat([
+            sha256(options.rp.id),
+            Buffer.from([FLAG_USER_PRESENT | FLAG_USER_VERIFIED | FLAG_ATTESTED_CREDENTIAL]),
+            uint32(this.counter),
+            Buffer.alloc(16), // AAGUID
+            credentialIdLength,
+            this.credentialId,
+            Buffer.from(cosePublicKey)
+        ]);
+        const attestationObject = isoCBOR.encode(new Map([
+            ['fmt', 'none'],
+            ['attStmt', new Map()],
+            ['authData', new Uint8Array(authData)]
+        ]));
+
+        return {
+            id: this.id,
+            rawId: this.id,
+            type: 'public-key',
+            response: {
+                clientDataJSON: isoBase64URL.fromBuffer(this.clientData('webauthn.create', options.challenge)),
+                attestationObject: isoBase64URL.fromBuffer(attestationObject),
+                transports: ['internal']
+            },
+            clientExtensionResults: {}
+        };
+    }
+
+    /**
+     * Signs a login challenge, as navigator.credentials.get() would.
+     * @param {object} options - PublicKeyCredentialRequestOptionsJSON.
+     * @param {object} [overrides]
+     * @param {number} [overrides.counter] - Signature counter to report instead of the next one.
+     * @returns {object} AuthenticationResponseJSON.
+     */
+    authenticate(options, { counter } = {}) {
+        if (counter === undefined) {
+            this.counter += 1;
+        }
+        const authData = Buffer.concat([
+            sha256(options.rpId),
+            Buffer.from([FLAG_USER_PRESENT | FLAG_USER_VERIFIED]),
+            uint32(counter === undefined ? this.counter : counter)
+        ]);
+        const clientDataJSON = this.clientData('webauthn.get', options.challenge);
+        const signature = crypto.sign('sha256', Buffer.concat([authData, sha256(clientDataJSON)]), this.privateKey);
+
+        return {
+            id: this.id,
+            rawId: this.id,
+            type: 'public-key',
+            response: {
+                clientDataJSON: isoBase64URL.fromBuffer(clientDataJSON),
+                authenticatorData: isoBase64URL.fromBuffer(authData),
+                signature: isoBase64URL.fromBuffer(signature),
+                userHandle: this.userHandle
+            },
+            clientExtensionResults: {}
+        };
+    }
+}
+
+module.exports = SoftwareAuthenticator;
@@ -0,0 +1,49 @@
+const jwt = require('jsonwebtoken');
+
+// Separate secret so a challenge token can never be accepted as an access or refresh token
+const CHALLENGE_TOKEN_SECRET = process.env.CHALLENGE_TOKEN_SECRET;
+const CHALLENGE_TOKEN_EXPIRY = process.env.CHALLENGE_TOKEN_EXPIRY || '5m';
+
+/**
+ * Signs a short-lived token proving that a user passed the first step of a
+ * multi-step flow (e.g. password checked, TOTP code still pending).
+ * @param {object} user - The user document (must have _id).
+ * @param {string} purpose - What the token may be used for (e.g. 'mfa', 'mfa-setup').
+ * @param {object} [extraClaims={}] - Additional claims to embed.
+ * @returns {string} The signed challenge token.
+ * @throws {Error} If CHALLENGE_TOKEN_SECRET is not defined.
+ */
+const signChallengeToken = (user, purpose, extraClaims = {}) => {
+    if (!CHALLENGE_TOKEN_SECRET) {
+        throw new Error('CHALLENGE_TOKEN_SECRET is not defined in environment variables.');
+    }
+    return jwt.sign(
+        { ...extraClaims, _id: user._id, purpose },
+        CHALLENGE_TOKEN_SECRET,
+        { expiresIn: CHALLENGE_TOKEN_EXPIRY }
+    );
+};
+
+/**
+ * Verifies a challenge token and checks that it was issued for one of the expected purposes.
+ * @param {string} token - The challenge token.
+ * @param {string|string[]} purposes - Accepted purpose(s).
+ * @returns {object|null} The decoded payload, or null if invalid, expired or issued for another purpose.
+ */
+const verifyChallengeToken = (token, purposes) => {
+    if (!token || !CHALLENGE_TOKEN_SECRET) {
+        return null;
+    }
+    const accepted = Array.isArray(purposes) ? purposes : [purposes];
+    try {
+        const decoded = jwt.verify(token, CHALLENGE_TOKEN_SECRET);
+        return accepted.includes(decoded.purpose) ? decoded : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+module.exports = {
+    signChallengeToken,
+    verifyChallengeToken,
+};
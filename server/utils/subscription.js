@@ -0,0 +1,22 @@
+/**
+ * Calculates when a subscription period that starts on the given date ends (simplified).
+ * @param {Date|string} startingDate - Start of the period.
+ * @param {string} billingCycle - The plan's billing cycle ('monthly', 'annually', ...).
+ * @returns {Date|null} End of the period, or null for 'free', 'lifetime' or unknown cycles.
+ */
+const calculateNextBillingDate = (startingDate, billingCycle) => {
+    const now = new Date(startingDate);
+    if (billingCycle === 'monthly') {
+        now.setMonth(now.getMonth() + 1);
+    } else if (billingCycle === 'annually') {
+        now.setFullYear(now.getFullYear() + 1);
+    } else {
+        // For 'free', 'lifetime', or unknown cycles, set no specific end date
+        return null;
+    }
+    return now;
+};
+
+module.exports = {
+    calculateNextBillingDate,
+};
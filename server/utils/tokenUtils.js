@@ -0,0 +1,78 @@
+const Token = require('../models/Token');
+const { generateOtp } = require('./otpUtils');
+
+/**
+ * Creates a new OTP-backed token for a user and saves it (hashed) to the database.
+ * Any previous tokens of the same type for the user are invalidated first, so a
+ * "resend" always leaves exactly one usable OTP.
+ * @param {string|ObjectId} userId - The user the token belongs to.
+ * @param {string} type - The token type (must be one of the Token model's enum values).
+ * @param {number} otpExpiryMinutes - Minutes until the token expires.
+ * @returns {Promise<string>} The plain OTP, to be sent to the user.
+ */
+const createAndSaveToken = async (userId, type, otpExpiryMinutes) => {
+    // --- Best Practice: Handle Resend ---
+    // Invalidate previous tokens of the same type for this user
+    await Token.deleteMany({ userId, type });
+
+    const otp = generateOtp(6); // Generate a 6-digit OTP
+    const expiresAt = new Date(Date.now() + otpExpiryMinutes * 60 * 1000); // Set expiry
+
+    // IMPORTANT: The 'Token' model's pre-save hook handles hashing the 'otp' value automatically
+    const token = new Token({
+        userId,
+        token: otp, // Store the plain OTP here; it gets hashed before saving
+        type,
+        expiresAt,
+    });
+
+    await token.save();
+
+    return otp; // Return the plain OTP for sending
+};
+
+/**
+ * Finds the latest unexpired token of a type for a user and checks the submitted OTP against it.
+ * @param {string|ObjectId} userId - The user the token belongs to.
+ * @param {string} type - The token type.
+ * @param {string} otp - The plain OTP submitted by the user.
+ * @returns {Promise<Token|null>} The matching token document, or null if missing, expired or wrong.
+ */
+const findValidToken = async (userId, type, otp) => {
+    const token = await Token.findOne({
+        userId,
+        type,
+        expiresAt: { $gt: Date.now() } // Check if token hasn't expired
+    }).sort({ createdAt: -1 }); // Get the latest one if multiple somehow exist (shouldn't due to deleteMany)
+
+    if (!token) {
+        return null;
+    }
+
+    // Verify the submitted OTP against the hashed token in the DB
+    const isValidOtp = await token.compareToken(otp);
+    return isValidOtp ? token : null;
+};
+
+/**
+ * Checks a submitted OTP like findValidToken, but deletes the token in the same operation, so
+ * concurrent requests with the same OTP can't both succeed.
+ * @param {string|ObjectId} userId - The user the token belongs to.
+ * @param {string} type - The token type.
+ * @param {string} otp - The plain OTP submitted by the user.
+ * @returns {Promise<boolean>} True if the OTP matched the unexpired token (now deleted).
+ */
+const consumeToken = async (userId, type, otp) => {
+    const token = await Token.findOneAndDelete({
+        userId,
+        type,
+        expiresAt: { $gt: Date.now() }
+    });
+    return token ? token.compareToken(otp) : false;
+};
+
+module.exports = {
+    createAndSaveToken,
+    findValidToken,
+    consumeToken,
+};
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encodes a buffer as RFC 4648 base32 (without padding), the format authenticator apps expect.
+ * @param {Buffer} buffer - The bytes to encode.
+ * @returns {string} The base32 string.
+ */
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+/**
+ * Decodes an RFC 4648 base32 string (padding, spaces and case are ignored).
+ * @param {string} input - The base32 string.
+ * @returns {Buffer} The decoded bytes.
+ * @throws {Error} If the input contains invalid characters.
+ */
+const base32Decode = (input) => {
+    const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+    let bits = 0;
+    let value = 0;
+    const output = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error(`Invalid base32 character: ${char}`);
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            output.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(output);
+};
+
+/**
+ * Generates a random TOTP secret.
+ * @param {number} [bytes=20] - Secret size in bytes (20 bytes = 160 bits, as recommended for SHA-1).
+ * @returns {string} The base32-encoded secret.
+ */
+const generateTotpSecret = (bytes = 20) => base32Encode(crypto.randomBytes(bytes));
+
+/**
+ * Computes an HOTP value (RFC 4226) for a counter.
+ * @param {Buffer} key - The shared secret.
+ * @param {number} counter - The moving factor.
+ * @param {number} digits - Number of digits in the code.
+ * @returns {string} The zero-padded code.
+ */
+const hotp = (key, counter, digits) => {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', key).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+        | ((hmac[offset + 1] & 0xff) << 16)
+        | ((hmac[offset + 2] & 0xff) << 8)
+        | (hmac[offset + 3] & 0xff);
+
+    return (binary % Math.pow(10, digits)).toString().padStart(digits, '0');
+};
+
+/**
+ * Generates the TOTP code (RFC 6238) for a secret at a given time.
+ * @param {string} secret - The base32-encoded secret.
+ * @param {object} [options]
+ * @param {number} [options.time=Date.now()] - Unix time in milliseconds.
+ * @param {number} [options.step=30] - Time step in seconds.
+ * @param {number} [options.digits=6] - Number of digits in the code.
+ * @returns {string} The TOTP code.
+ */
+const generateTotp = (secret, { time = Date.now(), step = 30, digits = 6 } = {}) => {
+    const counter = Math.floor(time / 1000 / step);
+    return hotp(base32Decode(secret), counter, digits);
+};
+
+/**
+ * Verifies a TOTP code, allowing for small clock drift.
+ * @param {string} secret - The base32-encoded secret.
+ * @param {string} code - The code submitted by the user.
+ * @param {object} [options]
+ * @param {number} [options.window=1] - Number of steps accepted before/after the current one.
+ * @param {number} [options.time=Date.now()] - Unix time in milliseconds.
+ * @param {number} [options.step=30] - Time step in seconds.
+ * @param {number} [options.digits=6] - Number of digits in the code.
+ * @returns {number|null} The matched time step (use it to reject replays), or null if invalid.
+ */
+const verifyTotp = (secret, code, { window = 1, time = Date.now(), step = 30, digits = 6 } = {}) => {
+    const normalized = String(code || '').replace(/\s+/g, '');
+    if (!/^\d+$/.test(normalized) || normalized.length !== digits) {
+        return null;
+    }
+
+    const key = base32Decode(secret);
+    const currentStep = Math.floor(time / 1000 / step);
+
+    for (let offset = -window; offset <= window; offset++) {
+        const candidate = hotp(key, currentStep + offset, digits);
+        if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+            return currentStep + offset;
+        }
+    }
+    return null;
+};
+
+/**
+ * Builds the otpauth:// URI used by authenticator apps (usually rendered as a QR code).
+ * @param {object} options
+ * @param {string} options.secret - The base32-encoded secret.
+ * @param {string} options.accountName - Label shown in the app (e.g. the user's email).
+ * @param {string} options.issuer - The service name shown in the app.
+ * @returns {string} The otpauth URI.
+ */
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: '6',
+        period: '30',
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateTotpSecret,
+    generateTotp,
+    verifyTotp,
+    buildOtpauthUri,
+};
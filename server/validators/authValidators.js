@@ -6,6 +6,9 @@ const {
     isLength,
     isAlphanumericField,
     isNumericField,
+    isOpaqueString,
+    isMongoIdField,
+    isObjectField,
 } = require('./commonValidators');
 
 const registerValidationRules = () => {
@@ -14,6 +17,7 @@ const registerValidationRules = () => {
         isLength('username', { min: 3, max: 30 }),
         isEmailField('email'),
         isStrongPassword('password'),
+        isOpaqueString('inviteToken', 128).optional(), // From the invitation link; required in invite-only mode
     ];
 };
 
@@ -27,6 +31,7 @@ const loginValidationRules = () => {
                 .withMessage('Username identifier must be between 3 and 30 characters.'),
         ], { message: 'Identifier must be a valid email or an alphanumeric username (3-30 characters).' }),
         isNotEmptyString('password'), // For login, a simple non-empty check is usually sufficient
+        isLength('deviceLabel', { max: 100 }).optional(), // Optional name for the new session
     ];
 };
 
@@ -43,9 +48,163 @@ const resetPasswordValidationRules = () => {
     ];
 };
 
+const verifyEmailValidationRules = () => {
+    return [
+        isEmailField('email'),
+        isLength('otp', { min: 6, max: 6 }),
+    ];
+};
+
+const resendVerificationValidationRules = () => {
+    return [
+        isEmailField('email'),
+    ];
+};
+
+const requestPasswordlessLoginValidationRules = () => {
+    return [
+        isEmailField('email'),
+    ];
+};
+
+const passwordlessLoginValidationRules = () => {
+    return [
+        isEmailField('email'),
+        isLength('code', { min: 6, max: 6 }),
+        isLength('deviceLabel', { max: 100 }).optional(),
+    ];
+};
+
+const passkeyLoginOptionsValidationRules = () => {
+    return [
+        isOpaqueString('identifier', 254).optional(), // Username or email; omitted for discoverable passkeys
+    ];
+};
+
+const passkeyLoginValidationRules = () => {
+    return [
+        isMongoIdField('challengeId'),
+        isObjectField('response'), // AuthenticationResponseJSON, checked by the WebAuthn library
+        isLength('deviceLabel', { max: 100 }).optional(),
+    ];
+};
+
+const registerPasskeyValidationRules = () => {
+    return [
+        isMongoIdField('challengeId'),
+        isObjectField('response'), // RegistrationResponseJSON, checked by the WebAuthn library
+        isLength('name', { min: 1, max: 100 }).optional(),
+    ];
+};
+
+const mfaCodeValidationRules = () => {
+    return [
+        isLength('code', { min: 6, max: 6 }),
+    ];
+};
+
+const mfaDisableValidationRules = () => {
+    return [
+        isNotEmptyString('password'),
+        isLength('code', { min: 6, max: 6 }).optional(),
+        isNotEmptyString('recoveryCode').optional(),
+    ];
+};
+
+const mfaLoginValidationRules = () => {
+    return [
+        isNotEmptyString('mfaToken'),
+        isLength('code', { min: 6, max: 6 }).optional(),
+        isNotEmptyString('recoveryCode').optional(),
+        isLength('deviceLabel', { max: 100 }).optional(),
+    ];
+};
+
+const mfaSetupTokenValidationRules = () => {
+    return [
+        isNotEmptyString('mfaToken'),
+    ];
+};
+
+const mfaSetupConfirmValidationRules = () => {
+    return [
+        isNotEmptyString('mfaToken'),
+        isLength('code', { min: 6, max: 6 }),
+    ];
+};
+
+const expiredPasswordChangeValidationRules = () => {
+    return [
+        isNotEmptyString('passwordToken'),
+        isStrongPassword('newPassword'),
+        isLength('deviceLabel', { max: 100 }).optional(),
+    ];
+};
+
+const changePasswordValidationRules = () => {
+    return [
+        isOpaqueString('currentPassword', 128),
+        isStrongPassword('newPassword'),
+    ];
+};
+
+const changeEmailValidationRules = () => {
+    return [
+        isEmailField('newEmail'),
+        isOpaqueString('currentPassword', 128).optional(),
+        isLength('currentEmailCode', { min: 6, max: 6 }).optional(), // Accounts without a password
+    ];
+};
+
+const confirmEmailChangeValidationRules = () => {
+    return [
+        isLength('otp', { min: 6, max: 6 }),
+    ];
+};
+
+const oauthAuthorizeValidationRules = () => {
+    return [
+        isOpaqueString('redirectUri', 2048, 'query'),
+    ];
+};
+
+const oauthCallbackValidationRules = () => {
+    return [
+        isOpaqueString('code'),
+        isOpaqueString('state', 256),
+        isLength('deviceLabel', { max: 100 }).optional(),
+    ];
+};
+
+const oauthLinkValidationRules = () => {
+    return [
+        isOpaqueString('code'),
+        isOpaqueString('state', 256),
+    ];
+};
+
 module.exports = {
     registerValidationRules,
     loginValidationRules,
     requestPasswordResetValidationRules,
     resetPasswordValidationRules,
+    verifyEmailValidationRules,
+    resendVerificationValidationRules,
+    requestPasswordlessLoginValidationRules,
+    passwordlessLoginValidationRules,
+    passkeyLoginOptionsValidationRules,
+    passkeyLoginValidationRules,
+    registerPasskeyValidationRules,
+    mfaCodeValidationRules,
+    mfaDisableValidationRules,
+    mfaLoginValidationRules,
+    mfaSetupTokenValidationRules,
+    mfaSetupConfirmValidationRules,
+    expiredPasswordChangeValidationRules,
+    oauthAuthorizeValidationRules,
+    oauthCallbackValidationRules,
+    oauthLinkValidationRules,
+    changePasswordValidationRules,
+    changeEmailValidationRules,
+    confirmEmailChangeValidationRules,
 };
\ No newline at end of file
@@ -1,4 +1,5 @@
 ﻿const { body, param, query } = require('express-validator');
+const { checkPasswordStrength } = require('../services/passwordPolicyService');
 
 /**
  * Validates that a field is a string, trims whitespace, and escapes HTML characters.
@@ -67,7 +68,7 @@ const isEmailField = (fieldName, location = 'body') => {
 };
 
 /**
- * Validates that a field meets password strength requirements.
+ * Validates that a field meets the password policy (authPolicy.password).
  * Passwords are not escaped to preserve their original value for hashing.
  * @param {string} fieldName - The name of the field to validate.
  * @param {string} [location='body'] - The location of the field.
@@ -76,16 +77,14 @@ const isEmailField = (fieldName, location = 'body') => {
 const isStrongPassword = (fieldName, location = 'body') => {
     const field = location === 'param' ? param(fieldName) : location === 'query' ? query(fieldName) : body(fieldName);
     return field
-        .isStrongPassword({
-            minLength: 8,
-            minLowercase: 1,
-            minUppercase: 1,
-            minNumbers: 1,
-            minSymbols: 1,
-        })
-        .withMessage(
-            `${fieldName} must be at least 8 characters long and include at least one lowercase letter, one uppercase letter, one number, and one symbol.`
-        );
+        .isString().withMessage(`${fieldName} must be a string.`).bail()
+        .custom((value) => {
+            const problems = checkPasswordStrength(value);
+            if (problems.length > 0) {
+                throw new Error(problems.join(' '));
+            }
+            return true;
+        });
 };
 
 /**
@@ -137,6 +136,28 @@ const isFloatField = (fieldName, options = {}, location = 'body') => {
         .toFloat();
 };
 
+/**
+ * Validates that a field is an integer with optional min/max and converts to an integer.
+ * @param {string} fieldName - The name of the field to validate.
+ * @param {object} [options={}] - Min and/or max options (e.g., { min: 1, max: 100 }).
+ * @param {string} [location='body'] - The location of the field.
+ * @returns {object} Express-validator chain.
+ */
+const isIntField = (fieldName, options = {}, location = 'body') => {
+    const field = location === 'param' ? param(fieldName) : location === 'query' ? query(fieldName) : body(fieldName);
+    let message = `${fieldName} must be an integer.`;
+    if (options.min !== undefined && options.max !== undefined) {
+        message = `${fieldName} must be an integer between ${options.min} and ${options.max}.`;
+    } else if (options.min !== undefined) {
+        message = `${fieldName} must be an integer greater than or equal to ${options.min}.`;
+    } else if (options.max !== undefined) {
+        message = `${fieldName} must be an integer less than or equal to ${options.max}.`;
+    }
+    return field
+        .isInt(options).withMessage(message)
+        .toInt();
+};
+
 /**
  * Validates that a field's value is one of the allowed values. Trims and escapes if it's a string.
  * @param {string} fieldName - The name of the field to validate.
@@ -224,6 +245,88 @@ const isObjectField = (fieldName, location = 'body') => {
     // Note: Deep sanitization of object properties requires specific rules for each property.
 };
 
+/**
+ * Validates that a field is a non-empty string and trims it, without escaping.
+ * For values that must reach a third party unchanged (OAuth codes, state, redirect URIs).
+ * @param {string} fieldName - The name of the field to validate.
+ * @param {number} [maxLength=2048] - Maximum length.
+ * @param {string} [location='body'] - The location of the field.
+ * @returns {object} Express-validator chain.
+ */
+const isOpaqueString = (fieldName, maxLength = 2048, location = 'body') => {
+    const field = location === 'param' ? param(fieldName) : location === 'query' ? query(fieldName) : body(fieldName);
+    return field
+        .isString().withMessage(`${fieldName} must be a string.`)
+        .trim()
+        .notEmpty().withMessage(`${fieldName} cannot be empty.`)
+        .isLength({ max: maxLength }).withMessage(`${fieldName} must be at most ${maxLength} characters long.`);
+};
+
+/**
+ * Validates that a field is an array of non-empty strings, trimmed but not escaped.
+ * For values compared verbatim (e.g. Casbin rule values, which hold paths and regular expressions).
+ * @param {string} fieldName - The name of the field to validate.
+ * @param {object} [options={ min: 0 }] - Options for array length validation (e.g., { min: 1, max: 6 }).
+ * @param {number} [maxLength=256] - Maximum length of each element.
+ * @param {string} [location='body'] - The location of the field.
+ * @returns {Array<object>} Array of Express-validator chains.
+ */
+const isArrayOfOpaqueStrings = (fieldName, options = { min: 0 }, maxLength = 256, location = 'body') => {
+    const fieldLocator = location === 'param' ? param : location === 'query' ? query : body;
+
+    return [
+        fieldLocator(fieldName)
+            .isArray(options).withMessage(`${fieldName} must be an array` + (options.min && options.min > 0 ? ` with at least ${options.min} element(s).` : '.')),
+        fieldLocator(`${fieldName}.*`)
+            .isString().withMessage(`Each element in ${fieldName} must be a string.`)
+            .trim()
+            .notEmpty().withMessage(`Each element in ${fieldName} cannot be an empty string.`)
+            .isLength({ max: maxLength }).withMessage(`Each element in ${fieldName} must be at most ${maxLength} characters long.`)
+    ];
+};
+
+/**
+ * Validates that a field is an array (elements are validated separately, e.g. with `${fieldName}.*`).
+ * @param {string} fieldName - The name of the field to validate.
+ * @param {object} [options={ min: 0 }] - Options for array length validation (e.g., { min: 1, max: 100 }).
+ * @param {string} [location='body'] - The location of the field.
+ * @returns {object} Express-validator chain.
+ */
+const isArrayField = (fieldName, options = { min: 0 }, location = 'body') => {
+    const field = location === 'param' ? param(fieldName) : location === 'query' ? query(fieldName) : body(fieldName);
+    return field
+        .isArray(options).withMessage(`${fieldName} must be an array` + (options.min && options.min > 0 ? ` with at least ${options.min} element(s).` : '.'));
+};
+
+/**
+ * Validates that a field is an absolute http(s) URL. Trims, but does not escape,
+ * so the URL stays usable.
+ * @param {string} fieldName - The name of the field to validate.
+ * @param {string} [location='body'] - The location of the field.
+ * @returns {object} Express-validator chain.
+ */
+const isUrlField = (fieldName, location = 'body') => {
+    const field = location === 'param' ? param(fieldName) : location === 'query' ? query(fieldName) : body(fieldName);
+    return field
+        .isString().withMessage(`${fieldName} must be a string.`)
+        .trim()
+        .isURL({ protocols: ['http', 'https'], require_protocol: true }).withMessage(`${fieldName} must be a valid http(s) URL.`)
+        .isLength({ max: 2048 }).withMessage(`${fieldName} must be at most 2048 characters long.`);
+};
+
+/**
+ * Validates that a field is an ISO 8601 date and converts it to a Date.
+ * @param {string} fieldName - The name of the field to validate.
+ * @param {string} [location='body'] - The location of the field.
+ * @returns {object} Express-validator chain.
+ */
+const isDateField = (fieldName, location = 'body') => {
+    const field = location === 'param' ? param(fieldName) : location === 'query' ? query(fieldName) : body(fieldName);
+    return field
+        .isISO8601({ strict: true }).withMessage(`${fieldName} must be an ISO 8601 date.`).bail()
+        .toDate();
+};
+
 module.exports = {
     isStringField,
     isNotEmptyString,
@@ -233,9 +336,15 @@ module.exports = {
     isMongoIdField,
     isNumericField,
     isFloatField,
+    isIntField,
     isInValues,
     isArrayOfStringsField,
     isAlphanumericField,
     isSlugField,
     isObjectField,
+    isOpaqueString,
+    isArrayOfOpaqueStrings,
+    isArrayField,
+    isUrlField,
+    isDateField,
 };
\ No newline at end of file
@@ -0,0 +1,82 @@
+﻿const {
+    isOpaqueString,
+    isArrayOfOpaqueStrings,
+    isArrayField,
+    isObjectField,
+    isMongoIdField,
+    isInValues,
+    isIntField,
+} = require('./commonValidators');
+
+// Casbin rules have at most 6 values (models/CasbinRule.js); types and values are checked
+// against model.conf by services/policyService.js
+const policyRuleValidationRules = () => {
+    return [
+        isOpaqueString('ptype', 16),
+        ...isArrayOfOpaqueStrings('rule', { min: 1, max: 6 }),
+    ];
+};
+
+const replacePoliciesValidationRules = () => {
+    return [
+        isArrayField('rules', { min: 1, max: 1000 }),
+        isObjectField('rules.*'),
+        isOpaqueString('rules.*.ptype', 16),
+        ...isArrayOfOpaqueStrings('rules.*.rule', { min: 1, max: 6 }),
+    ];
+};
+
+// Optional proposed rule set the explain and matrix endpoints decide with instead of the stored one
+const proposedRulesValidationRules = () => {
+    return [
+        isArrayField('rules', { min: 1, max: 1000 }).optional(),
+        isObjectField('rules.*'),
+        isOpaqueString('rules.*.ptype', 16),
+        ...isArrayOfOpaqueStrings('rules.*.rule', { min: 1, max: 6 }),
+    ];
+};
+
+// Either a request (sub, dom, obj, act) or a user and a route (userId, method, path); the
+// controller requires one of them complete
+const explainPolicyValidationRules = () => {
+    return [
+        isOpaqueString('sub', 256).optional(),
+        isOpaqueString('dom', 256).optional(),
+        isOpaqueString('obj', 256).optional(),
+        isOpaqueString('act', 256).optional(),
+        isMongoIdField('userId').optional(),
+        isInValues('method', ['GET', 'POST', 'PUT', 'PATCH', 'DELETE']).optional(),
+        isOpaqueString('path', 2048).optional(),
+        ...proposedRulesValidationRules(),
+    ];
+};
+
+const policyHistoryValidationRules = () => {
+    return [
+        isIntField('page', { min: 1 }, 'query').optional(),
+        isIntField('limit', { min: 1, max: 100 }, 'query').optional(),
+    ];
+};
+
+const policyVersionValidationRules = () => {
+    return [
+        isIntField('version', { min: 0 }, 'param'),
+    ];
+};
+
+const comparePolicyVersionsValidationRules = () => {
+    return [
+        isIntField('from', { min: 0 }, 'query'),
+        isIntField('to', { min: 0 }, 'query'),
+    ];
+};
+
+module.exports = {
+    policyRuleValidationRules,
+    replacePoliciesValidationRules,
+    proposedRulesValidationRules,
+    explainPolicyValidationRules,
+    policyHistoryValidationRules,
+    policyVersionValidationRules,
+    comparePolicyVersionsValidationRules,
+};
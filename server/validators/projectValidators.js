@@ -0,0 +1,37 @@
+﻿const {
+    isLength,
+    isMongoIdField,
+} = require('./commonValidators');
+
+// Currency codes are ISO 4217 (three letters); the Project model uppercases them
+const isCurrencyField = (fieldName) => isLength(fieldName, { min: 3, max: 3 })
+    .isAlpha().withMessage(`${fieldName} must be a three-letter currency code.`);
+
+const createProjectValidationRules = () => {
+    return [
+        isLength('name', { min: 1, max: 100 }),
+        isLength('description', { max: 1000 }).optional(),
+        isCurrencyField('currency').optional(),
+    ];
+};
+
+const updateProjectValidationRules = () => {
+    return [
+        isMongoIdField('projectId', 'param'),
+        isLength('name', { min: 1, max: 100 }).optional(),
+        isLength('description', { max: 1000 }).optional(),
+        isCurrencyField('currency').optional(),
+    ];
+};
+
+const projectIdValidationRules = () => {
+    return [
+        isMongoIdField('projectId', 'param'),
+    ];
+};
+
+module.exports = {
+    createProjectValidationRules,
+    updateProjectValidationRules,
+    projectIdValidationRules,
+};
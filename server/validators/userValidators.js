@@ -0,0 +1,84 @@
+﻿const {
+    isLength,
+    isOpaqueString,
+    isUrlField,
+    isObjectField,
+    isDateField,
+    isArrayOfStringsField,
+    isInValues,
+    isFloatField,
+    isEmailField,
+    isMongoIdField,
+} = require('./commonValidators');
+const authPolicy = require('../config/authPolicy');
+
+// Serialized size limit of the preferences object
+const MAX_PREFERENCES_BYTES = 4096;
+
+const updateProfileValidationRules = () => {
+    return [
+        isLength('firstName', { max: 50 }).optional(),
+        isLength('lastName', { max: 50 }).optional(),
+        isUrlField('profilePictureUrl').optional({ values: 'falsy' }), // Empty string removes the picture
+        isObjectField('preferences').optional()
+            .custom(value => Buffer.byteLength(JSON.stringify(value)) <= MAX_PREFERENCES_BYTES)
+            .withMessage(`preferences must be at most ${MAX_PREFERENCES_BYTES} bytes.`),
+    ];
+};
+
+const requestAccountDeletionValidationRules = () => {
+    return [
+        isOpaqueString('currentPassword', 128).optional(), // Required by the controller when the account has a password
+    ];
+};
+
+const confirmAccountDeletionValidationRules = () => {
+    return [
+        isLength('otp', { min: 6, max: 6 }),
+    ];
+};
+
+const suspendUserValidationRules = () => {
+    return [
+        isLength('reason', { min: 1, max: 500 }),
+        isDateField('suspendedUntil').optional() // Omitted: suspended until reinstated
+            .custom(value => value > new Date())
+            .withMessage('suspendedUntil must be in the future.'),
+    ];
+};
+
+const createApiKeyValidationRules = () => {
+    return [
+        isLength('name', { min: 1, max: 100 }),
+        ...isArrayOfStringsField('scopes', { min: 1 }),
+        isInValues('scopes.*', authPolicy.apiKeys.scopes),
+        isDateField('expiresAt').optional() // Omitted: the longest allowed lifetime
+            .custom(value => value > new Date())
+            .withMessage('expiresAt must be in the future.'),
+    ];
+};
+
+const impersonateUserValidationRules = () => {
+    return [
+        isLength('reason', { min: 1, max: 500 }), // e.g. the support ticket; kept in the audit trail
+        isFloatField('durationMinutes', { min: 1, max: authPolicy.impersonation.maxMinutes }).optional(),
+    ];
+};
+
+const createInvitationValidationRules = () => {
+    return [
+        isEmailField('email'),
+        isInValues('role', ['user', 'admin', 'editor', 'support']).optional(), // Omitted: 'user'
+        isMongoIdField('planId').optional(), // Assigned on registration, without payment
+    ];
+};
+
+module.exports = {
+    updateProfileValidationRules,
+    requestAccountDeletionValidationRules,
+    confirmAccountDeletionValidationRules,
+    suspendUserValidationRules,
+    createApiKeyValidationRules,
+    impersonateUserValidationRules,
+    createInvitationValidationRules,
+};
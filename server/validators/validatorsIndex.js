@@ -2,6 +2,9 @@
 const authValidators = require('./authValidators');
 const paymentValidators = require('./paymentValidators');
 const planValidators = require('./planValidators');
+const policyValidators = require('./policyValidators');
+const projectValidators = require('./projectValidators');
+const userValidators = require('./userValidators');
 
 /**
  * Middleware to handle validation results.
@@ -47,8 +50,44 @@ module.exports = {
     loginValidationRules: authValidators.loginValidationRules,
     requestPasswordResetValidationRules: authValidators.requestPasswordResetValidationRules,
     resetPasswordValidationRules: authValidators.resetPasswordValidationRules,
+    verifyEmailValidationRules: authValidators.verifyEmailValidationRules,
+    resendVerificationValidationRules: authValidators.resendVerificationValidationRules,
+    requestPasswordlessLoginValidationRules: authValidators.requestPasswordlessLoginValidationRules,
+    passwordlessLoginValidationRules: authValidators.passwordlessLoginValidationRules,
+    passkeyLoginOptionsValidationRules: authValidators.passkeyLoginOptionsValidationRules,
+    passkeyLoginValidationRules: authValidators.passkeyLoginValidationRules,
+    registerPasskeyValidationRules: authValidators.registerPasskeyValidationRules,
+    mfaCodeValidationRules: authValidators.mfaCodeValidationRules,
+    mfaDisableValidationRules: authValidators.mfaDisableValidationRules,
+    mfaLoginValidationRules: authValidators.mfaLoginValidationRules,
+    mfaSetupTokenValidationRules: authValidators.mfaSetupTokenValidationRules,
+    mfaSetupConfirmValidationRules: authValidators.mfaSetupConfirmValidationRules,
+    expiredPasswordChangeValidationRules: authValidators.expiredPasswordChangeValidationRules,
+    oauthAuthorizeValidationRules: authValidators.oauthAuthorizeValidationRules,
+    oauthCallbackValidationRules: authValidators.oauthCallbackValidationRules,
+    oauthLinkValidationRules: authValidators.oauthLinkValidationRules,
+    changePasswordValidationRules: authValidators.changePasswordValidationRules,
+    changeEmailValidationRules: authValidators.changeEmailValidationRules,
+    confirmEmailChangeValidationRules: authValidators.confirmEmailChangeValidationRules,
     paymentValidationRules: paymentValidators.paymentValidationRules,
     planValidationRules: planValidators.planValidationRules,
     changePlanValidationRules: planValidators.changePlanValidationRules,
+    policyRuleValidationRules: policyValidators.policyRuleValidationRules,
+    replacePoliciesValidationRules: policyValidators.replacePoliciesValidationRules,
+    proposedRulesValidationRules: policyValidators.proposedRulesValidationRules,
+    explainPolicyValidationRules: policyValidators.explainPolicyValidationRules,
+    policyHistoryValidationRules: policyValidators.policyHistoryValidationRules,
+    policyVersionValidationRules: policyValidators.policyVersionValidationRules,
+    comparePolicyVersionsValidationRules: policyValidators.comparePolicyVersionsValidationRules,
+    createProjectValidationRules: projectValidators.createProjectValidationRules,
+    updateProjectValidationRules: projectValidators.updateProjectValidationRules,
+    projectIdValidationRules: projectValidators.projectIdValidationRules,
+    updateProfileValidationRules: userValidators.updateProfileValidationRules,
+    requestAccountDeletionValidationRules: userValidators.requestAccountDeletionValidationRules,
+    confirmAccountDeletionValidationRules: userValidators.confirmAccountDeletionValidationRules,
+    suspendUserValidationRules: userValidators.suspendUserValidationRules,
+    createApiKeyValidationRules: userValidators.createApiKeyValidationRules,
+    impersonateUserValidationRules: userValidators.impersonateUserValidationRules,
+    createInvitationValidationRules: userValidators.createInvitationValidationRules,
     handleValidationErrors,
 };
\ No newline at end of file